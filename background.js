@@ -1,83 +1,192 @@
-/*
-let isEnabled = true;
-let popupVisible = false;
+// --- Service Worker ---
+// The word of the day and the study badge need the catalog, so the service worker loads
+// the same model as the popup
+importScripts(
+  "word-validator.js",
+  "search-index.js",
+  "reverse-index.js",
+  "query-language.js",
+  "tag-taxonomy.js",
+  "catalog-model.js",
+  "word-lists.js",
+  "study-deck.js",
+  "daily-word.js",
+  "backup.js"
+);
+
+// Scripts the in-page overlay needs, in load order. They are injected on demand
+// (through the activeTab grant of the context menu and shortcut) rather than declared
+// as content scripts, so pages the user never looks a word up on stay untouched.
+const OVERLAY_SCRIPTS = [
+  "word-validator.js",
+  "search-index.js",
+  "reverse-index.js",
+  "query-language.js",
+  "tag-taxonomy.js",
+  "catalog-model.js",
+  "theme.js",
+  "content.js",
+];
+const LOOKUP_MENU_ID = "vocab-master-lookup";
+
+const model = new VocabCatalogViewerModel();
+const wordLists = new VocabWordLists(model);
+const studyDeck = new VocabStudyDeck(model);
+const dailyWord = new VocabDailyWord(model, wordLists, studyDeck);
+const backup = new VocabBackup();
 
-// Initialize without showing indicator
 chrome.runtime.onInstalled.addListener(() => {
-  chrome.storage.sync.set({ isEnabled: true });
+  scheduleDailyWord();
+  scheduleBackup();
+  chrome.contextMenus.create({
+    id: LOOKUP_MENU_ID,
+    title: 'Look up "%s" in Vocab Master',
+    contexts: ["selection"],
+  });
+  chrome.contextMenus.create({
+    id: `${LOOKUP_MENU_ID}-editable`,
+    title: "Insert a word from Vocab Master",
+    contexts: ["editable"],
+  });
 });
 
-chrome.commands.onCommand.addListener((command) => {
-  if (command === "toggle") {
-    handleToggle(true); // true means show indicator
-  }
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!info.menuItemId.startsWith(LOOKUP_MENU_ID)) return;
+  showOverlay(tab, info.frameId, info.selectionText || "");
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  scheduleDailyWord();
+  scheduleBackup();
 });
 
-chrome.action.onClicked.addListener((tab) => {
-  if (popupVisible) {
-    hidePopup();
-  } else {
-    showPopup(tab.id);
+chrome.alarms.onAlarm.addListener(async ({ name }) => {
+  if (name === VocabBackup.ALARM) {
+    await runAutoBackup();
+    return;
+  }
+  if (name !== VocabDailyWord.DAILY_ALARM && name !== VocabDailyWord.BADGE_ALARM) return;
+  try {
+    await dailyWord.loadWords();
+    if (name === VocabDailyWord.DAILY_ALARM) await dailyWord.showDailyWord();
+    await dailyWord.updateBadge();
+  } catch (error) {
+    console.error("Could not update the word of the day:", error);
   }
 });
 
-function handleToggle(showIndicator) {
-  chrome.storage.sync.get(['isEnabled'], (result) => {
-    const currentState = result.isEnabled !== false; // Default to true
-    const newState = !currentState;
-    isEnabled = newState;
-    
-    chrome.storage.sync.set({ isEnabled: newState }, () => {
-      updateExtensionState(newState, showIndicator);
-    });
-  });
-}
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId === VocabDailyWord.NOTIFICATION_ID) dailyWord.openDailyWord();
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && changes.dailyWordSettings) scheduleDailyWord();
+  if (area === "local" && changes.studyProgress) updateStudyBadge();
+  if (area === "local" && changes.backupSettings) scheduleBackup();
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === "lookup-selection") showOverlay(tab);
+  if (command === "search-clipboard") openPopupWithClipboardSearch();
+});
 
-function showPopup(tabId) {
-  popupVisible = true;
-  chrome.tabs.sendMessage(tabId, { action: "showPopup" });
+/**
+ * Sets the word of the day and badge alarms from the current settings, and brings the
+ * badge up to date.
+ *
+ * @returns {Promise<void>} Resolves when the alarms are set, or setting them failed.
+ */
+async function scheduleDailyWord() {
+  try {
+    await dailyWord.schedule();
+  } catch (error) {
+    console.error("Could not schedule the word of the day:", error);
+  }
+  await updateStudyBadge();
 }
 
-function hidePopup() {
-  popupVisible = false;
-  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-    if (tabs[0]?.id) {
-      chrome.tabs.sendMessage(tabs[0].id, { action: "hidePopup" });
-    }
-  });
+/**
+ * Sets the automatic backup alarm from the current settings.
+ *
+ * @returns {Promise<void>} Resolves when the alarm is set, or setting it failed.
+ */
+async function scheduleBackup() {
+  try {
+    await backup.schedule();
+  } catch (error) {
+    console.error("Could not schedule the backup:", error);
+  }
 }
 
-function updateExtensionState(enabled, showIndicator = false) {
-  // Update browser action
-  chrome.action.setTitle({
-    title: `Nomi Key Helper: ${enabled ? 'ON' : 'OFF'}`
-  });
+/**
+ * Saves a backup of the user's data to the Downloads folder.
+ *
+ * @returns {Promise<void>} Resolves when the backup is saved, or saving it failed.
+ */
+async function runAutoBackup() {
+  try {
+    await backup.runAutoBackup();
+  } catch (error) {
+    console.error("Could not save the backup:", error);
+  }
+}
 
-  // Broadcast to tabs
-  chrome.tabs.query({}, (tabs) => {
-    tabs.forEach(tab => {
-      if (tab.id) {
-        chrome.tabs.sendMessage(tab.id, { 
-          action: "toggle", 
-          isEnabled: enabled,
-          showIndicator: showIndicator
-        }).catch(() => {});
-      }
-    });
-  });
+/**
+ * Refreshes the count of study words due on the toolbar badge.
+ *
+ * @returns {Promise<void>} Resolves when the badge is updated, or updating it failed.
+ */
+async function updateStudyBadge() {
+  try {
+    await dailyWord.loadWords();
+    await dailyWord.updateBadge();
+  } catch (error) {
+    console.error("Could not update the study badge:", error);
+  }
 }
 
-// Listen for popup state changes
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === "popupHidden") {
-    popupVisible = false;
+/**
+ * Opens the popup and has it search for the clipboard text. The popup can't be handed
+ * arguments, so a timestamp is left in `chrome.storage.session` for `searchFromClipboard()`
+ * in `popup.js`, which reads the clipboard itself (the service worker has no clipboard).
+ *
+ * @returns {Promise<void>} Resolves when the popup was opened, or couldn't be.
+ */
+async function openPopupWithClipboardSearch() {
+  await chrome.storage.session.set({ searchClipboard: Date.now() });
+  try {
+    await chrome.action.openPopup();
+  } catch (error) {
+    // No focused browser window to open the popup in
+    console.error("Could not open the Vocab Master popup:", error);
+    await chrome.storage.session.remove("searchClipboard");
   }
-});
+}
 
-// Keep background alive
-chrome.runtime.onConnect.addListener((port) => {
-  if (port.name === "keepAlive") {
-    setTimeout(() => port.disconnect(), 250e3);
+/**
+ * Opens the lookup overlay in a tab, injecting the content scripts first if this is the
+ * first lookup on the page.
+ *
+ * @param {chrome.tabs.Tab} tab - The tab to open the overlay in.
+ * @param {number} [frameId=0] - The frame the lookup started in (e.g. an editor in an iframe).
+ * @param {string} [text] - The text to look up; the content script reads the selection when omitted.
+ * @returns {Promise<void>} Resolves when the overlay was asked to open, or the page can't be scripted.
+ */
+async function showOverlay(tab, frameId = 0, text = "") {
+  if (!tab || tab.id === undefined) return;
+  const target = { tabId: tab.id, frameIds: [frameId] };
+  try {
+    const [{ result: injected }] = await chrome.scripting.executeScript({
+      target,
+      func: () => typeof VocabCatalogOverlay !== "undefined",
+    });
+    if (!injected) {
+      await chrome.scripting.insertCSS({ target, files: ["content.css"] });
+      await chrome.scripting.executeScript({ target, files: OVERLAY_SCRIPTS });
+    }
+    await chrome.tabs.sendMessage(tab.id, { action: "showOverlay", text }, { frameId });
+  } catch (error) {
+    // Browser pages (chrome://, the Web Store) can't be scripted
+    console.error("Could not open the Vocab Master overlay:", error);
   }
-});
-*/
\ No newline at end of file
+}
@@ -0,0 +1,514 @@
+// --- Backup ---
+class VocabBackup {
+  static FORMAT = "vocab-master-backup";
+  static SCHEMA_VERSION = 1;
+  // What a backup holds, by storage area: everything the user made or chose. The settings
+  // of the backups themselves stay out, since the Downloads folder belongs to this device.
+  static KEYS = {
+    local: [
+      "userWords",
+      "collectionEdits",
+      "userCollections",
+      "activeCollection",
+      "copyTray",
+      "copyTemplates",
+      "studyProgress",
+    ],
+    sync: [
+      "favorites",
+      "wordLists",
+      "copyHistory",
+      "tagParents",
+      "savedSearches",
+      "tableLayout",
+      "theme",
+      "dailyWordSettings",
+    ],
+  };
+  // MIGRATIONS[n] turns a backup of schema version n + 1 into one of version n + 2, so a
+  // change to the format adds a step here and older files keep restoring
+  static MIGRATIONS = [];
+  static ALARM = "vocab-master-backup";
+  static FOLDER = "Vocab Master";
+  static FREQUENCIES = [
+    { id: "daily", name: "Every day", days: 1 },
+    { id: "weekly", name: "Every week", days: 7 },
+  ];
+  static DEFAULT_SETTINGS = { auto: false, frequency: "weekly" };
+  // What the sync items are called in the error when one is too big to restore
+  static SYNC_NAMES = {
+    favorites: "favorites",
+    wordLists: "word lists",
+    copyHistory: "copy history",
+    tagParents: "parent tags",
+    savedSearches: "saved searches",
+    tableLayout: "table layout",
+    theme: "theme",
+    dailyWordSettings: "word of the day settings",
+  };
+
+  /**
+   * Constructs the backup of the user's data: one versioned JSON file with the user layers
+   * of every collection, the lists, study progress, copy history and settings, read from
+   * and restored to `chrome.storage`.
+   *
+   * Every `chrome.*` call goes through `chromeApi`, so tests can pass a stub instead of
+   * running in the extension.
+   *
+   * Interactions:
+   * - The controller downloads and restores backups from the import/export dialog.
+   * - The service worker makes the scheduled backups to the Downloads folder.
+   *
+   * @param {Object} [chromeApi=chrome] - The extension API.
+   */
+  constructor(chromeApi = chrome) {
+    this.chrome = chromeApi;
+    this.settings = { ...VocabBackup.DEFAULT_SETTINGS };
+  }
+
+  /**
+   * Loads the automatic backup settings from `chrome.storage.local`.
+   *
+   * @returns {Promise<Object>} The settings `{auto, frequency}`.
+   */
+  async loadSettings() {
+    try {
+      const { backupSettings } = await this.chrome.storage.local.get("backupSettings");
+      this.settings = { ...VocabBackup.DEFAULT_SETTINGS, ...backupSettings };
+    } catch (error) {
+      console.error("Error loading backup settings:", error);
+    }
+    return this.settings;
+  }
+
+  /**
+   * Persists new settings; the service worker reschedules when it sees them change.
+   *
+   * @param {Object} settings - Any of `{auto, frequency}`.
+   * @returns {Promise<void>} Resolves when the settings have been written.
+   */
+  async saveSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+    await this.chrome.storage.local.set({ backupSettings: this.settings });
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The last automatic backup `{at, fileName}`, or null.
+   */
+  async getLastBackup() {
+    const { lastBackup } = await this.chrome.storage.local.get("lastBackup");
+    return lastBackup || null;
+  }
+
+  /**
+   * Reads the backed-up keys from storage.
+   *
+   * @returns {Promise<Object>} `{local, sync}`, each holding the keys that are set.
+   */
+  async read() {
+    const data = {};
+    for (const area of Object.keys(VocabBackup.KEYS)) {
+      data[area] = await this.chrome.storage[area].get(VocabBackup.KEYS[area]);
+    }
+    return data;
+  }
+
+  /**
+   * Makes a backup of the current data.
+   *
+   * @param {number} [now=Date.now()] - The time of the backup.
+   * @returns {Promise<Object>} `{format, schemaVersion, createdAt, data}`.
+   */
+  async create(now = Date.now()) {
+    return {
+      format: VocabBackup.FORMAT,
+      schemaVersion: VocabBackup.SCHEMA_VERSION,
+      createdAt: new Date(now).toISOString(),
+      data: await this.read(),
+    };
+  }
+
+  /**
+   * @param {number} [now=Date.now()] - The time of the backup.
+   * @returns {string} The backup's file name, e.g. "vocab-master-backup-2024-01-10.json".
+   */
+  static getFileName(now = Date.now()) {
+    const date = new Date(now);
+    const day = [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+      .map((part) => String(part).padStart(2, "0"))
+      .join("-");
+    return `vocab-master-backup-${day}.json`;
+  }
+
+  /**
+   * Reads a backup file, upgrading backups of older schema versions.
+   *
+   * @param {string} text - The file contents.
+   * @returns {Object} The backup, at the current schema version.
+   * @throws {Error} If the file isn't a backup, or comes from a newer version of the extension.
+   */
+  static parse(text) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (error) {
+      throw new Error("The file is not valid JSON.");
+    }
+    if (!backup || backup.format !== VocabBackup.FORMAT) {
+      throw new Error("The file is not a Vocab Master backup.");
+    }
+    if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 1) {
+      throw new Error("The backup has no schema version.");
+    }
+    if (backup.schemaVersion > VocabBackup.SCHEMA_VERSION) {
+      throw new Error("The backup was made by a newer version of Vocab Master.");
+    }
+    backup = VocabBackup.migrate(backup);
+    backup.data = { local: {}, sync: {}, ...backup.data };
+    return backup;
+  }
+
+  /**
+   * Upgrades a backup to the current schema version, one version at a time.
+   *
+   * @param {Object} backup - A backup of any earlier version.
+   * @param {Array<Function>} [migrations=VocabBackup.MIGRATIONS] - The upgrade steps.
+   * @returns {Object} The backup at version `migrations.length + 1`.
+   */
+  static migrate(backup, migrations = VocabBackup.MIGRATIONS) {
+    let upgraded = backup;
+    for (let version = backup.schemaVersion; version <= migrations.length; version++) {
+      upgraded = { ...migrations[version - 1](upgraded), schemaVersion: version + 1 };
+    }
+    return upgraded;
+  }
+
+  /**
+   * Summarizes what merging a backup would change, for the restore preview.
+   *
+   * @param {Object} backup - A backup from `parse()`.
+   * @returns {Promise<Object>} `{added, updated, kept}` word entries (see `merge()`).
+   */
+  async preview(backup) {
+    return VocabBackup.merge(await this.read(), backup.data).summary;
+  }
+
+  /**
+   * Restores a backup to storage, all or nothing: sync items too big for sync storage are
+   * refused before anything is written, and if a write fails anyway, the keys already
+   * written are put back the way they were.
+   *
+   * Interactions:
+   * - Pages listening to `chrome.storage.onChanged` pick up the restored settings; the
+   *   controller reloads everything else.
+   *
+   * @param {Object} backup - A backup from `parse()`.
+   * @param {string} [mode="merge"] - "merge" to combine the backup with the current data
+   *   (see `merge()`), or "replace" to make the data exactly what the backup holds.
+   * @returns {Promise<Object|null>} The merge summary, or null when replacing.
+   * @throws {Error} If nothing was restored, or (saying which keys) if putting the data
+   *   back after a failed write failed as well.
+   */
+  async restore(backup, mode = "merge") {
+    const current = await this.read();
+    let data = backup.data;
+    let summary = null;
+    if (mode === "merge") ({ data, summary } = VocabBackup.merge(current, data));
+    const sync = VocabBackup.fitSync(data.sync || {});
+
+    // One write per key, with the value to put back if a later one fails (undefined for
+    // keys that weren't set)
+    const writes = [];
+    Object.keys(VocabBackup.KEYS).forEach((area) => {
+      const values = area === "sync" ? sync : data[area] || {};
+      VocabBackup.KEYS[area].forEach((key) => {
+        if (!(key in values) && (mode !== "replace" || !(key in current[area]))) return;
+        writes.push({ area, key, value: values[key], previous: current[area][key] });
+      });
+    });
+    const written = [];
+    try {
+      for (const write of writes) {
+        await this.write(write.area, write.key, write.value);
+        written.push(write);
+      }
+    } catch (error) {
+      const failed = writes[written.length].key;
+      const notRolledBack = [];
+      for (const { area, key, previous } of written.reverse()) {
+        await this.write(area, key, previous).catch(() => notRolledBack.push(key));
+      }
+      if (notRolledBack.length > 0) {
+        throw new Error(
+          `Restoring ${failed} failed (${error.message}), and ${notRolledBack.join(", ")} ` +
+            "could not be put back."
+        );
+      }
+      throw new Error(`Nothing was restored: saving ${failed} failed (${error.message}).`);
+    }
+    return summary;
+  }
+
+  /**
+   * Writes one key to storage.
+   *
+   * @param {string} area - "local" or "sync".
+   * @param {string} key - The key.
+   * @param {*} value - The value, or undefined to remove the key.
+   * @returns {Promise<void>} Resolves when the key is written.
+   */
+  async write(area, key, value) {
+    if (value === undefined) await this.chrome.storage[area].remove(key);
+    else await this.chrome.storage[area].set({ [key]: value });
+  }
+
+  /**
+   * Fits the sync items of a backup (or of a merge, which combines lists, favorites and
+   * history) into sync storage's per-item quota: the copy history loses its oldest copies,
+   * and anything else too big is refused.
+   *
+   * @param {Object} sync - The sync items to restore.
+   * @returns {Object} The items, with the history trimmed.
+   * @throws {Error} If another item is over `VocabWordLists.QUOTA_BYTES_PER_ITEM`.
+   */
+  static fitSync(sync) {
+    const fitted = { ...sync };
+    if (Array.isArray(fitted.copyHistory)) {
+      fitted.copyHistory = VocabWordLists.trimHistory(fitted.copyHistory);
+    }
+    const tooBig = (key) =>
+      `Nothing was restored: the ${VocabBackup.SYNC_NAMES[key]} would be too big to sync.`;
+    Object.entries(fitted).forEach(([key, value]) => {
+      if (key in VocabBackup.SYNC_NAMES) VocabWordLists.checkItemSize(key, value, tooBig(key));
+    });
+    return fitted;
+  }
+
+  /**
+   * Merges backed-up data into the current data.
+   *
+   * Words are merged entry by entry, per collection: of two versions of the same word the
+   * one edited last (by `updatedAt`) wins. Deleting or reverting a word leaves a tombstone
+   * with the time (see `model.loadUserWords()`), so a deletion or revert made after the
+   * other edit wins too.
+   * Study progress is merged per word by the last review. Lists, favorites, history, saved
+   * searches, templates and collections are combined; other settings keep their current
+   * value, and are only taken from the backup where they were never set.
+   *
+   * @param {Object} current - `{local, sync}` as read from storage.
+   * @param {Object} incoming - `{local, sync}` from the backup.
+   * @returns {Object} `{data, summary}`: the merged `{local, sync}`, and how many word
+   *   entries (including deletions) the backup `added`, `updated`, or lost to a newer
+   *   current version (`kept`).
+   */
+  static merge(current, incoming) {
+    const summary = { added: 0, updated: 0, kept: 0 };
+    const mergers = {
+      userWords: (here, there) => VocabBackup.mergeLayer(here, there, summary),
+      collectionEdits: (here, there) =>
+        Object.fromEntries(
+          Object.keys({ ...here, ...there }).map((id) => [
+            id,
+            VocabBackup.mergeLayer(here[id] || {}, there[id], summary),
+          ])
+        ),
+      userCollections: (here, there) => VocabBackup.mergeById(here, there),
+      studyProgress: (here, there) =>
+        VocabBackup.mergeEntries(here, there, (a, b) =>
+          (b.reviewedAt || 0) > (a.reviewedAt || 0) ? b : a
+        ),
+      copyTemplates: (here, there) => VocabBackup.mergeById(here, there),
+      favorites: (here, there) => [...new Set([...here, ...there])],
+      wordLists: (here, there) => VocabBackup.mergeLists(here, there),
+      copyHistory: (here, there) => VocabBackup.mergeHistory(here, there),
+      tagParents: (here, there) => ({ ...there, ...here }),
+      savedSearches: (here, there) => VocabBackup.mergeById(here, there),
+    };
+
+    const data = {};
+    Object.keys(VocabBackup.KEYS).forEach((area) => {
+      const here = current[area] || {};
+      const there = incoming[area] || {};
+      data[area] = {};
+      VocabBackup.KEYS[area].forEach((key) => {
+        if (!(key in there)) {
+          if (key in here) data[area][key] = here[key];
+        } else if (mergers[key]) {
+          const empty = Array.isArray(there[key]) ? [] : {};
+          data[area][key] = mergers[key](key in here ? here[key] : empty, there[key]);
+        } else {
+          data[area][key] = key in here ? here[key] : there[key];
+        }
+      });
+    });
+    return { data, summary };
+  }
+
+  /**
+   * Merges two user layers (`{category: {term: entry}}`) entry by entry; the entry with
+   * the later `updatedAt` wins, and the current one on a tie.
+   *
+   * @param {Object} current - The current layer.
+   * @param {Object} [incoming] - The backed-up layer.
+   * @param {Object} summary - `{added, updated, kept}` counts to add to.
+   * @returns {Object} The merged layer.
+   */
+  static mergeLayer(current, incoming, summary) {
+    const merged = { ...current };
+    Object.entries(incoming || {}).forEach(([category, entries]) => {
+      merged[category] = VocabBackup.mergeEntries(
+        merged[category] || {},
+        entries,
+        (entry, backedUp) => {
+          const hereAt = entry.updatedAt || 0;
+          const thereAt = backedUp.updatedAt || 0;
+          if (thereAt > hereAt) summary.updated++;
+          if (hereAt > thereAt) summary.kept++;
+          return thereAt > hereAt ? backedUp : entry;
+        },
+        () => summary.added++
+      );
+    });
+    return merged;
+  }
+
+  /**
+   * Merges two objects key by key.
+   *
+   * @param {Object} current - The current object.
+   * @param {Object} incoming - The backed-up object.
+   * @param {Function} resolve - Called with `(current, incoming)` values for keys both
+   *   have; returns the merged value.
+   * @param {Function} [onAdded] - Called for each key only the backup has.
+   * @returns {Object} The merged object.
+   */
+  static mergeEntries(current, incoming, resolve, onAdded = () => {}) {
+    const merged = { ...current };
+    Object.entries(incoming || {}).forEach(([key, value]) => {
+      if (key in merged) {
+        merged[key] = resolve(merged[key], value);
+      } else {
+        merged[key] = value;
+        onAdded(key);
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Combines two arrays of `{id, ...}` objects; the current object wins for an id both have.
+   *
+   * @param {Array<Object>} current - The current objects.
+   * @param {Array<Object>} incoming - The backed-up objects.
+   * @returns {Array<Object>} The current objects, then the backup's other ones.
+   */
+  static mergeById(current, incoming) {
+    const ids = new Set(current.map(({ id }) => id));
+    return [...current, ...incoming.filter(({ id }) => !ids.has(id))];
+  }
+
+  /**
+   * Combines named lists. A backed-up list joins the current list with its id, or else its
+   * name (list names are unique), and adds the words that list is missing.
+   *
+   * @param {Array<Object>} current - The current lists `{id, name, words}`.
+   * @param {Array<Object>} incoming - The backed-up lists.
+   * @returns {Array<Object>} The merged lists.
+   */
+  static mergeLists(current, incoming) {
+    const lists = current.map((list) => ({ ...list, words: [...list.words] }));
+    incoming.forEach((list) => {
+      const match = lists.find(({ id, name }) => id === list.id || name === list.name);
+      if (!match) {
+        lists.push({ ...list, words: [...list.words] });
+        return;
+      }
+      list.words.forEach((key) => {
+        if (!match.words.includes(key)) match.words.push(key);
+      });
+    });
+    return lists;
+  }
+
+  /**
+   * Combines copy histories: each word once, at its latest copy, most recent first, and no
+   * more than `VocabWordLists.MAX_HISTORY` words.
+   *
+   * @param {Array<Object>} current - The current history `{key, copiedAt}`.
+   * @param {Array<Object>} incoming - The backed-up history.
+   * @returns {Array<Object>} The merged history.
+   */
+  static mergeHistory(current, incoming) {
+    const latest = new Map();
+    [...current, ...incoming].forEach((entry) => {
+      const seen = latest.get(entry.key);
+      if (!seen || entry.copiedAt > seen.copiedAt) latest.set(entry.key, entry);
+    });
+    return Array.from(latest.values())
+      .sort((a, b) => b.copiedAt - a.copiedAt)
+      .slice(0, VocabWordLists.MAX_HISTORY);
+  }
+
+  /**
+   * Creates (or clears) the alarm for automatic backups. The next one is due a period
+   * after the last, so restarting the browser doesn't put it off; turning backups on
+   * makes the first one right away.
+   *
+   * Interactions:
+   * - Called by the service worker on install, on browser start and when the settings change.
+   *
+   * @param {number} [now=Date.now()] - The current time.
+   * @returns {Promise<void>} Resolves when the alarm is set.
+   */
+  async schedule(now = Date.now()) {
+    await this.loadSettings();
+    await this.chrome.alarms.clear(VocabBackup.ALARM);
+    if (!this.settings.auto) return;
+    const period = this.getFrequency().days * VocabStudyDeck.DAY_MS;
+    const lastBackup = await this.getLastBackup();
+    this.chrome.alarms.create(VocabBackup.ALARM, {
+      when: Math.max(now, lastBackup ? lastBackup.at + period : now),
+      periodInMinutes: period / 60000,
+    });
+  }
+
+  /**
+   * @returns {Object} The chosen backup frequency `{id, name, days}`, weekly if unknown.
+   */
+  getFrequency() {
+    return (
+      VocabBackup.FREQUENCIES.find(({ id }) => id === this.settings.frequency) ||
+      VocabBackup.FREQUENCIES.find(({ id }) => id === VocabBackup.DEFAULT_SETTINGS.frequency)
+    );
+  }
+
+  /**
+   * Saves a backup to the "Vocab Master" folder in Downloads, replacing one made earlier
+   * the same day, and remembers when it was made.
+   *
+   * Interactions:
+   * - Called by the service worker when the backup alarm fires. A service worker can't make
+   *   object URLs, so the file is handed over as a data URL.
+   *
+   * @param {number} [now=Date.now()] - The current time.
+   * @returns {Promise<string|null>} The file name, or null when backups are turned off.
+   */
+  async runAutoBackup(now = Date.now()) {
+    await this.loadSettings();
+    if (!this.settings.auto) return null;
+    const text = JSON.stringify(await this.create(now), null, 2);
+    const fileName = `${VocabBackup.FOLDER}/${VocabBackup.getFileName(now)}`;
+    await this.chrome.downloads.download({
+      url: `data:application/json;charset=utf-8,${encodeURIComponent(text)}`,
+      filename: fileName,
+      conflictAction: "overwrite",
+      saveAs: false,
+    });
+    await this.chrome.storage.local.set({ lastBackup: { at: now, fileName } });
+    return fileName;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { VocabBackup };
+}
@@ -0,0 +1,1177 @@
+// --- Model ---
+class VocabCatalogViewerModel {
+  static WORD_CLASSES = VocabDatabaseValidator.WORD_CLASSES;
+  static WORD_TYPES = VocabDatabaseValidator.WORD_TYPES;
+  static OPTIONAL_FIELDS = VocabDatabaseValidator.OPTIONAL_FIELDS;
+  static DEFAULT_COLLECTION = "default";
+
+  constructor() {
+    this.wordDatabase = {};
+    this.validator = new VocabDatabaseValidator();
+    this.validations = {};
+    this.invalidEntries = {};
+    this.userWords = {};
+    // Collections other than the default one: their bundled databases and user layers
+    this.collections = [
+      {
+        id: VocabCatalogViewerModel.DEFAULT_COLLECTION,
+        name: "Vocab Master",
+        file: "data/words-database.json",
+        kind: "bundled",
+      },
+    ];
+    this.collectionDatabases = {};
+    this.collectionEdits = {};
+    this.activeCollections = [VocabCatalogViewerModel.DEFAULT_COLLECTION];
+    this.allWords = [];
+    this.uniqueTags = new Set();
+    this.searchIndex = new VocabSearchIndex();
+    this.reverseIndex = new VocabReverseIndex();
+    this.queryLanguage = new VocabQueryLanguage();
+    this.tagTaxonomy = new VocabTagTaxonomy();
+    this.searchMatches = new Map();
+    this.queryResults = [];
+  }
+
+  /**
+   * Asynchronously loads a bundled word database from a JSON file using the Chrome extension API.
+   *
+   * This function fetches the collection's file (by default "data/words-database.json") and populates
+   * `wordDatabase` (or, for other collections, `collectionDatabases`) with its contents, then validates
+   * it (see `validateDatabase()`). If loading fails, it logs an error to the console and records it as
+   * a validation error so the popup can show it.
+   *
+   * Interactions:
+   * - Called during application initialization (see `init()`), and by the in-page overlay.
+   * - Called by `loadActiveDatabases()` for the other bundled collections.
+   * - After loading, `processAllWords()` should be called to process and flatten the loaded data.
+   * - The loaded data is used by other model methods such as `getAllWords()`, `getUniqueTags()`, and `filterWords()`.
+   *
+   * @param {string} [collection] - The id of a bundled collection; defaults to the default one.
+   * @returns {Promise<void>} Resolves when the database is loaded or fails.
+   */
+  async loadWordDatabase(collection = VocabCatalogViewerModel.DEFAULT_COLLECTION) {
+    const { file } = this.getCollection(collection);
+    try {
+      const response = await fetch(chrome.runtime.getURL(file));
+      this.setDatabase(collection, await response.json());
+      this.validateDatabase(collection);
+    } catch (error) {
+      console.error("Error loading word database:", error);
+      this.setDatabase(collection, {});
+      this.invalidEntries[collection] = new Set();
+      this.validations[collection] = {
+        errors: [
+          {
+            level: "error",
+            category: null,
+            term: null,
+            message: `Could not load ${file.split("/").pop()}: ${error.message}`,
+            fatal: true,
+          },
+        ],
+        warnings: [],
+      };
+    }
+  }
+
+  /**
+   * Validates a loaded bundled database and remembers which entries can't be displayed.
+   *
+   * Interactions:
+   * - Called by `loadWordDatabase()`; call it again after replacing `wordDatabase` directly.
+   * - `processAllWords()` skips the entries recorded in `invalidEntries`.
+   * - The report is read by the view through `getValidationReport()`.
+   *
+   * @param {string} [collection] - The collection id; defaults to the default collection.
+   * @returns {Object} The validator's `{errors, warnings}` report.
+   */
+  validateDatabase(collection = VocabCatalogViewerModel.DEFAULT_COLLECTION) {
+    const report = this.validator.validate(this.getDatabase(collection));
+    this.validations[collection] = report;
+    this.invalidEntries[collection] = new Set(
+      report.errors
+        .filter((issue) => issue.fatal)
+        .map((issue) => `${issue.category}\u0000${issue.term || ""}`)
+    );
+    return report;
+  }
+
+  /**
+   * Returns the reports from the last validation of the active collections' bundled
+   * databases, merged. Issues from collections other than the default one carry the
+   * collection's name in `collection`.
+   *
+   * @returns {Object} `{errors, warnings}`.
+   */
+  getValidationReport() {
+    const merged = { errors: [], warnings: [] };
+    this.activeCollections.forEach((id) => {
+      const report = this.validations[id];
+      if (!report) return;
+      const collection =
+        id === VocabCatalogViewerModel.DEFAULT_COLLECTION ? undefined : this.getCollectionName(id);
+      ["errors", "warnings"].forEach((level) => {
+        report[level].forEach((issue) => merged[level].push({ ...issue, collection }));
+      });
+    });
+    return merged;
+  }
+
+  /**
+   * Returns true if the bundled entry at category/term failed validation badly enough
+   * that it can't be displayed.
+   *
+   * @param {string} category - The category name.
+   * @param {string} term - The word term.
+   * @param {string} [collection] - The collection id; defaults to the default collection.
+   * @returns {boolean}
+   */
+  isInvalidEntry(category, term, collection = VocabCatalogViewerModel.DEFAULT_COLLECTION) {
+    const entries = this.invalidEntries[collection];
+    return Boolean(
+      entries && (entries.has(`${category}\u0000`) || entries.has(`${category}\u0000${term}`))
+    );
+  }
+
+  /**
+   * Loads the collection registry: the bundled collections listed in
+   * `data/collections.json`, the collections the user created, and which of them are
+   * active. Then loads the databases of the active bundled collections.
+   *
+   * The default collection is always registered, even if the registry file can't be read,
+   * and it is the active one until the user picks another.
+   *
+   * Interactions:
+   * - Called during initialization and by the in-page overlay, after `loadWordDatabase()`.
+   * - The selection is written back by `saveCollections()`.
+   *
+   * @returns {Promise<void>} Resolves when the active collections are loaded.
+   */
+  async loadCollections() {
+    const defaultId = VocabCatalogViewerModel.DEFAULT_COLLECTION;
+    let bundled = [];
+    try {
+      const response = await fetch(chrome.runtime.getURL("data/collections.json"));
+      bundled = await response.json();
+    } catch (error) {
+      console.error("Error loading the collection registry:", error);
+    }
+    try {
+      const { userCollections, activeCollection } = await chrome.storage.local.get([
+        "userCollections",
+        "activeCollection",
+      ]);
+      const collections = bundled.map(({ id, name, file }) => ({
+        id,
+        name,
+        file: `data/${file}`,
+        kind: "bundled",
+      }));
+      if (!collections.some(({ id }) => id === defaultId)) {
+        collections.unshift(this.getCollection(defaultId));
+      }
+      this.collections = [
+        ...collections,
+        ...(userCollections || []).map(({ id, name }) => ({ id, name, kind: "user" })),
+      ];
+      this.setActiveCollection(activeCollection || defaultId);
+    } catch (error) {
+      console.error("Error loading collections:", error);
+    }
+    await this.loadActiveDatabases();
+  }
+
+  /**
+   * Loads the databases of active bundled collections that haven't been loaded yet.
+   *
+   * @returns {Promise<void>} Resolves when they are loaded (or failed, see `loadWordDatabase()`).
+   */
+  async loadActiveDatabases() {
+    for (const id of this.activeCollections) {
+      const { kind } = this.getCollection(id);
+      if (kind === "bundled" && id !== VocabCatalogViewerModel.DEFAULT_COLLECTION &&
+        !this.collectionDatabases[id]) {
+        await this.loadWordDatabase(id);
+      }
+    }
+  }
+
+  /**
+   * Persists the user's own collections and the active selection to `chrome.storage.local`.
+   *
+   * @returns {Promise<void>} Resolves when both have been written.
+   */
+  async saveCollections() {
+    await chrome.storage.local.set({
+      userCollections: this.collections
+        .filter(({ kind }) => kind === "user")
+        .map(({ id, name }) => ({ id, name })),
+      activeCollection: this.getActiveCollection(),
+    });
+  }
+
+  /**
+   * @param {string} id - The collection id.
+   * @returns {Object|undefined} The collection `{id, name, kind, file?}`; kind is "bundled"
+   *   for collections shipped in `data/`, "user" for collections the user created.
+   */
+  getCollection(id) {
+    return this.collections.find((collection) => collection.id === id);
+  }
+
+  /**
+   * @param {string} id - The collection id.
+   * @returns {string} The collection's name, for labels.
+   */
+  getCollectionName(id) {
+    const collection = this.getCollection(id);
+    return collection ? collection.name : id;
+  }
+
+  /**
+   * Returns which collections the words come from.
+   *
+   * @returns {string} A collection id, or "all" when every collection is searched at once.
+   */
+  getActiveCollection() {
+    return this.activeCollections.length > 1 ? "all" : this.activeCollections[0];
+  }
+
+  /**
+   * Switches the words to one collection, or to all of them. Unknown ids fall back to the
+   * default collection.
+   *
+   * Interactions:
+   * - Callers should run `loadActiveDatabases()` and `processAllWords()` afterwards, and
+   *   `saveCollections()` to remember the choice.
+   *
+   * @param {string} id - A collection id, or "all".
+   */
+  setActiveCollection(id) {
+    if (id === "all") {
+      this.activeCollections = this.collections.map((collection) => collection.id);
+    } else {
+      this.activeCollections = [
+        this.getCollection(id) ? id : VocabCatalogViewerModel.DEFAULT_COLLECTION,
+      ];
+    }
+  }
+
+  /**
+   * Creates an empty collection of the user's own. Its words live in its user layer.
+   *
+   * @param {string} name - The collection name, e.g. "Technical writing".
+   * @returns {Object} The new collection.
+   * @throws {Error} If the name is empty or already taken.
+   */
+  createCollection(name) {
+    const collection = {
+      id: `collection-${Date.now()}`,
+      name: this.checkCollectionName(name),
+      kind: "user",
+    };
+    this.collections.push(collection);
+    return collection;
+  }
+
+  /**
+   * Renames one of the user's collections.
+   *
+   * @param {string} id - The collection id.
+   * @param {string} name - The new name.
+   * @throws {Error} If the name is empty or already taken.
+   */
+  renameCollection(id, name) {
+    const collection = this.getCollection(id);
+    if (collection && collection.kind === "user") {
+      collection.name = this.checkCollectionName(name, id);
+    }
+  }
+
+  /**
+   * Deletes one of the user's collections and its words. Bundled collections can't be
+   * deleted. If the collection was shown, the default collection is shown instead.
+   *
+   * Interactions:
+   * - Callers should run `saveCollections()`, `saveUserWords()` and `processAllWords()` afterwards.
+   *
+   * @param {string} id - The collection id.
+   */
+  deleteCollection(id) {
+    const collection = this.getCollection(id);
+    if (!collection || collection.kind !== "user") return;
+    const active = this.getActiveCollection();
+    this.collections = this.collections.filter((candidate) => candidate.id !== id);
+    delete this.collectionEdits[id];
+    this.setActiveCollection(active === id ? VocabCatalogViewerModel.DEFAULT_COLLECTION : active);
+  }
+
+  /**
+   * Trims a collection name and makes sure it's usable.
+   *
+   * @param {string} name - The proposed name.
+   * @param {string} [id] - The collection being renamed, which may keep its own name.
+   * @returns {string} The trimmed name.
+   * @throws {Error} If the name is empty or another collection already uses it.
+   */
+  checkCollectionName(name, id = null) {
+    name = (name || "").trim();
+    if (!name) throw new Error("Collection name is required.");
+    if (this.collections.some((collection) => collection.id !== id && collection.name === name)) {
+      throw new Error(`There is already a collection called "${name}".`);
+    }
+    return name;
+  }
+
+  /**
+   * @param {string} [collection] - The collection id; defaults to the default collection.
+   * @returns {Object} The collection's bundled database (empty for the user's collections).
+   */
+  getDatabase(collection = VocabCatalogViewerModel.DEFAULT_COLLECTION) {
+    if (collection === VocabCatalogViewerModel.DEFAULT_COLLECTION) return this.wordDatabase;
+    return this.collectionDatabases[collection] || {};
+  }
+
+  /**
+   * @param {string} collection - The collection id.
+   * @param {Object} database - The bundled database to use for it.
+   */
+  setDatabase(collection, database) {
+    if (collection === VocabCatalogViewerModel.DEFAULT_COLLECTION) this.wordDatabase = database;
+    else this.collectionDatabases[collection] = database;
+  }
+
+  /**
+   * Returns a collection's user layer (see `loadUserWords()`).
+   *
+   * @param {string} [collection] - The collection id; defaults to the default collection.
+   * @param {boolean} [create=false] - Whether to create the layer if the collection has none yet.
+   * @returns {Object} The layer; an unattached empty object if there is none and `create` is false.
+   */
+  getUserLayer(collection = VocabCatalogViewerModel.DEFAULT_COLLECTION, create = false) {
+    if (collection === VocabCatalogViewerModel.DEFAULT_COLLECTION) return this.userWords;
+    if (!this.collectionEdits[collection]) {
+      if (!create) return {};
+      this.collectionEdits[collection] = {};
+    }
+    return this.collectionEdits[collection];
+  }
+
+  /**
+   * Asynchronously loads the user's word edits from `chrome.storage.local`.
+   *
+   * The user layer has the same `{category: {term: wordData}}` shape as the bundled
+   * database. An entry either overrides the bundled word at the same category/term,
+   * adds a new word, or is a tombstone: `{deleted: true, updatedAt}` for a deleted word,
+   * which hides a bundled one, or `{reverted: true, updatedAt}` for a bundled word put
+   * back to its shipped version. Tombstones keep the time of the change, so restoring an
+   * older backup (see `VocabBackup.merge()`) doesn't bring back what was undone since.
+   * Entries that were moved away from a bundled word (by renaming the term or changing
+   * its category) remember where they came from in `origin`, so they can be reverted.
+   *
+   * Every collection has its own user layer: the default collection's is `userWords`, the
+   * others are kept in `collectionEdits` by collection id. The user's own collections have
+   * no bundled database, so all their words live in their layer.
+   *
+   * Interactions:
+   * - Called during application initialization (see `init()`), before `processAllWords()`.
+   * - Written back by `saveUserWords()` whenever `saveWord()`, `deleteWord()` or `revertWord()` change it.
+   *
+   * @returns {Promise<void>} Resolves when the user layer is loaded or fails.
+   */
+  async loadUserWords() {
+    try {
+      const { userWords, collectionEdits } = await chrome.storage.local.get([
+        "userWords",
+        "collectionEdits",
+      ]);
+      this.userWords = userWords || {};
+      this.collectionEdits = collectionEdits || {};
+    } catch (error) {
+      console.error("Error loading user words:", error);
+    }
+  }
+
+  /**
+   * Persists the user layers to `chrome.storage.local`.
+   *
+   * @returns {Promise<void>} Resolves when the user layers have been written.
+   */
+  async saveUserWords() {
+    await chrome.storage.local.set({
+      userWords: this.userWords,
+      collectionEdits: this.collectionEdits,
+    });
+  }
+
+  /**
+   * Processes and flattens the loaded word database into a single array of word objects.
+   *
+   * This function iterates through all categories and terms in the `wordDatabase` property,
+   * applies the user layer from `userWords` on top of it, creates a flat array of word
+   * entries (each including its category and `source`), and populates the `allWords`
+   * property. It also collects all unique tags from the words and stores them in the
+   * `uniqueTags` set.
+   *
+   * A word's `source` is "bundled" when it comes straight from the shipped file,
+   * "edited" when the user layer overrides a bundled word, and "user" for words that
+   * only exist in the user layer.
+   *
+   * Only the active collections are included, in registry order; each word records the
+   * id of the collection it came from in `collection`.
+   *
+   * Finally it rebuilds `searchIndex` over the merged words, so searching never has to
+   * rescan `allWords`, and hands them to `reverseIndex` for lookups by meaning.
+   *
+   * Interactions:
+   * - Should be called after `loadWordDatabase()` and `loadUserWords()` to prepare the data for searching and filtering.
+   * - Called again after every edit so the merged list stays current.
+   * - The resulting `allWords` array is used by methods like `getAllWords()`, `getUniqueTags()`, and `filterWords()`.
+   */
+  processAllWords() {
+    this.allWords = [];
+    this.uniqueTags.clear();
+
+    const addWord = (category, term, wordData, source, collection) => {
+      const { deleted, updatedAt, origin, addedAt, ...fields } = wordData;
+      const word = { term, ...fields, category, source, collection };
+      // Only words the user added have a date; entries saved before dates were kept
+      // fall back to their last edit
+      if (source === "user") word.addedAt = addedAt || updatedAt;
+      this.allWords.push(word);
+
+      if (fields.tags && Array.isArray(fields.tags)) {
+        fields.tags.forEach((tag) => this.uniqueTags.add(tag));
+      }
+    };
+
+    this.activeCollections.forEach((collection) => {
+      const database = this.getDatabase(collection);
+      this.validator.getCategoryNames(database).forEach((category) => {
+        const categoryWords = database[category];
+        if (this.isInvalidEntry(category, null, collection)) return;
+        Object.keys(categoryWords).forEach((term) => {
+          const userEntry = this.getUserEntry(category, term, collection);
+          if (!userEntry || userEntry.reverted) {
+            if (this.isInvalidEntry(category, term, collection)) return;
+            addWord(category, term, categoryWords[term], "bundled", collection);
+          } else if (!userEntry.deleted) {
+            addWord(category, term, userEntry, "edited", collection);
+          }
+        });
+      });
+
+      const userLayer = this.getUserLayer(collection);
+      Object.keys(userLayer).forEach((category) => {
+        const categoryWords = userLayer[category];
+        Object.keys(categoryWords).forEach((term) => {
+          const userEntry = categoryWords[term];
+          const isTombstone = userEntry.deleted || userEntry.reverted;
+          if (!isTombstone && !this.isBundledWord(category, term, collection)) {
+            addWord(category, term, userEntry, "user", collection);
+          }
+        });
+      });
+    });
+
+    this.searchIndex.build(this.allWords);
+    this.reverseIndex.build(this.allWords);
+  }
+
+  /**
+   * Returns true if the shipped database contains a word at the given category/term.
+   *
+   * @param {string} category - The category name.
+   * @param {string} term - The word term.
+   * @param {string} [collection] - The collection id; defaults to the default collection.
+   * @returns {boolean}
+   */
+  isBundledWord(category, term, collection = VocabCatalogViewerModel.DEFAULT_COLLECTION) {
+    const database = this.getDatabase(collection);
+    return Boolean(
+      database[category] && Object.prototype.hasOwnProperty.call(database[category], term)
+    );
+  }
+
+  /**
+   * Returns the user layer entry at the given category/term, if any.
+   *
+   * @param {string} category - The category name.
+   * @param {string} term - The word term.
+   * @param {string} [collection] - The collection id; defaults to the default collection.
+   * @returns {Object|undefined} The user entry (possibly a tombstone).
+   */
+  getUserEntry(category, term, collection = VocabCatalogViewerModel.DEFAULT_COLLECTION) {
+    const userLayer = this.getUserLayer(collection);
+    return userLayer[category] && userLayer[category][term];
+  }
+
+  /**
+   * Returns a sorted array of all category names in a collection's bundled database and user layer.
+   *
+   * Interactions:
+   * - Used by the word editor to suggest categories.
+   *
+   * @param {string} [collection] - The collection id; defaults to the default collection.
+   * @returns {Array<string>} Sorted array of category names.
+   */
+  getCategories(collection = VocabCatalogViewerModel.DEFAULT_COLLECTION) {
+    const categories = new Set(this.validator.getCategoryNames(this.getDatabase(collection)));
+    const userLayer = this.getUserLayer(collection);
+    Object.keys(userLayer).forEach((category) => {
+      const hasWords = Object.values(userLayer[category]).some(
+        (entry) => !entry.deleted && !entry.reverted
+      );
+      if (hasWords) categories.add(category);
+    });
+    return Array.from(categories).sort();
+  }
+
+  /**
+   * Returns the conventional category name for a class/type pair, e.g. "positiveBigWords".
+   *
+   * @param {string} wordClass - The word class ("Normal" or "Big").
+   * @param {string} type - The word type ("Positive", "Negative", "Neutral" or "Tone").
+   * @returns {string} The category name.
+   */
+  getDefaultCategory(wordClass, type) {
+    return `${type.toLowerCase()}${wordClass}Words`;
+  }
+
+  /**
+   * Picks the optional fields (see `OPTIONAL_FIELDS`) out of word data, trimmed. Empty
+   * strings and lists are left out, so entries without them look like they always did.
+   *
+   * Interactions:
+   * - Used by `saveWord()`, and by the importer to read and compare the fields.
+   *
+   * @param {Object} wordData - A word, a database entry or the word editor's fields.
+   * @returns {Object} The optional fields that have a value.
+   */
+  getOptionalFields(wordData) {
+    const fields = {};
+    Object.entries(VocabCatalogViewerModel.OPTIONAL_FIELDS).forEach(([field, kind]) => {
+      const value = wordData[field];
+      if (kind === "text" && typeof value === "string" && value.trim()) {
+        fields[field] = value.trim();
+      } else if (kind === "list" && Array.isArray(value)) {
+        const items = value
+          .filter((item) => typeof item === "string")
+          .map((item) => item.trim())
+          .filter(Boolean);
+        if (items.length > 0) fields[field] = items;
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * Finds the word a synonym or related-word link points to. Terms are compared
+   * case-insensitively; a word in the same collection wins over one in another.
+   *
+   * Interactions:
+   * - Used by the popup's detail pane to turn links into jumps.
+   *
+   * @param {string} term - The linked term.
+   * @param {string} [collection] - The collection of the word the link is on.
+   * @returns {Object|null} The word from `allWords`, or null if the catalog doesn't have it.
+   */
+  findWordByTerm(term, collection) {
+    const wanted = (term || "").trim().toLowerCase();
+    const matches = this.allWords.filter((word) => word.term.toLowerCase() === wanted);
+    return matches.find((word) => word.collection === collection) || matches[0] || null;
+  }
+
+  /**
+   * Returns true if the word has a user layer entry that `revertWord()` can undo
+   * back to the shipped version.
+   *
+   * @param {Object} word - A word object from `allWords`.
+   * @returns {boolean}
+   */
+  canRevertWord({ category, term, collection }) {
+    const userEntry = this.getUserEntry(category, term, collection);
+    return Boolean(
+      userEntry &&
+        !userEntry.reverted &&
+        (this.isBundledWord(category, term, collection) || userEntry.origin)
+    );
+  }
+
+  /**
+   * Adds or updates a word in the user layer.
+   *
+   * When `original` is given and its category or term differs from `wordData`, the word
+   * is moved: the old location gets a `deleted` tombstone, and the new entry remembers the
+   * bundled `origin` it was derived from.
+   * Words stay in their collection; new words go into `wordData.collection`.
+   *
+   * Interactions:
+   * - Called by the controller when the word editor is saved.
+   * - Only updates `userWords`; callers should run `saveUserWords()` and `processAllWords()` afterwards.
+   *
+   * @param {Object|null} original - `{category, term, collection}` of the word being edited, or null for a new word.
+   * @param {Object} wordData - The new word fields.
+   * @param {string} wordData.term - The word term.
+   * @param {string} wordData.category - The category to store the word in.
+   * @param {string} wordData.definition - The word definition.
+   * @param {string} wordData.class - The word class.
+   * @param {string} wordData.type - The word type.
+   * @param {Array<string>} [wordData.tags] - The word tags.
+   * @param {Array<string>} [wordData.synonyms] - Any of the `OPTIONAL_FIELDS`; empty ones aren't stored.
+   * @param {string} [wordData.collection] - The collection to add a new word to; defaults to the default collection.
+   * @returns {Object} `{category, term, collection}` the word was saved under.
+   * @throws {Error} If a required field is missing or another word already uses the category/term.
+   */
+  saveWord(original, wordData) {
+    const term = (wordData.term || "").trim();
+    const category = (wordData.category || "").trim();
+    const definition = (wordData.definition || "").trim();
+    if (!term || !category || !definition) {
+      throw new Error("Term, category and definition are required.");
+    }
+
+    const collection =
+      (original ? original.collection : wordData.collection) ||
+      VocabCatalogViewerModel.DEFAULT_COLLECTION;
+    const isMove =
+      original && (original.category !== category || original.term !== term);
+    const isOriginal = original && !isMove;
+    const existing = this.allWords.some(
+      (word) =>
+        word.category === category && word.term === term && word.collection === collection
+    );
+    if (existing && !isOriginal) {
+      throw new Error(`"${term}" already exists in ${category}.`);
+    }
+
+    let origin;
+    let addedAt = Date.now();
+    if (original) {
+      const previous = this.getUserEntry(original.category, original.term, collection);
+      if (previous && previous.origin) {
+        origin = previous.origin;
+      } else if (isMove && this.isBundledWord(original.category, original.term, collection)) {
+        origin = { category: original.category, term: original.term };
+      }
+      // Edits of a word the user added keep its date; shipped words never get one
+      addedAt =
+        origin || this.isBundledWord(original.category, original.term, collection)
+          ? undefined
+          : previous && (previous.addedAt || previous.updatedAt);
+      if (isMove) this.removeFromUserLayer(original.category, original.term, collection);
+    }
+
+    const entry = {
+      definition,
+      class: wordData.class,
+      type: wordData.type,
+      tags: (wordData.tags || []).map((tag) => tag.trim()).filter(Boolean),
+      ...this.getOptionalFields(wordData),
+      updatedAt: Date.now(),
+    };
+    if (addedAt) entry.addedAt = addedAt;
+    // A word moved back onto its own bundled location is just an override.
+    if (origin && !(origin.category === category && origin.term === term)) {
+      entry.origin = origin;
+    }
+    const userLayer = this.getUserLayer(collection, true);
+    if (!userLayer[category]) userLayer[category] = {};
+    userLayer[category][term] = entry;
+    return { category, term, collection };
+  }
+
+  /**
+   * Deletes a word, leaving a tombstone in the user layer that hides a bundled word and
+   * records when the word was deleted.
+   *
+   * Interactions:
+   * - Called by the controller from the word editor's delete button.
+   * - Only updates `userWords`; callers should run `saveUserWords()` and `processAllWords()` afterwards.
+   *
+   * @param {Object} word - `{category, term, collection}` of the word to delete.
+   */
+  deleteWord({ category, term, collection }) {
+    this.removeFromUserLayer(category, term, collection);
+  }
+
+  /**
+   * Reverts a word back to its shipped version, replacing its user layer entry with a
+   * `reverted` tombstone. If the word had been moved away from a bundled word, the moved
+   * entry is deleted and the tombstone at the original location is reverted too, so the
+   * bundled word reappears where it was.
+   *
+   * Interactions:
+   * - Called by the controller from the word editor's revert button.
+   * - Only updates `userWords`; callers should run `saveUserWords()` and `processAllWords()` afterwards.
+   *
+   * @param {Object} word - `{category, term, collection}` of the word to revert.
+   */
+  revertWord({ category, term, collection }) {
+    const userEntry = this.getUserEntry(category, term, collection);
+    if (!userEntry || userEntry.reverted) return;
+    const updatedAt = Date.now();
+    if (this.isBundledWord(category, term, collection)) {
+      this.setUserEntry(category, term, collection, { reverted: true, updatedAt });
+    } else {
+      this.removeFromUserLayer(category, term, collection);
+    }
+    if (userEntry.origin) {
+      const { category: originCategory, term: originTerm } = userEntry.origin;
+      this.setUserEntry(originCategory, originTerm, collection, { reverted: true, updatedAt });
+    }
+  }
+
+  /**
+   * Hides a word at the given location with a `deleted` tombstone (see `loadUserWords()`).
+   *
+   * @param {string} category - The category name.
+   * @param {string} term - The word term.
+   * @param {string} [collection] - The collection id; defaults to the default collection.
+   */
+  removeFromUserLayer(category, term, collection = VocabCatalogViewerModel.DEFAULT_COLLECTION) {
+    this.setUserEntry(category, term, collection, { deleted: true, updatedAt: Date.now() });
+  }
+
+  /**
+   * Puts an entry in a collection's user layer, replacing any entry at its category/term.
+   *
+   * @param {string} category - The category name.
+   * @param {string} term - The word term.
+   * @param {string} collection - The collection id.
+   * @param {Object} entry - The entry.
+   */
+  setUserEntry(category, term, collection, entry) {
+    const userLayer = this.getUserLayer(collection, true);
+    if (!userLayer[category]) userLayer[category] = {};
+    userLayer[category][term] = entry;
+  }
+
+  /**
+   * Trims a tag name and makes sure it's usable.
+   *
+   * @param {string} tag - The proposed tag.
+   * @returns {string} The trimmed tag.
+   * @throws {Error} If the tag is empty or contains a comma, which separates tags in the
+   *   editor, in imports and in links to a search.
+   */
+  checkTagName(tag) {
+    tag = (tag || "").trim();
+    if (!tag) throw new Error("Tag name is required.");
+    if (tag.includes(",")) throw new Error("Tags can't contain commas.");
+    return tag;
+  }
+
+  /**
+   * Merges tags into one across every word, e.g. "emotional" into "emotion", and moves
+   * their places in the tag hierarchy along. Renaming a tag is merging it into the new name.
+   *
+   * Interactions:
+   * - Called by the controller from the tag manager.
+   * - Changed words are saved to the user layer with `saveWord()`, so the change can be
+   *   reverted per word; callers should run `saveUserWords()`, `processAllWords()` and
+   *   `tagTaxonomy.save()` afterwards.
+   *
+   * @param {Array<string>} tags - The tags to merge.
+   * @param {string} into - The tag they become; may be one of them, or a new one.
+   * @returns {number} How many words changed.
+   * @throws {Error} If the target tag is unusable (see `checkTagName()`).
+   */
+  mergeTags(tags, into) {
+    into = this.checkTagName(into);
+    const merged = tags.filter((tag) => tag !== into);
+    let count = 0;
+    this.allWords.forEach((word) => {
+      const wordTags = word.tags || [];
+      if (!wordTags.some((tag) => merged.includes(tag))) return;
+      const updated = wordTags.map((tag) => (merged.includes(tag) ? into : tag));
+      this.saveWord(word, { ...word, tags: Array.from(new Set(updated)) });
+      count++;
+    });
+    merged.forEach((tag) => this.tagTaxonomy.renameTag(tag, into));
+    return count;
+  }
+
+  /**
+   * Renames a tag across every word (see `mergeTags()`).
+   *
+   * @param {string} from - The tag.
+   * @param {string} to - Its new name.
+   * @returns {number} How many words changed.
+   */
+  renameTag(from, to) {
+    return this.mergeTags([from], to);
+  }
+
+  /**
+   * Adds a tag to several words at once, e.g. every word the filters show.
+   *
+   * Interactions:
+   * - Called by the controller from the tag manager with the filtered words.
+   * - Like `mergeTags()`, only updates the user layer.
+   *
+   * @param {Array<Object>} words - Words from `allWords`.
+   * @param {string} tag - The tag to add.
+   * @returns {number} How many words didn't have the tag yet.
+   * @throws {Error} If the tag is unusable (see `checkTagName()`).
+   */
+  addTagToWords(words, tag) {
+    tag = this.checkTagName(tag);
+    const untagged = words.filter((word) => !(word.tags || []).includes(tag));
+    untagged.forEach((word) => {
+      this.saveWord(word, { ...word, tags: [...(word.tags || []), tag] });
+    });
+    return untagged.length;
+  }
+
+  /**
+   * Finds tags that are likely duplicates of each other, such as "emotion" and "emotional"
+   * or "manner" and "manners": tags whose words stem the same way (see
+   * `VocabSearchIndex.stem()`).
+   *
+   * @returns {Array<Array<string>>} Groups of two or more tags, most used first within a
+   *   group; groups are ordered by their first tag.
+   */
+  getSimilarTags() {
+    const counts = new Map(this.getUniqueTags().map(({ tag, count }) => [tag, count]));
+    const groups = new Map();
+    counts.forEach((_, tag) => {
+      const key = this.searchIndex
+        .tokenize(tag)
+        .map(({ token }) => this.searchIndex.stem(token))
+        .join(" ");
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(tag);
+    });
+    return Array.from(groups.values())
+      .filter((group) => group.length > 1)
+      .map((group) => group.sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b)))
+      .sort((a, b) => a[0].localeCompare(b[0]));
+  }
+
+  /**
+   * Returns a flat array of all word objects in the database.
+   *
+   * Interactions:
+   * - Used by the view to render the list of words.
+   * - Used by tests and filtering logic to access all available words.
+   *
+   * @returns {Array<Object>} Array of word objects.
+   */
+  getAllWords() {
+    return this.allWords;
+  }
+
+  /**
+   * Returns the unique tags used by a list of words, with how many of those words use each.
+   *
+   * Interactions:
+   * - Used through `getTagCounts()` by the view to populate the tag picker.
+   * - Used by tests to verify tag extraction.
+   *
+   * @param {Array<Object>} [words] - The words to count tags in; defaults to all words.
+   * @param {boolean} [withAncestors=false] - Also count each tag's ancestors in the tag
+   *   hierarchy, so a parent tag counts the words under it.
+   * @returns {Array<Object>} `{tag, count}` objects, sorted by tag.
+   */
+  getUniqueTags(words = this.allWords, withAncestors = false) {
+    const counts = new Map();
+    words.forEach((word) => {
+      const tags = new Set(word.tags || []);
+      if (withAncestors) {
+        Array.from(tags).forEach((tag) => {
+          this.tagTaxonomy.getAncestors(tag).forEach((ancestor) => tags.add(ancestor));
+        });
+      }
+      tags.forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return Array.from(counts, ([tag, count]) => ({ tag, count }))
+      .sort((a, b) => (a.tag < b.tag ? -1 : a.tag > b.tag ? 1 : 0));
+  }
+
+  /**
+   * Returns the facets declared by the active collections' bundled databases (see
+   * `VocabDatabaseValidator.validateMetadata()`), merged in collection order: a field keeps
+   * the label of the first collection declaring it, and its values are listed in the order
+   * they are first declared. Collections without metadata contribute the default facets.
+   *
+   * @returns {Array<Object>} Facets `{field, label, values}`, each value `{value, label, color?}`.
+   */
+  getFacetDefinitions() {
+    const facets = [];
+    this.activeCollections.forEach((collection) => {
+      this.validator.getFacetDefinitions(this.getDatabase(collection)).forEach((definition) => {
+        let facet = facets.find(({ field }) => field === definition.field);
+        if (!facet) {
+          facet = { field: definition.field, label: definition.label, values: [] };
+          facets.push(facet);
+        }
+        definition.values.forEach((entry) => {
+          if (!facet.values.some(({ value }) => value === entry.value)) facet.values.push(entry);
+        });
+      });
+    });
+    return facets;
+  }
+
+  /**
+   * Returns the values a facet field offers: the declared ones in their declared order,
+   * then values only found in the words (such as a type a user added), alphabetically.
+   *
+   * Interactions:
+   * - Used for the word editor's class and type choices, the command palette and the
+   *   study stats, so values the metadata doesn't know about are still listed.
+   *
+   * @param {string} field - A facet field, e.g. "type".
+   * @param {Array<Object>} [words] - The words to discover values in; defaults to all words.
+   * @returns {Array<string>} The values.
+   */
+  getFacetValues(field, words = this.allWords) {
+    const facet = this.getFacetDefinitions().find((candidate) => candidate.field === field);
+    const values = facet ? facet.values.map(({ value }) => value) : [];
+    const found = new Set();
+    words.forEach((word) => {
+      if (typeof word[field] === "string" && word[field] && !values.includes(word[field])) {
+        found.add(word[field]);
+      }
+    });
+    return [...values, ...Array.from(found).sort()];
+  }
+
+  /**
+   * Collects the facets the filter dropdowns offer from the words, the way `getUniqueTags()`
+   * collects tags: every declared facet field with the values its words actually have, and
+   * how many words have each. Values are ordered as in `getFacetValues()`; facets none of
+   * the words have a value for are left out.
+   *
+   * Interactions:
+   * - Called by the view to build the filter dropdowns whenever the words change.
+   *
+   * @param {Array<Object>} [words] - The words to count; defaults to all words.
+   * @returns {Array<Object>} Facets `{field, label, values}`, each value
+   *   `{value, label, color?, count}`.
+   */
+  getFacets(words = this.allWords) {
+    return this.getFacetDefinitions()
+      .map(({ field, label, values }) => {
+        const counts = new Map();
+        words.forEach((word) => {
+          const value = word[field];
+          if (typeof value === "string" && value) counts.set(value, (counts.get(value) || 0) + 1);
+        });
+        return {
+          field,
+          label,
+          values: this.getFacetValues(field, words)
+            .filter((value) => counts.has(value))
+            .map((value) => ({
+              label: value,
+              ...values.find((entry) => entry.value === value),
+              value,
+              count: counts.get(value),
+            })),
+        };
+      })
+      .filter((facet) => facet.values.length > 0);
+  }
+
+  /**
+   * Returns the class or type values words may have (see
+   * `VocabDatabaseValidator.getAllowedValues()`) across the active collections.
+   *
+   * Interactions:
+   * - Used by the importer to match and check imported classes and types.
+   *
+   * @param {string} field - "class" or "type".
+   * @returns {Array<string>} The allowed values.
+   */
+  getAllowedValues(field) {
+    const values = new Set();
+    this.activeCollections.forEach((collection) => {
+      this.validator
+        .getAllowedValues(this.getDatabase(collection), field)
+        .forEach((value) => values.add(value));
+    });
+    return Array.from(values);
+  }
+
+  /**
+   * Counts tags for the tag picker under the current filters.
+   *
+   * Counts are taken over the words matched by the last `filterWords()` query. In "any"
+   * mode the included tags themselves are left out of the count base, so every tag shows
+   * how many words picking it would add; in "all" mode the full result is counted, so tags
+   * show how far picking them would narrow it. Excluded tags always apply. Parent tags in
+   * the tag hierarchy count the words of their descendants too.
+   *
+   * Interactions:
+   * - Called by the controller after each `filterWords()` call to refresh the tag picker.
+   *
+   * @param {Object} [tagSet] - The tag set passed to `filterWords()`.
+   * @returns {Array<Object>} `{tag, count}` objects, sorted by tag.
+   */
+  getTagCounts(tagSet = null) {
+    if (!tagSet) return this.getUniqueTags(this.queryResults, true);
+    const base = tagSet.mode === "all" ? tagSet : { ...tagSet, include: [] };
+    return this.getUniqueTags(
+      this.queryResults.filter((word) => this.matchesTagSet(word, base)),
+      true
+    );
+  }
+
+  /**
+   * Returns true if a word passes a tag set: it has any (or, in "all" mode, every) included
+   * tag, and none of the excluded tags. An empty include list lets every word through.
+   * A word has a tag when it has the tag or one of its descendants in the tag hierarchy.
+   *
+   * @param {Object} word - The word to test.
+   * @param {Object} tagSet - The tag set.
+   * @param {Array<string>} [tagSet.include] - Tags to match.
+   * @param {Array<string>} [tagSet.exclude] - Tags to rule out.
+   * @param {string} [tagSet.mode="any"] - "any" or "all".
+   * @returns {boolean}
+   */
+  matchesTagSet(word, { include = [], exclude = [], mode = "any" }) {
+    const tags = word.tags || [];
+    const has = (tag) =>
+      this.tagTaxonomy.getDescendants(tag).some((candidate) => tags.includes(candidate));
+    if (exclude.some(has)) return false;
+    if (include.length === 0) return true;
+    return mode === "all" ? include.every(has) : include.some(has);
+  }
+
+  /**
+   * Filters the list of words with a search box query.
+   *
+   * The query is parsed by `VocabQueryLanguage` (field qualifiers such as `tag:emotion`,
+   * `class:Big` or `def:light`, quoted phrases, `OR`, `-` negation and parentheses) and
+   * evaluated against `allWords`. Plain words go through `searchIndex`, which tolerates
+   * typos and ranks the best matches first; queries without plain words keep database
+   * order. The matched ranges of each result are kept for `getSearchMatches()`.
+   *
+   * An optional tag set from the tag picker is applied on top of the query (see
+   * `matchesTagSet()`). The words matched by the query alone are kept for `getTagCounts()`.
+   *
+   * A source (the word keys of a favorites list, named list or the copy history) limits
+   * the results to those words, in the source's order.
+   *
+   * In "meaning" mode plain words are a description of the word wanted ("shining very
+   * brightly") and go through `reverseIndex` instead, which ranks words by how well their
+   * definitions and tags fit it. Qualifiers and phrases work the same in both modes.
+   *
+   * `tag:` qualifiers also match the tag's descendants in the tag hierarchy, so
+   * `tag:emotion` finds words tagged "joy" when "joy" is filed under "emotion".
+   *
+   * Interactions:
+   * - Called by the view/controller when the user changes search or filter options.
+   * - Used by tests to verify filtering logic.
+   *
+   * @param {string|Object|null} query - Query text, or a tree from `queryLanguage.parse()`.
+   * @param {Object} [tagSet] - `{include, exclude, mode}` tags picked in the tag picker.
+   * @param {Array<string>} [source] - Keys from `getWordKey()` to pick words from.
+   * @param {string} [mode="words"] - "words" to search for terms, "meaning" to find words
+   *   by a description of their meaning.
+   * @returns {Array<Object>} Array of word objects matching the query and tag set.
+   */
+  filterWords(query, tagSet = null, source = null, mode = "words") {
+    const tree = this.expandTagQuery(
+      typeof query === "string" ? this.queryLanguage.parse(query) : query
+    );
+    const index = mode === "meaning" ? this.reverseIndex : this.searchIndex;
+    let results = this.queryLanguage.evaluate(tree, this.allWords, index);
+
+    if (source) {
+      const order = new Map(source.map((key, index) => [key, index]));
+      const position = ({ word }) => order.get(this.getWordKey(word));
+      results = results
+        .filter((result) => order.has(this.getWordKey(result.word)))
+        .sort((a, b) => position(a) - position(b));
+    }
+
+    this.searchMatches = new Map();
+    this.queryResults = results.map(({ word, ranges }) => {
+      if (ranges && Object.keys(ranges).length > 0) this.searchMatches.set(word, ranges);
+      return word;
+    });
+    return tagSet
+      ? this.queryResults.filter((word) => this.matchesTagSet(word, tagSet))
+      : this.queryResults;
+  }
+
+  /**
+   * Rewrites each `tag:` qualifier of a query tree that has descendants in the tag
+   * hierarchy into an OR of the tag and its descendants.
+   *
+   * @param {Object|null} tree - A tree from `queryLanguage.parse()`; not modified.
+   * @returns {Object|null} The expanded tree.
+   */
+  expandTagQuery(tree) {
+    if (!tree) return tree;
+    if (tree.type === "field") {
+      if (tree.field !== "tag") return tree;
+      const tags = this.tagTaxonomy.getDescendants(tree.value);
+      if (tags.length === 1) return tree;
+      return { type: "or", children: tags.map((value) => ({ ...tree, value })) };
+    }
+    if (tree.children) {
+      return { ...tree, children: tree.children.map((child) => this.expandTagQuery(child)) };
+    }
+    if (tree.child) return { ...tree, child: this.expandTagQuery(tree.child) };
+    return tree;
+  }
+
+  /**
+   * Returns the key that identifies a word across edits of its other fields. Terms are only
+   * unique within a category and collection, so the key combines them. Words of the default
+   * collection keep the key they had before there were collections, so saved lists still
+   * find them.
+   *
+   * @param {Object} word - A word, or any `{category, term, collection?}`.
+   * @returns {string} The key.
+   */
+  getWordKey(word) {
+    const key = `${word.category}\u0000${word.term}`;
+    return word.collection && word.collection !== VocabCatalogViewerModel.DEFAULT_COLLECTION
+      ? `${word.collection}\u0000${key}`
+      : key;
+  }
+
+  /**
+   * Returns the highlight ranges of the words returned by the last `filterWords()` call.
+   *
+   * Interactions:
+   * - Passed by the controller to `renderWords()` to highlight matched text.
+   *
+   * @returns {Map<Object, Object>} Word object -> ranges per field, as returned by `VocabSearchIndex.search()`.
+   */
+  getSearchMatches() {
+    return this.searchMatches;
+  }
+
+  /**
+   * Looks up a word picked on a web page: words whose term matches it, and words whose
+   * definition mentions it. The text is searched as plain words, so page text that happens
+   * to contain query syntax (a leading "-", a colon) isn't taken as a qualifier.
+   *
+   * Interactions:
+   * - Called by the in-page overlay (`content.js`) for the selected word.
+   *
+   * @param {string} text - The selected text.
+   * @param {number} [limit=20] - The most words to return in each group.
+   * @returns {Object} `{terms, definitions}`, each an array of `{word, ranges}` best first.
+   */
+  lookup(text, limit = 20) {
+    const terms = [];
+    const definitions = [];
+    this.searchIndex.search(text).forEach(({ word, ranges }) => {
+      if (ranges.term.length > 0) terms.push({ word, ranges });
+      else if (ranges.definition.length > 0) definitions.push({ word, ranges });
+    });
+    return { terms: terms.slice(0, limit), definitions: definitions.slice(0, limit) };
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { VocabCatalogViewerModel };
+}
@@ -0,0 +1,3253 @@
+// --- View ---
+class VocabCatalogViewerView {
+  // Rows rendered above and below the visible ones, so fast scrolling doesn't show gaps
+  static OVERSCAN_ROWS = 10;
+  static SEARCH_DEBOUNCE_MS = 150;
+
+  /**
+   * Constructs the view and initializes references to DOM elements.
+   *
+   * @param {VocabCatalogViewerModel} model - The model instance to interact with.
+   * @param {VocabCopyTray} copyTray - The tray clicked words are collected in.
+   * @param {VocabWordLists} wordLists - Favorites, named lists and the copy history.
+   * @param {VocabTableColumns} tableColumns - The words table's column layout and sort.
+   * @param {ParentNode} [root=document] - The page (or part of it) the view is mounted in.
+   *
+   * Interactions:
+   * - Adds the dialogs to the page (see `VocabDialogs.mount()`).
+   * - Stores references to key DOM elements for rendering and event handling.
+   * - Used by controller to initialize and render the UI, in the popup and in the
+   *   full-page view (`options.html`), which lay the same elements out differently.
+   */
+  constructor(model, copyTray, wordLists, tableColumns, root = document) {
+    this.root = root;
+    this.model = model;
+    this.copyTray = copyTray;
+    this.wordLists = wordLists;
+    this.tableColumns = tableColumns;
+    VocabDialogs.mount(this.find("dialogs"));
+    // DOM elements
+    this.searchInput = this.find("search-input");
+    this.searchModeButton = this.find("search-mode");
+    this.searchPlaceholder = this.searchInput.placeholder;
+    // One dropdown per facet, built from the data by populateFacetFilters()
+    this.facetFilterBar = this.find("facet-filters");
+    this.facetFilters = new Map();
+    this.facetColors = {};
+    this.listFilter = this.find("list-filter");
+    this.tagPicker = this.find("tag-picker");
+    this.tagPickerToggle = this.find("tag-picker-toggle");
+    this.tagPickerPanel = this.find("tag-picker-panel");
+    this.tagPickerSearch = this.find("tag-picker-search");
+    this.tagPickerModes = this.tagPicker.querySelectorAll("[data-tag-mode]");
+    this.tagPickerList = this.find("tag-picker-list");
+    this.tagPickerClear = this.find("tag-picker-clear");
+    this.tagSet = { include: new Set(), exclude: new Set(), mode: "any" };
+    this.tagCounts = [];
+    this.renderedWords = [];
+    this.renderedMatches = new Map();
+    this.renderedRange = null;
+    this.activeRowIndex = -1;
+    this.searchTimer = null;
+    this.wordsGrid = this.find("words-table");
+    this.wordsTable = this.wordsGrid.tBodies[0];
+    this.wordsTableHead = this.wordsGrid.tHead;
+    this.tableContainer = this.find("table-container");
+    // Every row has the same height (see --row-height in popup.css), so the rows in view
+    // can be worked out from the scroll position alone
+    this.rowHeight =
+      parseFloat(getComputedStyle(document.documentElement).getPropertyValue("--row-height")) ||
+      60;
+    this.wordCountSpan = this.find("word-count");
+    this.notification = this.find("copy-notification");
+    this.liveRegion = this.find("live-region");
+    this.validationPanel = this.find("validation-panel");
+    this.validationTitle = this.find("validation-title");
+    this.validationList = this.find("validation-list");
+    this.validationDismiss = this.find("validation-dismiss");
+    this.addWordButton = this.find("add-word-button");
+    this.editor = this.find("word-editor");
+    this.editorForm = this.find("word-editor-form");
+    this.editorTitle = this.find("word-editor-title");
+    this.editorTerm = this.find("editor-term");
+    this.editorDefinition = this.find("editor-definition");
+    this.editorClass = this.find("editor-class");
+    this.editorType = this.find("editor-type");
+    this.editorTags = this.find("editor-tags");
+    this.editorCategory = this.find("editor-category");
+    this.editorCategories = this.find("editor-categories");
+    this.editorError = this.find("word-editor-error");
+    this.editorDelete = this.find("editor-delete");
+    this.editorRevert = this.find("editor-revert");
+    this.editorCancel = this.find("editor-cancel");
+    this.importExportButton = this.find("import-export-button");
+    this.importExport = this.find("import-export");
+    this.importFile = this.find("import-file");
+    this.importFormat = this.find("import-format");
+    this.importHasHeader = this.find("import-has-header");
+    this.importDuplicates = this.find("import-duplicates");
+    this.importColumnMap = this.find("import-column-map");
+    this.importPreview = this.find("import-preview");
+    this.importConfirm = this.find("import-confirm");
+    this.exportFormat = this.find("export-format");
+    this.exportScope = this.find("export-scope");
+    this.exportDownload = this.find("export-download");
+    this.importExportClose = this.find("import-export-close");
+    this.backupDownload = this.find("backup-download");
+    this.backupFile = this.find("backup-file");
+    this.backupMode = this.find("backup-mode");
+    this.backupPreview = this.find("backup-preview");
+    this.backupRestore = this.find("backup-restore");
+    this.backupAuto = this.find("backup-auto");
+    this.backupFrequency = this.find("backup-frequency");
+    this.backupLast = this.find("backup-last");
+    this.copyTrayList = this.find("copy-tray-list");
+    this.copyTrayCount = this.find("copy-tray-count");
+    this.copyTrayPreview = this.find("copy-tray-preview");
+    this.copyTemplate = this.find("copy-template");
+    this.copyTrayCopy = this.find("copy-tray-copy");
+    this.copyTrayUndo = this.find("copy-tray-undo");
+    this.copyTrayClear = this.find("copy-tray-clear");
+    this.copyTemplatesButton = this.find("copy-templates-button");
+    this.copyTemplates = this.find("copy-templates");
+    this.copyTemplatesForm = this.find("copy-templates-form");
+    this.templateSelect = this.find("template-select");
+    this.templateName = this.find("template-name");
+    this.templateItem = this.find("template-item");
+    this.templateSeparator = this.find("template-separator");
+    this.templateEmpty = this.find("template-empty");
+    this.templateError = this.find("copy-templates-error");
+    this.templateDelete = this.find("template-delete");
+    this.copyTemplatesClose = this.find("copy-templates-close");
+    this.listsButton = this.find("lists-button");
+    this.listsEditor = this.find("word-lists");
+    this.listsTitle = this.find("word-lists-title");
+    this.listsList = this.find("word-lists-list");
+    this.newListForm = this.find("new-list-form");
+    this.newListName = this.find("new-list-name");
+    this.listsError = this.find("word-lists-error");
+    this.clearHistoryButton = this.find("clear-history");
+    this.listsClose = this.find("word-lists-close");
+    this.savedSearchesButton = this.find("saved-searches-button");
+    this.savedSearches = this.find("saved-searches");
+    this.savedSearchesList = this.find("saved-searches-list");
+    this.saveSearchForm = this.find("save-search-form");
+    this.saveSearchName = this.find("save-search-name");
+    this.savedSearchesError = this.find("saved-searches-error");
+    this.copySearchLink = this.find("copy-search-link");
+    this.savedSearchesClose = this.find("saved-searches-close");
+    this.tagsButton = this.find("tags-button");
+    this.tagManager = this.find("tag-manager");
+    this.tagManagerSearch = this.find("tag-manager-search");
+    this.tagManagerSummary = this.find("tag-manager-summary");
+    this.tagManagerList = this.find("tag-manager-list");
+    this.mergeTagsButton = this.find("merge-tags");
+    this.similarTagsSection = this.find("similar-tags-section");
+    this.similarTagsList = this.find("similar-tags");
+    this.bulkTagTitle = this.find("bulk-tag-title");
+    this.bulkTagForm = this.find("bulk-tag-form");
+    this.bulkTagName = this.find("bulk-tag-name");
+    this.tagManagerError = this.find("tag-manager-error");
+    this.tagManagerClose = this.find("tag-manager-close");
+    this.tagManagerSelection = new Set();
+    this.similarTags = [];
+    this.shownWordCount = 0;
+    this.columnsEditor = this.find("table-columns");
+    this.columnsList = this.find("table-columns-list");
+    this.columnsReset = this.find("table-columns-reset");
+    this.columnsClose = this.find("table-columns-close");
+    this.collectionSelect = this.find("collection-select");
+    this.collectionsButton = this.find("collections-button");
+    this.collectionsEditor = this.find("collections");
+    this.collectionsList = this.find("collections-list");
+    this.newCollectionForm = this.find("new-collection-form");
+    this.newCollectionName = this.find("new-collection-name");
+    this.collectionsError = this.find("collections-error");
+    this.collectionsClose = this.find("collections-close");
+    this.editorCollectionRow = this.find("editor-collection-row");
+    this.editorCollection = this.find("editor-collection");
+    this.editorMore = this.find("editor-more");
+    this.editorPronunciation = this.find("editor-pronunciation");
+    this.editorPartOfSpeech = this.find("editor-part-of-speech");
+    this.editorRegister = this.find("editor-register");
+    this.editorSynonyms = this.find("editor-synonyms");
+    this.editorAntonyms = this.find("editor-antonyms");
+    this.editorRelated = this.find("editor-related");
+    this.editorExamples = this.find("editor-examples");
+    this.studyButton = this.find("study-button");
+    // Only in the popup: opens the full-page view
+    this.fullPageButton = this.find("full-page-button");
+    // The popup cycles through the themes with a button, the full-page view has a dropdown
+    this.themeButton = this.find("theme-button");
+    this.themeSelect = this.find("theme-select");
+    this.study = this.find("study");
+    this.studyDirection = this.find("study-direction");
+    this.studyProgress = this.find("study-progress");
+    this.studyPrompt = this.find("study-prompt");
+    this.studyHint = this.find("study-hint");
+    this.studyAnswer = this.find("study-answer");
+    this.studyReveal = this.find("study-reveal");
+    this.studyGrades = this.find("study-grades");
+    this.studyStats = this.find("study-stats");
+    this.studyClose = this.find("study-close");
+    this.dailyWordEnabled = this.find("daily-word-enabled");
+    this.dailyWordHour = this.find("daily-word-hour");
+    this.dailyWordSource = this.find("daily-word-source");
+    this.dailyWordQuery = this.find("daily-word-query");
+    this.studyQueue = [];
+    this.studyReviewed = 0;
+    this.wordDetail = this.find("word-detail");
+    this.wordDetailTerm = this.find("word-detail-term");
+    this.wordDetailPronunciation = this.find("word-detail-pronunciation");
+    this.wordDetailFields = this.find("word-detail-fields");
+    this.wordDetailClose = this.find("word-detail-close");
+    this.detailWord = null;
+    this.importCollection = this.find("import-collection");
+    this.importCollectionNameRow = this.find("import-collection-name-row");
+    this.importCollectionName = this.find("import-collection-name");
+    this.listsWord = null;
+    this.palette = this.find("command-palette");
+    this.paletteInput = this.find("palette-input");
+    this.paletteList = this.find("palette-list");
+    this.paletteCommands = [];
+    this.paletteMatches = [];
+    this.paletteIndex = 0;
+    this.importFileName = "";
+    this.importText = "";
+    this.editingWord = null;
+    this.editorDefaultCategory = "";
+    this.notificationTimeout = null;
+  }
+
+  /**
+   * Looks up one of the view's elements by its `data-ref` attribute. Pages lay the view
+   * out differently (`popup.html`, `options.html`), but mark the same elements with the
+   * same refs.
+   *
+   * @param {string} ref - The element's `data-ref`, e.g. "words-table".
+   * @returns {Element|null} The element, or null if the page doesn't have it.
+   */
+  find(ref) {
+    return this.root.querySelector(`[data-ref="${ref}"]`);
+  }
+
+  /**
+   * Builds a filter dropdown for each facet of the words (see `model.getFacets()`): the
+   * class and type, and any other field the database's metadata declares. Each option
+   * shows how many words have that value.
+   *
+   * Interactions:
+   * - Called during initialization and whenever the words change; dropdowns keep their
+   *   selection, and the placeholder until the user picks something.
+   * - Dropdowns for facets the words no longer have are removed.
+   * - Remembers the facet colors for `createWordCell()`.
+   */
+  populateFacetFilters() {
+    const facets = this.model.getFacets();
+    this.facetColors = {};
+    facets.forEach(({ field, label, values }, index) => {
+      const select = this.facetFilters.get(field) || this.createFacetFilter(field, label);
+      // Keep the dropdowns in the metadata's order
+      const wrapper = select.parentElement;
+      if (this.facetFilterBar.children[index] !== wrapper) {
+        this.facetFilterBar.insertBefore(wrapper, this.facetFilterBar.children[index] || null);
+      }
+
+      const previous = select.value;
+      select.innerHTML = "";
+      if (!previous) {
+        // Add a placeholder (colored by the theme) as the first option; hidden from the
+        // list, it shows until the user picks a value and the label names the dropdown
+        const placeholder = document.createElement("option");
+        placeholder.value = "";
+        placeholder.textContent = label;
+        placeholder.disabled = true;
+        placeholder.hidden = true;
+        placeholder.selected = true;
+        placeholder.classList.add("placeholder");
+        select.appendChild(placeholder);
+      }
+
+      // (all) as the first selectable item
+      const allOption = document.createElement("option");
+      allOption.value = "all";
+      allOption.textContent = "(all)";
+      select.appendChild(allOption);
+
+      this.facetColors[field] = {};
+      values.forEach(({ value, label: valueLabel, color, count }) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = `${valueLabel} (${count})`;
+        select.appendChild(option);
+        if (color) this.facetColors[field][value] = color;
+      });
+      if (previous) {
+        // A value no longer offered (or "(in search)") is put back by syncFilterDropdowns()
+        const kept = Array.from(select.options).some((option) => option.value === previous);
+        select.value = kept ? previous : "all";
+      }
+    });
+
+    const fields = new Set(facets.map(({ field }) => field));
+    this.facetFilters.forEach((select, field) => {
+      if (fields.has(field)) return;
+      select.parentElement.remove();
+      this.facetFilters.delete(field);
+    });
+  }
+
+  /**
+   * Creates the (empty) dropdown for a facet, with its label, in the filter bar.
+   *
+   * @param {string} field - The facet field, e.g. "type".
+   * @param {string} label - The facet's label, e.g. "Word Type".
+   * @returns {HTMLSelectElement} The dropdown; its id is `<field>-filter`.
+   */
+  createFacetFilter(field, label) {
+    const wrapper = document.createElement("div");
+    wrapper.classList.add("select-wrapper");
+    const labelElement = document.createElement("label");
+    labelElement.classList.add("visually-hidden");
+    labelElement.htmlFor = `${field}-filter`;
+    labelElement.textContent = label;
+    const select = document.createElement("select");
+    select.id = `${field}-filter`;
+    select.dataset.facet = field;
+    wrapper.append(labelElement, select);
+    this.facetFilterBar.appendChild(wrapper);
+    this.facetFilters.set(field, select);
+    return select;
+  }
+
+  /**
+   * Populates the list filter dropdown with favorites, the copy history and the named lists.
+   *
+   * Interactions:
+   * - Reads the sources from `wordLists.getSources()`.
+   * - Called during initialization and whenever lists change; keeps the current selection
+   *   unless that list was deleted.
+   */
+  populateListFilter() {
+    const previous = this.listFilter.value;
+    this.listFilter.innerHTML = "";
+
+    if (!previous) {
+      const placeholder = document.createElement("option");
+      placeholder.value = "";
+      placeholder.textContent = "Lists";
+      placeholder.disabled = true;
+      placeholder.hidden = true;
+      placeholder.selected = true;
+      placeholder.classList.add("placeholder");
+      this.listFilter.appendChild(placeholder);
+    }
+
+    const allOption = document.createElement("option");
+    allOption.value = "all";
+    allOption.textContent = "(all words)";
+    this.listFilter.appendChild(allOption);
+
+    this.wordLists.getSources().forEach(({ id, name, count }) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = `${name} (${count})`;
+      this.listFilter.appendChild(option);
+    });
+
+    const stillExists = Array.from(this.listFilter.options).some(
+      (option) => option.value === previous
+    );
+    if (previous) this.listFilter.value = stillExists ? previous : "all";
+  }
+
+  /**
+   * Populates the collection selector in the header: every collection, plus "All
+   * collections" to search them together when there is more than one.
+   *
+   * Interactions:
+   * - Reads the collections and the current choice from the model.
+   * - Called during initialization and whenever collections change.
+   */
+  populateCollectionSelect() {
+    this.collectionSelect.innerHTML = "";
+    this.model.collections.forEach(({ id, name }) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = name;
+      this.collectionSelect.appendChild(option);
+    });
+    if (this.model.collections.length > 1) {
+      const allOption = document.createElement("option");
+      allOption.value = "all";
+      allOption.textContent = "All collections";
+      this.collectionSelect.appendChild(allOption);
+    }
+    this.collectionSelect.value = this.model.getActiveCollection();
+  }
+
+  /**
+   * Fills a dropdown with the collections words are currently shown from.
+   *
+   * @param {HTMLSelectElement} select - The dropdown to fill.
+   * @param {string} [value] - The collection to select; defaults to the first one.
+   */
+  populateActiveCollections(select, value = this.model.activeCollections[0]) {
+    select.innerHTML = "";
+    this.model.activeCollections.forEach((id) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = this.model.getCollectionName(id);
+      select.appendChild(option);
+    });
+    select.value = value;
+  }
+
+  /**
+   * Opens the collections editor, where the user's own collections are created, renamed
+   * and deleted.
+   */
+  openCollectionsEditor() {
+    this.newCollectionName.value = "";
+    this.showCollectionsError("");
+    this.renderCollectionsEditor();
+    this.collectionsEditor.hidden = false;
+    this.newCollectionName.focus();
+  }
+  closeCollectionsEditor() {
+    this.collectionsEditor.hidden = true;
+  }
+  showCollectionsError(message) {
+    this.collectionsError.textContent = message;
+    this.collectionsError.hidden = !message;
+  }
+
+  /**
+   * Renders the collections in the collections editor. Only the user's own collections
+   * get rename and delete buttons.
+   */
+  renderCollectionsEditor() {
+    this.collectionsList.innerHTML = "";
+    this.model.collections.forEach((collection) => {
+      const item = document.createElement("li");
+      item.dataset.collection = collection.id;
+
+      const name = document.createElement("label");
+      name.textContent =
+        collection.kind === "bundled" ? `${collection.name} (built in)` : collection.name;
+      item.appendChild(name);
+
+      if (collection.kind === "user") {
+        [
+          ["rename-collection", "icon-pen", `Rename "${collection.name}"`],
+          ["delete-collection", "icon-trash", `Delete "${collection.name}"`],
+        ].forEach(([action, icon, title]) => {
+          const button = document.createElement("button");
+          button.type = "button";
+          button.classList.add("icon-button");
+          button.dataset.action = action;
+          button.title = title;
+          button.innerHTML = `<i class="icon ${icon}"></i>`;
+          item.appendChild(button);
+        });
+      }
+      this.collectionsList.appendChild(item);
+    });
+  }
+
+  /**
+   * Sets up event listeners for the collection selector and the collections editor.
+   *
+   * @param {Function} onSwitch - Called with a collection id (or "all") when the selector changes.
+   * @param {Function} onChange - Called after a collection is created, renamed or deleted,
+   *   so the controller can persist the change and reload the words.
+   */
+  setupCollectionListeners(onSwitch, onChange) {
+    const update = (change) => {
+      try {
+        change();
+      } catch (error) {
+        this.showCollectionsError(error.message);
+        return;
+      }
+      this.showCollectionsError("");
+      this.renderCollectionsEditor();
+      onChange();
+    };
+
+    this.collectionSelect.addEventListener("change", () =>
+      onSwitch(this.collectionSelect.value)
+    );
+    this.collectionsButton.addEventListener("click", () => this.openCollectionsEditor());
+
+    this.newCollectionForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      update(() => {
+        this.model.createCollection(this.newCollectionName.value);
+        this.newCollectionName.value = "";
+      });
+    });
+
+    this.collectionsList.addEventListener("click", (e) => {
+      const button = e.target.closest("button[data-action]");
+      if (!button) return;
+      const collection = this.model.getCollection(
+        button.closest("li[data-collection]").dataset.collection
+      );
+      if (button.dataset.action === "rename-collection") {
+        const name = prompt("Rename collection", collection.name);
+        if (name !== null) {
+          update(() => this.model.renameCollection(collection.id, name));
+        }
+      } else if (confirm(`Delete the "${collection.name}" collection and its words?`)) {
+        update(() => this.model.deleteCollection(collection.id));
+      }
+    });
+
+    this.collectionsClose.addEventListener("click", () => this.closeCollectionsEditor());
+    this.collectionsEditor.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") this.closeCollectionsEditor();
+    });
+  }
+
+  /**
+   * Returns the list the list filter is set to.
+   *
+   * @returns {string|null} A source id for `wordLists.getSourceKeys()`, or null for all words.
+   */
+  getListSource() {
+    const value = this.listFilter.value;
+    return value && value !== "all" ? value : null;
+  }
+
+  /**
+   * Sets the list filter without going through its change event. Callers re-filter afterwards.
+   *
+   * @param {string} id - A source id from `wordLists.getSources()`, or "all".
+   */
+  setListSource(id) {
+    this.listFilter.value = id;
+  }
+
+  /**
+   * Returns the tags picked in the tag picker.
+   *
+   * @returns {Object} `{include, exclude, mode}` as expected by `model.filterWords()`.
+   */
+  getTagSet() {
+    return {
+      include: Array.from(this.tagSet.include),
+      exclude: Array.from(this.tagSet.exclude),
+      mode: this.tagSet.mode,
+    };
+  }
+
+  /**
+   * Renders the tag picker's list with counts, filtered by the picker's search box.
+   *
+   * Picked and excluded tags are listed first, then tags by how many words use them.
+   * Tags no word under the current filters uses are hidden unless picked.
+   *
+   * @param {Array<Object>} [tagCounts] - `{tag, count}` objects from `model.getTagCounts()`;
+   *   defaults to the last counts rendered.
+   *
+   * Interactions:
+   * - Called by the controller after every filter change, and by the picker's own listeners.
+   */
+  renderTagPicker(tagCounts = this.tagCounts) {
+    this.tagCounts = tagCounts;
+    this.updateTagPickerLabel();
+    if (this.tagPickerPanel.hidden) return;
+
+    const search = this.tagPickerSearch.value.trim().toLowerCase();
+    const counts = new Map(tagCounts.map(({ tag, count }) => [tag, count]));
+    const picked = (tag) => this.tagSet.include.has(tag) || this.tagSet.exclude.has(tag);
+    [...this.tagSet.include, ...this.tagSet.exclude].forEach((tag) => {
+      if (!counts.has(tag)) counts.set(tag, 0);
+    });
+
+    const tags = Array.from(counts.keys())
+      .filter((tag) => picked(tag) || counts.get(tag) > 0)
+      .filter((tag) => !search || tag.toLowerCase().includes(search))
+      .sort(
+        (a, b) =>
+          picked(b) - picked(a) || counts.get(b) - counts.get(a) || (a < b ? -1 : 1)
+      );
+
+    this.tagPickerList.innerHTML = "";
+    tags.forEach((tag) => {
+      const item = document.createElement("li");
+      item.dataset.tag = tag;
+      if (this.tagSet.exclude.has(tag)) item.classList.add("excluded");
+
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = this.tagSet.include.has(tag);
+      const name = document.createElement("span");
+      name.classList.add("tag-name");
+      name.textContent = tag;
+      const count = document.createElement("span");
+      count.classList.add("tag-count");
+      count.textContent = counts.get(tag);
+      label.appendChild(checkbox);
+      label.appendChild(name);
+      label.appendChild(count);
+
+      const exclude = document.createElement("button");
+      exclude.type = "button";
+      exclude.classList.add("tag-exclude");
+      exclude.title = this.tagSet.exclude.has(tag) ? `Stop excluding "${tag}"` : `Exclude "${tag}"`;
+      exclude.textContent = "−";
+
+      item.appendChild(label);
+      item.appendChild(exclude);
+      this.tagPickerList.appendChild(item);
+    });
+
+    if (tags.length === 0) {
+      const empty = document.createElement("li");
+      empty.classList.add("tag-picker-empty");
+      empty.textContent = "No matching tags";
+      this.tagPickerList.appendChild(empty);
+    }
+  }
+
+  /**
+   * Unpicks every included and excluded tag. Callers re-filter afterwards.
+   */
+  clearTagSet() {
+    this.tagSet.include.clear();
+    this.tagSet.exclude.clear();
+  }
+
+  /**
+   * Picks tags in the tag picker, e.g. from a saved search. Callers re-filter afterwards.
+   *
+   * @param {Object} tagSet - `{include, exclude, mode}` as returned by `getTagSet()`.
+   */
+  setTagSet({ include, exclude, mode }) {
+    this.tagSet.include = new Set(include);
+    this.tagSet.exclude = new Set(exclude);
+    this.tagSet.mode = mode;
+    this.tagPickerModes.forEach((button) =>
+      button.classList.toggle("active", button.dataset.tagMode === mode)
+    );
+    this.updateTagPickerLabel();
+  }
+
+  /**
+   * Summarizes the picked tags on the tag picker's toggle button.
+   */
+  updateTagPickerLabel() {
+    const included = this.tagSet.include.size;
+    const excluded = this.tagSet.exclude.size;
+    const parts = [];
+    if (included === 1) parts.push(Array.from(this.tagSet.include)[0]);
+    else if (included > 1) parts.push(`${included} tags (${this.tagSet.mode} of)`);
+    if (excluded > 0) parts.push(`${excluded} excluded`);
+    this.tagPickerToggle.textContent = parts.length ? parts.join(", ") : "Tags";
+    this.tagPickerToggle.classList.toggle("active", parts.length > 0);
+  }
+
+  /**
+   * Opens or closes the tag picker panel.
+   *
+   * @param {boolean} open - Whether the panel should be open.
+   */
+  toggleTagPicker(open) {
+    this.tagPickerPanel.hidden = !open;
+    this.tagPickerToggle.setAttribute("aria-expanded", String(open));
+    if (open) {
+      this.renderTagPicker();
+      this.tagPickerSearch.focus();
+    }
+  }
+
+  /**
+   * Sets up event listeners for the tag picker.
+   *
+   * @param {Function} onChange - Called whenever the picked tags or the match mode change.
+   *
+   * Interactions:
+   * - Clicking a tag includes it (or un-includes it); the "−" button excludes it.
+   * - The mode buttons switch between matching any or all included tags.
+   */
+  setupTagPickerListeners(onChange) {
+    this.tagPickerToggle.addEventListener("click", () =>
+      this.toggleTagPicker(this.tagPickerPanel.hidden)
+    );
+    this.tagPickerSearch.addEventListener("input", () => this.renderTagPicker());
+
+    this.tagPickerList.addEventListener("change", (e) => {
+      const item = e.target.closest("li[data-tag]");
+      if (!item) return;
+      const tag = item.dataset.tag;
+      this.tagSet.exclude.delete(tag);
+      if (e.target.checked) this.tagSet.include.add(tag);
+      else this.tagSet.include.delete(tag);
+      onChange();
+    });
+
+    this.tagPickerList.addEventListener("click", (e) => {
+      const button = e.target.closest(".tag-exclude");
+      if (!button) return;
+      const tag = button.closest("li[data-tag]").dataset.tag;
+      this.tagSet.include.delete(tag);
+      if (this.tagSet.exclude.has(tag)) this.tagSet.exclude.delete(tag);
+      else this.tagSet.exclude.add(tag);
+      onChange();
+    });
+
+    this.tagPickerModes.forEach((button) => {
+      button.addEventListener("click", () => {
+        this.tagSet.mode = button.dataset.tagMode;
+        this.tagPickerModes.forEach((other) =>
+          other.classList.toggle("active", other === button)
+        );
+        onChange();
+      });
+    });
+
+    this.tagPickerClear.addEventListener("click", () => {
+      this.clearTagSet();
+      onChange();
+    });
+
+    // The list is re-rendered on every pick, so check the path the click took rather
+    // than whether its (possibly detached) target is still inside the picker
+    document.addEventListener("click", (e) => {
+      if (!e.composedPath().includes(this.tagPicker)) this.toggleTagPicker(false);
+    });
+    this.tagPicker.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        this.toggleTagPicker(false);
+        this.tagPickerToggle.focus();
+      }
+    });
+  }
+
+  /**
+   * Shows the validation errors of the active collections' bundled databases in the error
+   * panel, or hides the panel when there are none. Warnings are left to `data/lint_words.js`.
+   *
+   * Interactions:
+   * - Reads `model.getValidationReport()` and formats issues with the model's validator.
+   * - Called during initialization, after the database is loaded, and after switching collections.
+   */
+  renderValidationErrors() {
+    const { errors } = this.model.getValidationReport();
+    this.validationList.innerHTML = "";
+    this.validationPanel.hidden = errors.length === 0;
+    if (errors.length === 0) return;
+
+    const skipped = new Set(
+      errors
+        .filter((issue) => issue.fatal)
+        .map((issue) => `${issue.collection}\u0000${issue.category}\u0000${issue.term || ""}`)
+    ).size;
+    this.validationTitle.textContent =
+      `The word database has ${errors.length} problem${errors.length === 1 ? "" : "s"}` +
+      (skipped ? ` (${skipped} entr${skipped === 1 ? "y" : "ies"} hidden)` : "");
+    errors.forEach((issue) => {
+      const item = document.createElement("li");
+      const text = this.model.validator.formatIssue(issue);
+      item.textContent = issue.collection ? `${issue.collection} › ${text}` : text;
+      this.validationList.appendChild(item);
+    });
+
+    this.validationDismiss.onclick = () => {
+      this.validationPanel.hidden = true;
+    };
+  }
+
+  /**
+   * Displays a temporary notification when a word is copied.
+   *
+   * @param {string} text - The text to display in the notification.
+   * @param {string} [announcement=text] - What screen readers read out instead, if it differs.
+   *
+   * Interactions:
+   * - Updates the notification DOM element, and the live region through `announce()`.
+   * - Called by handleWordCopy() after copying to clipboard.
+   */
+  showCopyNotification(text, announcement = text) {
+    this.announce(announcement);
+    this.notification.textContent = text;
+    this.notification.classList.add("show");
+    if (this.notificationTimeout) clearTimeout(this.notificationTimeout);
+    this.notificationTimeout = setTimeout(() => {
+      this.notification.classList.remove("show");
+    }, 2000);
+  }
+
+  /**
+   * Reads a message out to screen readers through the page's live region. The toast is
+   * hidden from them, as it disappears before a long message is read.
+   *
+   * @param {string} message - The message.
+   */
+  announce(message) {
+    // The same message twice in a row must still change the region to be read again
+    this.liveRegion.textContent =
+      this.liveRegion.textContent === message ? `${message}\u00a0` : message;
+  }
+
+  /**
+   * Handles a click on a word: collects it in the copy tray and copies the whole tray
+   * with the chosen template. A right-click empties the tray instead.
+   *
+   * @param {Object} word - The word object that was clicked.
+   * @param {boolean} [isRightClick=false] - Whether the copy was triggered by a right-click.
+   *
+   * Interactions:
+   * - Updates the copy tray and re-renders it.
+   * - Records the word in the copy history.
+   * - Calls copyText() to write the formatted tray to the clipboard.
+   * - Used as an event handler for word row clicks.
+   */
+  handleWordCopy(word, isRightClick = false) {
+    if (isRightClick) {
+      this.resetCopyTray();
+      return;
+    }
+    this.copyTray.add(word);
+    this.wordLists.recordCopy(word);
+    this.updateWordLists();
+    this.updateCopyTray();
+    this.copyText(this.copyTray.format());
+  }
+
+  /**
+   * Empties the copy tray and copies what the template gives for an empty tray, as a
+   * right-click on a row does.
+   *
+   * Interactions:
+   * - Also run by Alt+R and the command palette, for keyboard and screen-reader users.
+   */
+  resetCopyTray() {
+    this.copyTray.clear();
+    this.updateCopyTray();
+    this.copyText(this.copyTray.format());
+  }
+
+  /**
+   * Copies text to the clipboard and shows it in the notification. Empty text (a template
+   * with nothing to copy for an empty tray) leaves the clipboard alone.
+   *
+   * @param {string} text - The text to copy.
+   */
+  copyText(text) {
+    if (!text) {
+      this.showCopyNotification("Tray is empty");
+      return;
+    }
+    navigator.clipboard
+      .writeText(text)
+      .then(() => this.showCopyNotification(text, `Copied ${text}`))
+      .catch((err) => console.error("Could not copy text: ", err));
+  }
+
+  /**
+   * Re-renders the copy tray and persists it.
+   *
+   * Interactions:
+   * - Called after every change to the tray or its templates.
+   */
+  updateCopyTray() {
+    this.renderCopyTray();
+    this.copyTray.save().catch((err) => console.error("Could not save copy tray: ", err));
+  }
+
+  /**
+   * Renders the copy tray: the template choice, the collected words in order, and a
+   * preview of the text the tray copies as.
+   *
+   * Interactions:
+   * - Called during initialization and by updateCopyTray().
+   */
+  renderCopyTray() {
+    this.copyTemplate.innerHTML = "";
+    this.copyTray.getTemplates().forEach((template) => {
+      const option = document.createElement("option");
+      option.value = template.id;
+      option.textContent = template.name;
+      this.copyTemplate.appendChild(option);
+    });
+    this.copyTemplate.value = this.copyTray.getTemplate().id;
+
+    this.copyTrayList.innerHTML = "";
+    this.copyTray.items.forEach((item, index) => {
+      const chip = document.createElement("li");
+      chip.classList.add("tray-item");
+      chip.dataset.index = index;
+      chip.draggable = true;
+      chip.tabIndex = 0;
+      chip.title = "Drag or press Alt+←/→ to reorder, Delete to remove";
+
+      const term = document.createElement("span");
+      term.textContent = item.term;
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.classList.add("tray-remove");
+      remove.title = `Remove "${item.term}"`;
+      remove.textContent = "×";
+
+      chip.appendChild(term);
+      chip.appendChild(remove);
+      this.copyTrayList.appendChild(chip);
+    });
+    if (this.copyTray.items.length === 0) {
+      const hint = document.createElement("li");
+      hint.classList.add("tray-hint");
+      hint.textContent = "Click a word to collect it. Right-click (or Alt+R) clears the tray.";
+      this.copyTrayList.appendChild(hint);
+    }
+
+    this.copyTrayCount.textContent = this.copyTray.items.length;
+    this.copyTrayPreview.textContent = this.copyTray.format();
+    this.copyTrayUndo.disabled = !this.copyTray.canUndo();
+    this.copyTrayClear.disabled = this.copyTray.items.length === 0;
+  }
+
+  /**
+   * Sets up event listeners for the copy tray and the template editor.
+   *
+   * Interactions:
+   * - Tray words can be dragged, or moved with Alt+Arrow keys, to reorder them, and
+   *   removed with their × button or the Delete key.
+   * - The tray's buttons copy it, undo its last change, or clear it.
+   */
+  setupCopyTrayListeners() {
+    const indexOf = (element) => {
+      const chip = element.closest(".tray-item");
+      return chip ? Number(chip.dataset.index) : -1;
+    };
+    const focusItem = (index) => {
+      const chip = this.copyTrayList.querySelector(`.tray-item[data-index="${index}"]`);
+      if (chip) chip.focus();
+    };
+
+    this.copyTemplate.addEventListener("change", () => {
+      this.copyTray.setTemplate(this.copyTemplate.value);
+      this.updateCopyTray();
+    });
+    this.copyTrayCopy.addEventListener("click", () => this.copyText(this.copyTray.format()));
+    this.copyTrayUndo.addEventListener("click", () => {
+      if (this.copyTray.undo()) this.updateCopyTray();
+    });
+    this.copyTrayClear.addEventListener("click", () => {
+      this.copyTray.clear();
+      this.updateCopyTray();
+    });
+
+    this.copyTrayList.addEventListener("click", (e) => {
+      if (!e.target.closest(".tray-remove")) return;
+      this.copyTray.remove(indexOf(e.target));
+      this.updateCopyTray();
+    });
+
+    this.copyTrayList.addEventListener("keydown", (e) => {
+      const index = indexOf(e.target);
+      if (index === -1) return;
+      if (e.key === "Delete" || e.key === "Backspace") {
+        e.preventDefault();
+        this.copyTray.remove(index);
+        this.updateCopyTray();
+        focusItem(Math.min(index, this.copyTray.items.length - 1));
+      } else if (e.altKey && (e.key === "ArrowLeft" || e.key === "ArrowRight")) {
+        e.preventDefault();
+        const target = index + (e.key === "ArrowLeft" ? -1 : 1);
+        this.copyTray.move(index, target);
+        this.updateCopyTray();
+        focusItem(Math.max(0, Math.min(target, this.copyTray.items.length - 1)));
+      }
+    });
+
+    let dragIndex = -1;
+    this.copyTrayList.addEventListener("dragstart", (e) => {
+      dragIndex = indexOf(e.target);
+      e.dataTransfer.effectAllowed = "move";
+    });
+    this.copyTrayList.addEventListener("dragover", (e) => {
+      if (dragIndex !== -1 && indexOf(e.target) !== -1) e.preventDefault();
+    });
+    this.copyTrayList.addEventListener("drop", (e) => {
+      e.preventDefault();
+      const target = indexOf(e.target);
+      if (dragIndex !== -1 && target !== -1) {
+        this.copyTray.move(dragIndex, target);
+        this.updateCopyTray();
+      }
+      dragIndex = -1;
+    });
+    this.copyTrayList.addEventListener("dragend", () => {
+      dragIndex = -1;
+    });
+
+    this.setupTemplateEditorListeners();
+  }
+
+  /**
+   * Persists favorites, lists and history, and refreshes the list filter's counts.
+   * Sync quota errors are shown in the notification rather than lost in the console.
+   *
+   * Interactions:
+   * - Called after every change to the word lists.
+   */
+  updateWordLists() {
+    this.populateListFilter();
+    this.wordLists.save().catch((err) => {
+      console.error("Could not save word lists: ", err);
+      this.showCopyNotification(`Could not sync lists: ${err.message}`);
+    });
+  }
+
+  /**
+   * Opens the lists editor. With a word, each list gets a checkbox to add the word to it
+   * or take it out; without one, the editor only manages (creates, renames, deletes) lists.
+   *
+   * @param {Object} [word] - The word to file into lists.
+   */
+  openListsEditor(word = null) {
+    this.listsWord = word;
+    this.listsTitle.textContent = word ? `Lists for "${word.term}"` : "Lists";
+    this.newListName.value = "";
+    this.showListsError("");
+    this.renderListsEditor();
+    this.listsEditor.hidden = false;
+    this.newListName.focus();
+  }
+  closeListsEditor() {
+    this.listsEditor.hidden = true;
+    this.listsWord = null;
+  }
+  showListsError(message) {
+    this.listsError.textContent = message;
+    this.listsError.hidden = !message;
+  }
+
+  /**
+   * Renders the named lists in the lists editor.
+   */
+  renderListsEditor() {
+    this.listsList.innerHTML = "";
+    this.wordLists.lists.forEach((list) => {
+      const item = document.createElement("li");
+      item.dataset.list = list.id;
+
+      const label = document.createElement("label");
+      if (this.listsWord) {
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = this.wordLists.isInList(list.id, this.listsWord);
+        label.appendChild(checkbox);
+      }
+      const name = document.createElement("span");
+      name.textContent = `${list.name} (${list.words.length})`;
+      label.appendChild(name);
+      item.appendChild(label);
+
+      [
+        ["rename-list", "icon-pen", `Rename "${list.name}"`],
+        ["delete-list", "icon-trash", `Delete "${list.name}"`],
+      ].forEach(([action, icon, title]) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.classList.add("icon-button");
+        button.dataset.action = action;
+        button.title = title;
+        button.innerHTML = `<i class="icon ${icon}"></i>`;
+        item.appendChild(button);
+      });
+      this.listsList.appendChild(item);
+    });
+
+    if (this.wordLists.lists.length === 0) {
+      const empty = document.createElement("li");
+      empty.classList.add("tray-hint");
+      empty.textContent = "No lists yet.";
+      this.listsList.appendChild(empty);
+    }
+    this.clearHistoryButton.disabled = this.wordLists.history.length === 0;
+  }
+
+  /**
+   * Sets up event listeners for the list filter, the lists editor and the row star buttons.
+   *
+   * @param {Function} onChange - Called after the list filter or any list changes, so the
+   *   word table can be filtered and re-rendered.
+   *
+   * Interactions:
+   * - Every change is persisted through updateWordLists().
+   */
+  setupListListeners(onChange) {
+    this.onListsChanged = (change) => {
+      try {
+        change();
+      } catch (error) {
+        // A star on a row changes the lists with the editor closed
+        if (this.listsEditor.hidden) this.showCopyNotification(error.message);
+        else this.showListsError(error.message);
+        return;
+      }
+      this.showListsError("");
+      this.updateWordLists();
+      if (!this.listsEditor.hidden) this.renderListsEditor();
+      onChange();
+    };
+
+    this.listFilter.addEventListener("change", onChange);
+
+    this.listsButton.addEventListener("click", () => this.openListsEditor());
+
+    this.newListForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.onListsChanged(() => {
+        const list = this.wordLists.createList(this.newListName.value);
+        if (this.listsWord) this.wordLists.setInList(list.id, this.listsWord, true);
+        this.newListName.value = "";
+      });
+    });
+
+    this.listsList.addEventListener("change", (e) => {
+      const item = e.target.closest("li[data-list]");
+      if (!item || !this.listsWord) return;
+      this.onListsChanged(() =>
+        this.wordLists.setInList(item.dataset.list, this.listsWord, e.target.checked)
+      );
+    });
+
+    this.listsList.addEventListener("click", (e) => {
+      const button = e.target.closest("button[data-action]");
+      if (!button) return;
+      const list = this.wordLists.getList(button.closest("li[data-list]").dataset.list);
+      if (button.dataset.action === "rename-list") {
+        const name = prompt("Rename list", list.name);
+        if (name !== null) this.onListsChanged(() => this.wordLists.renameList(list.id, name));
+      } else if (confirm(`Delete the "${list.name}" list?`)) {
+        this.onListsChanged(() => this.wordLists.deleteList(list.id));
+      }
+    });
+
+    this.clearHistoryButton.addEventListener("click", () => {
+      if (confirm("Clear the recently copied history?")) {
+        this.onListsChanged(() => this.wordLists.clearHistory());
+      }
+    });
+
+    this.listsClose.addEventListener("click", () => this.closeListsEditor());
+    this.listsEditor.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") this.closeListsEditor();
+    });
+  }
+
+  /**
+   * Opens the saved searches dialog.
+   *
+   * @param {Array<Object>} searches - The saved searches `{id, name, state}`.
+   */
+  openSavedSearches(searches) {
+    this.saveSearchName.value = "";
+    this.showSavedSearchesError("");
+    this.renderSavedSearches(searches);
+    this.savedSearches.hidden = false;
+    this.saveSearchName.focus();
+  }
+  closeSavedSearches() {
+    this.savedSearches.hidden = true;
+  }
+  showSavedSearchesError(message) {
+    this.savedSearchesError.textContent = message;
+    this.savedSearchesError.hidden = !message;
+  }
+
+  /**
+   * Renders the saved searches, each with its search text (or "All words") as a subtitle.
+   *
+   * @param {Array<Object>} searches - The saved searches `{id, name, state}`.
+   */
+  renderSavedSearches(searches) {
+    this.savedSearchesList.innerHTML = "";
+    searches.forEach((search) => {
+      const item = document.createElement("li");
+      item.dataset.search = search.id;
+
+      const apply = document.createElement("button");
+      apply.type = "button";
+      apply.classList.add("saved-search");
+      apply.dataset.action = "apply-search";
+      apply.title = `Show "${search.name}"`;
+      const name = document.createElement("span");
+      name.textContent = search.name;
+      const query = document.createElement("span");
+      query.classList.add("saved-search-query");
+      query.textContent = search.state.query || "All words";
+      apply.appendChild(name);
+      apply.appendChild(query);
+      item.appendChild(apply);
+
+      [
+        ["rename-search", "icon-pen", `Rename "${search.name}"`],
+        ["delete-search", "icon-trash", `Delete "${search.name}"`],
+      ].forEach(([action, icon, title]) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.classList.add("icon-button");
+        button.dataset.action = action;
+        button.title = title;
+        button.innerHTML = `<i class="icon ${icon}"></i>`;
+        item.appendChild(button);
+      });
+      this.savedSearchesList.appendChild(item);
+    });
+
+    if (searches.length === 0) {
+      const empty = document.createElement("li");
+      empty.classList.add("tray-hint");
+      empty.textContent = "No saved searches yet.";
+      this.savedSearchesList.appendChild(empty);
+    }
+  }
+
+  /**
+   * Sets up event listeners for the saved searches dialog.
+   *
+   * @param {Object} handlers - Callbacks to the controller, which owns the saved searches.
+   * @param {Function} handlers.onOpen - Called when the dialog is requested.
+   * @param {Function} handlers.onSave - Called with a name to save the current search under.
+   * @param {Function} handlers.onApply - Called with a saved search's id to show it.
+   * @param {Function} handlers.onRename - Called with a saved search's id and new name.
+   * @param {Function} handlers.onDelete - Called with a saved search's id.
+   * @param {Function} handlers.onCopyLink - Called to copy a link to the current search.
+   *
+   * Interactions:
+   * - Errors thrown by the handlers (e.g. an empty name) are shown in the dialog.
+   */
+  setupSavedSearchListeners({ onOpen, onSave, onApply, onRename, onDelete, onCopyLink }) {
+    const run = async (action) => {
+      try {
+        await action();
+        this.showSavedSearchesError("");
+      } catch (error) {
+        this.showSavedSearchesError(error.message);
+      }
+    };
+
+    this.savedSearchesButton.addEventListener("click", onOpen);
+
+    this.saveSearchForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      run(async () => {
+        await onSave(this.saveSearchName.value);
+        this.saveSearchName.value = "";
+      });
+    });
+
+    this.savedSearchesList.addEventListener("click", (e) => {
+      const button = e.target.closest("button[data-action]");
+      if (!button) return;
+      const id = button.closest("li[data-search]").dataset.search;
+      const name = button.closest("li[data-search]").querySelector(".saved-search span");
+      if (button.dataset.action === "apply-search") {
+        this.closeSavedSearches();
+        onApply(id);
+      } else if (button.dataset.action === "rename-search") {
+        const newName = prompt("Rename search", name.textContent);
+        if (newName !== null) run(() => onRename(id, newName));
+      } else if (confirm(`Delete the "${name.textContent}" search?`)) {
+        run(() => onDelete(id));
+      }
+    });
+
+    this.copySearchLink.addEventListener("click", onCopyLink);
+    this.savedSearchesClose.addEventListener("click", () => this.closeSavedSearches());
+    this.savedSearches.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") this.closeSavedSearches();
+    });
+  }
+
+  /**
+   * Opens the tag manager.
+   *
+   * @param {number} shownCount - How many words the filters show, which bulk tagging tags.
+   */
+  openTagManager(shownCount) {
+    this.tagManagerSearch.value = "";
+    this.bulkTagName.value = "";
+    this.tagManagerSelection.clear();
+    this.showTagManagerError("");
+    this.renderTagManager(shownCount);
+    this.tagManager.hidden = false;
+    this.tagManagerSearch.focus();
+  }
+  closeTagManager() {
+    this.tagManager.hidden = true;
+  }
+  showTagManagerError(message) {
+    this.tagManagerError.textContent = message;
+    this.tagManagerError.hidden = !message;
+  }
+
+  /**
+   * Renders the tag manager: every tag as a tree following the tag hierarchy, with how
+   * many words are under it, filtered by the manager's search box; the groups of tags
+   * that look like duplicates; and the bulk tagging form.
+   *
+   * @param {number} [shownCount] - How many words the filters show; defaults to the last
+   *   count rendered.
+   *
+   * Interactions:
+   * - Called by the controller after every change made in the manager.
+   */
+  renderTagManager(shownCount = this.shownWordCount) {
+    this.shownWordCount = shownCount;
+    const tagCounts = this.model.getUniqueTags(this.model.getAllWords(), true);
+    const counts = new Map(tagCounts.map(({ tag, count }) => [tag, count]));
+    const usedOnce = this.model.getUniqueTags().filter(({ count }) => count === 1).length;
+    this.tagManagerSummary.textContent =
+      `${counts.size} tags, ${usedOnce} of them on a single word. ` +
+      "Tick tags to merge them; a tag's words include those of the tags filed under it.";
+    this.tagManagerSelection.forEach((tag) => {
+      if (!counts.has(tag)) this.tagManagerSelection.delete(tag);
+    });
+
+    const search = this.tagManagerSearch.value.trim().toLowerCase();
+    const tags = Array.from(counts.keys()).filter(
+      (tag) => !search || tag.toLowerCase().includes(search)
+    );
+    this.tagManagerList.innerHTML = "";
+    this.model.tagTaxonomy.toTree(tags).forEach(({ tag, depth }) => {
+      const item = document.createElement("li");
+      item.dataset.tag = tag;
+      item.style.setProperty("--depth", depth);
+
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = this.tagManagerSelection.has(tag);
+      const name = document.createElement("span");
+      name.classList.add("tag-name");
+      name.textContent = tag;
+      const count = document.createElement("span");
+      count.classList.add("tag-count");
+      count.textContent = counts.get(tag);
+      label.appendChild(checkbox);
+      label.appendChild(name);
+      label.appendChild(count);
+      item.appendChild(label);
+
+      [
+        ["set-parent", "icon-sitemap", `File "${tag}" under another tag`],
+        ["rename-tag", "icon-pen", `Rename "${tag}" on every word`],
+      ].forEach(([action, icon, title]) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.classList.add("icon-button");
+        button.dataset.action = action;
+        button.title = title;
+        button.innerHTML = `<i class="icon ${icon}"></i>`;
+        item.appendChild(button);
+      });
+      this.tagManagerList.appendChild(item);
+    });
+    if (tags.length === 0) {
+      const empty = document.createElement("li");
+      empty.classList.add("tray-hint");
+      empty.textContent = "No matching tags";
+      this.tagManagerList.appendChild(empty);
+    }
+    this.updateMergeButton();
+
+    this.similarTags = this.model.getSimilarTags();
+    this.similarTagsList.innerHTML = "";
+    this.similarTags.forEach((group, index) => {
+      const item = document.createElement("li");
+      item.dataset.group = index;
+      const names = document.createElement("span");
+      names.classList.add("similar-tags");
+      names.textContent = group.map((tag) => `${tag} (${counts.get(tag)})`).join(", ");
+      const merge = document.createElement("button");
+      merge.type = "button";
+      merge.classList.add("secondary-button");
+      merge.dataset.action = "merge-similar";
+      merge.textContent = `Merge into "${group[0]}"`;
+      item.appendChild(names);
+      item.appendChild(merge);
+      this.similarTagsList.appendChild(item);
+    });
+    this.similarTagsSection.hidden = this.similarTags.length === 0;
+
+    this.bulkTagTitle.textContent =
+      shownCount === 1 ? "Tag the shown word" : `Tag the ${shownCount} shown words`;
+  }
+
+  /**
+   * Enables the merge button once two or more tags are ticked, and says how many.
+   */
+  updateMergeButton() {
+    const selected = this.tagManagerSelection.size;
+    this.mergeTagsButton.disabled = selected < 2;
+    this.mergeTagsButton.textContent =
+      selected < 2 ? "Merge selected" : `Merge ${selected} tags`;
+  }
+
+  /**
+   * Sets up event listeners for the tag manager.
+   *
+   * @param {Object} handlers - Callbacks to the controller, which writes the changes back
+   *   through the model.
+   * @param {Function} handlers.onOpen - Called when the manager is requested.
+   * @param {Function} handlers.onMerge - Called with the tags to merge and the tag they
+   *   become.
+   * @param {Function} handlers.onRename - Called with a tag and its new name.
+   * @param {Function} handlers.onSetParent - Called with a tag and its new parent tag
+   *   ("" for none).
+   * @param {Function} handlers.onBulkTag - Called with a tag to add to the shown words.
+   *
+   * Interactions:
+   * - Errors thrown by the handlers (e.g. an empty name) are shown in the manager.
+   */
+  setupTagManagerListeners({ onOpen, onMerge, onRename, onSetParent, onBulkTag }) {
+    const run = async (action) => {
+      try {
+        await action();
+        this.showTagManagerError("");
+      } catch (error) {
+        this.showTagManagerError(error.message);
+      }
+    };
+    const mostUsed = (tags) => {
+      const counts = new Map(this.model.getUniqueTags().map(({ tag, count }) => [tag, count]));
+      return [...tags].sort((a, b) => (counts.get(b) || 0) - (counts.get(a) || 0))[0];
+    };
+
+    this.tagsButton.addEventListener("click", onOpen);
+    this.tagManagerSearch.addEventListener("input", () => this.renderTagManager());
+
+    this.tagManagerList.addEventListener("change", (e) => {
+      const item = e.target.closest("li[data-tag]");
+      if (!item) return;
+      if (e.target.checked) this.tagManagerSelection.add(item.dataset.tag);
+      else this.tagManagerSelection.delete(item.dataset.tag);
+      this.updateMergeButton();
+    });
+
+    this.tagManagerList.addEventListener("click", (e) => {
+      const button = e.target.closest("button[data-action]");
+      if (!button) return;
+      const tag = button.closest("li[data-tag]").dataset.tag;
+      if (button.dataset.action === "rename-tag") {
+        const name = prompt(`Rename "${tag}" on every word`, tag);
+        if (name !== null) run(() => onRename(tag, name));
+      } else {
+        const parent = prompt(
+          `File "${tag}" under which tag? Leave empty for none.`,
+          this.model.tagTaxonomy.getParent(tag) || ""
+        );
+        if (parent !== null) run(() => onSetParent(tag, parent));
+      }
+    });
+
+    this.mergeTagsButton.addEventListener("click", () => {
+      const tags = Array.from(this.tagManagerSelection);
+      const into = prompt(`Merge ${tags.join(", ")} into`, mostUsed(tags));
+      if (into === null) return;
+      run(async () => {
+        await onMerge(tags, into);
+        this.tagManagerSelection.clear();
+        this.renderTagManager();
+      });
+    });
+
+    this.similarTagsList.addEventListener("click", (e) => {
+      const button = e.target.closest("button[data-action='merge-similar']");
+      if (!button) return;
+      const group = this.similarTags[Number(button.closest("li").dataset.group)];
+      run(() => onMerge(group, group[0]));
+    });
+
+    this.bulkTagForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      run(async () => {
+        await onBulkTag(this.bulkTagName.value);
+        this.bulkTagName.value = "";
+      });
+    });
+
+    this.tagManagerClose.addEventListener("click", () => this.closeTagManager());
+    this.tagManager.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") this.closeTagManager();
+    });
+  }
+
+  /**
+   * Opens the template editor on a template.
+   *
+   * @param {string} [id] - The template to show; defaults to the chosen template.
+   */
+  openTemplateEditor(id = this.copyTray.getTemplate().id) {
+    this.templateSelect.innerHTML = "";
+    this.copyTray.getTemplates().forEach((template) => {
+      const option = document.createElement("option");
+      option.value = template.id;
+      option.textContent = template.builtIn ? `${template.name} (built-in)` : template.name;
+      this.templateSelect.appendChild(option);
+    });
+    const newOption = document.createElement("option");
+    newOption.value = "";
+    newOption.textContent = "New template…";
+    this.templateSelect.appendChild(newOption);
+
+    this.templateSelect.value = id;
+    this.showTemplate(id);
+    this.copyTemplates.hidden = false;
+    this.templateName.focus();
+  }
+  closeTemplateEditor() {
+    this.copyTemplates.hidden = true;
+  }
+
+  /**
+   * Fills the template editor's fields from a template. Line breaks and tabs are shown
+   * as `\n` and `\t` so they can be typed into single-line fields.
+   *
+   * @param {string} id - The template id, or "" for a new template.
+   */
+  showTemplate(id) {
+    const template = id
+      ? this.copyTray.getTemplate(id)
+      : { name: "", item: "{term}", separator: "\n", empty: "" };
+    const escape = (text) => text.replace(/\n/g, "\\n").replace(/\t/g, "\\t");
+    this.templateName.value = template.name;
+    this.templateItem.value = escape(template.item);
+    this.templateSeparator.value = escape(template.separator);
+    this.templateEmpty.value = escape(template.empty || "");
+    this.templateDelete.hidden = !id || Boolean(template.builtIn);
+    this.templateError.hidden = true;
+  }
+
+  /**
+   * Reads the template editor's fields, turning `\n` and `\t` back into line breaks and tabs.
+   *
+   * @returns {Object} `{id, name, item, separator, empty}`.
+   */
+  readTemplateEditor() {
+    const unescape = (text) => text.replace(/\\n/g, "\n").replace(/\\t/g, "\t");
+    return {
+      id: this.templateSelect.value,
+      name: this.templateName.value,
+      item: unescape(this.templateItem.value),
+      separator: unescape(this.templateSeparator.value),
+      empty: unescape(this.templateEmpty.value),
+    };
+  }
+
+  /**
+   * Sets up event listeners for the template editor.
+   *
+   * Interactions:
+   * - Saving a template also makes it the tray's chosen template.
+   */
+  setupTemplateEditorListeners() {
+    this.copyTemplatesButton.addEventListener("click", () => this.openTemplateEditor());
+    this.templateSelect.addEventListener("change", () =>
+      this.showTemplate(this.templateSelect.value)
+    );
+
+    this.copyTemplatesForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      try {
+        const id = this.copyTray.saveTemplate(this.readTemplateEditor());
+        this.copyTray.setTemplate(id);
+        this.updateCopyTray();
+        this.openTemplateEditor(id);
+      } catch (error) {
+        this.templateError.textContent = error.message;
+        this.templateError.hidden = false;
+      }
+    });
+
+    this.templateDelete.addEventListener("click", () => {
+      const template = this.copyTray.getTemplate(this.templateSelect.value);
+      if (confirm(`Delete the "${template.name}" template?`)) {
+        this.copyTray.deleteTemplate(template.id);
+        this.updateCopyTray();
+        this.openTemplateEditor();
+      }
+    });
+
+    this.copyTemplatesClose.addEventListener("click", () => this.closeTemplateEditor());
+    this.copyTemplates.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") this.closeTemplateEditor();
+    });
+  }
+
+  /**
+   * Renders the list of words in the table body.
+   *
+   * The table is virtualized: only the rows scrolled into view (plus `OVERSCAN_ROWS` on
+   * each side) exist in the DOM, between two spacer rows that stand in for the rest, so
+   * catalogs with tens of thousands of words render as fast as small ones.
+   *
+   * @param {Array<Object>} words - The array of word objects to render.
+   * @param {Map<Object, Object>} [matches] - Search highlight ranges per word (see `model.getSearchMatches()`).
+   *
+   * Interactions:
+   * - Updates the words table DOM element through `renderVisibleRows()`.
+   * - Updates the word count display.
+   * - Clicks are handled for all rows at once by `setupTableListeners()`.
+   */
+  renderWords(words, matches = new Map()) {
+    if (this.detailWord) this.refreshWordDetail();
+    this.renderedWords = words;
+    this.renderedMatches = matches;
+    this.activeRowIndex = -1;
+    this.renderVisibleRows(true);
+    this.wordCountSpan.textContent = words.length;
+  }
+
+  /**
+   * Renders the rows in view of the table's scroll position.
+   *
+   * @param {boolean} [force=false] - Re-render even if the same rows are already shown,
+   *   e.g. because the words changed.
+   */
+  renderVisibleRows(force = false) {
+    const count = this.renderedWords.length;
+    const headerHeight = this.wordsTableHead.offsetHeight;
+    const viewHeight = this.tableContainer.clientHeight || window.innerHeight;
+    const overscan = VocabCatalogViewerView.OVERSCAN_ROWS;
+    const firstVisible = Math.floor(
+      Math.max(0, this.tableContainer.scrollTop - headerHeight) / this.rowHeight
+    );
+    const start = Math.max(0, Math.min(firstVisible, count) - overscan);
+    const end = Math.min(count, firstVisible + Math.ceil(viewHeight / this.rowHeight) + overscan);
+
+    const range = this.renderedRange;
+    if (!force && range && range.start === start && range.end === end) return;
+    this.renderedRange = { start, end };
+    // Screen readers count the rows from these, as most of them aren't in the DOM
+    this.wordsGrid.setAttribute("aria-rowcount", String(count + 1));
+    const focused = this.wordsTable.contains(document.activeElement)
+      ? document.activeElement
+      : null;
+
+    const fragment = document.createDocumentFragment();
+    fragment.appendChild(this.createSpacerRow(start));
+    for (let index = start; index < end; index++) {
+      fragment.appendChild(this.createWordRow(this.renderedWords[index], index));
+    }
+    fragment.appendChild(this.createSpacerRow(count - end));
+    this.wordsTable.innerHTML = "";
+    this.wordsTable.appendChild(fragment);
+    // Keep the keyboard focus on its row (or row button) when the rows are rebuilt
+    const focusedRow = focused && focused.closest("tr[data-index]");
+    const row = focusedRow && this.getRenderedRow(Number(focusedRow.dataset.index));
+    if (row) {
+      const action = focused.dataset.action;
+      const button = action && row.querySelector(`[data-action="${action}"]`);
+      (button || row).focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * @param {number} index - A row's index in the rendered words.
+   * @returns {HTMLTableRowElement|null} The row, or null when it isn't rendered.
+   */
+  getRenderedRow(index) {
+    return this.wordsTable.querySelector(`tr[data-index="${index}"]`);
+  }
+
+  /**
+   * Creates an empty row that takes the place of rows that aren't rendered.
+   *
+   * @param {number} rows - How many rows it stands in for.
+   * @returns {HTMLTableRowElement} The spacer row.
+   */
+  createSpacerRow(rows) {
+    const row = document.createElement("tr");
+    row.classList.add("spacer-row");
+    row.setAttribute("aria-hidden", "true");
+    const cell = document.createElement("td");
+    cell.colSpan = this.wordsTableHead.rows[0].cells.length;
+    cell.style.height = `${rows * this.rowHeight}px`;
+    row.appendChild(cell);
+    return row;
+  }
+
+  /**
+   * Creates the row for a word.
+   *
+   * @param {Object} word - The word.
+   * @param {number} index - The word's index in the rendered words.
+   * @returns {HTMLTableRowElement} The row.
+   *
+   * Interactions:
+   * - Wraps matched search text in `<mark>` elements.
+   * - Action buttons carry a `data-action` for `setupTableListeners()`.
+   * - Only the highlighted row (the first one when none is) and its buttons are in the
+   *   tab order; the arrow keys move between rows (see `setActiveRow()`).
+   */
+  createWordRow(word, index) {
+    const row = document.createElement("tr");
+    row.dataset.index = index;
+    // The header is row 1
+    row.setAttribute("aria-rowindex", String(index + 2));
+    row.tabIndex = index === Math.max(this.activeRowIndex, 0) ? 0 : -1;
+    if (index === this.activeRowIndex) {
+      row.classList.add("active-row");
+      row.setAttribute("aria-selected", "true");
+    }
+    if (word === this.detailWord) row.classList.add("detail-row");
+    const ranges = this.renderedMatches.get(word) || {};
+    this.tableColumns.getVisibleColumns().forEach(({ id }) => {
+      row.appendChild(this.createWordCell(id, word, ranges));
+    });
+
+    const actionsCell = document.createElement("td");
+    actionsCell.classList.add("row-actions");
+    const isFavorite = this.wordLists.isFavorite(word);
+    [
+      {
+        action: "star",
+        className: "star-button",
+        title: isFavorite ? `Unstar "${word.term}"` : `Star "${word.term}"`,
+        icon: isFavorite ? "icon-star" : "icon-star-outline",
+      },
+      { action: "lists", title: `Add "${word.term}" to lists`, icon: "icon-list" },
+      { action: "edit", title: `Edit "${word.term}"`, icon: "icon-pen" },
+      { action: "details", title: `Details of "${word.term}"`, icon: "icon-circle-info" },
+    ].forEach(({ action, className, title, icon }) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.classList.add("icon-button");
+      if (className) button.classList.add(className);
+      button.dataset.action = action;
+      button.title = title;
+      button.tabIndex = row.tabIndex;
+      button.innerHTML = `<i class="icon ${icon}"></i>`;
+      actionsCell.appendChild(button);
+    });
+    actionsCell.querySelector(".star-button").classList.toggle("starred", isFavorite);
+    actionsCell
+      .querySelector('[data-action="details"]')
+      .setAttribute("aria-expanded", String(word === this.detailWord));
+    row.appendChild(actionsCell);
+    return row;
+  }
+
+  /**
+   * Creates a word's cell for one column.
+   *
+   * @param {string} id - The column id (see `VocabTableColumns.COLUMNS`).
+   * @param {Object} word - The word.
+   * @param {Object} ranges - The word's search highlight ranges.
+   * @returns {HTMLTableCellElement} The cell.
+   */
+  createWordCell(id, word, ranges) {
+    const cell = document.createElement("td");
+    if (id === "term") {
+      this.appendHighlighted(cell, word.term, ranges.term);
+      if (word.class === "Big") cell.classList.add("big-word");
+      if (word.source !== "bundled") cell.classList.add("user-word");
+      // Several collections can hold the same term, so say where each row comes from
+      if (this.model.activeCollections.length > 1) {
+        const label = document.createElement("span");
+        label.classList.add("collection-label");
+        label.textContent = this.model.getCollectionName(word.collection);
+        cell.appendChild(label);
+      }
+    } else if (id === "definition") {
+      // Long definitions are clamped to keep rows the same height; the title shows the rest
+      const definition = document.createElement("div");
+      definition.classList.add("definition");
+      definition.title = word.definition || "";
+      this.appendHighlighted(definition, word.definition, ranges.definition);
+      cell.appendChild(definition);
+    } else if (id === "tags") {
+      const tagList = document.createElement("div");
+      tagList.classList.add("tag-list");
+      (word.tags || []).forEach((tag) => {
+        const tagSpan = document.createElement("span");
+        tagSpan.classList.add("tag");
+        this.appendHighlighted(tagSpan, tag, ranges[tag]);
+        tagList.appendChild(tagSpan);
+      });
+      cell.appendChild(tagList);
+    } else if (id === "length") {
+      cell.textContent = (word.term || "").length;
+      cell.classList.add("number-cell");
+    } else if (id === "added") {
+      // Only words the user added have a date; shipped words show a dash
+      cell.textContent = word.addedAt ? new Date(word.addedAt).toLocaleDateString() : "—";
+      if (word.addedAt) cell.title = new Date(word.addedAt).toLocaleString();
+    } else {
+      cell.textContent = word[id];
+      // Facet values the metadata gives a color, such as the types
+      const color = this.facetColors[id] && this.facetColors[id][word[id]];
+      if (color) {
+        cell.classList.add("facet-value");
+        cell.style.setProperty("--facet-color", color);
+      }
+    }
+    return cell;
+  }
+
+  /**
+   * Renders the words table's header for the visible columns, with each column's sort
+   * direction and, when sorting by several columns, its place among the sort keys.
+   */
+  renderTableHeader() {
+    const header = this.wordsTableHead.rows[0];
+    header.innerHTML = "";
+    header.setAttribute("aria-rowindex", "1");
+    const multiSort = this.tableColumns.sort.length > 1;
+    this.tableColumns.getVisibleColumns().forEach(({ id, label }) => {
+      const th = document.createElement("th");
+      const sortState = this.tableColumns.getSortState(id);
+      th.setAttribute(
+        "aria-sort",
+        sortState ? (sortState.direction === "asc" ? "ascending" : "descending") : "none"
+      );
+
+      const button = document.createElement("button");
+      button.type = "button";
+      button.classList.add("sort-button");
+      button.dataset.sort = id;
+      button.title = `Sort by ${label.toLowerCase()} (Shift+click to add as a further sort key)`;
+      button.textContent = label;
+      if (sortState) {
+        const indicator = document.createElement("span");
+        indicator.classList.add("sort-indicator");
+        indicator.textContent =
+          (sortState.direction === "asc" ? "▲" : "▼") + (multiSort ? sortState.priority : "");
+        button.appendChild(indicator);
+      }
+      th.appendChild(button);
+      header.appendChild(th);
+    });
+
+    const actionsHeader = document.createElement("th");
+    actionsHeader.classList.add("row-actions");
+    const columnsButton = document.createElement("button");
+    columnsButton.type = "button";
+    columnsButton.id = "table-columns-button";
+    columnsButton.classList.add("icon-button");
+    columnsButton.title = "Columns";
+    columnsButton.innerHTML = '<i class="icon icon-table-columns"></i>';
+    actionsHeader.appendChild(columnsButton);
+    header.appendChild(actionsHeader);
+  }
+
+  /**
+   * Persists the column layout and sort.
+   */
+  saveTableLayout() {
+    this.tableColumns.save().catch((err) => {
+      console.error("Could not save the table layout: ", err);
+    });
+  }
+
+  /**
+   * Opens the column settings, where columns are shown, hidden and reordered.
+   */
+  openColumnsEditor() {
+    this.renderColumnsEditor();
+    this.columnsEditor.hidden = false;
+    const first = this.columnsList.querySelector("input");
+    if (first) first.focus();
+  }
+  closeColumnsEditor() {
+    this.columnsEditor.hidden = true;
+  }
+
+  /**
+   * Renders the columns, in table order, in the column settings.
+   */
+  renderColumnsEditor() {
+    this.columnsList.innerHTML = "";
+    const columns = this.tableColumns.getColumns();
+    columns.forEach(({ id, label, visible }, index) => {
+      const item = document.createElement("li");
+      item.dataset.column = id;
+
+      const checkboxLabel = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = visible;
+      checkboxLabel.appendChild(checkbox);
+      const name = document.createElement("span");
+      name.textContent = label;
+      checkboxLabel.appendChild(name);
+      item.appendChild(checkboxLabel);
+
+      [
+        ["move-up", "icon-arrow-up", `Move "${label}" up`, index === 0],
+        ["move-down", "icon-arrow-down", `Move "${label}" down`, index === columns.length - 1],
+      ].forEach(([action, icon, title, disabled]) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.classList.add("icon-button");
+        button.dataset.action = action;
+        button.title = title;
+        button.disabled = disabled;
+        button.innerHTML = `<i class="icon ${icon}"></i>`;
+        item.appendChild(button);
+      });
+      this.columnsList.appendChild(item);
+    });
+  }
+
+  /**
+   * Sets up sorting from the column headers and the column settings dialog.
+   *
+   * @param {Function} onSortChange - Called after the sort changes, so the words can be
+   *   filtered and sorted again.
+   *
+   * Interactions:
+   * - Click a header to sort by that column (again to reverse, a third time to unsort);
+   *   Shift+click adds it as a further sort key.
+   * - Every change is persisted through saveTableLayout().
+   */
+  setupColumnListeners(onSortChange) {
+    const onLayoutChanged = (change) => {
+      change();
+      this.saveTableLayout();
+      this.renderTableHeader();
+      this.renderVisibleRows(true);
+      if (!this.columnsEditor.hidden) this.renderColumnsEditor();
+    };
+
+    this.wordsTableHead.addEventListener("click", (e) => {
+      if (e.target.closest("#table-columns-button")) {
+        this.openColumnsEditor();
+        return;
+      }
+      const button = e.target.closest("button[data-sort]");
+      if (!button) return;
+      this.tableColumns.toggleSort(button.dataset.sort, e.shiftKey);
+      this.saveTableLayout();
+      this.renderTableHeader();
+      this.wordsTableHead.querySelector(`[data-sort="${button.dataset.sort}"]`).focus();
+      onSortChange();
+    });
+
+    this.columnsList.addEventListener("change", (e) => {
+      const item = e.target.closest("li[data-column]");
+      if (!item) return;
+      onLayoutChanged(() => this.tableColumns.setVisible(item.dataset.column, e.target.checked));
+    });
+
+    this.columnsList.addEventListener("click", (e) => {
+      const button = e.target.closest("button[data-action]");
+      if (!button) return;
+      const id = button.closest("li[data-column]").dataset.column;
+      onLayoutChanged(() => this.tableColumns.move(id, button.dataset.action === "move-up" ? -1 : 1));
+      const moved = this.columnsList.querySelector(
+        `li[data-column="${id}"] [data-action="${button.dataset.action}"]`
+      );
+      if (moved && !moved.disabled) moved.focus();
+    });
+
+    this.columnsReset.addEventListener("click", () =>
+      onLayoutChanged(() => this.tableColumns.resetLayout())
+    );
+    this.columnsClose.addEventListener("click", () => this.closeColumnsEditor());
+    this.columnsEditor.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") this.closeColumnsEditor();
+    });
+  }
+
+  /**
+   * Sets up the words table: one set of listeners for every row, and rendering the rows
+   * that scroll into view.
+   *
+   * Interactions:
+   * - Click copies a row's word (adding it to the tray); right-click clears the tray first.
+   * - The star, lists and edit buttons favorite the word, open the lists dialog, or open
+   *   the word editor.
+   */
+  setupTableListeners() {
+    const getRowIndex = (e) => {
+      const row = e.target.closest("tr[data-index]");
+      return row ? Number(row.dataset.index) : -1;
+    };
+
+    this.wordsTable.addEventListener("click", (e) => {
+      const index = getRowIndex(e);
+      if (index === -1 || e.button !== 0) return;
+      const word = this.renderedWords[index];
+      const button = e.target.closest("button[data-action]");
+      if (!button) {
+        this.setActiveRow(index);
+        this.handleWordCopy(word);
+      } else if (button.dataset.action === "star") {
+        this.onListsChanged(() => this.wordLists.toggleFavorite(word));
+      } else if (button.dataset.action === "lists") {
+        this.openListsEditor(word);
+      } else if (button.dataset.action === "edit") {
+        this.openWordEditor(word);
+      } else if (button.dataset.action === "details") {
+        this.toggleWordDetail(word);
+      }
+    });
+    this.wordsTable.addEventListener("contextmenu", (e) => {
+      const index = getRowIndex(e);
+      if (index === -1) return;
+      e.preventDefault();
+      this.setActiveRow(index);
+      this.handleWordCopy(this.renderedWords[index], true);
+    });
+
+    let frame = null;
+    const update = () => {
+      frame = null;
+      this.renderVisibleRows();
+    };
+    this.tableContainer.addEventListener("scroll", () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    });
+    window.addEventListener("resize", () => this.renderVisibleRows());
+  }
+
+  /**
+   * Appends text to an element, wrapping the given ranges in `<mark>` elements.
+   *
+   * @param {HTMLElement} element - The element to append to.
+   * @param {string} text - The text to display.
+   * @param {Array<Array<number>>} [ranges] - `[start, end]` pairs to highlight.
+   */
+  appendHighlighted(element, text, ranges) {
+    if (!ranges || ranges.length === 0) {
+      element.textContent = text;
+      return;
+    }
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+    let position = 0;
+    sorted.forEach(([start, end]) => {
+      if (start < position) return;
+      if (start > position) {
+        element.appendChild(document.createTextNode(text.slice(position, start)));
+      }
+      const mark = document.createElement("mark");
+      mark.textContent = text.slice(start, end);
+      element.appendChild(mark);
+      position = end;
+    });
+    if (position < text.length) {
+      element.appendChild(document.createTextNode(text.slice(position)));
+    }
+  }
+
+  /**
+   * Opens the detail pane below the table on a word: its optional fields (pronunciation,
+   * part of speech, register, synonyms, antonyms, examples, related words) as well as the
+   * ones the table shows.
+   *
+   * @param {Object} word - The word to show.
+   */
+  openWordDetail(word) {
+    this.detailWord = word;
+    this.renderWordDetail();
+    this.wordDetail.hidden = false;
+    // The table got shorter, so other rows are in view
+    this.renderVisibleRows(true);
+  }
+  closeWordDetail() {
+    this.detailWord = null;
+    this.wordDetail.hidden = true;
+    this.renderVisibleRows(true);
+  }
+  toggleWordDetail(word) {
+    if (word === this.detailWord) this.closeWordDetail();
+    else this.openWordDetail(word);
+  }
+
+  /**
+   * Points the detail pane at the current copy of its word after the words were rebuilt
+   * (e.g. by an edit), or closes it if the word is gone.
+   */
+  refreshWordDetail() {
+    const key = this.model.getWordKey(this.detailWord);
+    const word = this.model
+      .getAllWords()
+      .find((candidate) => this.model.getWordKey(candidate) === key);
+    if (!word) {
+      this.detailWord = null;
+      this.wordDetail.hidden = true;
+    } else if (word !== this.detailWord) {
+      this.detailWord = word;
+      this.renderWordDetail();
+    }
+  }
+
+  /**
+   * Renders the detail pane for `detailWord`. Synonyms, antonyms and related words that
+   * are in the catalog are links that jump to their entry (see `setupDetailListeners()`).
+   */
+  renderWordDetail() {
+    const word = this.detailWord;
+    this.wordDetailTerm.textContent = word.term;
+    this.wordDetailPronunciation.textContent = [word.pronunciation, word.partOfSpeech]
+      .filter(Boolean)
+      .join(" · ");
+    this.wordDetailFields.innerHTML = "";
+
+    const addField = (label, content) => {
+      const term = document.createElement("dt");
+      term.textContent = label;
+      const description = document.createElement("dd");
+      if (typeof content === "string") description.textContent = content;
+      else description.appendChild(content);
+      this.wordDetailFields.append(term, description);
+    };
+    const linkList = (terms) => {
+      const fragment = document.createDocumentFragment();
+      terms.forEach((term, index) => {
+        if (index > 0) fragment.append(", ");
+        if (this.model.findWordByTerm(term, word.collection)) {
+          const link = document.createElement("button");
+          link.type = "button";
+          link.classList.add("word-link");
+          link.dataset.term = term;
+          link.textContent = term;
+          fragment.appendChild(link);
+        } else {
+          fragment.append(term);
+        }
+      });
+      return fragment;
+    };
+
+    addField("Definition", word.definition);
+    addField("Class / Type", `${word.class} / ${word.type}`);
+    if (word.register) addField("Register", word.register);
+    if (word.tags && word.tags.length > 0) addField("Tags", word.tags.join(", "));
+    if (word.synonyms) addField("Synonyms", linkList(word.synonyms));
+    if (word.antonyms) addField("Antonyms", linkList(word.antonyms));
+    if (word.examples) {
+      const list = document.createElement("ul");
+      word.examples.forEach((example) => {
+        const item = document.createElement("li");
+        item.textContent = example;
+        list.appendChild(item);
+      });
+      addField("Examples", list);
+    }
+    if (word.related) addField("Related", linkList(word.related));
+    if (this.model.activeCollections.length > 1) {
+      addField("Collection", this.model.getCollectionName(word.collection));
+    }
+  }
+
+  /**
+   * Sets up event listeners for the detail pane.
+   *
+   * @param {Function} onJump - Called with `(term, word)` when a linked word in the pane
+   *   of `word` is clicked.
+   */
+  setupDetailListeners(onJump) {
+    this.wordDetailClose.addEventListener("click", () => this.closeWordDetail());
+    this.wordDetailFields.addEventListener("click", (e) => {
+      const link = e.target.closest(".word-link");
+      if (link) onJump(link.dataset.term, this.detailWord);
+    });
+    this.wordDetail.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        this.closeWordDetail();
+        this.searchInput.focus();
+      }
+    });
+  }
+
+  /**
+   * Opens the study dialog with a session of flashcards.
+   *
+   * @param {Array<Object>} words - The session's words, from `studyDeck.buildSession()`.
+   * @param {Object} stats - Progress counts from `studyDeck.getStats()`.
+   */
+  openStudy(words, stats) {
+    this.studyQueue = [...words];
+    this.studyReviewed = 0;
+    this.renderStudyStats(stats);
+    this.study.hidden = false;
+    this.showStudyCard();
+  }
+  closeStudy() {
+    this.study.hidden = true;
+    this.searchInput.focus();
+  }
+
+  /**
+   * Shows the next card of the session: the term or the definition, depending on the
+   * direction picked, with the answer hidden until revealed.
+   */
+  showStudyCard() {
+    const word = this.studyQueue[0];
+    this.studyAnswer.hidden = true;
+    this.studyGrades.hidden = true;
+    this.studyReveal.hidden = !word;
+
+    if (!word) {
+      const done = this.studyReviewed > 0;
+      this.studyPrompt.textContent = done ? "Session complete" : "Nothing to study";
+      this.studyHint.textContent = done
+        ? `${this.studyReviewed} reviewed. Come back when more words are due.`
+        : "None of the shown words are new or due. Change the filters to study others.";
+      this.studyProgress.textContent = "";
+      this.studyClose.focus();
+      return;
+    }
+
+    let direction = this.studyDirection.value;
+    if (direction === "mixed") direction = Math.random() < 0.5 ? "definition" : "term";
+    this.studyPrompt.textContent = direction === "definition" ? word.term : word.definition;
+    this.studyAnswer.textContent = direction === "definition" ? word.definition : word.term;
+    this.studyHint.textContent = `${word.class} · ${word.type}`;
+    this.studyProgress.textContent =
+      `${this.studyQueue.length} left · ${this.studyReviewed} reviewed`;
+    this.studyReveal.focus();
+  }
+
+  /**
+   * Reveals the answer of the current card and offers the recall grades.
+   */
+  revealStudyAnswer() {
+    if (this.studyQueue.length === 0) return;
+    this.studyAnswer.hidden = false;
+    this.studyReveal.hidden = true;
+    this.studyGrades.hidden = false;
+    this.studyGrades.querySelector("button").focus();
+  }
+
+  /**
+   * Renders the study progress counts: all shown words, then per class and per type.
+   *
+   * @param {Object} stats - Progress counts from `studyDeck.getStats()`.
+   */
+  renderStudyStats({ total, byClass, byType }) {
+    const columns = ["words", "due", "learned", "lapsed", "new"];
+    this.studyStats.innerHTML = "";
+    const addRow = (cellTag, label, values) => {
+      const row = this.studyStats.insertRow();
+      [label, ...values].forEach((value) => {
+        const cell = document.createElement(cellTag);
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+    };
+    addRow("th", "", ["Words", "Due", "Learned", "Lapsed", "New"]);
+    [["All shown", total], ...Object.entries(byClass), ...Object.entries(byType)].forEach(
+      ([label, counts]) => addRow("td", label, columns.map((column) => counts[column]))
+    );
+  }
+
+  /**
+   * Shows the word of the day settings in the study dialog.
+   *
+   * @param {Object} settings - `{enabled, hour, source, query}` from `dailyWord.loadSettings()`.
+   */
+  renderDailyWordSettings({ enabled, hour, source, query }) {
+    this.dailyWordEnabled.checked = enabled;
+
+    this.dailyWordHour.innerHTML = "";
+    for (let value = 0; value < 24; value++) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = `${String(value).padStart(2, "0")}:00`;
+      this.dailyWordHour.appendChild(option);
+    }
+    this.dailyWordHour.value = hour;
+
+    this.dailyWordSource.innerHTML = "";
+    [{ id: "all", name: "All words" }, ...this.wordLists.getSources()].forEach(({ id, name }) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = name;
+      this.dailyWordSource.appendChild(option);
+    });
+    this.dailyWordSource.value = source;
+    // The list may have been deleted since
+    if (this.dailyWordSource.value !== source) this.dailyWordSource.value = "all";
+
+    this.dailyWordQuery.value = query;
+    [this.dailyWordHour, this.dailyWordSource, this.dailyWordQuery].forEach((field) => {
+      field.disabled = !enabled;
+    });
+  }
+
+  /**
+   * Sets up event listeners for the word of the day settings.
+   *
+   * @param {Function} onChange - Called with the new `{enabled, hour, source, query}`.
+   */
+  setupDailyWordListeners(onChange) {
+    const update = () => {
+      [this.dailyWordHour, this.dailyWordSource, this.dailyWordQuery].forEach((field) => {
+        field.disabled = !this.dailyWordEnabled.checked;
+      });
+      onChange({
+        enabled: this.dailyWordEnabled.checked,
+        hour: Number(this.dailyWordHour.value),
+        source: this.dailyWordSource.value,
+        query: this.dailyWordQuery.value.trim(),
+      });
+    };
+    [this.dailyWordEnabled, this.dailyWordHour, this.dailyWordSource, this.dailyWordQuery].forEach(
+      (field) => field.addEventListener("change", update)
+    );
+  }
+
+  /**
+   * Sets up the button that opens the full-page view, on pages that have one.
+   *
+   * @param {Function} onOpen - Called when the button is clicked.
+   */
+  setupFullPageButton(onOpen) {
+    if (this.fullPageButton) this.fullPageButton.addEventListener("click", onOpen);
+  }
+
+  /**
+   * Shows the chosen theme on the theme button or dropdown, whichever the page has.
+   *
+   * @param {Array<Object>} themes - The themes `{id, name}` to offer.
+   * @param {string} current - The chosen theme's id.
+   */
+  renderThemeControls(themes, current) {
+    const { name } = themes.find(({ id }) => id === current) || themes[0];
+    if (this.themeButton) this.themeButton.title = `Theme: ${name} (click to change)`;
+    if (this.themeSelect) {
+      this.themeSelect.innerHTML = "";
+      themes.forEach(({ id, name: label }) => {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = label;
+        this.themeSelect.appendChild(option);
+      });
+      this.themeSelect.value = current;
+    }
+  }
+
+  /**
+   * Sets up the theme button and the theme dropdown.
+   *
+   * @param {Object} handlers - Controller callbacks.
+   * @param {Function} handlers.onNext - Called when the button is clicked, to switch to the
+   *   next theme.
+   * @param {Function} handlers.onPick - Called with the id of the theme picked in the dropdown.
+   */
+  setupThemeListeners({ onNext, onPick }) {
+    if (this.themeButton) this.themeButton.addEventListener("click", onNext);
+    if (this.themeSelect) {
+      this.themeSelect.addEventListener("change", () => onPick(this.themeSelect.value));
+    }
+  }
+
+  /**
+   * Sets up event listeners for the study dialog.
+   *
+   * @param {Object} callbacks - Controller callbacks.
+   * @param {Function} callbacks.onOpen - Called when the study button is clicked; opens a session.
+   * @param {Function} callbacks.onGrade - Called with `(word, quality)` when a card is graded.
+   *
+   * Interactions:
+   * - Space or Enter reveals the answer; 1-4 pick a grade; Escape closes.
+   * - A card graded "Again" goes back to the end of the session.
+   */
+  setupStudyListeners({ onOpen, onGrade }) {
+    VocabStudyDeck.GRADES.forEach(({ quality, label }, index) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.classList.add(quality < 3 ? "secondary-button" : "primary-button");
+      button.dataset.quality = quality;
+      button.textContent = label;
+      button.title = `${label} (${index + 1})`;
+      this.studyGrades.appendChild(button);
+    });
+
+    const grade = (quality) => {
+      const word = this.studyQueue.shift();
+      if (!word) return;
+      if (quality < 3) this.studyQueue.push(word);
+      this.studyReviewed++;
+      onGrade(word, quality);
+      this.showStudyCard();
+    };
+
+    this.studyButton.addEventListener("click", onOpen);
+    this.studyReveal.addEventListener("click", () => this.revealStudyAnswer());
+    this.studyGrades.addEventListener("click", (e) => {
+      const button = e.target.closest("button[data-quality]");
+      if (button) grade(Number(button.dataset.quality));
+    });
+    this.studyDirection.addEventListener("change", () => this.showStudyCard());
+    this.studyClose.addEventListener("click", () => this.closeStudy());
+    this.study.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        this.closeStudy();
+      } else if (e.target === this.studyDirection) {
+        return;
+      } else if (!this.studyGrades.hidden && /^[1-4]$/.test(e.key)) {
+        e.preventDefault();
+        grade(VocabStudyDeck.GRADES[Number(e.key) - 1].quality);
+      } else if (!this.studyReveal.hidden && e.key === " ") {
+        e.preventDefault();
+        this.revealStudyAnswer();
+      }
+    });
+  }
+
+  /**
+   * Opens the word editor, either empty for a new word or filled in from an existing one.
+   *
+   * @param {Object|null} [word=null] - The word object to edit, or null to add a new word.
+   *
+   * Interactions:
+   * - Reads categories and revert availability from the model.
+   * - Called from the add button and each row's edit button.
+   * - New words can be added to any collection being shown; existing words stay in theirs.
+   */
+  openWordEditor(word = null) {
+    this.editingWord = word;
+    this.editorTitle.textContent = word ? `Edit "${word.term}"` : "Add Word";
+    this.editorTerm.value = word ? word.term : "";
+    this.editorDefinition.value = word ? word.definition : "";
+    this.populateEditorFacets(word);
+    this.editorTags.value = word && word.tags ? word.tags.join(", ") : "";
+    this.editorDefaultCategory = this.model.getDefaultCategory(
+      this.editorClass.value,
+      this.editorType.value
+    );
+    this.editorCategory.value = word ? word.category : this.editorDefaultCategory;
+
+    const list = (field) => (word && word[field] ? word[field].join(", ") : "");
+    this.editorPronunciation.value = (word && word.pronunciation) || "";
+    this.editorPartOfSpeech.value = (word && word.partOfSpeech) || "";
+    this.editorRegister.value = (word && word.register) || "";
+    this.editorSynonyms.value = list("synonyms");
+    this.editorAntonyms.value = list("antonyms");
+    this.editorRelated.value = list("related");
+    this.editorExamples.value = word && word.examples ? word.examples.join("\n") : "";
+    this.editorMore.open =
+      Boolean(word) && Object.keys(this.model.getOptionalFields(word)).length > 0;
+
+    this.populateActiveCollections(this.editorCollection, word ? word.collection : undefined);
+    this.editorCollectionRow.hidden = Boolean(word) || this.model.activeCollections.length < 2;
+    this.populateEditorCategories();
+
+    this.editorDelete.hidden = !word;
+    this.editorRevert.hidden = !word || !this.model.canRevertWord(word);
+    this.showEditorError("");
+    this.editor.hidden = false;
+    this.editorTerm.focus();
+  }
+
+  /**
+   * Offers the classes and types the words have (see `model.getFacetValues()`) in the word
+   * editor, and selects the edited word's, or the first ones for a new word.
+   *
+   * @param {Object|null} word - The word being edited, or null for a new word.
+   */
+  populateEditorFacets(word) {
+    [
+      [this.editorClass, "class"],
+      [this.editorType, "type"],
+    ].forEach(([select, field]) => {
+      const values = this.model.getFacetValues(field);
+      select.innerHTML = "";
+      values.forEach((value) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = value;
+        select.appendChild(option);
+      });
+      select.value = word ? word[field] : values[0] || "";
+    });
+  }
+
+  /**
+   * Suggests the categories of the collection chosen in the word editor.
+   */
+  populateEditorCategories() {
+    this.editorCategories.innerHTML = "";
+    this.model.getCategories(this.editorCollection.value).forEach((category) => {
+      const option = document.createElement("option");
+      option.value = category;
+      this.editorCategories.appendChild(option);
+    });
+  }
+
+  /**
+   * Closes the word editor and returns focus to the search input.
+   */
+  closeWordEditor() {
+    this.editor.hidden = true;
+    this.editingWord = null;
+    this.searchInput.focus();
+  }
+
+  /**
+   * Reads the word editor's fields into a word data object.
+   *
+   * @returns {Object} `{term, category, definition, class, type, tags, collection}` and the
+   *   optional fields, as entered.
+   */
+  readWordEditor() {
+    return {
+      term: this.editorTerm.value,
+      category: this.editorCategory.value,
+      collection: this.editorCollection.value,
+      definition: this.editorDefinition.value,
+      class: this.editorClass.value,
+      type: this.editorType.value,
+      tags: this.editorTags.value.split(","),
+      pronunciation: this.editorPronunciation.value,
+      partOfSpeech: this.editorPartOfSpeech.value,
+      register: this.editorRegister.value,
+      synonyms: this.editorSynonyms.value.split(","),
+      antonyms: this.editorAntonyms.value.split(","),
+      related: this.editorRelated.value.split(","),
+      examples: this.editorExamples.value.split("\n"),
+    };
+  }
+
+  /**
+   * Shows (or clears, with an empty string) an error message inside the word editor.
+   *
+   * @param {string} message - The message to display.
+   */
+  showEditorError(message) {
+    this.editorError.textContent = message;
+    this.editorError.hidden = !message;
+  }
+
+  /**
+   * Sets up event listeners for the word editor.
+   *
+   * @param {Object} handlers - Callbacks invoked with the word being edited.
+   * @param {Function} handlers.onSave - Called with `(original, wordData)`; original is null for new words.
+   * @param {Function} handlers.onDelete - Called with the word being edited.
+   * @param {Function} handlers.onRevert - Called with the word being edited.
+   *
+   * Interactions:
+   * - Each handler may return a promise; an error is shown in the editor instead of closing it.
+   * - Keeps the suggested category in step with class/type while it still matches the default.
+   */
+  setupEditorListeners({ onSave, onDelete, onRevert }) {
+    const run = async (action) => {
+      try {
+        await action();
+        this.closeWordEditor();
+      } catch (error) {
+        this.showEditorError(error.message);
+      }
+    };
+
+    this.addWordButton.addEventListener("click", () => this.openWordEditor());
+
+    this.editorForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const original = this.editingWord && {
+        category: this.editingWord.category,
+        term: this.editingWord.term,
+        collection: this.editingWord.collection,
+      };
+      run(() => onSave(original, this.readWordEditor()));
+    });
+
+    this.editorDelete.addEventListener("click", () => {
+      if (confirm(`Delete "${this.editingWord.term}"?`)) {
+        run(() => onDelete(this.editingWord));
+      }
+    });
+
+    this.editorRevert.addEventListener("click", () => {
+      run(() => onRevert(this.editingWord));
+    });
+
+    this.editorCancel.addEventListener("click", () => this.closeWordEditor());
+
+    this.editor.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") this.closeWordEditor();
+    });
+
+    const syncCategory = () => {
+      const nextDefault = this.model.getDefaultCategory(
+        this.editorClass.value,
+        this.editorType.value
+      );
+      if (this.editorCategory.value === this.editorDefaultCategory) {
+        this.editorCategory.value = nextDefault;
+      }
+      this.editorDefaultCategory = nextDefault;
+    };
+    this.editorClass.addEventListener("change", syncCategory);
+    this.editorType.addEventListener("change", syncCategory);
+    this.editorCollection.addEventListener("change", () => this.populateEditorCategories());
+  }
+
+  /**
+   * Sets up event listeners for search and filter controls.
+   *
+   * @param {Function} filterCallback - The callback to invoke when the search text changes.
+   * @param {Function} facetCallback - Called with `(field, value)` when a filter dropdown changes.
+   *
+   * Interactions:
+   * - Attaches input/change listeners to filter and search elements.
+   * - The search mode button switches between searching words and finding them by meaning.
+   * - Focuses the search input on setup.
+   */
+  setupEventListeners(filterCallback, facetCallback) {
+    // Wait for a pause in typing rather than filtering on every keystroke
+    this.searchInput.addEventListener("input", () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(filterCallback, VocabCatalogViewerView.SEARCH_DEBOUNCE_MS);
+    });
+
+    this.searchModeButton.addEventListener("click", () => {
+      this.setSearchMode(this.getSearchMode() === "meaning" ? "words" : "meaning");
+      this.searchInput.focus();
+      filterCallback();
+    });
+
+    // The facet dropdowns come and go with the data, so listen on the bar holding them
+    this.facetFilterBar.addEventListener("change", (e) => {
+      const select = e.target.closest("select[data-facet]");
+      if (!select) return;
+      facetCallback(select.dataset.facet, select.value);
+    });
+
+    this.searchInput.focus();
+  }
+
+  /**
+   * Returns how the search box text is searched.
+   *
+   * @returns {string} "meaning" when finding words by a description of their meaning,
+   *   otherwise "words".
+   */
+  getSearchMode() {
+    return this.searchModeButton.getAttribute("aria-pressed") === "true" ? "meaning" : "words";
+  }
+
+  /**
+   * Switches the search box between searching words and finding them by meaning, and
+   * shows the mode in the toggle button and the placeholder.
+   *
+   * @param {string} mode - "words" or "meaning".
+   */
+  setSearchMode(mode) {
+    const meaning = mode === "meaning";
+    this.searchModeButton.setAttribute("aria-pressed", String(meaning));
+    this.searchInput.placeholder = meaning
+      ? "🪄 Describe the meaning, e.g. shining very brightly"
+      : this.searchPlaceholder;
+  }
+
+  /**
+   * Shows in the filter dropdowns what the search query filters on.
+   *
+   * @param {Object} facets - Values per facet field from `queryLanguage.getFacetValue()`:
+   *   a value, "all", or null when the query can't be shown in a dropdown.
+   *
+   * Interactions:
+   * - Called by the controller after every search box change.
+   */
+  syncFilterDropdowns(facets) {
+    this.facetFilters.forEach((select, field) => this.syncFilter(select, facets[field]));
+  }
+
+  /**
+   * @returns {Array<string>} The fields that have a filter dropdown, in order.
+   */
+  getFacetFields() {
+    return Array.from(this.facetFilters.keys());
+  }
+
+  /**
+   * Selects a value in one filter dropdown. Values the dropdown doesn't offer, and queries
+   * it can't represent, select an "(in search)" option instead.
+   *
+   * @param {HTMLSelectElement} select - The dropdown.
+   * @param {string|null} value - The value, "all", or null.
+   */
+  syncFilter(select, value) {
+    let searchOption = select.querySelector("option[data-query]");
+    const option =
+      value &&
+      Array.from(select.options).find(
+        (candidate) =>
+          !candidate.dataset.query && candidate.value.toLowerCase() === value.toLowerCase()
+      );
+
+    if (option) {
+      if (searchOption) searchOption.remove();
+      // Leave the placeholder showing until the user picks something
+      if (!(value === "all" && select.value === "")) select.value = option.value;
+      return;
+    }
+
+    if (!searchOption) {
+      searchOption = document.createElement("option");
+      searchOption.dataset.query = "true";
+      searchOption.value = "query";
+      searchOption.disabled = true;
+      searchOption.textContent = value ? `${value} (in search)` : "(in search)";
+      select.appendChild(searchOption);
+    }
+    searchOption.textContent = value ? `${value} (in search)` : "(in search)";
+    select.value = "query";
+  }
+
+  /**
+   * Opens the import/export dialog.
+   *
+   * @param {number} filteredCount - How many rows the current filters show, for the export scope label.
+   */
+  openImportExport(filteredCount) {
+    this.exportScope.querySelector('option[value="filtered"]').textContent =
+      `Filtered rows (${filteredCount})`;
+    this.populateActiveCollections(this.importCollection);
+    const newOption = document.createElement("option");
+    newOption.value = "new";
+    newOption.textContent = "New collection…";
+    this.importCollection.appendChild(newOption);
+    this.importCollectionName.value = "";
+    this.importCollectionNameRow.hidden = true;
+    this.importExport.hidden = false;
+  }
+
+  /**
+   * Closes the import/export dialog and forgets the chosen import file.
+   */
+  closeImportExport() {
+    this.importExport.hidden = true;
+    this.importFile.value = "";
+    this.importFileName = "";
+    this.importText = "";
+    this.resetColumnMap();
+    this.renderImportPreview(null);
+    this.backupFile.value = "";
+    this.renderBackupPreview(null);
+    this.searchInput.focus();
+  }
+
+  /**
+   * Returns the current import settings.
+   *
+   * @returns {Object} `{fileName, text, format, hasHeader, overwrite, collection, collectionName}`;
+   *   collection is "new" when the words go into a new collection called collectionName.
+   */
+  readImportOptions() {
+    return {
+      fileName: this.importFileName,
+      text: this.importText,
+      format: this.importFormat.value,
+      hasHeader: this.importHasHeader.checked,
+      overwrite: this.importDuplicates.value === "overwrite",
+      collection: this.importCollection.value,
+      collectionName: this.importCollectionName.value,
+    };
+  }
+
+  /**
+   * Renders one column picker per word field for CSV/TSV imports.
+   *
+   * @param {Array<string>} columns - Column labels (header cells or "Column N").
+   * @param {Object} columnMap - Map of field name to the selected column index.
+   */
+  renderColumnMap(columns, columnMap) {
+    this.importColumnMap.innerHTML = "";
+    VocabCatalogImportExport.COLUMN_FIELDS.forEach((field) => {
+      const wrapper = document.createElement("div");
+      const label = document.createElement("label");
+      label.textContent = field;
+      label.htmlFor = `import-column-${field}`;
+
+      const select = document.createElement("select");
+      select.id = `import-column-${field}`;
+      select.dataset.field = field;
+      const none = document.createElement("option");
+      none.value = "";
+      none.textContent = "(none)";
+      select.appendChild(none);
+      columns.forEach((column, index) => {
+        const option = document.createElement("option");
+        option.value = String(index);
+        option.textContent = column || `Column ${index + 1}`;
+        select.appendChild(option);
+      });
+      select.value = columnMap[field] === undefined ? "" : String(columnMap[field]);
+
+      wrapper.appendChild(label);
+      wrapper.appendChild(select);
+      this.importColumnMap.appendChild(wrapper);
+    });
+  }
+
+  /**
+   * Reads the column pickers back into a column map.
+   *
+   * @returns {Object|null} Map of field name to column index, or null if no pickers are shown.
+   */
+  readColumnMap() {
+    const selects = this.importColumnMap.querySelectorAll("select");
+    if (selects.length === 0) return null;
+    const columnMap = {};
+    selects.forEach((select) => {
+      if (select.value !== "") columnMap[select.dataset.field] = Number(select.value);
+    });
+    return columnMap;
+  }
+
+  /**
+   * Removes the column pickers so the next preview guesses the mapping again.
+   */
+  resetColumnMap() {
+    this.importColumnMap.innerHTML = "";
+  }
+
+  /**
+   * Renders the import preview: counts of new, duplicate and invalid rows, with details
+   * for duplicates and invalid rows.
+   *
+   * @param {Object|null} preview - The result of `previewImport()`, or null to clear.
+   * @param {string} [error] - A parse error to show instead of a preview.
+   */
+  renderImportPreview(preview, error) {
+    this.importPreview.innerHTML = "";
+    this.importConfirm.disabled = !preview;
+    if (error) {
+      const message = document.createElement("p");
+      message.classList.add("editor-error");
+      message.textContent = error;
+      this.importPreview.appendChild(message);
+      return;
+    }
+    if (!preview) return;
+
+    const changed = preview.duplicates.filter((entry) => !entry.identical);
+    const summary = document.createElement("p");
+    summary.textContent =
+      `${preview.newWords.length} new, ${preview.duplicates.length} duplicates ` +
+      `(${changed.length} changed), ${preview.invalid.length} invalid`;
+    this.importPreview.appendChild(summary);
+
+    const addList = (title, items, describe) => {
+      if (items.length === 0) return;
+      const details = document.createElement("details");
+      const heading = document.createElement("summary");
+      heading.textContent = `${title} (${items.length})`;
+      details.appendChild(heading);
+      const list = document.createElement("ul");
+      items.slice(0, 100).forEach((entry) => {
+        const item = document.createElement("li");
+        item.textContent = describe(entry);
+        list.appendChild(item);
+      });
+      details.appendChild(list);
+      this.importPreview.appendChild(details);
+    };
+    addList("Duplicates", preview.duplicates, (entry) =>
+      `${entry.term} (${entry.category})${entry.identical ? " - identical" : " - differs"}`
+    );
+    addList("Invalid rows", preview.invalid, (entry) =>
+      `Row ${entry.row}: ${entry.term || "(no term)"} - ${entry.reason}`
+    );
+
+    const importCount =
+      preview.newWords.length + (this.importDuplicates.value === "overwrite" ? changed.length : 0);
+    this.importConfirm.textContent = `Import ${importCount} words`;
+    this.importConfirm.disabled = importCount === 0;
+  }
+
+  /**
+   * Shows the automatic backup settings and when the last automatic backup was made.
+   *
+   * @param {Object} settings - `{auto, frequency}`.
+   * @param {Array<Object>} frequencies - The frequencies to offer, as `{id, name}`.
+   * @param {Object|null} lastBackup - `{at, fileName}` of the last automatic backup.
+   */
+  renderBackupSettings({ auto, frequency }, frequencies, lastBackup) {
+    this.backupAuto.checked = auto;
+    this.backupFrequency.innerHTML = "";
+    frequencies.forEach(({ id, name }) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = name;
+      this.backupFrequency.appendChild(option);
+    });
+    this.backupFrequency.value = frequency;
+    this.backupFrequency.disabled = !auto;
+    this.backupLast.textContent = lastBackup
+      ? `Last saved ${new Date(lastBackup.at).toLocaleString()} as ${lastBackup.fileName}`
+      : "";
+  }
+
+  /**
+   * Shows what restoring the chosen backup would do, or why it can't be restored.
+   *
+   * @param {Object|null} preview - `{createdAt, added, updated, kept}` (see
+   *   `VocabBackup.merge()`), or null to clear the preview.
+   * @param {string} [error] - An error message to show instead.
+   */
+  renderBackupPreview(preview, error) {
+    this.backupPreview.innerHTML = "";
+    this.backupRestore.disabled = !preview;
+    if (!preview && !error) return;
+    const message = document.createElement("p");
+    if (error) {
+      message.classList.add("editor-error");
+      message.textContent = error;
+    } else {
+      message.textContent =
+        `Backup of ${new Date(preview.createdAt).toLocaleString()}: merging adds ` +
+        `${preview.added} and updates ${preview.updated} word entries, and keeps ` +
+        `${preview.kept} edited here since.`;
+    }
+    this.backupPreview.appendChild(message);
+  }
+
+  /**
+   * Sets up the backup section of the import/export dialog.
+   *
+   * @param {Object} handlers - Controller callbacks.
+   * @param {Function} handlers.onDownload - Called when a backup is requested.
+   * @param {Function} handlers.onFileLoaded - Called with the text of a chosen backup file.
+   * @param {Function} handlers.onRestore - Called with the mode ("merge" or "replace") when
+   *   the restore is confirmed.
+   * @param {Function} handlers.onSettingsChanged - Called with `{auto, frequency}`.
+   */
+  setupBackupListeners({ onDownload, onFileLoaded, onRestore, onSettingsChanged }) {
+    this.backupDownload.addEventListener("click", onDownload);
+    this.backupFile.addEventListener("change", async () => {
+      const file = this.backupFile.files[0];
+      if (file) onFileLoaded(await file.text());
+    });
+    this.backupRestore.addEventListener("click", () => onRestore(this.backupMode.value));
+    const update = () => {
+      this.backupFrequency.disabled = !this.backupAuto.checked;
+      onSettingsChanged({ auto: this.backupAuto.checked, frequency: this.backupFrequency.value });
+    };
+    this.backupAuto.addEventListener("change", update);
+    this.backupFrequency.addEventListener("change", update);
+  }
+
+  /**
+   * Offers text as a file download.
+   *
+   * @param {string} fileName - The suggested file name.
+   * @param {string} text - The file contents.
+   * @param {string} mimeType - The file's MIME type.
+   */
+  downloadFile(fileName, text, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Sets up event listeners for the import/export dialog.
+   *
+   * @param {Object} handlers - Controller callbacks.
+   * @param {Function} handlers.onOpen - Called when the dialog is opened.
+   * @param {Function} handlers.onFileLoaded - Called with `(fileName, text)` after a file is read.
+   * @param {Function} handlers.onOptionsChanged - Called with `{resetColumns}` when an import option changes.
+   * @param {Function} handlers.onImport - Called when the import is confirmed.
+   * @param {Function} handlers.onExport - Called with `(format, scope)` when a download is requested.
+   */
+  setupImportExportListeners({ onOpen, onFileLoaded, onOptionsChanged, onImport, onExport }) {
+    this.importExportButton.addEventListener("click", onOpen);
+    this.importExportClose.addEventListener("click", () => this.closeImportExport());
+    this.importExport.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") this.closeImportExport();
+    });
+
+    this.importFile.addEventListener("change", async () => {
+      const file = this.importFile.files[0];
+      if (!file) return;
+      this.importFileName = file.name;
+      this.importText = await file.text();
+      this.resetColumnMap();
+      onFileLoaded(this.importFileName, this.importText);
+    });
+
+    this.importFormat.addEventListener("change", () => {
+      this.resetColumnMap();
+      onOptionsChanged();
+    });
+    this.importHasHeader.addEventListener("change", () => {
+      this.resetColumnMap();
+      onOptionsChanged();
+    });
+    this.importDuplicates.addEventListener("change", onOptionsChanged);
+    this.importColumnMap.addEventListener("change", onOptionsChanged);
+    this.importCollection.addEventListener("change", () => {
+      this.importCollectionNameRow.hidden = this.importCollection.value !== "new";
+      if (!this.importCollectionNameRow.hidden) this.importCollectionName.focus();
+      onOptionsChanged();
+    });
+    // A rejected collection name clears the preview; editing it brings the preview back
+    this.importCollectionName.addEventListener("input", onOptionsChanged);
+
+    this.importConfirm.addEventListener("click", onImport);
+    this.exportDownload.addEventListener("click", () =>
+      onExport(this.exportFormat.value, this.exportScope.value)
+    );
+  }
+
+  /**
+   * Highlights a row for keyboard copying and scrolls it into view. It becomes the row
+   * in the tab order, and takes the focus when another row had it.
+   *
+   * @param {number} index - The row's index in the rendered words; clamped to the table.
+   */
+  setActiveRow(index) {
+    const count = this.renderedWords.length;
+    if (count === 0) return;
+    this.activeRowIndex = Math.max(0, Math.min(index, count - 1));
+    const focusInTable = this.wordsTable.contains(document.activeElement);
+
+    // Scroll by position: the row may not be rendered yet
+    const headerHeight = this.wordsTableHead.offsetHeight;
+    const top = headerHeight + this.activeRowIndex * this.rowHeight;
+    const container = this.tableContainer;
+    if (top - headerHeight < container.scrollTop) {
+      container.scrollTop = top - headerHeight;
+    } else if (top + this.rowHeight > container.scrollTop + container.clientHeight) {
+      container.scrollTop = top + this.rowHeight - container.clientHeight;
+    }
+    this.renderVisibleRows();
+
+    this.wordsTable.querySelectorAll("tr[data-index]").forEach((row) => {
+      const active = Number(row.dataset.index) === this.activeRowIndex;
+      row.classList.toggle("active-row", active);
+      if (active) row.setAttribute("aria-selected", "true");
+      else row.removeAttribute("aria-selected");
+      row.tabIndex = active ? 0 : -1;
+      row.querySelectorAll("button").forEach((button) => {
+        button.tabIndex = row.tabIndex;
+      });
+    });
+    const row = this.getRenderedRow(this.activeRowIndex);
+    if (focusInTable && row) row.focus({ preventScroll: true });
+  }
+
+  /**
+   * Returns true while a dialog (editor, import/export, lists, templates, palette) is open;
+   * those handle their own keys.
+   *
+   * @returns {boolean}
+   */
+  isDialogOpen() {
+    return Array.from(this.root.querySelectorAll(".modal")).some((modal) => !modal.hidden);
+  }
+
+  /**
+   * Picks the next value of a filter dropdown, wrapping around after the last one.
+   * The placeholder and "(in search)" count as "(all)".
+   *
+   * @param {HTMLSelectElement} select - The dropdown.
+   * @returns {string} The next value.
+   */
+  nextFilterValue(select) {
+    const values = Array.from(select.options)
+      .map((option) => option.value)
+      .filter((value) => value && value !== "query");
+    const current = values.includes(select.value) ? select.value : "all";
+    return values[(values.indexOf(current) + 1) % values.length];
+  }
+
+  /**
+   * Sets up keyboard operation of the popup.
+   *
+   * @param {Function} facetCallback - Called with (field, value) when a shortcut cycles the
+   *   class or type filter.
+   *
+   * Interactions:
+   * - ↑/↓ and PageUp/PageDown move the highlighted row while the search box or table has
+   *   focus (Home/End too in the table); Enter copies (or appends) the highlighted row, or
+   *   the first row if none is highlighted, and so does Space on a focused row;
+   *   Shift+Enter clears the tray first.
+   * - Alt+R empties the tray and copies the result, like a right-click on a row.
+   * - Alt+C, Alt+T and Alt+L cycle the class, type and list filters.
+   * - Alt+M switches the search mode, like the button in the search box.
+   * - Ctrl+K (⌘K) opens the command palette.
+   */
+  setupKeyboardListeners(facetCallback) {
+    document.addEventListener("keydown", (e) => {
+      if (this.isDialogOpen()) return;
+
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        this.openCommandPalette();
+        return;
+      }
+
+      // e.code, because Alt+letter produces other characters on some layouts
+      if (e.altKey && !e.ctrlKey && !e.metaKey) {
+        const facetKeys = { KeyC: "class", KeyT: "type" };
+        if (this.facetFilters.has(facetKeys[e.code])) {
+          e.preventDefault();
+          const field = facetKeys[e.code];
+          facetCallback(field, this.nextFilterValue(this.facetFilters.get(field)));
+        } else if (e.code === "KeyL") {
+          e.preventDefault();
+          this.setListSource(this.nextFilterValue(this.listFilter));
+          this.listFilter.dispatchEvent(new Event("change"));
+        } else if (e.code === "KeyM") {
+          e.preventDefault();
+          this.searchModeButton.click();
+        } else if (e.code === "KeyR") {
+          e.preventDefault();
+          this.resetCopyTray();
+        } else if (e.code === "KeyI" && this.renderedWords.length > 0) {
+          e.preventDefault();
+          if (this.activeRowIndex === -1) this.setActiveRow(0);
+          this.toggleWordDetail(this.renderedWords[this.activeRowIndex]);
+        }
+        return;
+      }
+
+      const inTable = this.wordsTable.contains(e.target);
+      if (e.target !== this.searchInput && e.target !== document.body && !inTable) return;
+      // The row buttons handle Enter and Space themselves
+      const onRow = inTable && e.target.matches("tr[data-index]");
+      if (inTable && !onRow && (e.key === "Enter" || e.key === " ")) return;
+
+      const pageSize = 10;
+      const moves = { ArrowDown: 1, ArrowUp: -1, PageDown: pageSize, PageUp: -pageSize };
+      if (inTable) Object.assign(moves, { Home: -Infinity, End: Infinity });
+      const copyKey = e.key === "Enter" || (e.key === " " && onRow);
+      if (moves[e.key] !== undefined) {
+        e.preventDefault();
+        this.setActiveRow(this.activeRowIndex + moves[e.key]);
+      } else if (copyKey && this.renderedWords.length > 0) {
+        e.preventDefault();
+        if (onRow) this.setActiveRow(Number(e.target.dataset.index));
+        else if (this.activeRowIndex === -1) this.setActiveRow(0);
+        const word = this.renderedWords[this.activeRowIndex];
+        if (e.shiftKey) this.copyTray.clear();
+        this.handleWordCopy(word);
+      }
+    });
+  }
+
+  /**
+   * Opens the command palette.
+   *
+   * Interactions:
+   * - Asks the controller for the current commands, so templates and lists are up to date.
+   */
+  openCommandPalette() {
+    this.paletteCommands = this.getPaletteCommands();
+    this.paletteInput.value = "";
+    this.renderCommandPalette();
+    this.palette.hidden = false;
+    this.paletteInput.focus();
+  }
+  closeCommandPalette() {
+    this.palette.hidden = true;
+    this.searchInput.focus();
+  }
+
+  /**
+   * Lists the palette commands whose title contains every word typed into the palette.
+   */
+  renderCommandPalette() {
+    const words = this.paletteInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+    this.paletteMatches = this.paletteCommands.filter(({ title }) =>
+      words.every((word) => title.toLowerCase().includes(word))
+    );
+
+    this.paletteList.innerHTML = "";
+    this.paletteMatches.forEach(({ title, shortcut }, index) => {
+      const item = document.createElement("li");
+      item.dataset.index = index;
+      item.setAttribute("role", "option");
+      const label = document.createElement("span");
+      label.textContent = title;
+      item.appendChild(label);
+      if (shortcut) {
+        const kbd = document.createElement("kbd");
+        kbd.textContent = shortcut;
+        item.appendChild(kbd);
+      }
+      this.paletteList.appendChild(item);
+    });
+    if (this.paletteMatches.length === 0) {
+      const empty = document.createElement("li");
+      empty.classList.add("tray-hint");
+      empty.textContent = "No matching commands";
+      this.paletteList.appendChild(empty);
+    }
+    this.highlightPaletteItem(0);
+  }
+
+  /**
+   * Highlights a palette command for Enter.
+   *
+   * @param {number} index - The command's index among the matches; wraps around.
+   */
+  highlightPaletteItem(index) {
+    const count = this.paletteMatches.length;
+    if (count === 0) return;
+    this.paletteIndex = (index + count) % count;
+    this.paletteList.querySelectorAll("li[data-index]").forEach((item) => {
+      const active = Number(item.dataset.index) === this.paletteIndex;
+      item.classList.toggle("active", active);
+      item.setAttribute("aria-selected", String(active));
+      if (active) item.scrollIntoView({ block: "nearest" });
+    });
+  }
+
+  /**
+   * Closes the palette and runs a command.
+   *
+   * @param {number} index - The command's index among the matches.
+   */
+  runPaletteCommand(index) {
+    const command = this.paletteMatches[index];
+    if (!command) return;
+    this.closeCommandPalette();
+    command.run();
+  }
+
+  /**
+   * Sets up the command palette.
+   *
+   * @param {Function} getCommands - Returns the available commands as
+   *   `{title, shortcut?, run}` objects; called each time the palette opens.
+   */
+  setupCommandPalette(getCommands) {
+    this.getPaletteCommands = getCommands;
+    this.paletteInput.addEventListener("input", () => this.renderCommandPalette());
+    this.paletteInput.addEventListener("keydown", (e) => {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        this.highlightPaletteItem(this.paletteIndex + (e.key === "ArrowDown" ? 1 : -1));
+      } else if (e.key === "Enter") {
+        e.preventDefault();
+        this.runPaletteCommand(this.paletteIndex);
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        this.closeCommandPalette();
+      }
+    });
+    this.paletteList.addEventListener("click", (e) => {
+      const item = e.target.closest("li[data-index]");
+      if (item) this.runPaletteCommand(Number(item.dataset.index));
+    });
+    this.palette.addEventListener("click", (e) => {
+      if (e.target === this.palette) this.closeCommandPalette();
+    });
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { VocabCatalogViewerView };
+}
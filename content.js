@@ -0,0 +1,397 @@
+// --- In-page Overlay ---
+class VocabCatalogOverlay {
+  static EDITABLE_INPUT_TYPES = ["text", "search", "url", "email", "tel", ""];
+  // The popup's bundled Roboto (see popup.css), under a name no page will have taken.
+  // content.css is injected as text, where relative URLs would point at the page
+  static FONT_FAMILY = "Vocab Master Roboto";
+  static FONTS = ["latin", "latin-ext"].flatMap((subset) =>
+    ["400", "700"].map((weight) => ({
+      file: `fonts/roboto-${subset}-${weight}-normal.woff2`,
+      weight,
+      range:
+        subset === "latin"
+          ? "U+0000-00FF, U+0131, U+0152-0153, U+02BB-02BC, U+02C6, U+02DA, U+02DC, U+0304, " +
+            "U+0308, U+0329, U+2000-206F, U+20AC, U+2122, U+2191, U+2193, U+2212, U+2215, " +
+            "U+FEFF, U+FFFD"
+          : "U+0100-02BA, U+02BD-02C5, U+02C7-02CC, U+02CE-02D7, U+02DD-02FF, U+0304, " +
+            "U+0308, U+0329, U+1D00-1DBF, U+1E00-1E9F, U+1EF2-1EFF, U+2020, U+20A0-20AB, " +
+            "U+20AD-20C0, U+2113, U+2C60-2C7F, U+A720-A7FF",
+    }))
+  );
+
+  /**
+   * Constructs the overlay. The catalog is loaded the first time the overlay opens, so
+   * injecting the content script costs a page nothing until the user asks for a lookup.
+   *
+   * Interactions:
+   * - Created once per page when `background.js` injects the content scripts.
+   * - Opened by the "showOverlay" message the service worker sends for the context menu
+   *   entry and the keyboard shortcut.
+   */
+  constructor() {
+    this.model = new VocabCatalogViewerModel();
+    this.databaseLoaded = false;
+    this.root = null;
+    this.theme = null;
+    this.target = null;
+    this.results = [];
+    this.activeIndex = -1;
+  }
+
+  /**
+   * Loads the catalog: the bundled database once, and the user layer on every open so
+   * edits made in the popup since the last lookup show up.
+   *
+   * @returns {Promise<void>} Resolves when the words are ready to search.
+   */
+  async loadWords() {
+    if (!this.databaseLoaded) {
+      await this.model.loadWordDatabase();
+      this.databaseLoaded = true;
+    }
+    // The popup may have switched collections since the last lookup
+    await this.model.loadCollections();
+    await this.model.loadUserWords();
+    this.model.processAllWords();
+  }
+
+  /**
+   * Opens the overlay and looks up a word.
+   *
+   * The field the user was typing in, and where their caret or selection was in it, are
+   * remembered before the overlay takes focus, so a picked result can be put back there.
+   *
+   * @param {string} [text] - The text to look up; defaults to the current selection.
+   */
+  async show(text) {
+    this.target = this.captureTarget();
+    const query = (text || this.getSelectedText()).trim();
+
+    this.render();
+    // Same theme as the popup; loaded on every open in case it was changed there
+    await this.theme.load();
+    this.input.value = query;
+    this.positionNear(this.target ? this.target.element : null);
+    this.root.hidden = false;
+    this.input.focus();
+    this.input.select();
+
+    this.status.textContent = "Loading…";
+    try {
+      await this.loadWords();
+      this.search();
+    } catch (error) {
+      console.error("Vocab Master could not load the catalog:", error);
+      this.status.textContent = "Could not load the word catalog.";
+    }
+  }
+
+  /**
+   * Closes the overlay. The remembered field is kept until the next lookup.
+   */
+  hide() {
+    if (this.root) this.root.hidden = true;
+  }
+
+  /**
+   * Remembers the focused text field or contenteditable and its caret/selection.
+   *
+   * @returns {Object|null} `{element, start, end}` for inputs and textareas,
+   *   `{element, range}` for contenteditable, or null if nothing editable has focus.
+   */
+  captureTarget() {
+    let element = document.activeElement;
+    if (!element || (this.root && this.root.contains(element))) {
+      return this.target;
+    }
+    const isTextInput =
+      element.tagName === "INPUT" &&
+      VocabCatalogOverlay.EDITABLE_INPUT_TYPES.includes(element.getAttribute("type") || "");
+    if (element.tagName === "TEXTAREA" || isTextInput) {
+      if (element.readOnly || element.disabled) return null;
+      return { element, start: element.selectionStart, end: element.selectionEnd };
+    }
+    if (element.isContentEditable) {
+      while (element.parentElement && element.parentElement.isContentEditable) {
+        element = element.parentElement;
+      }
+      const selection = window.getSelection();
+      const range =
+        selection.rangeCount > 0 && element.contains(selection.anchorNode)
+          ? selection.getRangeAt(0).cloneRange()
+          : null;
+      return { element, range };
+    }
+    return null;
+  }
+
+  /**
+   * Returns the selected text, including text selected inside a text field (which
+   * `window.getSelection()` doesn't report in every browser).
+   *
+   * @returns {string} The selected text.
+   */
+  getSelectedText() {
+    if (this.target && this.target.start !== undefined) {
+      return this.target.element.value.slice(this.target.start, this.target.end);
+    }
+    return window.getSelection().toString();
+  }
+
+  /**
+   * Adds the bundled fonts to the page under `FONT_FAMILY`, for content.css to use. The
+   * browser only downloads them once the overlay shows text in them.
+   */
+  loadFonts() {
+    if (typeof FontFace === "undefined") return;
+    VocabCatalogOverlay.FONTS.forEach(({ file, weight, range }) => {
+      const url = chrome.runtime.getURL(file);
+      document.fonts.add(
+        new FontFace(VocabCatalogOverlay.FONT_FAMILY, `url("${url}") format("woff2")`, {
+          weight,
+          unicodeRange: range,
+          display: "swap",
+        })
+      );
+    });
+  }
+
+  /**
+   * Builds the overlay's elements the first time it opens.
+   */
+  render() {
+    if (this.root) return;
+
+    this.root = document.createElement("div");
+    this.root.id = "vocab-master-overlay";
+    this.root.hidden = true;
+    this.root.setAttribute("role", "dialog");
+    this.root.setAttribute("aria-label", "Vocab Master lookup");
+    this.theme = new VocabTheme(this.root);
+    this.loadFonts();
+
+    this.input = document.createElement("input");
+    this.input.type = "text";
+    this.input.className = "vm-search";
+    this.input.placeholder = "Look up a word…";
+    this.input.setAttribute("aria-label", "Look up a word");
+    this.input.autocomplete = "off";
+
+    this.status = document.createElement("div");
+    this.status.className = "vm-status";
+    this.status.setAttribute("aria-live", "polite");
+
+    this.list = document.createElement("div");
+    this.list.className = "vm-results";
+    this.list.setAttribute("role", "listbox");
+
+    this.root.appendChild(this.input);
+    this.root.appendChild(this.status);
+    this.root.appendChild(this.list);
+    document.documentElement.appendChild(this.root);
+
+    this.input.addEventListener("input", () => this.search());
+    this.root.addEventListener("keydown", (e) => this.handleKeydown(e));
+    // Keep the page's caret where it is while the mouse is used in the overlay
+    this.list.addEventListener("mousedown", (e) => e.preventDefault());
+    this.list.addEventListener("click", (e) => {
+      const item = e.target.closest(".vm-result");
+      if (item) this.pick(Number(item.dataset.index));
+    });
+    document.addEventListener(
+      "mousedown",
+      (e) => {
+        if (!this.root.hidden && !e.composedPath().includes(this.root)) this.hide();
+      },
+      true
+    );
+  }
+
+  /**
+   * Places the overlay under the field being edited, or near the top of the window
+   * when there is none. It stays inside the viewport either way.
+   *
+   * @param {HTMLElement|null} element - The field to place the overlay under.
+   */
+  positionNear(element) {
+    const width = Math.min(360, window.innerWidth - 16);
+    let left = (window.innerWidth - width) / 2;
+    let top = 48;
+    if (element) {
+      const rect = element.getBoundingClientRect();
+      left = Math.max(8, Math.min(rect.left, window.innerWidth - width - 8));
+      top = rect.bottom + 6;
+      if (top + 320 > window.innerHeight) top = Math.max(8, rect.top - 326);
+    }
+    this.root.style.left = `${left}px`;
+    this.root.style.top = `${top}px`;
+    this.root.style.width = `${width}px`;
+  }
+
+  /**
+   * Searches the catalog for the overlay's text and lists the results: words whose term
+   * matches first, then words whose definition does.
+   */
+  search() {
+    const text = this.input.value.trim();
+    this.list.innerHTML = "";
+    this.results = [];
+    this.activeIndex = -1;
+    if (!text) {
+      this.status.textContent = "Type a word to look it up.";
+      return;
+    }
+
+    const { terms, definitions } = this.model.lookup(text);
+    [
+      ["Words", terms],
+      ["Matching definitions", definitions],
+    ].forEach(([heading, group]) => {
+      if (group.length === 0) return;
+      const title = document.createElement("div");
+      title.className = "vm-heading";
+      title.textContent = heading;
+      this.list.appendChild(title);
+      group.forEach(({ word }) => {
+        const item = document.createElement("div");
+        item.className = "vm-result";
+        item.dataset.index = this.results.length;
+        item.setAttribute("role", "option");
+
+        const term = document.createElement("span");
+        term.className = word.class === "Big" ? "vm-term vm-big" : "vm-term";
+        term.textContent = word.term;
+        const definition = document.createElement("span");
+        definition.className = "vm-definition";
+        definition.textContent = word.definition;
+
+        item.appendChild(term);
+        item.appendChild(definition);
+        this.list.appendChild(item);
+        this.results.push(word);
+      });
+    });
+
+    const action = this.target ? "inserts" : "copies";
+    this.status.textContent = this.results.length
+      ? `${this.results.length} found. Enter or click ${action} the word.`
+      : `No words found for "${text}".`;
+    if (this.results.length) this.setActive(0);
+  }
+
+  /**
+   * Highlights a result for keyboard picking.
+   *
+   * @param {number} index - The result's index.
+   */
+  setActive(index) {
+    const items = this.list.querySelectorAll(".vm-result");
+    if (items.length === 0) return;
+    this.activeIndex = (index + items.length) % items.length;
+    items.forEach((item, i) => {
+      item.classList.toggle("vm-active", i === this.activeIndex);
+      item.setAttribute("aria-selected", String(i === this.activeIndex));
+    });
+    items[this.activeIndex].scrollIntoView({ block: "nearest" });
+  }
+
+  /**
+   * Arrow keys move through the results, Enter picks one, Escape closes the overlay
+   * and returns focus to the field that had it.
+   *
+   * @param {KeyboardEvent} e - The keydown event.
+   */
+  handleKeydown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      this.setActive(this.activeIndex + (e.key === "ArrowDown" ? 1 : -1));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (this.activeIndex !== -1) this.pick(this.activeIndex);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      this.hide();
+      if (this.target) this.restoreTarget();
+    }
+    // Don't let the page's own shortcuts react to typing in the overlay
+    e.stopPropagation();
+  }
+
+  /**
+   * Inserts a result's term into the remembered field, or copies it to the clipboard
+   * when the lookup didn't start from a field.
+   *
+   * @param {number} index - The result's index.
+   */
+  pick(index) {
+    const word = this.results[index];
+    if (!word) return;
+    this.hide();
+    if (this.target && this.target.element.isConnected) {
+      this.insertText(word.term);
+    } else {
+      navigator.clipboard
+        .writeText(word.term)
+        .catch((err) => console.error("Vocab Master could not copy text: ", err));
+    }
+  }
+
+  /**
+   * Focuses the remembered field and puts its caret/selection back where it was.
+   */
+  restoreTarget() {
+    const { element, start, end, range } = this.target;
+    element.focus();
+    if (start !== undefined) {
+      element.setSelectionRange(start, end);
+    } else if (range) {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+  }
+
+  /**
+   * Inserts text at the remembered caret, replacing the remembered selection.
+   *
+   * `execCommand("insertText")` is tried first because it goes through the browser's
+   * editing pipeline: the page's undo stack and its input listeners (e.g. editors built
+   * on React or ProseMirror) see an ordinary edit. Fields where it isn't supported get
+   * the text spliced in directly, followed by an `input` event.
+   *
+   * @param {string} text - The text to insert.
+   */
+  insertText(text) {
+    this.restoreTarget();
+    const { element, start, end } = this.target;
+    if (document.execCommand && document.execCommand("insertText", false, text)) return;
+
+    if (start !== undefined) {
+      element.setRangeText(text, start, end, "end");
+    } else {
+      const selection = window.getSelection();
+      let range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+      if (!range || !element.contains(range.startContainer)) {
+        range = document.createRange();
+        range.selectNodeContents(element);
+        range.collapse(false);
+      }
+      range.deleteContents();
+      const node = document.createTextNode(text);
+      range.insertNode(node);
+      range.setStartAfter(node);
+      range.collapse(true);
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+    element.dispatchEvent(
+      new InputEvent("input", { bubbles: true, inputType: "insertText", data: text })
+    );
+  }
+}
+
+const vocabCatalogOverlay = new VocabCatalogOverlay();
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.action === "showOverlay") vocabCatalogOverlay.show(message.text);
+});
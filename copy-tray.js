@@ -0,0 +1,235 @@
+// --- Copy Tray ---
+class VocabCopyTray {
+  // `item` is filled in once per collected word and the results are joined with
+  // `separator`; `empty` is what gets copied while the tray holds no words.
+  static BUILT_IN_TEMPLATES = [
+    { id: "parenthesised", name: "(normal)(term)", item: "({term})", separator: "", empty: "(normal)" },
+    { id: "terms", name: "One term per line", item: "{term}", separator: "\n", empty: "" },
+    { id: "definitions", name: "Term — definition", item: "{term} — {definition}", separator: "\n", empty: "" },
+    { id: "comma", name: "Comma-separated", item: "{term}", separator: ", ", empty: "" },
+    { id: "markdown", name: "Markdown list", item: "- {term}", separator: "\n", empty: "" },
+  ];
+
+  static FIELDS = ["term", "definition", "class", "type", "tags", "category"];
+  static MAX_UNDO = 50;
+
+  constructor() {
+    this.items = [];
+    this.undoStack = [];
+    this.customTemplates = [];
+    this.templateId = VocabCopyTray.BUILT_IN_TEMPLATES[0].id;
+  }
+
+  /**
+   * Loads the collected words, the chosen template and the user's own templates
+   * from `chrome.storage.local`, so the tray survives the popup closing.
+   *
+   * Interactions:
+   * - Called once by the controller during initialization.
+   *
+   * @returns {Promise<void>} Resolves when the tray is loaded or fails.
+   */
+  async load() {
+    try {
+      const { copyTray, copyTemplates } = await chrome.storage.local.get([
+        "copyTray",
+        "copyTemplates",
+      ]);
+      this.customTemplates = copyTemplates || [];
+      if (copyTray) {
+        this.items = copyTray.items || [];
+        this.templateId = this.getTemplate(copyTray.templateId).id;
+      }
+    } catch (error) {
+      console.error("Error loading copy tray:", error);
+    }
+  }
+
+  /**
+   * Persists the tray and the user's templates to `chrome.storage.local`.
+   *
+   * @returns {Promise<void>} Resolves when both have been written.
+   */
+  async save() {
+    await chrome.storage.local.set({
+      copyTray: { items: this.items, templateId: this.templateId },
+      copyTemplates: this.customTemplates,
+    });
+  }
+
+  /**
+   * Returns the built-in templates followed by the user's own.
+   *
+   * @returns {Array<Object>} Templates `{id, name, item, separator, empty, builtIn?}`.
+   */
+  getTemplates() {
+    return [
+      ...VocabCopyTray.BUILT_IN_TEMPLATES.map((template) => ({ ...template, builtIn: true })),
+      ...this.customTemplates,
+    ];
+  }
+
+  /**
+   * Looks up a template, falling back to the first built-in one for unknown ids.
+   *
+   * @param {string} [id] - The template id; defaults to the chosen template.
+   * @returns {Object} The template.
+   */
+  getTemplate(id = this.templateId) {
+    const templates = this.getTemplates();
+    return templates.find((template) => template.id === id) || templates[0];
+  }
+
+  /**
+   * Chooses the template `format()` uses by default.
+   *
+   * @param {string} id - The template id.
+   */
+  setTemplate(id) {
+    this.templateId = this.getTemplate(id).id;
+  }
+
+  /**
+   * Adds or updates one of the user's templates. Saving over a built-in template
+   * creates a new template instead, so the built-ins always stay available.
+   *
+   * @param {Object} template - `{id?, name, item, separator, empty}`.
+   * @returns {string} The id of the saved template.
+   * @throws {Error} If the name or item pattern is missing.
+   */
+  saveTemplate({ id, name, item, separator = "", empty = "" }) {
+    name = (name || "").trim();
+    if (!name) throw new Error("Template name is required.");
+    if (!item) throw new Error("Item pattern is required.");
+
+    const existing = this.customTemplates.find((template) => template.id === id);
+    if (existing) {
+      Object.assign(existing, { name, item, separator, empty });
+      return existing.id;
+    }
+    const template = { id: `custom-${Date.now()}`, name, item, separator, empty };
+    this.customTemplates.push(template);
+    return template.id;
+  }
+
+  /**
+   * Deletes one of the user's templates. Built-in templates can't be deleted.
+   *
+   * @param {string} id - The template id.
+   */
+  deleteTemplate(id) {
+    this.customTemplates = this.customTemplates.filter((template) => template.id !== id);
+    if (this.templateId === id) this.templateId = VocabCopyTray.BUILT_IN_TEMPLATES[0].id;
+  }
+
+  /**
+   * Adds a word to the end of the tray. Only the fields templates can use are kept,
+   * so later edits to the word don't change what was collected.
+   *
+   * @param {Object} word - A word object from the model.
+   */
+  add(word) {
+    this.pushUndo();
+    const item = {};
+    VocabCopyTray.FIELDS.forEach((field) => {
+      if (word[field] !== undefined) item[field] = word[field];
+    });
+    this.items.push(item);
+  }
+
+  /**
+   * Removes the word at a position in the tray.
+   *
+   * @param {number} index - The position.
+   */
+  remove(index) {
+    if (index < 0 || index >= this.items.length) return;
+    this.pushUndo();
+    this.items.splice(index, 1);
+  }
+
+  /**
+   * Moves a word to another position in the tray.
+   *
+   * @param {number} from - The word's current position.
+   * @param {number} to - The position it should end up at.
+   */
+  move(from, to) {
+    if (from === to || from < 0 || from >= this.items.length) return;
+    to = Math.max(0, Math.min(to, this.items.length - 1));
+    this.pushUndo();
+    const [item] = this.items.splice(from, 1);
+    this.items.splice(to, 0, item);
+  }
+
+  /**
+   * Empties the tray.
+   */
+  clear() {
+    if (this.items.length === 0) return;
+    this.pushUndo();
+    this.items = [];
+  }
+
+  /**
+   * Undoes the last change to the tray (an add, remove, move or clear).
+   *
+   * @returns {boolean} False if there was nothing to undo.
+   */
+  undo() {
+    if (this.undoStack.length === 0) return false;
+    this.items = this.undoStack.pop();
+    return true;
+  }
+
+  /**
+   * @returns {boolean} Whether `undo()` has anything to undo.
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Remembers the current words so the next change can be undone.
+   */
+  pushUndo() {
+    this.undoStack.push([...this.items]);
+    if (this.undoStack.length > VocabCopyTray.MAX_UNDO) this.undoStack.shift();
+  }
+
+  /**
+   * Formats the collected words with a template.
+   *
+   * Interactions:
+   * - Called by the view to build the clipboard text and the tray preview.
+   *
+   * @param {string} [templateId] - The template id; defaults to the chosen template.
+   * @returns {string} The text to copy.
+   */
+  format(templateId = this.templateId) {
+    const template = this.getTemplate(templateId);
+    if (this.items.length === 0) return template.empty || "";
+    return this.items.map((item) => this.fill(template.item, item)).join(template.separator);
+  }
+
+  /**
+   * Replaces `{field}` placeholders in a pattern with a word's values. Tags are joined
+   * with ", "; unknown placeholders are left as they are.
+   *
+   * @param {string} pattern - The pattern, e.g. `{term} — {definition}`.
+   * @param {Object} item - A collected word.
+   * @returns {string} The filled-in pattern.
+   */
+  fill(pattern, item) {
+    return pattern.replace(/\{(\w+)\}/g, (placeholder, field) => {
+      if (!VocabCopyTray.FIELDS.includes(field)) return placeholder;
+      const value = item[field];
+      if (Array.isArray(value)) return value.join(", ");
+      return value === undefined || value === null ? "" : String(value);
+    });
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { VocabCopyTray };
+}
@@ -0,0 +1,224 @@
+// --- Word of the Day ---
+class VocabDailyWord {
+  static DAILY_ALARM = "vocab-master-daily-word";
+  static BADGE_ALARM = "vocab-master-study-badge";
+  static NOTIFICATION_ID = "vocab-master-daily-word";
+  // How often the badge's due count is refreshed while nothing else changes
+  static BADGE_PERIOD_MINUTES = 30;
+  // Off until the user turns it on, so nobody gets notifications they didn't ask for
+  static DEFAULT_SETTINGS = { enabled: false, hour: 9, source: "all", query: "" };
+
+  /**
+   * Constructs the word of the day: a word picked each day from a configurable pool and
+   * shown as a notification, plus the toolbar badge counting the study words due.
+   *
+   * Every `chrome.*` call goes through `chromeApi`, so tests can pass a stub instead of
+   * running in the service worker.
+   *
+   * @param {VocabCatalogViewerModel} model - The model to pick words from.
+   * @param {VocabWordLists} wordLists - Favorites and lists, for pools like "my starred words".
+   * @param {VocabStudyDeck} studyDeck - Study progress, for the due count.
+   * @param {Object} [chromeApi=chrome] - The extension API.
+   */
+  constructor(model, wordLists, studyDeck, chromeApi = chrome) {
+    this.model = model;
+    this.wordLists = wordLists;
+    this.studyDeck = studyDeck;
+    this.chrome = chromeApi;
+    this.settings = { ...VocabDailyWord.DEFAULT_SETTINGS };
+    this.databaseLoaded = false;
+  }
+
+  /**
+   * Loads the settings from `chrome.storage.sync`: whether the word of the day is on, the
+   * hour it arrives at, and its pool, i.e. a list source (see `wordLists.getSources()`)
+   * and a search query such as `type:Tone`.
+   *
+   * @returns {Promise<Object>} The settings.
+   */
+  async loadSettings() {
+    try {
+      const { dailyWordSettings } = await this.chrome.storage.sync.get("dailyWordSettings");
+      this.settings = { ...VocabDailyWord.DEFAULT_SETTINGS, ...dailyWordSettings };
+    } catch (error) {
+      console.error("Error loading word of the day settings:", error);
+    }
+    return this.settings;
+  }
+
+  /**
+   * Persists new settings to `chrome.storage.sync`; the service worker reschedules when
+   * it sees them change.
+   *
+   * @param {Object} settings - Any of `{enabled, hour, source, query}`.
+   * @returns {Promise<void>} Resolves when the settings have been written.
+   */
+  async saveSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+    await this.chrome.storage.sync.set({ dailyWordSettings: this.settings });
+  }
+
+  /**
+   * Loads the words, lists and study progress as the popup would see them.
+   *
+   * Interactions:
+   * - Called by the service worker before `showDailyWord()` and `updateBadge()`, since the
+   *   popup may have changed any of them since the last alarm.
+   *
+   * @returns {Promise<void>} Resolves when everything is loaded.
+   */
+  async loadWords() {
+    if (!this.databaseLoaded) {
+      await this.model.loadWordDatabase();
+      this.databaseLoaded = true;
+    }
+    await this.model.loadCollections();
+    await this.model.loadUserWords();
+    this.model.processAllWords();
+    await this.model.tagTaxonomy.load();
+    await this.wordLists.load();
+    await this.studyDeck.load();
+  }
+
+  /**
+   * Creates (or clears) the alarms: one at the configured hour every day for the word of
+   * the day, and a periodic one that keeps the badge's due count current.
+   *
+   * Interactions:
+   * - Called by the service worker on install, on browser start and when the settings change.
+   *
+   * @param {number} [now=Date.now()] - The current time.
+   * @returns {Promise<void>} Resolves when the alarms are set.
+   */
+  async schedule(now = Date.now()) {
+    await this.loadSettings();
+    await this.chrome.alarms.clear(VocabDailyWord.DAILY_ALARM);
+    if (this.settings.enabled) {
+      this.chrome.alarms.create(VocabDailyWord.DAILY_ALARM, {
+        when: this.getNextTime(this.settings.hour, now),
+        periodInMinutes: 24 * 60,
+      });
+    }
+    this.chrome.alarms.create(VocabDailyWord.BADGE_ALARM, {
+      periodInMinutes: VocabDailyWord.BADGE_PERIOD_MINUTES,
+    });
+  }
+
+  /**
+   * @param {number} hour - An hour of the day, 0-23, in local time.
+   * @param {number} now - The current time.
+   * @returns {number} The next time the clock shows that hour, later than `now`.
+   */
+  getNextTime(hour, now) {
+    const next = new Date(now);
+    next.setHours(hour, 0, 0, 0);
+    if (next.getTime() <= now) next.setDate(next.getDate() + 1);
+    return next.getTime();
+  }
+
+  /**
+   * Returns the words the word of the day is picked from.
+   *
+   * @returns {Array<Object>} The words matching the pool's query, within its list source.
+   */
+  getPool() {
+    const { source, query } = this.settings;
+    if (!source || source === "all") return this.model.filterWords(query);
+    // A list that no longer exists leaves an empty pool rather than every word
+    return this.model.filterWords(query, null, this.wordLists.getSourceKeys(source) || []);
+  }
+
+  /**
+   * Picks the word for a day. The same pool gives the same word all day, so repeated
+   * alarms (or a browser restart) don't change it, and consecutive days differ.
+   *
+   * @param {Array<Object>} words - The pool.
+   * @param {number} [now=Date.now()] - A time on the day.
+   * @returns {Object|null} The word, or null for an empty pool.
+   */
+  pickWord(words, now = Date.now()) {
+    if (words.length === 0) return null;
+    const date = new Date(now);
+    const day = Math.floor(
+      Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / VocabStudyDeck.DAY_MS
+    );
+    // Stepping by a prime visits every word of the pool before repeating one (unless the
+    // pool's size is a multiple of it)
+    return words[(day * 7919) % words.length];
+  }
+
+  /**
+   * Picks today's word and shows it as a notification with its definition. The word's key
+   * is remembered so clicking the notification can open the popup at it.
+   *
+   * Interactions:
+   * - Called by the service worker when the daily alarm fires.
+   *
+   * @param {number} [now=Date.now()] - The current time.
+   * @returns {Promise<Object|null>} The word shown, or null if the pool is empty.
+   */
+  async showDailyWord(now = Date.now()) {
+    await this.loadSettings();
+    const word = this.pickWord(this.getPool(), now);
+    if (!word) return null;
+
+    await this.chrome.storage.local.set({
+      dailyWord: { key: this.model.getWordKey(word), term: word.term, shownAt: now },
+    });
+    await this.chrome.notifications.create(VocabDailyWord.NOTIFICATION_ID, {
+      type: "basic",
+      iconUrl: "icons/icon128.png",
+      title: word.term,
+      message: word.definition,
+      contextMessage: "Vocab Master · Word of the day",
+    });
+    return word;
+  }
+
+  /**
+   * Opens the popup at the word of the day. Like the clipboard search, the popup can't be
+   * handed arguments, so the word's key is left in `chrome.storage.session` for
+   * `showWordFromNotification()` in `popup.js`.
+   *
+   * Interactions:
+   * - Called by the service worker when the notification is clicked.
+   *
+   * @returns {Promise<void>} Resolves when the popup was opened, or couldn't be.
+   */
+  async openDailyWord() {
+    const { dailyWord } = await this.chrome.storage.local.get("dailyWord");
+    await this.chrome.notifications.clear(VocabDailyWord.NOTIFICATION_ID);
+    if (!dailyWord) return;
+    await this.chrome.storage.session.set({ showWord: { key: dailyWord.key, at: Date.now() } });
+    try {
+      await this.chrome.action.openPopup();
+    } catch (error) {
+      // No focused browser window to open the popup in
+      console.error("Could not open the Vocab Master popup:", error);
+      await this.chrome.storage.session.remove("showWord");
+    }
+  }
+
+  /**
+   * Shows the number of study words due on the toolbar badge, or nothing when none are.
+   *
+   * Interactions:
+   * - Called by the service worker on the badge alarm and whenever study progress changes.
+   *
+   * @param {number} [now=Date.now()] - The current time.
+   * @returns {Promise<number>} The number of words due.
+   */
+  async updateBadge(now = Date.now()) {
+    const due = this.studyDeck.getStats(this.model.getAllWords(), now).total.due;
+    let text = due > 0 ? String(due) : "";
+    // The badge only fits about four characters
+    if (due > 999) text = "999+";
+    await this.chrome.action.setBadgeText({ text });
+    await this.chrome.action.setBadgeBackgroundColor({ color: "#6e48aa" });
+    return due;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { VocabDailyWord };
+}
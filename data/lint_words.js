@@ -0,0 +1,39 @@
+// Lints a words database file with the same validator the popup uses.
+//
+// Usage: node data/lint_words.js [path/to/words-database.json] [--strict] [--quiet]
+//   --strict  exit with an error when there are warnings too
+//   --quiet   only print errors
+const fs = require("fs");
+const path = require("path");
+const { VocabDatabaseValidator } = require("../word-validator.js");
+
+function lintWordsDatabase(filename, { strict = false, quiet = false } = {}) {
+  let database;
+  try {
+    database = JSON.parse(fs.readFileSync(filename, "utf8"));
+  } catch (error) {
+    console.error(`Error: Could not read '${filename}': ${error.message}`);
+    return false;
+  }
+
+  const validator = new VocabDatabaseValidator();
+  const { errors, warnings } = validator.validate(database);
+
+  errors.forEach((issue) => console.error(`error    ${validator.formatIssue(issue)}`));
+  if (!quiet) {
+    warnings.forEach((issue) => console.warn(`warning  ${validator.formatIssue(issue)}`));
+  }
+  console.log(`${filename}: ${errors.length} errors, ${warnings.length} warnings`);
+
+  return errors.length === 0 && (!strict || warnings.length === 0);
+}
+
+const args = process.argv.slice(2);
+const inputFile =
+  args.find((arg) => !arg.startsWith("--")) || path.join(__dirname, "words-database.json");
+
+const ok = lintWordsDatabase(inputFile, {
+  strict: args.includes("--strict"),
+  quiet: args.includes("--quiet"),
+});
+process.exitCode = ok ? 0 : 1;
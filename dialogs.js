@@ -0,0 +1,506 @@
+// --- Dialogs ---
+class VocabDialogs {
+  // The markup of the view's dialogs: the word editor, import/export, templates, lists,
+  // tags, saved searches, collections, study, columns and the command palette
+  static HTML = `
+<div
+  data-ref="word-editor"
+  class="modal"
+  role="dialog"
+  aria-modal="true"
+  aria-labelledby="word-editor-title"
+  hidden
+>
+  <form data-ref="word-editor-form" class="modal-content" autocomplete="off">
+    <h2 id="word-editor-title" data-ref="word-editor-title">Add Word</h2>
+    <label for="editor-term">Term</label>
+    <input type="text" id="editor-term" data-ref="editor-term" required />
+    <label for="editor-definition">Definition</label>
+    <textarea id="editor-definition" data-ref="editor-definition" rows="3" required></textarea>
+    <div class="editor-row">
+      <div>
+        <label for="editor-class">Class</label>
+        <select id="editor-class" data-ref="editor-class"></select>
+      </div>
+      <div>
+        <label for="editor-type">Type</label>
+        <select id="editor-type" data-ref="editor-type"></select>
+      </div>
+    </div>
+    <label for="editor-tags">Tags</label>
+    <input type="text" id="editor-tags" data-ref="editor-tags" placeholder="comma, separated" />
+    <label for="editor-category">Category</label>
+    <input type="text" id="editor-category" data-ref="editor-category" list="editor-categories" required />
+    <datalist id="editor-categories" data-ref="editor-categories"></datalist>
+    <div data-ref="editor-collection-row" hidden>
+      <label for="editor-collection">Collection</label>
+      <select id="editor-collection" data-ref="editor-collection"></select>
+    </div>
+    <details data-ref="editor-more" class="editor-more">
+      <summary>More fields</summary>
+      <div class="editor-row">
+        <div>
+          <label for="editor-pronunciation">Pronunciation</label>
+          <input type="text" id="editor-pronunciation" data-ref="editor-pronunciation" placeholder="/ˈhæl.si.ən/" />
+        </div>
+        <div>
+          <label for="editor-part-of-speech">Part of speech</label>
+          <input type="text" id="editor-part-of-speech" data-ref="editor-part-of-speech" placeholder="adjective" />
+        </div>
+        <div>
+          <label for="editor-register">Register</label>
+          <input type="text" id="editor-register" data-ref="editor-register" placeholder="literary" />
+        </div>
+      </div>
+      <label for="editor-synonyms">Synonyms</label>
+      <input type="text" id="editor-synonyms" data-ref="editor-synonyms" placeholder="comma, separated" />
+      <label for="editor-antonyms">Antonyms</label>
+      <input type="text" id="editor-antonyms" data-ref="editor-antonyms" placeholder="comma, separated" />
+      <label for="editor-related">Related words</label>
+      <input type="text" id="editor-related" data-ref="editor-related" placeholder="comma, separated" />
+      <label for="editor-examples">Examples</label>
+      <textarea id="editor-examples" data-ref="editor-examples" rows="2" placeholder="One sentence per line"></textarea>
+    </details>
+    <p data-ref="word-editor-error" class="editor-error" hidden></p>
+    <div class="editor-actions">
+      <button type="button" data-ref="editor-revert" class="secondary-button">
+        Revert to shipped
+      </button>
+      <button type="button" data-ref="editor-delete" class="secondary-button danger">
+        Delete
+      </button>
+      <span class="spacer"></span>
+      <button type="button" data-ref="editor-cancel" class="secondary-button">
+        Cancel
+      </button>
+      <button type="submit" class="primary-button">Save</button>
+    </div>
+  </form>
+</div>
+
+<div
+  data-ref="import-export"
+  class="modal"
+  role="dialog"
+  aria-modal="true"
+  aria-labelledby="import-export-title"
+  hidden
+>
+  <div class="modal-content">
+    <h2 id="import-export-title">Import / Export</h2>
+    <section class="modal-section">
+      <h3>Import</h3>
+      <label for="import-file">File</label>
+      <input type="file" id="import-file" data-ref="import-file" accept=".json,.csv,.tsv,.txt" />
+      <div class="editor-row">
+        <div>
+          <label for="import-format">Format</label>
+          <select id="import-format" data-ref="import-format">
+            <option value="json">JSON</option>
+            <option value="csv">CSV</option>
+            <option value="tsv">TSV</option>
+            <option value="anki">Anki (plain text)</option>
+          </select>
+        </div>
+        <div>
+          <label for="import-duplicates">Duplicates</label>
+          <select id="import-duplicates" data-ref="import-duplicates">
+            <option value="skip">Keep existing</option>
+            <option value="overwrite">Overwrite</option>
+          </select>
+        </div>
+        <div>
+          <label for="import-collection">Into</label>
+          <select id="import-collection" data-ref="import-collection"></select>
+        </div>
+      </div>
+      <div data-ref="import-collection-name-row" hidden>
+        <label for="import-collection-name">New collection name</label>
+        <input type="text" id="import-collection-name" data-ref="import-collection-name" placeholder="e.g. Technical writing" />
+      </div>
+      <label class="checkbox-label">
+        <input type="checkbox" data-ref="import-has-header" checked />
+        First row is a header (CSV/TSV)
+      </label>
+      <div data-ref="import-column-map" class="column-map"></div>
+      <div data-ref="import-preview" class="import-preview"></div>
+      <button type="button" data-ref="import-confirm" class="primary-button" disabled>
+        Import
+      </button>
+    </section>
+    <section class="modal-section">
+      <h3>Export</h3>
+      <div class="editor-row">
+        <div>
+          <label for="export-format">Format</label>
+          <select id="export-format" data-ref="export-format">
+            <option value="json">JSON</option>
+            <option value="csv">CSV</option>
+            <option value="tsv">TSV</option>
+            <option value="anki">Anki (plain text)</option>
+          </select>
+        </div>
+        <div>
+          <label for="export-scope">Words</label>
+          <select id="export-scope" data-ref="export-scope">
+            <option value="all">All words</option>
+            <option value="filtered">Filtered rows</option>
+          </select>
+        </div>
+      </div>
+      <button type="button" data-ref="export-download" class="primary-button">
+        Download
+      </button>
+    </section>
+    <section class="modal-section">
+      <h3>Backup</h3>
+      <p class="tray-hint">
+        One file with your edited words and collections, lists, history, study progress
+        and settings.
+      </p>
+      <button type="button" data-ref="backup-download" class="primary-button">
+        Download backup
+      </button>
+      <label for="backup-file">Restore from a backup</label>
+      <input type="file" id="backup-file" data-ref="backup-file" accept=".json" />
+      <label for="backup-mode">Conflicts</label>
+      <select id="backup-mode" data-ref="backup-mode">
+        <option value="merge">Merge, keeping the latest edit of each word</option>
+        <option value="replace">Replace everything with the backup</option>
+      </select>
+      <div data-ref="backup-preview" class="import-preview"></div>
+      <button type="button" data-ref="backup-restore" class="primary-button" disabled>
+        Restore
+      </button>
+      <label class="checkbox-label">
+        <input type="checkbox" data-ref="backup-auto" />
+        Back up automatically to the Downloads folder
+      </label>
+      <label for="backup-frequency" class="visually-hidden">How often</label>
+      <select id="backup-frequency" data-ref="backup-frequency"></select>
+      <p data-ref="backup-last" class="tray-hint"></p>
+    </section>
+    <div class="editor-actions">
+      <span class="spacer"></span>
+      <button type="button" data-ref="import-export-close" class="secondary-button">
+        Close
+      </button>
+    </div>
+  </div>
+</div>
+
+<div
+  data-ref="copy-templates"
+  class="modal"
+  role="dialog"
+  aria-modal="true"
+  aria-labelledby="copy-templates-title"
+  hidden
+>
+  <form data-ref="copy-templates-form" class="modal-content" autocomplete="off">
+    <h2 id="copy-templates-title">Copy Templates</h2>
+    <label for="template-select">Template</label>
+    <select id="template-select" data-ref="template-select"></select>
+    <label for="template-name">Name</label>
+    <input type="text" id="template-name" data-ref="template-name" required />
+    <label for="template-item">Each word</label>
+    <input type="text" id="template-item" data-ref="template-item" placeholder="{term} — {definition}" required />
+    <div class="editor-row">
+      <div>
+        <label for="template-separator">Between words</label>
+        <input type="text" id="template-separator" data-ref="template-separator" placeholder="\n" />
+      </div>
+      <div>
+        <label for="template-empty">When the tray is empty</label>
+        <input type="text" id="template-empty" data-ref="template-empty" />
+      </div>
+    </div>
+    <p class="template-help">
+      Placeholders: {term}, {definition}, {class}, {type}, {tags}, {category}.
+      Write \n for a line break and \t for a tab. Saving a built-in template
+      saves a copy.
+    </p>
+    <p data-ref="copy-templates-error" class="editor-error" hidden></p>
+    <div class="editor-actions">
+      <button type="button" data-ref="template-delete" class="secondary-button danger">
+        Delete
+      </button>
+      <span class="spacer"></span>
+      <button type="button" data-ref="copy-templates-close" class="secondary-button">
+        Close
+      </button>
+      <button type="submit" class="primary-button">Save</button>
+    </div>
+  </form>
+</div>
+
+<div
+  data-ref="word-lists"
+  class="modal"
+  role="dialog"
+  aria-modal="true"
+  aria-labelledby="word-lists-title"
+  hidden
+>
+  <div class="modal-content">
+    <h2 id="word-lists-title" data-ref="word-lists-title">Lists</h2>
+    <ul data-ref="word-lists-list" class="word-lists-list"></ul>
+    <form data-ref="new-list-form" class="new-list-form" autocomplete="off">
+      <label for="new-list-name" class="visually-hidden">New list name</label>
+      <input
+        type="text"
+        id="new-list-name" data-ref="new-list-name"
+        placeholder="New list, e.g. Chapter 3 tone"
+        required
+      />
+      <button type="submit" class="primary-button">Create</button>
+    </form>
+    <p data-ref="word-lists-error" class="editor-error" hidden></p>
+    <div class="editor-actions">
+      <button type="button" data-ref="clear-history" class="secondary-button danger">
+        Clear copy history
+      </button>
+      <span class="spacer"></span>
+      <button type="button" data-ref="word-lists-close" class="secondary-button">
+        Close
+      </button>
+    </div>
+  </div>
+</div>
+
+<div
+  data-ref="tag-manager"
+  class="modal"
+  role="dialog"
+  aria-modal="true"
+  aria-labelledby="tag-manager-title"
+  hidden
+>
+  <div class="modal-content">
+    <h2 id="tag-manager-title">Tags</h2>
+    <section class="modal-section">
+      <label for="tag-manager-search" class="visually-hidden">Find a tag</label>
+      <input
+        type="search"
+        id="tag-manager-search" data-ref="tag-manager-search"
+        placeholder="Find a tag..."
+        autocomplete="off"
+      />
+      <p data-ref="tag-manager-summary" class="tray-hint"></p>
+      <ul data-ref="tag-manager-list" class="word-lists-list tag-manager-list"></ul>
+      <button type="button" data-ref="merge-tags" class="primary-button" disabled>
+        Merge selected
+      </button>
+    </section>
+    <section data-ref="similar-tags-section" class="modal-section">
+      <h3>Possible duplicates</h3>
+      <ul data-ref="similar-tags" class="word-lists-list"></ul>
+    </section>
+    <section class="modal-section">
+      <h3 data-ref="bulk-tag-title">Tag the shown words</h3>
+      <form data-ref="bulk-tag-form" class="new-list-form" autocomplete="off">
+        <label for="bulk-tag-name" class="visually-hidden">Tag to add</label>
+        <input type="text" id="bulk-tag-name" data-ref="bulk-tag-name" placeholder="e.g. chapter-3" required />
+        <button type="submit" class="primary-button">Add tag</button>
+      </form>
+    </section>
+    <p data-ref="tag-manager-error" class="editor-error" hidden></p>
+    <div class="editor-actions">
+      <span class="spacer"></span>
+      <button type="button" data-ref="tag-manager-close" class="secondary-button">
+        Close
+      </button>
+    </div>
+  </div>
+</div>
+
+<div
+  data-ref="saved-searches"
+  class="modal"
+  role="dialog"
+  aria-modal="true"
+  aria-labelledby="saved-searches-title"
+  hidden
+>
+  <div class="modal-content">
+    <h2 id="saved-searches-title">Saved searches</h2>
+    <ul data-ref="saved-searches-list" class="word-lists-list"></ul>
+    <form data-ref="save-search-form" class="new-list-form" autocomplete="off">
+      <label for="save-search-name" class="visually-hidden">Search name</label>
+      <input
+        type="text"
+        id="save-search-name" data-ref="save-search-name"
+        placeholder="Save the current search as..."
+        required
+      />
+      <button type="submit" class="primary-button">Save</button>
+    </form>
+    <p data-ref="saved-searches-error" class="editor-error" hidden></p>
+    <div class="editor-actions">
+      <button type="button" data-ref="copy-search-link" class="secondary-button">
+        Copy link to this search
+      </button>
+      <span class="spacer"></span>
+      <button type="button" data-ref="saved-searches-close" class="secondary-button">
+        Close
+      </button>
+    </div>
+  </div>
+</div>
+
+<div
+  data-ref="collections"
+  class="modal"
+  role="dialog"
+  aria-modal="true"
+  aria-labelledby="collections-title"
+  hidden
+>
+  <div class="modal-content">
+    <h2 id="collections-title">Collections</h2>
+    <p class="tray-hint">Built-in collections ship with the extension and can't be renamed.</p>
+    <ul data-ref="collections-list" class="word-lists-list"></ul>
+    <form data-ref="new-collection-form" class="new-list-form" autocomplete="off">
+      <label for="new-collection-name" class="visually-hidden">New collection name</label>
+      <input
+        type="text"
+        id="new-collection-name" data-ref="new-collection-name"
+        placeholder="New collection, e.g. Technical writing"
+        required
+      />
+      <button type="submit" class="primary-button">Create</button>
+    </form>
+    <p data-ref="collections-error" class="editor-error" hidden></p>
+    <div class="editor-actions">
+      <span class="spacer"></span>
+      <button type="button" data-ref="collections-close" class="secondary-button">
+        Close
+      </button>
+    </div>
+  </div>
+</div>
+
+<div
+  data-ref="study"
+  class="modal"
+  role="dialog"
+  aria-modal="true"
+  aria-labelledby="study-title"
+  hidden
+>
+  <div class="modal-content">
+    <h2 id="study-title">Study</h2>
+    <label for="study-direction">Ask for</label>
+    <select id="study-direction" data-ref="study-direction">
+      <option value="definition">The definition of a term</option>
+      <option value="term">The term for a definition</option>
+      <option value="mixed">Either, at random</option>
+    </select>
+    <p data-ref="study-progress" class="tray-hint"></p>
+    <div class="study-card">
+      <p data-ref="study-prompt" class="study-prompt"></p>
+      <p data-ref="study-hint" class="tray-hint"></p>
+      <p data-ref="study-answer" class="study-answer" hidden></p>
+    </div>
+    <div class="editor-actions">
+      <button type="button" data-ref="study-reveal" class="primary-button">
+        Show answer
+      </button>
+      <div data-ref="study-grades" class="study-grades" hidden></div>
+    </div>
+    <details class="editor-more">
+      <summary>Progress of the shown words</summary>
+      <table data-ref="study-stats" class="study-stats"></table>
+    </details>
+    <details class="editor-more">
+      <summary>Word of the day</summary>
+      <label class="checkbox-label">
+        <input type="checkbox" data-ref="daily-word-enabled" />
+        Show a word of the day notification
+      </label>
+      <div class="editor-row">
+        <div>
+          <label for="daily-word-hour">At</label>
+          <select id="daily-word-hour" data-ref="daily-word-hour"></select>
+        </div>
+        <div>
+          <label for="daily-word-source">From</label>
+          <select id="daily-word-source" data-ref="daily-word-source"></select>
+        </div>
+      </div>
+      <label for="daily-word-query">Only words matching</label>
+      <input type="text" id="daily-word-query" data-ref="daily-word-query" placeholder="e.g. type:Tone" autocomplete="off" />
+      <p class="tray-hint">The toolbar badge shows how many study words are due.</p>
+    </details>
+    <div class="editor-actions">
+      <span class="spacer"></span>
+      <button type="button" data-ref="study-close" class="secondary-button">Close</button>
+    </div>
+  </div>
+</div>
+
+<div
+  data-ref="table-columns"
+  class="modal"
+  role="dialog"
+  aria-modal="true"
+  aria-labelledby="table-columns-title"
+  hidden
+>
+  <div class="modal-content">
+    <h2 id="table-columns-title">Columns</h2>
+    <p class="tray-hint">Top to bottom is left to right in the table.</p>
+    <ul data-ref="table-columns-list" class="word-lists-list"></ul>
+    <div class="editor-actions">
+      <button type="button" data-ref="table-columns-reset" class="secondary-button">
+        Reset columns
+      </button>
+      <span class="spacer"></span>
+      <button type="button" data-ref="table-columns-close" class="secondary-button">
+        Close
+      </button>
+    </div>
+  </div>
+</div>
+
+<div
+  data-ref="command-palette"
+  class="modal palette"
+  role="dialog"
+  aria-modal="true"
+  aria-label="Command palette"
+  hidden
+>
+  <div class="modal-content palette-content">
+    <label for="palette-input" class="visually-hidden">Command</label>
+    <input
+      type="text"
+      id="palette-input" data-ref="palette-input"
+      placeholder="Type a command, e.g. template, list, class…"
+      autocomplete="off"
+    />
+    <ul data-ref="palette-list" class="palette-list" role="listbox"></ul>
+  </div>
+</div>
+`;
+
+  /**
+   * Adds the dialogs to a page, so the popup and the full-page view share one copy of
+   * their markup. A container that already has them is left alone.
+   *
+   * Interactions:
+   * - Called by `VocabCatalogViewerView`'s constructor, before it looks up the dialogs'
+   *   elements, with the page's `data-ref="dialogs"` container.
+   *
+   * @param {Element|null} container - The element the dialogs go in; null for a page
+   *   without dialogs.
+   */
+  static mount(container) {
+    if (!container || container.querySelector(".modal")) return;
+    container.insertAdjacentHTML("beforeend", VocabDialogs.HTML);
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { VocabDialogs };
+}
@@ -0,0 +1,247 @@
+// --- Filter State ---
+class VocabFilterState {
+  static LAST_STATE_KEY = "lastFilterState";
+
+  /**
+   * Constructs the saved searches, and reads and writes the whole filter state: the search
+   * box (which also holds the class and type filters, e.g. `class:Big`), the search mode,
+   * the picked tags, the list filter and the sort.
+   *
+   * A state is `{query, mode, tags: {include, exclude, mode}, list, sort}`, where `list` is
+   * a source id from `wordLists.getSources()` or "all" and `sort` holds the
+   * `{id, direction}` keys of `VocabTableColumns`. The same state goes into the page's URL
+   * hash, so a filtered view can be bookmarked or shared as a link.
+   */
+  constructor() {
+    this.searches = [];
+  }
+
+  /**
+   * @returns {Object} The state with no filters: every word, unsorted.
+   */
+  static getEmptyState() {
+    return {
+      query: "",
+      mode: "words",
+      tags: { include: [], exclude: [], mode: "any" },
+      list: "all",
+      sort: [],
+    };
+  }
+
+  /**
+   * Fills in what a state leaves out (a state saved by an older version, or a hand-edited
+   * link) and drops what it can't hold.
+   *
+   * @param {Object} [state] - A possibly partial state.
+   * @returns {Object} A complete state.
+   */
+  static normalize(state) {
+    const empty = VocabFilterState.getEmptyState();
+    if (!state || typeof state !== "object") return empty;
+    const strings = (values) =>
+      Array.isArray(values) ? values.filter((value) => typeof value === "string" && value) : [];
+    const tags = state.tags || {};
+    return {
+      query: typeof state.query === "string" ? state.query : empty.query,
+      mode: state.mode === "meaning" ? "meaning" : "words",
+      tags: {
+        include: strings(tags.include),
+        exclude: strings(tags.exclude),
+        mode: tags.mode === "all" ? "all" : "any",
+      },
+      list: typeof state.list === "string" && state.list ? state.list : empty.list,
+      sort: (Array.isArray(state.sort) ? state.sort : [])
+        .filter((key) => key && typeof key.id === "string" && key.id)
+        .map(({ id, direction }) => ({ id, direction: direction === "desc" ? "desc" : "asc" })),
+    };
+  }
+
+  /**
+   * @param {Object} state - A state.
+   * @returns {boolean} Whether the state filters or sorts anything.
+   */
+  static isEmpty(state) {
+    return VocabFilterState.toHash(state) === "";
+  }
+
+  /**
+   * Writes a state as a URL hash (without the "#"), leaving out what isn't filtered, e.g.
+   * `q=class%3ABig+bright&tags=light%2Cspeech&tagMode=all&list=favorites&sort=type%2C-term`.
+   * Tags are joined with commas, which a tag can't contain, and a "-" marks a descending
+   * sort key.
+   *
+   * @param {Object} state - The state.
+   * @returns {string} The hash, or "" for the empty state.
+   */
+  static toHash(state) {
+    const { query, mode, tags, list, sort } = VocabFilterState.normalize(state);
+    const params = new URLSearchParams();
+    if (query) params.set("q", query);
+    if (mode !== "words") params.set("mode", mode);
+    if (tags.include.length > 0) params.set("tags", tags.include.join(","));
+    if (tags.exclude.length > 0) params.set("exclude", tags.exclude.join(","));
+    if (tags.mode !== "any") params.set("tagMode", tags.mode);
+    if (list !== "all") params.set("list", list);
+    if (sort.length > 0) {
+      params.set(
+        "sort",
+        sort.map(({ id, direction }) => (direction === "desc" ? `-${id}` : id)).join(",")
+      );
+    }
+    return params.toString();
+  }
+
+  /**
+   * Reads a state from a URL hash written by `toHash()`.
+   *
+   * @param {string} hash - The hash, with or without the leading "#".
+   * @returns {Object|null} The state, or null when the hash holds none.
+   */
+  static fromHash(hash) {
+    const params = new URLSearchParams((hash || "").replace(/^#/, ""));
+    const keys = ["q", "mode", "tags", "exclude", "tagMode", "list", "sort"];
+    if (!keys.some((key) => params.has(key))) return null;
+    const list = (key) => (params.get(key) || "").split(",").filter(Boolean);
+    return VocabFilterState.normalize({
+      query: params.get("q") || "",
+      mode: params.get("mode"),
+      tags: { include: list("tags"), exclude: list("exclude"), mode: params.get("tagMode") },
+      list: params.get("list"),
+      sort: list("sort").map((key) =>
+        key.startsWith("-")
+          ? { id: key.slice(1), direction: "desc" }
+          : { id: key, direction: "asc" }
+      ),
+    });
+  }
+
+  /**
+   * Loads the saved searches from `chrome.storage.sync`, so they follow the user across
+   * browsers they are signed in to.
+   *
+   * Interactions:
+   * - Called once by the controller during initialization.
+   *
+   * @returns {Promise<void>} Resolves when the searches are loaded or fails.
+   */
+  async load() {
+    try {
+      const { savedSearches } = await chrome.storage.sync.get("savedSearches");
+      this.searches = (savedSearches || []).map((search) => ({
+        ...search,
+        state: VocabFilterState.normalize(search.state),
+      }));
+    } catch (error) {
+      console.error("Error loading saved searches:", error);
+    }
+  }
+
+  /**
+   * Persists the saved searches to `chrome.storage.sync`.
+   *
+   * @returns {Promise<void>} Resolves when the searches have been written; rejects when the
+   *   sync quota is exceeded.
+   */
+  async save() {
+    await chrome.storage.sync.set({ savedSearches: this.searches });
+  }
+
+  /**
+   * Loads the filter state the popup was last left in. It stays on this device, since it
+   * changes with every search.
+   *
+   * @returns {Promise<Object|null>} The state, or null if there is none.
+   */
+  async loadLastState() {
+    try {
+      const stored = await chrome.storage.local.get(VocabFilterState.LAST_STATE_KEY);
+      const state = stored[VocabFilterState.LAST_STATE_KEY];
+      return state ? VocabFilterState.normalize(state) : null;
+    } catch (error) {
+      console.error("Error loading the last filter state:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Remembers the filter state for the next time the popup opens.
+   *
+   * @param {Object} state - The state.
+   * @returns {Promise<void>} Resolves when the state has been written.
+   */
+  async saveLastState(state) {
+    await chrome.storage.local.set({
+      [VocabFilterState.LAST_STATE_KEY]: VocabFilterState.normalize(state),
+    });
+  }
+
+  /**
+   * @param {string} id - The saved search's id.
+   * @returns {Object|null} The saved search `{id, name, state}`, or null.
+   */
+  getSearch(id) {
+    return this.searches.find((search) => search.id === id) || null;
+  }
+
+  /**
+   * Saves a state under a name. Saving under a name already used replaces that search's
+   * state, so a search can be updated by saving it again.
+   *
+   * @param {string} name - The name, e.g. "Tone words to review".
+   * @param {Object} state - The state.
+   * @returns {Object} The saved search `{id, name, state}`.
+   * @throws {Error} If the name is empty, or the searches would be too big for one
+   *   `chrome.storage.sync` item.
+   */
+  saveSearch(name, state) {
+    name = (name || "").trim();
+    if (!name) throw new Error("Search name is required.");
+    state = VocabFilterState.normalize(state);
+    const existing = this.searches.find((search) => search.name === name);
+    let id = `search-${Date.now()}`;
+    for (let n = 2; this.getSearch(id); n++) id = `search-${Date.now()}-${n}`;
+    const search = { id: existing ? existing.id : id, name, state };
+    const searches = existing
+      ? this.searches.map((other) => (other === existing ? search : other))
+      : [...this.searches, search];
+    VocabWordLists.checkItemSize(
+      "savedSearches",
+      searches,
+      "Saved searches are full: delete some searches to save more."
+    );
+    this.searches = searches;
+    return search;
+  }
+
+  /**
+   * Renames a saved search.
+   *
+   * @param {string} id - The saved search's id.
+   * @param {string} name - The new name.
+   * @throws {Error} If the name is empty or another search already uses it.
+   */
+  renameSearch(id, name) {
+    const search = this.getSearch(id);
+    if (!search) return;
+    name = (name || "").trim();
+    if (!name) throw new Error("Search name is required.");
+    if (this.searches.some((other) => other.id !== id && other.name === name)) {
+      throw new Error(`There is already a search called "${name}".`);
+    }
+    search.name = name;
+  }
+
+  /**
+   * Deletes a saved search.
+   *
+   * @param {string} id - The saved search's id.
+   */
+  deleteSearch(id) {
+    this.searches = this.searches.filter((search) => search.id !== id);
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { VocabFilterState };
+}
@@ -0,0 +1,28 @@
+// --- Filter Worker ---
+// Holds a copy of the popup's processed word list and filters it off the main thread
+// (see `VocabWordFilter` in word-filter.js).
+importScripts(
+  "word-validator.js",
+  "search-index.js",
+  "reverse-index.js",
+  "query-language.js",
+  "tag-taxonomy.js",
+  "catalog-model.js",
+  "table-columns.js",
+  "word-filter.js"
+);
+
+const model = new VocabCatalogViewerModel();
+let positions = new Map();
+
+self.addEventListener("message", ({ data }) => {
+  if (data.action === "setWords") {
+    model.allWords = data.words;
+    model.tagTaxonomy.setParents(data.tagParents);
+    model.searchIndex.build(model.allWords);
+    model.reverseIndex.build(model.allWords);
+    positions = VocabWordFilter.indexWords(model.allWords);
+  } else if (data.action === "filter") {
+    self.postMessage(VocabWordFilter.runFilter(model, data, positions));
+  }
+});
@@ -0,0 +1,569 @@
+// --- Import / Export ---
+class VocabCatalogImportExport {
+  // The word fields of a CSV/TSV file, in the order they are exported
+  static COLUMN_FIELDS = [
+    "term",
+    "definition",
+    "class",
+    "type",
+    "tags",
+    "category",
+    ...Object.keys(VocabCatalogViewerModel.OPTIONAL_FIELDS),
+  ];
+  // List fields (synonyms, examples, ...) share a cell, separated by pipes: unlike commas,
+  // pipes don't turn up in example sentences
+  static LIST_SEPARATOR = " | ";
+
+  /**
+   * Constructs the import/export helper.
+   *
+   * @param {VocabCatalogViewerModel} model - The model whose words are imported into and exported from.
+   *
+   * Interactions:
+   * - Reads `model.getAllWords()` to detect duplicates in `previewImport()`.
+   * - Uses `model.getDefaultCategory()` for rows that don't name a category.
+   */
+  constructor(model) {
+    this.model = model;
+  }
+
+  /**
+   * Guesses the format of an import file from its name and contents.
+   *
+   * @param {string} fileName - The name of the chosen file.
+   * @param {string} text - The file contents.
+   * @returns {string} One of "json", "csv", "tsv" or "anki".
+   */
+  detectFormat(fileName, text) {
+    const extension = (fileName.split(".").pop() || "").toLowerCase();
+    if (extension === "json" || /^\s*[{[]/.test(text)) return "json";
+    if (extension === "csv") return "csv";
+    if (/^#(separator|html|tags column|notetype|deck)/m.test(text)) return "anki";
+    if (extension === "tsv") return "tsv";
+    if (extension === "txt") return "anki";
+    return text.includes("\t") ? "tsv" : "csv";
+  }
+
+  /**
+   * Splits delimited text into rows of cells, honoring double-quoted cells
+   * (with `""` escapes and embedded delimiters or line breaks) as spreadsheets write them.
+   *
+   * @param {string} text - The CSV/TSV text.
+   * @param {string} [delimiter=","] - The cell delimiter.
+   * @returns {Array<Array<string>>} The rows, without blank lines.
+   */
+  parseDelimited(text, delimiter = ",") {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"' && cell === "") {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else {
+        cell += char;
+      }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+  }
+
+  /**
+   * Guesses which column holds each word field from a header row.
+   *
+   * @param {Array<string>} header - The header cells.
+   * @returns {Object} Map of field name to column index, for the fields that were recognized.
+   */
+  guessColumnMapping(header) {
+    const aliases = {
+      term: ["term", "word", "front"],
+      definition: ["definition", "meaning", "back", "description"],
+      class: ["class", "word class", "size"],
+      type: ["type", "word type", "tone"],
+      tags: ["tags", "tag", "labels"],
+      category: ["category", "group", "deck"],
+    };
+    // Optional fields go by their name, or its words: partOfSpeech or "part of speech"
+    Object.keys(VocabCatalogViewerModel.OPTIONAL_FIELDS).forEach((field) => {
+      aliases[field] = [field.toLowerCase(), field.replace(/[A-Z]/g, " $&").toLowerCase()];
+    });
+    const columnMap = {};
+    header.forEach((cell, index) => {
+      const name = cell.trim().toLowerCase();
+      Object.keys(aliases).forEach((field) => {
+        if (columnMap[field] === undefined && aliases[field].includes(name)) {
+          columnMap[field] = index;
+        }
+      });
+    });
+    if (columnMap.term === undefined) columnMap.term = 0;
+    if (columnMap.definition === undefined && header.length > 1) {
+      columnMap.definition = 1;
+    }
+    return columnMap;
+  }
+
+  /**
+   * Parses CSV or TSV text into import entries using a column mapping.
+   *
+   * @param {string} text - The CSV/TSV text.
+   * @param {Object} [options] - Parsing options.
+   * @param {string} [options.delimiter=","] - The cell delimiter ("," or "\t").
+   * @param {boolean} [options.hasHeader=true] - Whether the first row is a header.
+   * @param {Object} [options.columnMap] - Map of field name to column index; guessed from the header if omitted.
+   * @returns {Array<Object>} Import entries `{row, term, definition, class, type, tags, category}`,
+   *   with the optional fields that have a column.
+   */
+  parseCSV(text, { delimiter = ",", hasHeader = true, columnMap } = {}) {
+    const rows = this.parseDelimited(text, delimiter);
+    if (rows.length === 0) return [];
+
+    const map = columnMap || this.guessColumnMapping(hasHeader ? rows[0] : []);
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+    const firstRow = hasHeader ? 2 : 1;
+    const cellFor = (cells, field) =>
+      map[field] === undefined ? "" : (cells[map[field]] || "").trim();
+
+    return dataRows.map((cells, index) => {
+      const entry = {
+        row: firstRow + index,
+        term: cellFor(cells, "term"),
+        definition: cellFor(cells, "definition"),
+        class: cellFor(cells, "class"),
+        type: cellFor(cells, "type"),
+        tags: this.splitTags(cellFor(cells, "tags")),
+        category: cellFor(cells, "category"),
+      };
+      Object.entries(VocabCatalogViewerModel.OPTIONAL_FIELDS).forEach(([field, kind]) => {
+        if (map[field] === undefined) return;
+        const value = cellFor(cells, field);
+        entry[field] = kind === "list" ? value.split("|").map((item) => item.trim()) : value;
+      });
+      return entry;
+    });
+  }
+
+  /**
+   * Parses an Anki "Notes in Plain Text" export into import entries.
+   *
+   * The first field is the term, the second the definition (HTML is stripped), and the
+   * tags column holds space-separated tags. Tags of the form `class::Big` and
+   * `type::Positive` (as written by `toAnki()`) set the class and type. An underscore in a
+   * tag stands for a space, unless escaped as `\_` (see `toAnki()`).
+   *
+   * @param {string} text - The exported text.
+   * @returns {Array<Object>} Import entries `{row, term, definition, class, type, tags, category}`.
+   */
+  parseAnki(text) {
+    let separator = "\t";
+    let tagsColumn = null;
+    const entries = [];
+    const lines = text.split(/\r?\n/);
+
+    lines.forEach((line, index) => {
+      const header = line.match(/^#([a-z ]+):(.*)$/i);
+      if (header) {
+        const key = header[1].trim().toLowerCase();
+        const value = header[2].trim();
+        if (key === "separator") {
+          separator =
+            { tab: "\t", comma: ",", semicolon: ";", pipe: "|", space: " " }[
+              value.toLowerCase()
+            ] || value;
+        } else if (key === "tags column") {
+          tagsColumn = Number(value) - 1;
+        }
+        return;
+      }
+      if (line.trim() === "") return;
+
+      const fields = this.parseDelimited(line, separator)[0] || [];
+      const tagField =
+        tagsColumn !== null ? fields[tagsColumn] : fields.length > 2 ? fields[fields.length - 1] : "";
+      const entry = {
+        row: index + 1,
+        term: this.stripHtml(fields[0] || ""),
+        definition: this.stripHtml(fields[1] || ""),
+        class: "",
+        type: "",
+        tags: [],
+        category: "",
+      };
+      (tagField || "").split(/\s+/).filter(Boolean).forEach((tag) => {
+        const [prefix, value] = tag.split("::");
+        if (value && prefix === "class") entry.class = value;
+        else if (value && prefix === "type") entry.type = value;
+        else if (value && prefix === "category") entry.category = value;
+        else entry.tags.push(tag.replace(/\\([\\_])|_/g, (match, escaped) => escaped || " "));
+      });
+      entries.push(entry);
+    });
+
+    return entries;
+  }
+
+  /**
+   * Parses the extension's own nested JSON format into import entries.
+   *
+   * @param {string} text - JSON of the form `{category: {term: {definition, class, type, tags}}}`.
+   * @returns {Array<Object>} Import entries `{row, term, definition, class, type, tags, category}`.
+   * @throws {Error} If the text isn't valid JSON in that shape.
+   */
+  parseJSON(text) {
+    const database = JSON.parse(text);
+    if (!database || typeof database !== "object" || Array.isArray(database)) {
+      throw new Error("Expected an object of categories.");
+    }
+
+    const entries = [];
+    this.model.validator.getCategoryNames(database).forEach((category) => {
+      const categoryWords = database[category];
+      if (!categoryWords || typeof categoryWords !== "object") return;
+      Object.keys(categoryWords).forEach((term) => {
+        const wordData = categoryWords[term] || {};
+        entries.push({
+          row: entries.length + 1,
+          term,
+          definition: wordData.definition || "",
+          class: wordData.class || "",
+          type: wordData.type || "",
+          tags: Array.isArray(wordData.tags) ? wordData.tags : [],
+          ...this.model.getOptionalFields(wordData),
+          category,
+        });
+      });
+    });
+    return entries;
+  }
+
+  /**
+   * Parses import text in the given format.
+   *
+   * @param {string} text - The file contents.
+   * @param {string} format - One of "json", "csv", "tsv" or "anki".
+   * @param {Object} [options] - Options passed to `parseCSV()` for "csv" and "tsv".
+   * @returns {Array<Object>} Import entries.
+   */
+  parse(text, format, options = {}) {
+    switch (format) {
+      case "json":
+        return this.parseJSON(text);
+      case "csv":
+        return this.parseCSV(text, { ...options, delimiter: "," });
+      case "tsv":
+        return this.parseCSV(text, { ...options, delimiter: "\t" });
+      case "anki":
+        return this.parseAnki(text);
+      default:
+        throw new Error(`Unknown import format: ${format}`);
+    }
+  }
+
+  /**
+   * Checks parsed entries against the model before anything is merged.
+   *
+   * Entries are normalized (class/type capitalization, default category) and sorted into
+   * three groups: new words, duplicates of words already in the target collection (same
+   * category and term) or earlier in the file, and invalid rows with the reason they were
+   * rejected.
+   *
+   * Interactions:
+   * - Called by the controller to show the import preview.
+   * - The `newWords` and `duplicates` lists are what `importWords()` merges.
+   *
+   * @param {Array<Object>} entries - Entries from one of the parse methods.
+   * @param {string} [collection] - The collection the words will go into; defaults to the default collection.
+   * @returns {Object} `{newWords, duplicates, invalid}`; duplicates carry `existing` and `identical`, invalid rows carry `reason`.
+   */
+  previewImport(entries, collection = VocabCatalogViewerModel.DEFAULT_COLLECTION) {
+    const preview = { newWords: [], duplicates: [], invalid: [] };
+    const existing = new Map(
+      this.model
+        .getAllWords()
+        .filter((word) => word.collection === collection)
+        .map((word) => [`${word.category}\u0000${word.term}`, word])
+    );
+    const seen = new Set();
+
+    entries.forEach((rawEntry) => {
+      const entry = this.normalizeEntry(rawEntry);
+      const reason = this.validateEntry(entry);
+      if (reason) {
+        preview.invalid.push({ ...entry, reason });
+        return;
+      }
+
+      const key = `${entry.category}\u0000${entry.term}`;
+      if (seen.has(key)) {
+        preview.invalid.push({ ...entry, reason: "Repeated earlier in the file" });
+        return;
+      }
+      seen.add(key);
+
+      const existingWord = existing.get(key);
+      if (existingWord) {
+        preview.duplicates.push({
+          ...entry,
+          existing: existingWord,
+          identical: this.isSameWord(entry, existingWord),
+        });
+      } else {
+        preview.newWords.push(entry);
+      }
+    });
+
+    return preview;
+  }
+
+  /**
+   * Merges previewed entries into the model's user layer.
+   *
+   * Interactions:
+   * - Uses `model.saveWord()`, so imports are stored and revertible like any other edit.
+   * - Callers should run `model.saveUserWords()` and `model.processAllWords()` afterwards.
+   *
+   * @param {Object} preview - The result of `previewImport()`.
+   * @param {Object} [options] - Merge options.
+   * @param {boolean} [options.overwrite=false] - Whether duplicates replace the existing words.
+   * @param {string} [options.collection] - The collection to add new words to, as passed to `previewImport()`.
+   * @returns {number} The number of words added or updated.
+   */
+  importWords(preview, { overwrite = false, collection } = {}) {
+    let count = 0;
+    preview.newWords.forEach((entry) => {
+      this.model.saveWord(null, { ...entry, collection });
+      count++;
+    });
+    if (overwrite) {
+      preview.duplicates
+        .filter((entry) => !entry.identical)
+        .forEach((entry) => {
+          const { category, term, collection } = entry.existing;
+          this.model.saveWord({ category, term, collection }, entry);
+          count++;
+        });
+    }
+    return count;
+  }
+
+  /**
+   * Serializes words in the given format.
+   *
+   * @param {Array<Object>} words - Word objects, e.g. `model.getAllWords()` or a `filterWords()` result.
+   * @param {string} format - One of "json", "csv", "tsv" or "anki".
+   * @returns {string} The exported text.
+   */
+  export(words, format) {
+    switch (format) {
+      case "json":
+        return this.toJSON(words);
+      case "csv":
+        return this.toDelimited(words, ",");
+      case "tsv":
+        return this.toDelimited(words, "\t");
+      case "anki":
+        return this.toAnki(words);
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+
+  /**
+   * Serializes words to the nested `{category: {term: {...}}}` database format, including
+   * any optional fields (synonyms, examples, ...) the words have. The facets of the
+   * collections shown go in the metadata section, so the file can be shipped as is.
+   *
+   * @param {Array<Object>} words - Word objects.
+   * @returns {string} Pretty-printed JSON.
+   */
+  toJSON(words) {
+    const database = {
+      [VocabDatabaseValidator.METADATA_KEY]: { facets: this.model.getFacetDefinitions() },
+    };
+    words.forEach((word) => {
+      if (!database[word.category]) database[word.category] = {};
+      database[word.category][word.term] = {
+        definition: word.definition,
+        class: word.class,
+        type: word.type,
+        tags: word.tags || [],
+        ...this.model.getOptionalFields(word),
+      };
+    });
+    return JSON.stringify(database, null, 2);
+  }
+
+  /**
+   * Serializes words to CSV or TSV with a header row. The optional fields get a column
+   * each, after the original ones; list fields are joined with `LIST_SEPARATOR`.
+   *
+   * @param {Array<Object>} words - Word objects.
+   * @param {string} delimiter - "," for CSV or "\t" for TSV.
+   * @returns {string} The delimited text.
+   */
+  toDelimited(words, delimiter) {
+    const escape = (value) => {
+      const text = String(value);
+      if (delimiter === "\t") return text.replace(/[\t\r\n]+/g, " ");
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = VocabCatalogImportExport.COLUMN_FIELDS;
+    const lines = [header.join(delimiter)];
+    words.forEach((word) => {
+      const optional = this.model.getOptionalFields(word);
+      const cellFor = (field) => {
+        if (field === "tags") return (word.tags || []).join(", ");
+        if (field in VocabCatalogViewerModel.OPTIONAL_FIELDS) {
+          const value = optional[field] || "";
+          return Array.isArray(value) ? value.join(VocabCatalogImportExport.LIST_SEPARATOR) : value;
+        }
+        return word[field];
+      };
+      lines.push(header.map(cellFor).map(escape).join(delimiter));
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Serializes words to Anki's plain-text import format (term, definition, tags).
+   * Class, type and category are kept as `class::`, `type::` and `category::` tags. Anki
+   * tags can't contain spaces, so spaces become underscores and the tag's own underscores
+   * (and backslashes) are escaped with a backslash, for `parseAnki()` to tell them apart.
+   *
+   * @param {Array<Object>} words - Word objects.
+   * @returns {string} The Anki import text.
+   */
+  toAnki(words) {
+    const clean = (value) => String(value).replace(/[\t\r\n]+/g, " ");
+    const lines = ["#separator:tab", "#html:false", "#tags column:3"];
+    words.forEach((word) => {
+      const tags = (word.tags || []).map((tag) =>
+        tag.replace(/[\\_]/g, "\\$&").replace(/\s+/g, "_")
+      );
+      tags.push(`class::${word.class}`, `type::${word.type}`, `category::${word.category}`);
+      lines.push([clean(word.term), clean(word.definition), tags.join(" ")].join("\t"));
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Trims an entry's fields, capitalizes class and type to match the values the catalog
+   * allows (see `model.getAllowedValues()`), and fills in the default category.
+   *
+   * @param {Object} entry - A parsed import entry.
+   * @returns {Object} The normalized entry.
+   */
+  normalizeEntry(entry) {
+    const matchValue = (value, allowed) =>
+      allowed.find((option) => option.toLowerCase() === value.trim().toLowerCase()) ||
+      value.trim();
+    const wordClass = matchValue(entry.class || "Normal", this.model.getAllowedValues("class"));
+    const type = matchValue(entry.type || "Neutral", this.model.getAllowedValues("type"));
+    const category =
+      (entry.category || "").trim() || this.model.getDefaultCategory(wordClass, type);
+
+    return {
+      row: entry.row,
+      term: (entry.term || "").trim(),
+      definition: (entry.definition || "").trim(),
+      class: wordClass,
+      type,
+      tags: (entry.tags || []).map((tag) => tag.trim()).filter(Boolean),
+      ...this.model.getOptionalFields(entry),
+      category,
+    };
+  }
+
+  /**
+   * Returns why a normalized entry can't be imported, or null if it can.
+   *
+   * @param {Object} entry - A normalized import entry.
+   * @returns {string|null} The reason, or null.
+   */
+  validateEntry(entry) {
+    if (!entry.term) return "Missing term";
+    if (!entry.definition) return "Missing definition";
+    if (!this.model.getAllowedValues("class").includes(entry.class)) {
+      return `Unknown class "${entry.class}"`;
+    }
+    if (!this.model.getAllowedValues("type").includes(entry.type)) {
+      return `Unknown type "${entry.type}"`;
+    }
+    return null;
+  }
+
+  /**
+   * Returns true if an import entry has the same content as an existing word.
+   *
+   * @param {Object} entry - A normalized import entry.
+   * @param {Object} word - A word object from the model.
+   * @returns {boolean}
+   */
+  isSameWord(entry, word) {
+    return (
+      entry.definition === word.definition &&
+      entry.class === word.class &&
+      entry.type === word.type &&
+      JSON.stringify(entry.tags) === JSON.stringify(word.tags || []) &&
+      JSON.stringify(this.model.getOptionalFields(entry)) ===
+        JSON.stringify(this.model.getOptionalFields(word))
+    );
+  }
+
+  /**
+   * Splits a tags cell on commas, semicolons or pipes.
+   *
+   * @param {string} value - The cell value.
+   * @returns {Array<string>} The tags.
+   */
+  splitTags(value) {
+    return value
+      .split(/[;,|]/)
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Removes HTML tags and decodes the few entities Anki writes.
+   *
+   * @param {string} value - The field value.
+   * @returns {string} Plain text.
+   */
+  stripHtml(value) {
+    return value
+      .replace(/<br\s*\/?>/gi, " ")
+      .replace(/<[^>]*>/g, "")
+      .replace(/&nbsp;/g, " ")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&amp;/g, "&")
+      .trim();
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { VocabCatalogImportExport };
+}
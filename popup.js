@@ -1,626 +1,774 @@
-// --- Model ---
-class VocabCatalogViewerModel {
-  constructor() {
-    this.wordDatabase = {};
-    this.allWords = [];
-    this.uniqueTags = new Set();
-  }
+// --- Controller / App Initialization ---
+const model = new VocabCatalogViewerModel();
+const importExport = new VocabCatalogImportExport(model);
+const copyTray = new VocabCopyTray();
+const wordLists = new VocabWordLists(model);
+const studyDeck = new VocabStudyDeck(model);
+const dailyWord = new VocabDailyWord(model, wordLists, studyDeck);
+const wordFilter = new VocabWordFilter(model);
+const tableColumns = new VocabTableColumns();
+const filterState = new VocabFilterState();
+const theme = new VocabTheme();
+const backup = new VocabBackup();
+let view;
+let currentWords = [];
+let importPreview = null;
+let pendingBackup = null;
 
-  /**
-   * Asynchronously loads the word database from a JSON file using the Chrome extension API.
-   * 
-   * This function fetches the "data/words-database.json" file and populates the `wordDatabase` property
-   * with its contents. If loading fails, it logs an error to the console.
-   * 
-   * Interactions:
-   * - Called during application initialization (see `init()`).
-   * - After loading, `processAllWords()` should be called to process and flatten the loaded data.
-   * - The loaded data is used by other model methods such as `getAllWords()`, `getUniqueTags()`, and `filterWords()`.
-   * 
-   * @returns {Promise<void>} Resolves when the database is loaded or fails.
-   */
-  async loadWordDatabase() {
-    try {
-      const response = await fetch(
-        chrome.runtime.getURL("data/words-database.json")
-      );
-      this.wordDatabase = await response.json();
-    } catch (error) {
-      console.error("Error loading word database:", error);
-    }
-  }
+async function init() {
+  // Before anything is drawn, so the page doesn't flash the default theme's colors
+  await theme.load();
+  await model.loadWordDatabase();
+  await model.loadCollections();
+  await model.loadUserWords();
+  model.processAllWords();
+  await model.tagTaxonomy.load();
+  wordFilter.start();
+  wordFilter.setWords();
+  await copyTray.load();
+  await wordLists.load();
+  await studyDeck.load();
+  await dailyWord.loadSettings();
+  await tableColumns.load();
+  await filterState.load();
+  view = new VocabCatalogViewerView(model, copyTray, wordLists, tableColumns);
+  view.populateFacetFilters();
+  view.populateListFilter();
+  view.populateCollectionSelect();
+  currentWords = VocabTableColumns.sortWords(model.getAllWords(), tableColumns.sort);
+  view.renderValidationErrors();
+  view.renderTableHeader();
+  view.renderWords(currentWords);
+  view.renderTagPicker(model.getUniqueTags());
+  view.renderCopyTray();
+  view.setupTableListeners();
+  view.setupEventListeners(filterWords, applyFacetFilter);
+  view.setupTagPickerListeners(filterWords);
+  view.setupCopyTrayListeners();
+  view.setupListListeners(filterWords);
+  view.setupColumnListeners(filterWords);
+  view.setupCollectionListeners(switchCollection, updateCollections);
+  view.setupDetailListeners(jumpToWord);
+  view.setupStudyListeners({ onOpen: startStudy, onGrade: gradeStudyWord });
+  view.setupDailyWordListeners(saveDailyWordSettings);
+  view.setupKeyboardListeners(applyFacetFilter);
+  view.setupCommandPalette(getPaletteCommands);
+  view.setupEditorListeners({
+    onSave: (original, wordData) =>
+      applyUserEdit(() => {
+        const saved = model.saveWord(original, wordData);
+        if (original && wordLists.renameWord(original, saved)) view.updateWordLists();
+        if (original && studyDeck.renameWord(original, saved)) saveStudyProgress();
+      }),
+    onDelete: (word) => applyUserEdit(() => model.deleteWord(word)),
+    onRevert: (word) => applyUserEdit(() => model.revertWord(word)),
+  });
+  view.setupImportExportListeners({
+    onOpen: openImportExport,
+    onFileLoaded: (fileName, text) => {
+      view.importFormat.value = importExport.detectFormat(fileName, text);
+      updateImportPreview();
+    },
+    onOptionsChanged: updateImportPreview,
+    onImport: confirmImport,
+    onExport: exportWords,
+  });
+  view.setupBackupListeners({
+    onDownload: downloadBackup,
+    onFileLoaded: previewBackup,
+    onRestore: restoreBackup,
+    onSettingsChanged: saveBackupSettings,
+  });
+  view.setupSavedSearchListeners({
+    onOpen: () => view.openSavedSearches(filterState.searches),
+    onSave: (name) => updateSavedSearches(() => filterState.saveSearch(name, getFilterState())),
+    onApply: (id) => applyFilterState(filterState.getSearch(id).state),
+    onRename: (id, name) => updateSavedSearches(() => filterState.renameSearch(id, name)),
+    onDelete: (id) => updateSavedSearches(() => filterState.deleteSearch(id)),
+    onCopyLink: copySearchLink,
+  });
+  view.setupTagManagerListeners({
+    onOpen: () => view.openTagManager(currentWords.length),
+    onMerge: (tags, into) =>
+      updateTags(() => {
+        const count = model.mergeTags(tags, into);
+        // Keep the tag picker on the merged tag rather than a tag no word has any more
+        const { include, exclude, mode } = view.getTagSet();
+        const rename = (list) =>
+          Array.from(new Set(list.map((tag) => (tags.includes(tag) ? into.trim() : tag))));
+        view.setTagSet({ include: rename(include), exclude: rename(exclude), mode });
+        return `Merged into "${into.trim()}": ${count} words changed`;
+      }),
+    onRename: (tag, name) =>
+      updateTags(() => {
+        const count = model.renameTag(tag, name);
+        return `Renamed "${tag}" on ${count} words`;
+      }),
+    onSetParent: (tag, parent) => updateTags(() => model.tagTaxonomy.setParent(tag, parent)),
+    onBulkTag: (tag) =>
+      updateTags(() => {
+        const count = model.addTagToWords(currentWords, tag);
+        return `Tagged ${count} words "${tag.trim()}"`;
+      }),
+  });
+  view.setupFullPageButton(openFullPage);
+  view.renderThemeControls(VocabTheme.THEMES, theme.theme);
+  view.setupThemeListeners({
+    onNext: () => switchTheme(theme.getNextTheme().id),
+    onPick: switchTheme,
+  });
+  chrome.storage.onChanged.addListener(applySharedSettings);
+  window.addEventListener("hashchange", () =>
+    applyFilterState(VocabFilterState.fromHash(window.location.hash))
+  );
+  await restoreFilterState();
+  await searchFromClipboard();
+  await showWordFromNotification();
+}
 
-  /**
-   * Processes and flattens the loaded word database into a single array of word objects.
-   *
-   * This function iterates through all categories and terms in the `wordDatabase` property,
-   * creates a flat array of word entries (each including its category), and populates the
-   * `allWords` property. It also collects all unique tags from the words and stores them
-   * in the `uniqueTags` set.
-   *
-   * Interactions:
-   * - Should be called after `loadWordDatabase()` to prepare the data for searching and filtering.
-   * - The resulting `allWords` array is used by methods like `getAllWords()`, `getUniqueTags()`, and `filterWords()`.
-   */
-  processAllWords() {
-    this.allWords = [];
-    this.uniqueTags.clear();
-
-    Object.keys(this.wordDatabase).forEach((category) => {
-      const categoryWords = this.wordDatabase[category];
-      Object.keys(categoryWords).forEach((term) => {
-        const wordData = categoryWords[term];
-        const wordEntry = { term, ...wordData, category };
-        this.allWords.push(wordEntry);
-
-        if (wordData.tags && Array.isArray(wordData.tags)) {
-          wordData.tags.forEach((tag) => this.uniqueTags.add(tag));
-        }
-      });
-    });
-  }
+async function applyUserEdit(edit) {
+  edit();
+  await model.saveUserWords();
+  model.processAllWords();
+  wordFilter.setWords();
+  view.populateFacetFilters();
+  await filterWords();
+}
 
-  /**
-   * Returns a flat array of all word objects in the database.
-   *
-   * Interactions:
-   * - Used by the view to render the list of words.
-   * - Used by tests and filtering logic to access all available words.
-   *
-   * @returns {Array<Object>} Array of word objects.
-   */
-  getAllWords() {
-    return this.allWords;
-  }
+async function filterWords() {
+  const query = model.queryLanguage.parse(view.searchInput.value);
+  const facets = view
+    .getFacetFields()
+    .map((field) => [field, model.queryLanguage.getFacetValue(query, field)]);
+  view.syncFilterDropdowns(Object.fromEntries(facets));
+  const tagSet = view.getTagSet();
+  const source = view.getListSource();
+  const result = await wordFilter.filter(
+    query,
+    tagSet,
+    source && wordLists.getSourceKeys(source),
+    tableColumns.sort,
+    view.getSearchMode()
+  );
+  // A newer search is on its way
+  if (!result) return;
+  currentWords = result.words;
+  view.renderWords(result.words, result.matches);
+  view.renderTagPicker(result.tagCounts);
+  rememberFilterState();
+}
 
-  /**
-   * Returns a sorted array of all unique tags found in the word database.
-   *
-   * Interactions:
-   * - Used by the view to populate the tag filter dropdown.
-   * - Used by tests to verify tag extraction.
-   *
-   * @returns {Array<string>} Sorted array of unique tag strings.
-   */
-  getUniqueTags() {
-    return Array.from(this.uniqueTags).sort();
-  }
+/**
+ * Reads the filters as set in the popup.
+ *
+ * @returns {Object} The filter state (see `VocabFilterState`).
+ */
+function getFilterState() {
+  return VocabFilterState.normalize({
+    query: view.searchInput.value,
+    mode: view.getSearchMode(),
+    tags: view.getTagSet(),
+    list: view.getListSource() || "all",
+    sort: tableColumns.sort,
+  });
+}
 
-  /**
-   * Filters the list of words based on search term, class, type, and tag.
-   *
-   * This function checks each word against the provided filter criteria and returns
-   * only those that match all filters.
-   *
-   * Interactions:
-   * - Called by the view/controller when the user changes search or filter options.
-   * - Used by tests to verify filtering logic.
-   *
-   * @param {Object} filters - The filter criteria.
-   * @param {string} filters.searchTerm - The search term to match in term or definition.
-   * @param {string} filters.selectedClass - The selected word class to filter by.
-   * @param {string} filters.selectedType - The selected word type to filter by.
-   * @param {string} filters.selectedTag - The selected tag to filter by.
-   * @returns {Array<Object>} Array of word objects matching the filters.
-   */
-  filterWords({ searchTerm, selectedClass, selectedType, selectedTag }) {
-    return this.allWords.filter((word) => {
-      const matchesSearch =
-        word.term.toLowerCase().toLowerCase().includes(searchTerm) ||
-        word.definition.toLowerCase().includes(searchTerm);
-
-      const matchesClass =
-        selectedClass === "all" || word.class === selectedClass;
-
-      const matchesType = selectedType === "all" || word.type === selectedType;
-
-      const matchesTag =
-        selectedTag === "all" || (word.tags && word.tags.includes(selectedTag));
-
-      return matchesSearch && matchesClass && matchesType && matchesTag;
-    });
-  }
+/**
+ * Sets every filter from a state, e.g. a saved search or a link, and shows the words.
+ *
+ * @param {Object} [state] - A filter state; none clears the filters and the sort.
+ */
+function applyFilterState(state) {
+  state = VocabFilterState.normalize(state);
+  view.searchInput.value = state.query;
+  view.setSearchMode(state.mode);
+  view.setTagSet(state.tags);
+  // A list deleted since the state was saved shows all words instead
+  const list = state.list === "all" || wordLists.getSourceKeys(state.list) ? state.list : "all";
+  // Leave the placeholder in place while no list has been picked
+  if (list !== (view.getListSource() || "all")) view.setListSource(list);
+  tableColumns.sort = state.sort.filter(({ id }) => tableColumns.getColumn(id));
+  view.renderTableHeader();
+  return filterWords();
 }
 
-// --- View ---
-class VocabCatalogViewerView {
-  /**
-   * Constructs the view and initializes references to DOM elements.
-   *
-   * @param {VocabCatalogViewerModel} model - The model instance to interact with.
-   *
-   * Interactions:
-   * - Stores references to key DOM elements for rendering and event handling.
-   * - Used by controller to initialize and render the UI.
-   */
-  constructor(model) {
-    this.model = model;
-    // DOM elements
-    this.searchInput = document.getElementById("search-input");
-    this.classFilter = document.getElementById("class-filter");
-    this.typeFilter = document.getElementById("type-filter");
-    this.tagFilter = document.getElementById("tag-filter");
-    this.wordsTable = document
-      .getElementById("words-table")
-      .getElementsByTagName("tbody")[0];
-    this.wordCountSpan = document.getElementById("word-count");
-    this.notification = document.getElementById("copy-notification");
-    this.currentString = "(normal)";
-    this.notificationTimeout = null;
-  }
+/**
+ * Restores the filters from the page's URL hash, e.g. a shared link to a search, or
+ * otherwise from where the popup was left last time.
+ */
+async function restoreFilterState() {
+  const state =
+    VocabFilterState.fromHash(window.location.hash) || (await filterState.loadLastState());
+  if (state && !VocabFilterState.isEmpty(state)) await applyFilterState(state);
+}
 
-  /**
-   * Populates the class filter dropdown with available word classes.
-   *
-   * Interactions:
-   * - Reads available classes and updates the class filter DOM element.
-   * - Called during initialization and when the class filter needs to be refreshed.
-   */
-  populateClassFilter() {
-    this.classFilter.innerHTML = "";
-
-    // Add a dark magenta placeholder as the first option
-    const placeholder = document.createElement("option");
-    placeholder.value = "";
-    placeholder.textContent = "Word Class";
-    placeholder.disabled = true;
-    placeholder.selected = true;
-    placeholder.style.color = "#8B008B"; // dark magenta
-    this.classFilter.appendChild(placeholder);
-
-    // (all) as the first selectable item
-    const allOption = document.createElement("option");
-    allOption.value = "all";
-    allOption.textContent = "(all)";
-    this.classFilter.appendChild(allOption);
-
-    ["Normal", "Big"].forEach((cls) => {
-      const option = document.createElement("option");
-      option.value = cls;
-      option.textContent = cls;
-      this.classFilter.appendChild(option);
-    });
+/**
+ * Writes the filters into the page's URL hash, so the view can be bookmarked, and keeps
+ * them for the next time the popup opens.
+ */
+function rememberFilterState() {
+  const state = getFilterState();
+  const hash = VocabFilterState.toHash(state);
+  if (window.location.hash.replace(/^#/, "") !== hash) {
+    const url = window.location.href.split("#")[0];
+    // Replacing rather than pushing keeps the back button for leaving the page
+    window.history.replaceState(null, "", hash ? `${url}#${hash}` : url);
   }
+  filterState.saveLastState(state).catch((error) => {
+    console.error("Could not save the filter state:", error);
+  });
+}
 
-  /**
-   * Populates the type filter dropdown with available word types.
-   *
-   * Interactions:
-   * - Reads available types and updates the type filter DOM element.
-   * - Called during initialization and when the type filter needs to be refreshed.
-   */
-  populateTypeFilter() {
-    this.typeFilter.innerHTML = "";
-
-    // Add a dark magenta placeholder as the first option
-    const placeholder = document.createElement("option");
-    placeholder.value = "";
-    placeholder.textContent = "Word Type";
-    placeholder.disabled = true;
-    placeholder.selected = true;
-    placeholder.style.color = "#8B008B"; // dark magenta
-    this.typeFilter.appendChild(placeholder);
-
-    // (all) as the first selectable item
-    const allOption = document.createElement("option");
-    allOption.value = "all";
-    allOption.textContent = "(all)";
-    this.typeFilter.appendChild(allOption);
-
-    ["Positive", "Negative", "Neutral", "Tone"].forEach((type) => {
-      const option = document.createElement("option");
-      option.value = type;
-      option.textContent = type;
-      this.typeFilter.appendChild(option);
-    });
+/**
+ * Applies a change to the saved searches, persists them and re-renders the dialog.
+ *
+ * @param {Function} change - Changes `filterState`; may throw for a bad name, which the
+ *   dialog shows.
+ */
+async function updateSavedSearches(change) {
+  change();
+  view.renderSavedSearches(filterState.searches);
+  try {
+    await filterState.save();
+  } catch (error) {
+    console.error("Could not save searches:", error);
+    view.showCopyNotification(`Could not sync searches: ${error.message}`);
   }
+}
 
-  /**
-   * Populates the tag filter dropdown with unique tags from the model.
-   *
-   * Interactions:
-   * - Calls model.getUniqueTags() to get tags.
-   * - Updates the tag filter DOM element.
-   * - Called during initialization and when the tag filter needs to be refreshed.
-   */
-  populateTagFilter() {
-    this.tagFilter.innerHTML = "";
-
-    // Add a dark magenta placeholder as the first option
-    const placeholder = document.createElement("option");
-    placeholder.value = "";
-    placeholder.textContent = "Tags";
-    placeholder.disabled = true;
-    placeholder.selected = true;
-    placeholder.style.color = "#8B008B"; // dark magenta
-    this.tagFilter.appendChild(placeholder);
-
-    // (all) as the first selectable item
-    const allOption = document.createElement("option");
-    allOption.value = "all";
-    allOption.textContent = "(all)";
-    this.tagFilter.appendChild(allOption);
-
-    this.model.getUniqueTags().forEach((tag) => {
-      const option = document.createElement("option");
-      option.value = tag;
-      option.textContent = tag;
-      this.tagFilter.appendChild(option);
-    });
-  }
+/**
+ * Copies a link that opens the extension with the current filters.
+ */
+function copySearchLink() {
+  const hash = VocabFilterState.toHash(getFilterState());
+  // Links open the page they were copied from, the popup or the full-page view
+  const page = window.location.pathname.split("/").pop() || "popup.html";
+  view.copyText(chrome.runtime.getURL(page) + (hash ? `#${hash}` : ""));
+}
 
-  /**
-   * Displays a temporary notification when a word is copied.
-   *
-   * @param {string} text - The text to display in the notification.
-   *
-   * Interactions:
-   * - Updates the notification DOM element.
-   * - Called by handleWordCopy() after copying to clipboard.
-   */
-  showCopyNotification(text) {
-    this.notification.textContent = text;
-    this.notification.classList.add("show");
-    if (this.notificationTimeout) clearTimeout(this.notificationTimeout);
-    this.notificationTimeout = setTimeout(() => {
-      this.notification.classList.remove("show");
-    }, 2000);
+/**
+ * Applies a change made in the tag manager: words it changed are saved like any edit,
+ * and the tag hierarchy is saved alongside.
+ *
+ * @param {Function} change - Changes the words or the hierarchy through the model; may
+ *   return a message to show, and may throw for a bad tag name, which the manager shows.
+ */
+async function updateTags(change) {
+  let message;
+  await applyUserEdit(() => {
+    message = change();
+  });
+  try {
+    await model.tagTaxonomy.save();
+  } catch (error) {
+    console.error("Could not save the tag hierarchy:", error);
+    view.showCopyNotification(`Could not sync the tag hierarchy: ${error.message}`);
   }
+  view.renderTagManager(currentWords.length);
+  if (message) view.showCopyNotification(message);
+}
 
-  /**
-   * Handles copying a word to the clipboard and updates the notification.
-   *
-   * @param {string} word - The word to copy.
-   * @param {boolean} [isRightClick=false] - Whether the copy was triggered by a right-click.
-   *
-   * Interactions:
-   * - Updates the currentString for clipboard.
-   * - Calls showCopyNotification() after copying.
-   * - Used as an event handler for word row clicks.
-   */
-  handleWordCopy(word, isRightClick = false) {
-    if (isRightClick) {
-      this.currentString = "(normal)";
-    } else {
-      if (this.currentString === "(normal)") {
-        this.currentString = `(${word})`;
-      } else {
-        this.currentString += `(${word})`;
-      }
-    }
-    navigator.clipboard
-      .writeText(this.currentString)
-      .then(() => this.showCopyNotification(this.currentString))
-      .catch((err) => console.error("Could not copy text: ", err));
+/**
+ * Shows the words of another collection, or of all of them, and remembers the choice.
+ *
+ * @param {string} id - A collection id, or "all".
+ */
+async function switchCollection(id) {
+  model.setActiveCollection(id);
+  await updateCollections();
+}
+
+/**
+ * Persists the collections after a change and reloads the words from the active ones.
+ * Deleting a collection also drops its words, so the user layers are saved too.
+ */
+async function updateCollections() {
+  try {
+    await model.saveCollections();
+    await model.saveUserWords();
+  } catch (error) {
+    console.error("Could not save collections:", error);
+    view.showCopyNotification(`Could not save collections: ${error.message}`);
   }
+  await reloadCollections();
+}
 
-  /**
-   * Renders the list of words in the table body.
-   *
-   * @param {Array<Object>} words - The array of word objects to render.
-   *
-   * Interactions:
-   * - Updates the words table DOM element.
-   * - Sets up click and contextmenu event listeners for copying.
-   * - Updates the word count display.
-   */
-  renderWords(words) {
-    this.wordsTable.innerHTML = "";
-    words.forEach((word) => {
-      const row = document.createElement("tr");
-
-      const termCell = document.createElement("td");
-      termCell.textContent = word.term;
-      if (word.class === "Big") termCell.classList.add("big-word");
-
-      const defCell = document.createElement("td");
-      defCell.textContent = word.definition;
-
-      const classCell = document.createElement("td");
-      classCell.textContent = word.class;
-
-      const typeCell = document.createElement("td");
-      typeCell.textContent = word.type;
-      typeCell.classList.add(word.type.toLowerCase());
-
-      const tagsCell = document.createElement("td");
-      if (word.tags && word.tags.length > 0) {
-        word.tags.forEach((tag) => {
-          const tagSpan = document.createElement("span");
-          tagSpan.classList.add("tag");
-          tagSpan.textContent = tag;
-          tagsCell.appendChild(tagSpan);
-        });
-      }
+/**
+ * Reloads the words from the active collections and re-renders everything that depends
+ * on them.
+ */
+async function reloadCollections() {
+  await model.loadActiveDatabases();
+  model.processAllWords();
+  wordFilter.setWords();
+  view.populateFacetFilters();
+  view.populateCollectionSelect();
+  view.renderValidationErrors();
+  await filterWords();
+}
 
-      row.appendChild(termCell);
-      row.appendChild(defCell);
-      row.appendChild(classCell);
-      row.appendChild(typeCell);
-      row.appendChild(tagsCell);
-      this.wordsTable.appendChild(row);
+/**
+ * Opens the full-page view in a tab, where the table has room for long definitions.
+ */
+function openFullPage() {
+  chrome.runtime.openOptionsPage();
+}
 
-      row.addEventListener("click", (e) => {
-        if (e.button === 0) this.handleWordCopy(word.term);
-      });
-      row.addEventListener("contextmenu", (e) => {
-        e.preventDefault();
-        this.handleWordCopy(word.term, true);
-      });
-    });
-    this.wordCountSpan.textContent = words.length;
+/**
+ * Switches to a theme and remembers it, for the other pages of the extension too.
+ *
+ * @param {string} id - A theme id from `VocabTheme.THEMES`.
+ */
+async function switchTheme(id) {
+  theme.apply(id);
+  view.renderThemeControls(VocabTheme.THEMES, theme.theme);
+  try {
+    await theme.save();
+  } catch (error) {
+    console.error("Could not save the theme:", error);
+    view.showCopyNotification(`Could not save the theme: ${error.message}`);
   }
+}
 
-  /**
-   * Sets up event listeners for search and filter controls.
-   *
-   * @param {Function} filterCallback - The callback to invoke when a filter changes.
-   *
-   * Interactions:
-   * - Attaches input/change listeners to filter and search elements.
-   * - Removes placeholder options on first change.
-   * - Focuses the search input on setup.
-   */
-  setupEventListeners(filterCallback) {
-    this.searchInput.addEventListener("input", filterCallback);
-
-    // Remove placeholder on first change for class filter
-    this.classFilter.addEventListener("change", function handler(e) {
-      if (this.options[0].value === "") {
-        this.remove(0);
-        this.removeEventListener("change", handler);
+/**
+ * Picks up settings changed in another open page of the extension (the popup and the
+ * full-page view share them through `chrome.storage`): the copy template, the active
+ * collections, the table layout, the theme and the word of the day. This page's own saves come back
+ * through here too, and are skipped because they match what it already has.
+ *
+ * @param {Object} changes - Changed keys with their `{oldValue, newValue}`.
+ * @param {string} area - The storage area, "local" or "sync".
+ */
+async function applySharedSettings(changes, area) {
+  const differs = (key, current) =>
+    key in changes && JSON.stringify(changes[key].newValue) !== JSON.stringify(current);
+  try {
+    if (area === "local") {
+      const tray = { items: copyTray.items, templateId: copyTray.templateId };
+      if (differs("copyTray", tray) || differs("copyTemplates", copyTray.customTemplates)) {
+        await copyTray.load();
+        view.renderCopyTray();
       }
-      filterCallback();
-    });
-
-    // Remove placeholder on first change for type filter
-    this.typeFilter.addEventListener("change", function handler(e) {
-      if (this.options[0].value === "") {
-        this.remove(0);
-        this.removeEventListener("change", handler);
+      const userCollections = model.collections
+        .filter(({ kind }) => kind === "user")
+        .map(({ id, name }) => ({ id, name }));
+      if (differs("activeCollection", model.getActiveCollection()) ||
+        differs("userCollections", userCollections)) {
+        await model.loadCollections();
+        await reloadCollections();
       }
-      filterCallback();
-    });
-
-    // Remove placeholder on first change for tag filter
-    this.tagFilter.addEventListener("change", function handler(e) {
-      if (this.options[0].value === "") {
-        this.remove(0);
-        this.removeEventListener("change", handler);
+    } else if (area === "sync") {
+      const { order, hidden, sort } = tableColumns;
+      if (differs("tableLayout", { order, hidden, sort })) {
+        await tableColumns.load();
+        view.renderTableHeader();
+        await filterWords();
       }
-      filterCallback();
-    });
-
-    this.searchInput.focus();
+      if (differs("theme", theme.theme)) {
+        theme.apply(changes.theme.newValue);
+        view.renderThemeControls(VocabTheme.THEMES, theme.theme);
+      }
+      if (differs("dailyWordSettings", dailyWord.settings)) await dailyWord.loadSettings();
+    }
+  } catch (error) {
+    console.error("Could not apply settings from another page:", error);
   }
+}
 
-  /**
-   * Improves the user experience for dropdown filters (focus/blur styling and placeholder removal).
-   *
-   * Interactions:
-   * - Adds focus and blur event listeners to filter dropdowns.
-   * - Removes placeholder options and updates styling on focus/blur.
-   */
-  improveDropdownUX() {
-    // Word Class
-    this.classFilter.addEventListener("focus", function () {
-      if (this.selectedIndex === 0 && this.options[0].value === "") {
-        this.selectedIndex = 1; // Select (all)
-        this.remove(0); // Remove the placeholder
-      }
-      this.style.backgroundColor = "rgba(15, 240, 252, 0.1)";
-    });
-    this.classFilter.addEventListener("blur", function () {
-      this.style.backgroundColor = "rgba(26, 26, 46, 0.8)";
-    });
+/**
+ * Starts a study session over the words the popup shows, so the filters pick what to study.
+ */
+function startStudy() {
+  view.renderDailyWordSettings(dailyWord.settings);
+  view.openStudy(studyDeck.buildSession(currentWords), studyDeck.getStats(currentWords));
+}
 
-    // Word Type
-    this.typeFilter.addEventListener("focus", function () {
-      if (this.selectedIndex === 0 && this.options[0].value === "") {
-        this.selectedIndex = 1; // Select (all)
-        this.remove(0); // Remove the placeholder
-      }
-      this.style.backgroundColor = "rgba(15, 240, 252, 0.1)";
-    });
-    this.typeFilter.addEventListener("blur", function () {
-      this.style.backgroundColor = "rgba(26, 26, 46, 0.8)";
-    });
+/**
+ * Schedules a studied word's next review and saves the progress.
+ *
+ * @param {Object} word - The word reviewed.
+ * @param {number} quality - The recall grade, on SM-2's 0-5 scale.
+ */
+async function gradeStudyWord(word, quality) {
+  studyDeck.review(word, quality);
+  view.renderStudyStats(studyDeck.getStats(currentWords));
+  await saveStudyProgress();
+}
 
-    // Tags
-    this.tagFilter.addEventListener("focus", function () {
-      if (this.selectedIndex === 0 && this.options[0].value === "") {
-        this.selectedIndex = 1; // Select (all)
-        this.remove(0); // Remove the placeholder
-      }
-      this.style.backgroundColor = "rgba(15, 240, 252, 0.1)";
-    });
-    this.tagFilter.addEventListener("blur", function () {
-      this.style.backgroundColor = "rgba(26, 26, 46, 0.8)";
-    });
+/**
+ * Saves the word of the day settings; the service worker reschedules its alarm when it
+ * sees them change.
+ *
+ * @param {Object} settings - `{enabled, hour, source, query}`.
+ */
+async function saveDailyWordSettings(settings) {
+  try {
+    await dailyWord.saveSettings(settings);
+  } catch (error) {
+    console.error("Could not save word of the day settings:", error);
+    view.showCopyNotification(`Could not save settings: ${error.message}`);
   }
 }
 
-// --- Controller / App Initialization ---
-const model = new VocabCatalogViewerModel();
-let view;
-
-async function init() {
-  await model.loadWordDatabase();
-  model.processAllWords();
-  view = new VocabCatalogViewerView(model);
-  view.populateClassFilter();
-  view.populateTypeFilter();
-  view.populateTagFilter();
-  view.renderWords(model.getAllWords());
-  view.setupEventListeners(filterWords);
-  view.improveDropdownUX();
-}
-
-function filterWords() {
-  const searchTerm = view.searchInput.value.trim().toLowerCase();
-  const selectedClass = view.classFilter.value || "all";
-  const selectedType = view.typeFilter.value || "all";
-  const selectedTag = view.tagFilter.value || "all";
-  const filtered = model.filterWords({
-    searchTerm,
-    selectedClass,
-    selectedType,
-    selectedTag,
-  });
-  view.renderWords(filtered);
+async function saveStudyProgress() {
+  try {
+    await studyDeck.save();
+  } catch (error) {
+    console.error("Could not save study progress:", error);
+    view.showCopyNotification(`Could not save study progress: ${error.message}`);
+  }
 }
 
-function filterAndRenderWords() {
-  const searchTerm = view.searchInput.value.trim().toLowerCase();
-  // Treat empty or placeholder value as "all"
-  const selectedClass = view.classFilter.value || "all";
-  const selectedType = view.typeFilter.value || "all";
-  const selectedTag = view.tagFilter.value || "all";
+function clearFilters() {
+  view.searchInput.value = "";
+  view.clearTagSet();
+  view.setListSource("all");
+  return filterWords();
+}
 
-  const filteredWords = model.filterWords({
-    searchTerm,
-    selectedClass,
-    selectedType,
-    selectedTag,
-  });
-  view.renderWords(filteredWords);
+/**
+ * Follows a synonym or related-word link in the detail pane: highlights the linked word's
+ * row, clearing the filters first if they hide it, and shows its details.
+ *
+ * @param {string} term - The linked term.
+ * @param {Object} fromWord - The word whose details hold the link.
+ */
+async function jumpToWord(term, fromWord) {
+  const word = model.findWordByTerm(term, fromWord.collection);
+  if (word) await revealWord(word);
 }
 
-document.addEventListener("DOMContentLoaded", init);
+/**
+ * Highlights a word's row, scrolled into view, clearing the filters first if they hide it,
+ * and shows its details.
+ *
+ * @param {Object} word - A word from `model.allWords`.
+ */
+async function revealWord(word) {
+  if (!currentWords.includes(word)) await clearFilters();
+  view.setActiveRow(currentWords.indexOf(word));
+  view.openWordDetail(word);
+}
 
-// --- Simple Unit Tests for VocabCatalogViewerModel ---
+/**
+ * Shows the word of the day when the popup was opened by clicking its notification (see
+ * `VocabDailyWord.openDailyWord()`), which leaves the word's key in `chrome.storage.session`.
+ */
+async function showWordFromNotification() {
+  try {
+    const { showWord } = await chrome.storage.session.get("showWord");
+    if (!showWord) return;
+    await chrome.storage.session.remove("showWord");
+    if (Date.now() - showWord.at > 5000) return;
+
+    const word = model.getAllWords().find((w) => model.getWordKey(w) === showWord.key);
+    if (word) await revealWord(word);
+    else view.showCopyNotification("The word of the day is not in this collection");
+  } catch (error) {
+    console.error("Could not show the word of the day:", error);
+  }
+}
 
-function runVocabCatalogViewerModelTests(logFn = console.log, errorFn = console.error) {
-  // Add this function:
-  function assertEquals(actual, expected, message) {
-    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
-      errorFn("❌ " + message + "<br>Expected: " + JSON.stringify(expected) + "<br>Actual: " + JSON.stringify(actual));
-    } else {
-      logFn("✅ " + message);
-    }
+/**
+ * Fills the search box from the clipboard when the popup was opened through the
+ * "search-clipboard" keyboard command (see `background.js`), which leaves a short-lived
+ * timestamp in `chrome.storage.session` before opening the popup.
+ */
+async function searchFromClipboard() {
+  try {
+    const { searchClipboard } = await chrome.storage.session.get("searchClipboard");
+    if (!searchClipboard) return;
+    await chrome.storage.session.remove("searchClipboard");
+    if (Date.now() - searchClipboard > 5000) return;
+
+    const text = (await navigator.clipboard.readText()).trim().split("\n")[0].slice(0, 100);
+    if (!text) return;
+    view.searchInput.value = text;
+    await filterWords();
+    view.searchInput.select();
+  } catch (error) {
+    console.error("Could not search from the clipboard:", error);
   }
+}
 
-  // Mock data
-  const mockDB = {
-    Animals: {
-      Cat: {
-        definition: "A small domesticated carnivorous mammal.",
-        class: "Normal",
-        type: "Neutral",
-        tags: ["pet", "mammal"],
-      },
-      Dog: {
-        definition: "A domesticated carnivorous mammal.",
-        class: "Big",
-        type: "Positive",
-        tags: ["pet", "mammal", "friend"],
+/**
+ * Builds the command palette's commands from the current templates, lists and filters.
+ *
+ * @returns {Array<Object>} Commands `{title, shortcut?, run}`.
+ */
+function getPaletteCommands() {
+  const updateTray = (change) => () => {
+    change();
+    view.updateCopyTray();
+  };
+  const commands = [
+    { title: "Clear filters", run: clearFilters },
+    { title: "Copy tray", run: () => view.copyText(copyTray.format()) },
+    { title: "Clear tray", run: updateTray(() => copyTray.clear()) },
+    { title: "Reset copy string", shortcut: "Alt+R", run: () => view.resetCopyTray() },
+    { title: "Undo last tray change", run: updateTray(() => copyTray.undo()) },
+    { title: "Add word", run: () => view.openWordEditor() },
+    { title: "Edit copy templates", run: () => view.openTemplateEditor() },
+    { title: "Manage lists", run: () => view.openListsEditor() },
+    { title: "Manage tags", run: () => view.openTagManager(currentWords.length) },
+    { title: "Save this search…", run: () => view.openSavedSearches(filterState.searches) },
+    { title: "Copy link to this search", run: copySearchLink },
+    { title: "Table columns", run: () => view.openColumnsEditor() },
+    {
+      title: "Details of the highlighted word",
+      shortcut: "Alt+I",
+      run: () => {
+        const index = Math.max(view.activeRowIndex, 0);
+        if (currentWords[index]) view.toggleWordDetail(currentWords[index]);
       },
     },
-    Plants: {
-      Rose: {
-        definition: "A woody perennial flowering plant.",
-        class: "Normal",
-        type: "Positive",
-        tags: ["flower", "thorn"],
-      },
+    {
+      title: view.getSearchMode() === "meaning" ? "Search by word" : "Find by meaning",
+      shortcut: "Alt+M",
+      run: () => view.searchModeButton.click(),
     },
-  };
+    { title: "Study the shown words", run: startStudy },
+    { title: "Manage collections", run: () => view.openCollectionsEditor() },
+    { title: "Import / export", run: openImportExport },
+    { title: "Download backup", run: downloadBackup },
+  ];
+  // Only the popup offers the full-page view; it is already open otherwise
+  if (view.fullPageButton) commands.push({ title: "Open in a tab", run: openFullPage });
+  if (model.collections.length > 1) {
+    [...model.collections, { id: "all", name: "All collections" }].forEach(({ id, name }) => {
+      commands.push({ title: `Collection: ${name}`, run: () => switchCollection(id) });
+    });
+  }
+  VocabTheme.THEMES.forEach(({ id, name }) => {
+    commands.push({ title: `Theme: ${name}`, run: () => switchTheme(id) });
+  });
+  filterState.searches.forEach((search) => {
+    commands.push({
+      title: `Saved search: ${search.name}`,
+      run: () => applyFilterState(search.state),
+    });
+  });
+  copyTray.getTemplates().forEach((template) => {
+    commands.push({
+      title: `Copy template: ${template.name}`,
+      run: updateTray(() => copyTray.setTemplate(template.id)),
+    });
+  });
+  [{ id: "all", name: "All words" }, ...wordLists.getSources()].forEach(({ id, name }) => {
+    commands.push({
+      title: `Open list: ${name}`,
+      shortcut: id === "all" ? "Alt+L" : undefined,
+      run: () => {
+        view.setListSource(id);
+        return filterWords();
+      },
+    });
+  });
+  const facetShortcuts = { class: "Alt+C", type: "Alt+T" };
+  model.getFacets().forEach(({ field, label, values }) => {
+    [{ value: "all", label: "(all)" }, ...values].forEach((entry, index) => {
+      commands.push({
+        title: `${label}: ${entry.label}`,
+        shortcut: index === 0 ? facetShortcuts[field] : undefined,
+        run: () => applyFacetFilter(field, entry.value),
+      });
+    });
+  });
+  return commands;
+}
 
-  // Setup
-  //////////////////////////////////////
-  const model = new VocabCatalogViewerModel();
-  model.wordDatabase = mockDB;
-  model.processAllWords();
+function applyFacetFilter(field, value) {
+  const query = model.queryLanguage.parse(view.searchInput.value);
+  view.searchInput.value = model.queryLanguage.stringify(
+    model.queryLanguage.setFacetValue(query, field, value)
+  );
+  return filterWords();
+}
 
-  // Test getAllWords
-  assertEquals(model.getAllWords().length, 3, "getAllWords returns all words");
+function updateImportPreview() {
+  const { text, format, hasHeader, collection } = view.readImportOptions();
+  if (!text) return;
+  try {
+    let columnMap;
+    if (format === "csv" || format === "tsv") {
+      const rows = importExport.parseDelimited(text, format === "csv" ? "," : "\t");
+      const firstRow = rows[0] || [];
+      const columns = hasHeader ? firstRow : firstRow.map((_, i) => `Column ${i + 1}`);
+      columnMap =
+        view.readColumnMap() || importExport.guessColumnMapping(hasHeader ? firstRow : []);
+      view.renderColumnMap(columns, columnMap);
+    } else {
+      view.resetColumnMap();
+    }
+    const entries = importExport.parse(text, format, { hasHeader, columnMap });
+    importPreview = importExport.previewImport(entries, collection);
+    view.renderImportPreview(importPreview);
+  } catch (error) {
+    importPreview = null;
+    view.renderImportPreview(null, `Could not read file: ${error.message}`);
+  }
+}
 
-  // Test getUniqueTags
-  assertEquals(
-    model.getUniqueTags(),
-    ["flower", "friend", "mammal", "pet", "thorn"],
-    "getUniqueTags returns sorted unique tags"
-  );
+/**
+ * Opens the import/export dialog, with the automatic backup settings.
+ */
+async function openImportExport() {
+  view.openImportExport(currentWords.length);
+  try {
+    const settings = await backup.loadSettings();
+    view.renderBackupSettings(settings, VocabBackup.FREQUENCIES, await backup.getLastBackup());
+  } catch (error) {
+    console.error("Could not load the backup settings:", error);
+  }
+}
 
-  // Test filterWords: searchTerm
-  let filtered = model.filterWords({
-    searchTerm: "cat",
-    selectedClass: "all",
-    selectedType: "all",
-    selectedTag: "all",
+async function confirmImport() {
+  if (!importPreview) return;
+  const { overwrite, collection, collectionName } = view.readImportOptions();
+  let target = collection;
+  if (collection === "new") {
+    try {
+      target = model.createCollection(collectionName).id;
+    } catch (error) {
+      view.renderImportPreview(null, error.message);
+      return;
+    }
+  }
+  let count = 0;
+  await applyUserEdit(() => {
+    count = importExport.importWords(importPreview, { overwrite, collection: target });
   });
-  assertEquals(filtered.length, 2, "filterWords filters by searchTerm (term)");
+  // Show the new collection so the imported words are in view
+  if (collection === "new") await switchCollection(target);
+  view.closeImportExport();
+  view.showCopyNotification(`Imported ${count} words`);
+}
 
-  filtered = model.filterWords({
-    searchTerm: "carnivorous",
-    selectedClass: "all",
-    selectedType: "all",
-    selectedTag: "all",
-  });
-  assertEquals(
-    filtered.length,
-    2,
-    "filterWords filters by searchTerm (definition)"
+function exportWords(format, scope) {
+  const words = scope === "filtered" ? currentWords : model.getAllWords();
+  const types = {
+    json: ["json", "application/json"],
+    csv: ["csv", "text/csv"],
+    tsv: ["tsv", "text/tab-separated-values"],
+    anki: ["txt", "text/plain"],
+  };
+  const [extension, mimeType] = types[format];
+  view.downloadFile(
+    `vocab-words.${extension}`,
+    importExport.export(words, format),
+    mimeType
   );
+}
 
-  // Test filterWords: class
-  filtered = model.filterWords({
-    searchTerm: "",
-    selectedClass: "Big",
-    selectedType: "all",
-    selectedTag: "all",
-  });
-  assertEquals(
-    filtered.map((w) => w.term),
-    ["Dog"],
-    "filterWords filters by class"
-  );
+/**
+ * Offers a backup of all the user's data as a download.
+ */
+async function downloadBackup() {
+  try {
+    const text = JSON.stringify(await backup.create(), null, 2);
+    view.downloadFile(VocabBackup.getFileName(), text, "application/json");
+  } catch (error) {
+    console.error("Could not make a backup:", error);
+    view.showCopyNotification(`Could not make a backup: ${error.message}`);
+  }
+}
 
-  // Test filterWords: type
-  filtered = model.filterWords({
-    searchTerm: "",
-    selectedClass: "all",
-    selectedType: "Positive",
-    selectedTag: "all",
-  });
-  assertEquals(
-    filtered.map((w) => w.term).sort(),
-    ["Dog", "Rose"],
-    "filterWords filters by type"
-  );
+/**
+ * Reads a chosen backup file and shows what restoring it would change.
+ *
+ * @param {string} text - The file contents.
+ */
+async function previewBackup(text) {
+  try {
+    pendingBackup = VocabBackup.parse(text);
+    const summary = await backup.preview(pendingBackup);
+    view.renderBackupPreview({ createdAt: pendingBackup.createdAt, ...summary });
+  } catch (error) {
+    pendingBackup = null;
+    view.renderBackupPreview(null, `Could not read backup: ${error.message}`);
+  }
+}
 
-  // Test filterWords: tag
-  filtered = model.filterWords({
-    searchTerm: "",
-    selectedClass: "all",
-    selectedType: "all",
-    selectedTag: "mammal",
-  });
-  assertEquals(
-    filtered.map((w) => w.term).sort(),
-    ["Cat", "Dog"],
-    "filterWords filters by tag"
-  );
+/**
+ * Restores the chosen backup and reloads everything from storage.
+ *
+ * @param {string} mode - "merge" or "replace" (see `VocabBackup.restore()`).
+ */
+async function restoreBackup(mode) {
+  if (!pendingBackup) return;
+  try {
+    await backup.restore(pendingBackup, mode);
+    pendingBackup = null;
+  } catch (error) {
+    console.error("Could not restore the backup:", error);
+    view.renderBackupPreview(null, `Could not restore backup: ${error.message}`);
+    return;
+  } finally {
+    // A failed restore may still have left some keys restored, and saving what is in
+    // memory now would write over them
+    await reloadUserData();
+  }
+  view.closeImportExport();
+  view.showCopyNotification("Backup restored");
+}
 
-  // Test filterWords: combined filters
-  filtered = model.filterWords({
-    searchTerm: "",
-    selectedClass: "Normal",
-    selectedType: "Positive",
-    selectedTag: "flower",
-  });
-  assertEquals(
-    filtered.map((w) => w.term),
-    ["Rose"],
-    "filterWords filters by combined criteria"
-  );
+/**
+ * Reloads the user's data and settings from storage and re-renders, after a restore.
+ */
+async function reloadUserData() {
+  await theme.load();
+  await model.loadCollections();
+  await model.loadUserWords();
+  await model.tagTaxonomy.load();
+  await copyTray.load();
+  await wordLists.load();
+  await studyDeck.load();
+  await dailyWord.loadSettings();
+  await tableColumns.load();
+  await filterState.load();
+  view.renderThemeControls(VocabTheme.THEMES, theme.theme);
+  view.renderTableHeader();
+  view.renderCopyTray();
+  view.populateListFilter();
+  await reloadCollections();
 }
 
-// Run tests if in dev mode (or always, for demonstration)
-if (typeof window !== "undefined") {
-  window.runVocabCatalogViewerModelTests = runVocabCatalogViewerModelTests;
-  // Uncomment to run automatically:
-  // runVocabCatalogViewerModelTests();
+/**
+ * Saves the automatic backup settings; the service worker reschedules its alarm when it
+ * sees them change.
+ *
+ * @param {Object} settings - `{auto, frequency}`.
+ */
+async function saveBackupSettings(settings) {
+  try {
+    await backup.saveSettings(settings);
+  } catch (error) {
+    console.error("Could not save backup settings:", error);
+    view.showCopyNotification(`Could not save settings: ${error.message}`);
+  }
 }
 
-runVocabCatalogViewerModelTests();
+document.addEventListener("DOMContentLoaded", init);
+
+// The Node tests drive the controller directly (see tests/helpers/environment.js)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    model,
+    copyTray,
+    wordLists,
+    tableColumns,
+    filterState,
+    theme,
+    backup,
+    init,
+    filterWords,
+    getFilterState,
+    applyFilterState,
+    clearFilters,
+    applyFacetFilter,
+    previewBackup,
+    restoreBackup,
+    getView: () => view,
+    getCurrentWords: () => currentWords,
+  };
+}
@@ -0,0 +1,428 @@
+// --- Query Language ---
+class VocabQueryLanguage {
+  // Qualifier names accepted in the search box, mapped to the word field they filter
+  static FIELDS = {
+    tag: "tag",
+    tags: "tag",
+    class: "class",
+    type: "type",
+    def: "definition",
+    definition: "definition",
+    term: "term",
+    word: "term",
+    cat: "category",
+    category: "category",
+    syn: "synonyms",
+    synonym: "synonyms",
+    ant: "antonyms",
+    antonym: "antonyms",
+    pos: "partOfSpeech",
+    register: "register",
+  };
+
+  /**
+   * Parses search box text into a query tree.
+   *
+   * Syntax:
+   * - Words are searched fuzzily in term, definition and tags (see `VocabSearchIndex`);
+   *   neighbouring words form one search, e.g. `warm fondness`.
+   * - `"warm fondness"` matches that exact phrase in the term or definition.
+   * - `tag:emotion`, `class:Big`, `type:Tone`, `cat:toneBigWords`, `pos:adjective`,
+   *   `register:formal`, `syn:happy` and `ant:sad` match a field (or one of its entries)
+   *   exactly, case-insensitively; `def:light` and `term:light` match part of the
+   *   definition or term.
+   *   Values can be quoted: `def:"shining brightly"`.
+   * - Clauses are ANDed; `OR` (or `|`) between clauses ORs them, and binds more loosely.
+   * - `-clause` or `NOT clause` negates; parentheses group.
+   *
+   * The parser never throws: unbalanced parentheses and dangling operators are ignored,
+   * since the text is re-parsed on every keystroke.
+   *
+   * Nodes are `{type: "and"|"or", children}`, `{type: "not", child}`,
+   * `{type: "field", field, value}` and `{type: "text", value, phrase}`.
+   *
+   * Interactions:
+   * - Called by `VocabCatalogViewerModel.filterWords()` for string queries.
+   * - Called by the controller to keep the filter dropdowns in sync with the search box.
+   *
+   * @param {string} text - The query text.
+   * @returns {Object|null} The query tree, or null for an empty query (matches everything).
+   */
+  parse(text) {
+    const tokens = this.tokenize(text || "");
+    let position = 0;
+    const peek = () => tokens[position];
+
+    const parseOr = () => {
+      const children = [];
+      while (position < tokens.length && peek().kind !== ")") {
+        if (peek().kind === "or") {
+          position++;
+          continue;
+        }
+        const clause = parseAnd();
+        if (clause) children.push(clause);
+      }
+      return children.length > 1 ? { type: "or", children } : children[0] || null;
+    };
+
+    const parseAnd = () => {
+      const children = [];
+      while (position < tokens.length && peek().kind !== ")" && peek().kind !== "or") {
+        const clause = parseUnary();
+        if (!clause) continue;
+        // Neighbouring plain words form one search, so ranking sees the whole phrase
+        const previous = children[children.length - 1];
+        if (
+          clause.type === "text" &&
+          !clause.phrase &&
+          previous &&
+          previous.type === "text" &&
+          !previous.phrase
+        ) {
+          previous.value += ` ${clause.value}`;
+        } else {
+          children.push(clause);
+        }
+      }
+      return children.length > 1 ? { type: "and", children } : children[0] || null;
+    };
+
+    const parseUnary = () => {
+      const token = tokens[position++];
+      switch (token.kind) {
+        case "not": {
+          if (position >= tokens.length || ["or", ")"].includes(peek().kind)) return null;
+          const child = parseUnary();
+          return child ? { type: "not", child } : null;
+        }
+        case "(": {
+          const group = parseOr();
+          if (peek() && peek().kind === ")") position++;
+          return group;
+        }
+        case "field":
+          return { type: "field", field: token.field, value: token.value };
+        case "phrase":
+          return token.value ? { type: "text", value: token.value, phrase: true } : null;
+        case "word":
+          return { type: "text", value: token.value, phrase: false };
+        default:
+          return null;
+      }
+    };
+
+    const trees = [];
+    while (position < tokens.length) {
+      const tree = parseOr();
+      if (tree) trees.push(tree);
+      // Skip a stray closing parenthesis and keep going
+      if (peek() && peek().kind === ")") position++;
+    }
+    return trees.length > 1 ? { type: "and", children: trees } : trees[0] || null;
+  }
+
+  /**
+   * Splits query text into tokens.
+   *
+   * @param {string} text - The query text.
+   * @returns {Array<Object>} Tokens `{kind, value, field}`; kind is "(", ")", "or", "not",
+   *   "field", "phrase" or "word".
+   */
+  tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    const readQuoted = () => {
+      const end = text.indexOf('"', i + 1);
+      const value = text.slice(i + 1, end === -1 ? text.length : end);
+      i = end === -1 ? text.length : end + 1;
+      return value;
+    };
+
+    while (i < text.length) {
+      const char = text[i];
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === "(" || char === ")") {
+        tokens.push({ kind: char });
+        i++;
+      } else if (char === "|") {
+        tokens.push({ kind: "or" });
+        i++;
+      } else if (char === "-") {
+        // A "-" with nothing after it yet is still being typed
+        if (i + 1 < text.length && !/[\s)]/.test(text[i + 1])) tokens.push({ kind: "not" });
+        i++;
+      } else if (char === '"') {
+        tokens.push({ kind: "phrase", value: readQuoted().trim() });
+      } else {
+        const start = i;
+        while (i < text.length && !/[\s()"]/.test(text[i])) i++;
+        const word = text.slice(start, i);
+        const qualifier = word.match(/^([a-z]+):(.*)$/i);
+        const field = qualifier && VocabQueryLanguage.FIELDS[qualifier[1].toLowerCase()];
+
+        if (field) {
+          let value = qualifier[2];
+          if (value === "" && text[i] === '"') value = readQuoted();
+          if (value.trim()) tokens.push({ kind: "field", field, value: value.trim() });
+        } else if (word === "OR") {
+          tokens.push({ kind: "or" });
+        } else if (word === "NOT") {
+          tokens.push({ kind: "not" });
+        } else if (word !== "AND") {
+          tokens.push({ kind: "word", value: word });
+        }
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * Turns a query tree back into search box text.
+   *
+   * @param {Object|null} node - The query tree.
+   * @returns {string} The query text.
+   */
+  stringify(node) {
+    if (!node) return "";
+    const quote = (value) => (/[\s()"|]/.test(value) || value === "" ? `"${value}"` : value);
+    const qualifier = (field) =>
+      ({
+        definition: "def",
+        category: "cat",
+        synonyms: "syn",
+        antonyms: "ant",
+        partOfSpeech: "pos",
+      })[field] || field;
+
+    switch (node.type) {
+      case "and":
+        return node.children
+          .map((child) => (child.type === "or" ? `(${this.stringify(child)})` : this.stringify(child)))
+          .join(" ");
+      case "or":
+        return node.children.map((child) => this.stringify(child)).join(" OR ");
+      case "not": {
+        const inner = this.stringify(node.child);
+        const simple =
+          node.child.type === "field" ||
+          (node.child.type === "text" && (node.child.phrase || !node.child.value.includes(" ")));
+        return simple ? `-${inner}` : `-(${inner})`;
+      }
+      case "field":
+        return `${qualifier(node.field)}:${quote(node.value)}`;
+      case "text":
+        return node.phrase ? `"${node.value}"` : node.value;
+      default:
+        return "";
+    }
+  }
+
+  /**
+   * Evaluates a query tree against a list of words.
+   *
+   * Word searches run through the search index once per query, not once per word.
+   * Results are ranked by the search scores of the word searches they matched; queries
+   * without word searches keep the words' original order.
+   *
+   * Interactions:
+   * - Called by `VocabCatalogViewerModel.filterWords()`.
+   *
+   * @param {Object|null} tree - The query tree from `parse()`.
+   * @param {Array<Object>} words - The words to filter.
+   * @param {VocabSearchIndex|VocabReverseIndex} searchIndex - An index built over the same
+   *   words.
+   * @returns {Array<Object>} Results `{word, score, ranges}` for matching words, best first.
+   */
+  evaluate(tree, words, searchIndex) {
+    if (!tree) return words.map((word) => ({ word, score: 0, ranges: null }));
+
+    const searches = new Map();
+    const prepare = (node) => {
+      if (node.type === "text" && !node.phrase && !searches.has(node)) {
+        const hits = new Map();
+        searchIndex.search(node.value).forEach(({ word, score, ranges }) => {
+          hits.set(word, { score, ranges });
+        });
+        searches.set(node, hits);
+      }
+      (node.children || []).forEach(prepare);
+      if (node.child) prepare(node.child);
+    };
+    prepare(tree);
+
+    const results = [];
+    words.forEach((word, index) => {
+      const match = { score: 0, ranges: {} };
+      if (this.matches(tree, word, searches, match)) {
+        results.push({ word, score: match.score, ranges: match.ranges, index });
+      }
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(({ word, score, ranges }) => ({ word, score, ranges }));
+  }
+
+  /**
+   * Returns true if a word matches a query node, adding the score and highlight ranges of
+   * the parts it matched (outside of negations) to `match`.
+   *
+   * @param {Object} node - A query node.
+   * @param {Object} word - The word to test.
+   * @param {Map<Object, Map>} searches - Prepared word-search hits per text node.
+   * @param {Object|null} match - `{score, ranges}` accumulator, or null inside a negation.
+   * @returns {boolean}
+   */
+  matches(node, word, searches, match) {
+    const addRanges = (field, ranges) => {
+      if (!match || ranges.length === 0) return;
+      match.ranges[field] = (match.ranges[field] || []).concat(ranges);
+    };
+
+    switch (node.type) {
+      case "and":
+        return node.children.every((child) => this.matches(child, word, searches, match));
+      case "or": {
+        // Evaluate every branch so all matching parts get highlighted
+        const results = node.children.map((child) => this.matches(child, word, searches, match));
+        return results.some(Boolean);
+      }
+      case "not":
+        return !this.matches(node.child, word, searches, null);
+      case "text": {
+        if (node.phrase) {
+          const termRanges = this.findRanges(word.term, node.value);
+          const definitionRanges = this.findRanges(word.definition, node.value);
+          addRanges("term", termRanges);
+          addRanges("definition", definitionRanges);
+          return termRanges.length > 0 || definitionRanges.length > 0;
+        }
+        const hit = searches.get(node).get(word);
+        if (!hit) return false;
+        if (match) {
+          match.score += hit.score;
+          Object.keys(hit.ranges).forEach((field) => addRanges(field, hit.ranges[field]));
+        }
+        return true;
+      }
+      case "field":
+        return this.matchesField(node, word, addRanges);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Tests a single `field:value` qualifier against a word.
+   *
+   * @param {Object} node - A field node.
+   * @param {Object} word - The word to test.
+   * @param {Function} addRanges - Called with `(field, ranges)` for text to highlight.
+   * @returns {boolean}
+   */
+  matchesField(node, word, addRanges) {
+    const value = node.value.toLowerCase();
+    switch (node.field) {
+      case "tag": {
+        const tag = (word.tags || []).find((candidate) => candidate.toLowerCase() === value);
+        if (tag) addRanges(tag, [[0, tag.length]]);
+        return Boolean(tag);
+      }
+      case "definition":
+      case "term": {
+        const ranges = this.findRanges(word[node.field], node.value);
+        addRanges(node.field, ranges);
+        return ranges.length > 0;
+      }
+      case "synonyms":
+      case "antonyms":
+        return (word[node.field] || []).some((item) => item.toLowerCase() === value);
+      default:
+        return String(word[node.field] || "").toLowerCase() === value;
+    }
+  }
+
+  /**
+   * Finds every case-insensitive occurrence of a substring.
+   *
+   * @param {string} text - The text to search.
+   * @param {string} value - The substring.
+   * @returns {Array<Array<number>>} `[start, end]` pairs.
+   */
+  findRanges(text, value) {
+    const ranges = [];
+    const haystack = String(text || "").toLowerCase();
+    const needle = value.toLowerCase();
+    if (!needle) return ranges;
+    let start = haystack.indexOf(needle);
+    while (start !== -1) {
+      ranges.push([start, start + needle.length]);
+      start = haystack.indexOf(needle, start + needle.length);
+    }
+    return ranges;
+  }
+
+  /**
+   * Returns the top-level clauses of a query, which are ANDed together.
+   *
+   * @param {Object|null} tree - The query tree.
+   * @returns {Array<Object>} The clauses.
+   */
+  getClauses(tree) {
+    if (!tree) return [];
+    return tree.type === "and" ? tree.children : [tree];
+  }
+
+  /**
+   * Reads the value a single-choice filter dropdown should show for a field.
+   *
+   * Only a single positive `field:value` clause at the top level can be shown in a
+   * dropdown; anything more complex (several values, ORs, negations) can't.
+   *
+   * Interactions:
+   * - Called by the controller after each search box change to sync the dropdowns.
+   *
+   * @param {Object|null} tree - The query tree.
+   * @param {string} field - "class", "type" or "tag".
+   * @returns {string|null} The value, "all" if the query doesn't filter the field, or null
+   *   if the query filters it in a way a dropdown can't represent.
+   */
+  getFacetValue(tree, field) {
+    const clauses = this.getClauses(tree);
+    const mentions = (node) =>
+      node.type === "field"
+        ? node.field === field
+        : (node.children || []).some(mentions) || (node.child ? mentions(node.child) : false);
+
+    const direct = clauses.filter((node) => node.type === "field" && node.field === field);
+    const nested = clauses.filter((node) => node.type !== "field" && mentions(node));
+    if (nested.length > 0 || direct.length > 1) return null;
+    return direct.length === 1 ? direct[0].value : "all";
+  }
+
+  /**
+   * Replaces a field's top-level clauses with a single `field:value` clause, leaving the
+   * rest of the query untouched.
+   *
+   * Interactions:
+   * - Called by the controller when a filter dropdown changes, to rewrite the search box.
+   *
+   * @param {Object|null} tree - The query tree.
+   * @param {string} field - "class", "type" or "tag".
+   * @param {string} value - The new value, or "all" to drop the field's clauses.
+   * @returns {Object|null} The new query tree.
+   */
+  setFacetValue(tree, field, value) {
+    const clauses = this.getClauses(tree).filter(
+      (node) => !(node.type === "field" && node.field === field)
+    );
+    if (value !== "all") clauses.push({ type: "field", field, value });
+    return clauses.length > 1 ? { type: "and", children: clauses } : clauses[0] || null;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { VocabQueryLanguage };
+}
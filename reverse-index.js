@@ -0,0 +1,162 @@
+// --- Reverse Dictionary ---
+class VocabReverseIndex {
+  // How much a hit in each field counts; tags are short and deliberate, so they weigh more
+  static FIELD_WEIGHTS = { definition: 1, tags: 2 };
+
+  // BM25 parameters: term frequency saturation and how much long definitions are penalised
+  static K1 = 1.2;
+  static B = 0.75;
+
+  // Results scoring below this share of the best result are dropped as noise
+  static MIN_RELATIVE_SCORE = 0.3;
+
+  static STOP_WORDS = new Set([
+    "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "how", "in", "into",
+    "is", "it", "its", "of", "on", "or", "so", "some", "something", "someone", "that",
+    "the", "their", "this", "to", "very", "was", "what", "when", "which", "who", "with",
+    "word", "really", "quite",
+  ]);
+
+  constructor() {
+    this.words = [];
+    this.built = false;
+    this.documents = [];
+    this.postings = new Map();
+    this.averageLength = 0;
+    // Tokenizing and stemming are shared with the main search, so both agree on what a word is
+    this.tokenizer = new VocabSearchIndex();
+  }
+
+  /**
+   * Sets the words to look up. Indexing is deferred until the first `search()`, since
+   * most sessions never use the reverse lookup.
+   *
+   * Interactions:
+   * - Called by `VocabCatalogViewerModel.processAllWords()` whenever the word list changes,
+   *   and by the filter worker when it receives new words.
+   *
+   * @param {Array<Object>} words - The word objects, in display order.
+   */
+  build(words) {
+    this.words = words;
+    this.built = false;
+  }
+
+  /**
+   * Builds the BM25 index: for every word, the stems of its definition and tags with
+   * their (field-weighted) frequencies, and for every stem the words that contain it.
+   */
+  buildIndex() {
+    this.documents = [];
+    this.postings = new Map();
+    let totalLength = 0;
+
+    this.words.forEach((word, index) => {
+      const frequencies = new Map();
+      let length = 0;
+      const addTokens = (tokens, weight) => {
+        tokens.forEach(({ token }) => {
+          if (VocabReverseIndex.STOP_WORDS.has(token)) return;
+          const stem = this.tokenizer.stem(token);
+          frequencies.set(stem, (frequencies.get(stem) || 0) + weight);
+          length += weight;
+        });
+      };
+      addTokens(
+        this.tokenizer.tokenize(word.definition || ""),
+        VocabReverseIndex.FIELD_WEIGHTS.definition
+      );
+      (word.tags || []).forEach((tag) => {
+        addTokens(this.tokenizer.tokenize(tag), VocabReverseIndex.FIELD_WEIGHTS.tags);
+      });
+
+      this.documents.push({ frequencies, length });
+      totalLength += length;
+      frequencies.forEach((_, stem) => {
+        if (!this.postings.has(stem)) this.postings.set(stem, []);
+        this.postings.get(stem).push(index);
+      });
+    });
+
+    this.averageLength = this.words.length > 0 ? totalLength / this.words.length : 0;
+    this.built = true;
+  }
+
+  /**
+   * Finds words whose definitions and tags best fit a description, e.g. "shining very
+   * brightly". Unlike `VocabSearchIndex.search()`, not every word of the description has
+   * to appear: words are ranked by BM25, so rare, telling words ("shining") count for
+   * more than common ones, and a word matching several of them ranks higher.
+   *
+   * Interactions:
+   * - Used by `VocabCatalogViewerModel.filterWords()` in "meaning" mode, through
+   *   `VocabQueryLanguage.evaluate()`, in place of the main search index.
+   *
+   * @param {string} text - The description.
+   * @returns {Array<Object>} Results `{word, score, ranges}`, best first, in the same shape
+   *   as `VocabSearchIndex.search()` so matches are highlighted the same way.
+   */
+  search(text) {
+    if (!this.built) this.buildIndex();
+    const stems = new Set(
+      this.tokenizer
+        .tokenize(text)
+        .filter(({ token }) => !VocabReverseIndex.STOP_WORDS.has(token))
+        .map(({ token }) => this.tokenizer.stem(token))
+    );
+    if (stems.size === 0) return [];
+
+    const { K1, B } = VocabReverseIndex;
+    const scores = new Map();
+    stems.forEach((stem) => {
+      const postings = this.postings.get(stem);
+      if (!postings) return;
+      const idf = Math.log(
+        1 + (this.words.length - postings.length + 0.5) / (postings.length + 0.5)
+      );
+      postings.forEach((index) => {
+        const { frequencies, length } = this.documents[index];
+        const frequency = frequencies.get(stem);
+        const norm = K1 * (1 - B + (B * length) / (this.averageLength || 1));
+        const score = (idf * frequency * (K1 + 1)) / (frequency + norm);
+        scores.set(index, (scores.get(index) || 0) + score);
+      });
+    });
+
+    const best = Math.max(0, ...scores.values());
+    return Array.from(scores)
+      .filter(([, score]) => score >= best * VocabReverseIndex.MIN_RELATIVE_SCORE)
+      .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+      .map(([index, score]) => ({
+        word: this.words[index],
+        score,
+        ranges: this.collectRanges(this.words[index], stems),
+      }));
+  }
+
+  /**
+   * Finds the parts of a word's definition and tags that matched the description.
+   *
+   * @param {Object} word - A matched word.
+   * @param {Set<string>} stems - The description's stems.
+   * @returns {Object} Map of "term", "definition" or a tag string to `[start, end]` pairs.
+   */
+  collectRanges(word, stems) {
+    const rangesFor = (text) =>
+      this.tokenizer
+        .tokenize(text || "")
+        .filter(({ token }) => stems.has(this.tokenizer.stem(token)))
+        .map(({ token, start }) => [start, start + token.length]);
+
+    const ranges = { term: [], definition: rangesFor(word.definition) };
+    (word.tags || []).forEach((tag) => {
+      const tagRanges = rangesFor(tag);
+      if (tagRanges.length > 0) ranges[tag] = tagRanges;
+    });
+    return ranges;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { VocabReverseIndex };
+}
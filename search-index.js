@@ -0,0 +1,301 @@
+// --- Search Index ---
+class VocabSearchIndex {
+  // How much a hit in each field counts towards a word's score
+  static FIELD_WEIGHTS = { term: 10, tags: 4, synonyms: 3, definition: 2, examples: 1 };
+
+  // How much each kind of token match counts, relative to an exact match
+  static MATCH_WEIGHTS = { exact: 1, prefix: 0.8, stem: 0.7, fuzzy: 0.5, infix: 0.3 };
+
+  static SUFFIXES = [
+    "ations", "ation", "ness", "ment", "ingly", "edly", "ing", "ity", "ous",
+    "ful", "ive", "ate", "ly", "ed", "es", "al", "s",
+  ];
+
+  constructor() {
+    this.words = [];
+    this.fields = [];
+    this.postings = new Map();
+    this.vocabulary = [];
+    this.stems = new Map();
+  }
+
+  /**
+   * Builds the index over a list of words. Each word's term, definition, tags, synonyms
+   * and examples are tokenized once, and every token is recorded with the positions it occurs at so
+   * searches never rescan the word list and can report what to highlight.
+   *
+   * Interactions:
+   * - Called by `VocabCatalogViewerModel.processAllWords()` whenever the word list changes.
+   *
+   * @param {Array<Object>} words - The word objects to index, in display order.
+   */
+  build(words) {
+    this.words = words;
+    this.fields = [];
+    this.postings = new Map();
+    this.stems = new Map();
+
+    words.forEach((word, index) => {
+      const fields = {
+        term: this.tokenize(word.term || ""),
+        definition: this.tokenize(word.definition || ""),
+        tags: (word.tags || []).map((tag) => this.tokenize(tag)),
+        synonyms: this.tokenize((word.synonyms || []).join(" ")),
+        examples: this.tokenize((word.examples || []).join(" ")),
+      };
+      this.fields.push(fields);
+
+      const addPosting = (token) => {
+        if (!this.postings.has(token)) this.postings.set(token, new Set());
+        this.postings.get(token).add(index);
+      };
+      fields.term.forEach(({ token }) => addPosting(token));
+      fields.definition.forEach(({ token }) => addPosting(token));
+      fields.tags.forEach((tagTokens) => tagTokens.forEach(({ token }) => addPosting(token)));
+      fields.synonyms.forEach(({ token }) => addPosting(token));
+      fields.examples.forEach(({ token }) => addPosting(token));
+    });
+
+    this.vocabulary = Array.from(this.postings.keys()).sort();
+    this.vocabulary.forEach((token) => {
+      const stem = this.stem(token);
+      if (!this.stems.has(stem)) this.stems.set(stem, []);
+      this.stems.get(stem).push(token);
+    });
+  }
+
+  /**
+   * Searches the index and returns matching words, best first.
+   *
+   * Every query token has to match each returned word, either exactly, as a prefix, by
+   * sharing a stem, within a small edit distance (typos), or as a substring of a longer
+   * word. Term matches outrank tag matches, then synonyms, definitions and examples, and a
+   * term equal to (or starting with) the whole query gets a further boost.
+   *
+   * Interactions:
+   * - Called by `VocabCatalogViewerModel.filterWords()` for non-empty search terms.
+   *
+   * @param {string} query - The search text.
+   * @returns {Array<Object>} Results `{word, score, ranges}`; `ranges` maps "term",
+   *   "definition" and tag strings to `[start, end]` pairs to highlight.
+   */
+  search(query) {
+    const queryTokens = this.tokenize(query).map(({ token }) => token);
+    if (queryTokens.length === 0) return [];
+
+    // For each query token: word index -> {score, tokens: Map(token -> [start, end] within token)}
+    let candidates = null;
+    const perToken = queryTokens.map((queryToken) => {
+      const hits = new Map();
+      this.expandToken(queryToken).forEach(({ token, kind, offset, length }) => {
+        this.postings.get(token).forEach((index) => {
+          if (candidates && !candidates.has(index)) return;
+          const score = this.scoreToken(index, token, kind);
+          const hit = hits.get(index) || { score: 0, tokens: new Map() };
+          hit.score = Math.max(hit.score, score);
+          hit.tokens.set(token, [offset, offset + length]);
+          hits.set(index, hit);
+        });
+      });
+      candidates = new Set(hits.keys());
+      return hits;
+    });
+
+    const normalizedQuery = queryTokens.join(" ");
+    const results = [];
+    candidates.forEach((index) => {
+      let score = 0;
+      const matchedTokens = new Map();
+      perToken.forEach((hits) => {
+        const hit = hits.get(index);
+        score += hit.score;
+        hit.tokens.forEach((range, token) => matchedTokens.set(token, range));
+      });
+
+      const term = this.fields[index].term.map(({ token }) => token).join(" ");
+      if (term === normalizedQuery) score += 20;
+      else if (term.startsWith(normalizedQuery)) score += 10;
+
+      results.push({ index, score, ranges: this.collectRanges(index, matchedTokens) });
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(({ index, score, ranges }) => ({ word: this.words[index], score, ranges }));
+  }
+
+  /**
+   * Finds every indexed token a query token can match, and how.
+   *
+   * @param {string} queryToken - A lowercase query token.
+   * @returns {Array<Object>} Matches `{token, kind, offset, length}`; offset/length give the
+   *   part of the indexed token to highlight.
+   */
+  expandToken(queryToken) {
+    const matches = new Map();
+    const add = (token, kind, offset = 0, length = token.length) => {
+      const previous = matches.get(token);
+      if (
+        !previous ||
+        VocabSearchIndex.MATCH_WEIGHTS[kind] > VocabSearchIndex.MATCH_WEIGHTS[previous.kind]
+      ) {
+        matches.set(token, { token, kind, offset, length });
+      }
+    };
+
+    if (this.postings.has(queryToken)) add(queryToken, "exact");
+
+    // Prefix matches sit next to each other in the sorted vocabulary
+    let low = 0;
+    let high = this.vocabulary.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.vocabulary[mid] < queryToken) low = mid + 1;
+      else high = mid;
+    }
+    for (let i = low; i < this.vocabulary.length; i++) {
+      const token = this.vocabulary[i];
+      if (!token.startsWith(queryToken)) break;
+      if (token !== queryToken) add(token, "prefix", 0, queryToken.length);
+    }
+
+    if (queryToken.length >= 3) {
+      (this.stems.get(this.stem(queryToken)) || []).forEach((token) => add(token, "stem"));
+    }
+
+    const maxEdits = queryToken.length >= 8 ? 2 : queryToken.length >= 4 ? 1 : 0;
+    this.vocabulary.forEach((token) => {
+      if (matches.has(token)) return;
+      // Typos rarely hit both of the first two letters, which rules out most tokens cheaply
+      const couldBeTypo =
+        maxEdits > 0 &&
+        Math.abs(token.length - queryToken.length) <= maxEdits &&
+        (token[0] === queryToken[0] || token[1] === queryToken[1]);
+      if (couldBeTypo) {
+        if (this.editDistance(queryToken, token, maxEdits) <= maxEdits) {
+          add(token, "fuzzy");
+          return;
+        }
+      }
+      if (queryToken.length >= 2) {
+        const offset = token.indexOf(queryToken);
+        if (offset > 0) add(token, "infix", offset, queryToken.length);
+      }
+    });
+
+    return Array.from(matches.values());
+  }
+
+  /**
+   * Scores one matched token for one word: the best field it appears in, times how
+   * closely it matched the query token.
+   *
+   * @param {number} index - The word's index.
+   * @param {string} token - The matched indexed token.
+   * @param {string} kind - The match kind ("exact", "prefix", "stem", "fuzzy" or "infix").
+   * @returns {number} The score.
+   */
+  scoreToken(index, token, kind) {
+    const fields = this.fields[index];
+    const has = (tokens) => tokens.some((entry) => entry.token === token);
+    let fieldWeight = 0;
+    if (has(fields.term)) fieldWeight = VocabSearchIndex.FIELD_WEIGHTS.term;
+    else if (fields.tags.some(has)) fieldWeight = VocabSearchIndex.FIELD_WEIGHTS.tags;
+    else if (has(fields.synonyms)) fieldWeight = VocabSearchIndex.FIELD_WEIGHTS.synonyms;
+    else if (has(fields.definition)) fieldWeight = VocabSearchIndex.FIELD_WEIGHTS.definition;
+    else fieldWeight = VocabSearchIndex.FIELD_WEIGHTS.examples;
+    return fieldWeight * VocabSearchIndex.MATCH_WEIGHTS[kind];
+  }
+
+  /**
+   * Turns the matched tokens of a word into highlight ranges per field.
+   *
+   * @param {number} index - The word's index.
+   * @param {Map<string, Array<number>>} matchedTokens - Token -> [start, end] within the token.
+   * @returns {Object} Map of "term", "definition" or a tag string to `[start, end]` pairs.
+   */
+  collectRanges(index, matchedTokens) {
+    const fields = this.fields[index];
+    const word = this.words[index];
+    const rangesFor = (tokens) =>
+      tokens
+        .filter(({ token }) => matchedTokens.has(token))
+        .map(({ token, start }) => {
+          const [from, to] = matchedTokens.get(token);
+          return [start + from, start + to];
+        });
+
+    const ranges = {
+      term: rangesFor(fields.term),
+      definition: rangesFor(fields.definition),
+    };
+    (word.tags || []).forEach((tag, tagIndex) => {
+      const tagRanges = rangesFor(fields.tags[tagIndex]);
+      if (tagRanges.length > 0) ranges[tag] = tagRanges;
+    });
+    return ranges;
+  }
+
+  /**
+   * Splits text into lowercase word tokens with their positions.
+   *
+   * @param {string} text - The text to tokenize.
+   * @returns {Array<Object>} Tokens `{token, start}`.
+   */
+  tokenize(text) {
+    const tokens = [];
+    const pattern = /[a-z0-9]+/g;
+    const lower = text.toLowerCase();
+    let match;
+    while ((match = pattern.exec(lower)) !== null) {
+      tokens.push({ token: match[0], start: match.index });
+    }
+    return tokens;
+  }
+
+  /**
+   * Strips a common English suffix (and a trailing "e") so related forms such as
+   * "shine", "shining" and "shines" share a stem.
+   *
+   * @param {string} token - A lowercase token.
+   * @returns {string} The stem.
+   */
+  stem(token) {
+    let stem = token;
+    for (const suffix of VocabSearchIndex.SUFFIXES) {
+      if (token.length - suffix.length >= 3 && token.endsWith(suffix)) {
+        stem = token.slice(0, -suffix.length);
+        break;
+      }
+    }
+    return stem.length > 3 && stem.endsWith("e") ? stem.slice(0, -1) : stem;
+  }
+
+  /**
+   * Levenshtein distance between two strings, giving up early once it exceeds `max`.
+   *
+   * @param {string} a - The first string.
+   * @param {string} b - The second string.
+   * @param {number} max - The largest distance of interest.
+   * @returns {number} The distance, or `max + 1` if it is larger than `max`.
+   */
+  editDistance(a, b, max) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) return max + 1;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { VocabSearchIndex };
+}
@@ -0,0 +1,202 @@
+// --- Study Deck ---
+class VocabStudyDeck {
+  static DAY_MS = 24 * 60 * 60 * 1000;
+  // SM-2 starting ease factor and the floor it never drops below
+  static START_EASE = 2.5;
+  static MIN_EASE = 1.3;
+  // Recall grades offered after revealing a card, on SM-2's 0-5 quality scale
+  static GRADES = [
+    { quality: 1, label: "Again" },
+    { quality: 3, label: "Hard" },
+    { quality: 4, label: "Good" },
+    { quality: 5, label: "Easy" },
+  ];
+  // A word counts as learned once its review interval reaches three weeks
+  static LEARNED_INTERVAL = 21;
+  // New words introduced per session, on top of the words due for review
+  static NEW_PER_SESSION = 20;
+
+  /**
+   * Constructs the study deck: the spaced-repetition progress of every word studied.
+   *
+   * Progress is kept per word key from `model.getWordKey()`, like the word lists, as
+   * `{repetitions, interval, ease, due, lapses, reviews, reviewedAt}`; `interval` is in
+   * days and `due` a timestamp.
+   *
+   * @param {VocabCatalogViewerModel} model - The model whose words are studied.
+   */
+  constructor(model) {
+    this.model = model;
+    this.progress = {};
+  }
+
+  /**
+   * Loads study progress from `chrome.storage.local`. Progress stays on this device; it
+   * changes with every card and would soon exceed the sync quota.
+   *
+   * Interactions:
+   * - Called once by the controller during initialization.
+   *
+   * @returns {Promise<void>} Resolves when the progress is loaded or fails.
+   */
+  async load() {
+    try {
+      const { studyProgress } = await chrome.storage.local.get("studyProgress");
+      this.progress = studyProgress || {};
+    } catch (error) {
+      console.error("Error loading study progress:", error);
+    }
+  }
+
+  /**
+   * Persists study progress to `chrome.storage.local`.
+   *
+   * @returns {Promise<void>} Resolves when the progress has been written.
+   */
+  async save() {
+    await chrome.storage.local.set({ studyProgress: this.progress });
+  }
+
+  /**
+   * @param {Object} word - The word.
+   * @returns {Object|null} The word's progress, or null if it was never studied.
+   */
+  getProgress(word) {
+    return this.progress[this.model.getWordKey(word)] || null;
+  }
+
+  /**
+   * Schedules a word after a review with the SM-2 algorithm.
+   *
+   * A recalled word (quality 3 or more) comes back after 1 day, then 6 days, then its
+   * last interval times its ease factor. A forgotten word starts over at 1 day; if it had
+   * been recalled before, that counts as a lapse. Either way the ease factor moves with
+   * the quality, so hard words come back more often.
+   *
+   * @param {Object} word - The word reviewed.
+   * @param {number} quality - How well it was recalled, 0 (not at all) to 5 (perfectly).
+   * @param {number} [now=Date.now()] - The time of the review.
+   * @returns {Object} The word's new progress.
+   */
+  review(word, quality, now = Date.now()) {
+    const previous = this.getProgress(word) || {
+      repetitions: 0,
+      interval: 0,
+      ease: VocabStudyDeck.START_EASE,
+      lapses: 0,
+      reviews: 0,
+    };
+    const progress = { ...previous, reviews: previous.reviews + 1, reviewedAt: now };
+
+    if (quality < 3) {
+      if (previous.repetitions > 0) progress.lapses++;
+      progress.repetitions = 0;
+      progress.interval = 1;
+    } else {
+      progress.repetitions++;
+      if (progress.repetitions === 1) progress.interval = 1;
+      else if (progress.repetitions === 2) progress.interval = 6;
+      else progress.interval = Math.round(previous.interval * previous.ease);
+    }
+    const miss = 5 - quality;
+    progress.ease = Math.max(
+      VocabStudyDeck.MIN_EASE,
+      previous.ease + 0.1 - miss * (0.08 + miss * 0.02)
+    );
+    progress.due = now + progress.interval * VocabStudyDeck.DAY_MS;
+
+    this.progress[this.model.getWordKey(word)] = progress;
+    return progress;
+  }
+
+  /**
+   * Returns where a word stands in its studies.
+   *
+   * @param {Object} word - The word.
+   * @param {number} [now=Date.now()] - The current time.
+   * @returns {string} "new" if never studied, "due" if its review is due, "learned" if its
+   *   interval has reached `LEARNED_INTERVAL`, otherwise "learning".
+   */
+  getStatus(word, now = Date.now()) {
+    const progress = this.getProgress(word);
+    if (!progress) return "new";
+    if (progress.due <= now) return "due";
+    return progress.interval >= VocabStudyDeck.LEARNED_INTERVAL ? "learned" : "learning";
+  }
+
+  /**
+   * Picks the words for a study session: every word due for review, most overdue first,
+   * then up to `NEW_PER_SESSION` words never studied, in the order given.
+   *
+   * Interactions:
+   * - Called by the controller with the words the popup currently shows, so the filters
+   *   decide what is studied.
+   *
+   * @param {Array<Object>} words - The words to study from.
+   * @param {number} [now=Date.now()] - The current time.
+   * @returns {Array<Object>} The words to review, in order.
+   */
+  buildSession(words, now = Date.now()) {
+    const due = words
+      .filter((word) => this.getStatus(word, now) === "due")
+      .sort((a, b) => this.getProgress(a).due - this.getProgress(b).due);
+    const fresh = words
+      .filter((word) => this.getStatus(word, now) === "new")
+      .slice(0, VocabStudyDeck.NEW_PER_SESSION);
+    return [...due, ...fresh];
+  }
+
+  /**
+   * Counts due, learned and lapsed words, in total and per word class and type.
+   *
+   * @param {Array<Object>} words - The words to count.
+   * @param {number} [now=Date.now()] - The current time.
+   * @returns {Object} `{total, byClass, byType}`; each count is `{words, new, due, learned,
+   *   lapsed}`, and `byClass`/`byType` map each value to its counts, in the order of
+   *   `model.getFacetValues()`. Lapsed words were forgotten at least once after being
+   *   recalled, whatever their status now.
+   */
+  getStats(words, now = Date.now()) {
+    const emptyCounts = () => ({ words: 0, new: 0, due: 0, learned: 0, lapsed: 0 });
+    const group = (values) => Object.fromEntries(values.map((value) => [value, emptyCounts()]));
+    const stats = {
+      total: emptyCounts(),
+      byClass: group(this.model.getFacetValues("class")),
+      byType: group(this.model.getFacetValues("type")),
+    };
+
+    words.forEach((word) => {
+      const status = this.getStatus(word, now);
+      const progress = this.getProgress(word);
+      [stats.total, stats.byClass[word.class], stats.byType[word.type]]
+        .filter(Boolean)
+        .forEach((counts) => {
+          counts.words++;
+          if (status in counts) counts[status]++;
+          if (progress && progress.lapses > 0) counts.lapsed++;
+        });
+    });
+    return stats;
+  }
+
+  /**
+   * Moves a word's progress to its new key after it was renamed or moved to another
+   * category, like `VocabWordLists.renameWord()`.
+   *
+   * @param {Object} original - `{category, term, collection?}` before the edit.
+   * @param {Object} updated - `{category, term, collection?}` after the edit.
+   * @returns {boolean} Whether the word had progress under its old key, i.e. whether to save.
+   */
+  renameWord(original, updated) {
+    const from = this.model.getWordKey(original);
+    const to = this.model.getWordKey(updated);
+    if (from === to || !this.progress[from]) return false;
+    this.progress[to] = this.progress[from];
+    delete this.progress[from];
+    return true;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { VocabStudyDeck };
+}
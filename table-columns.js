@@ -0,0 +1,204 @@
+// --- Table Columns ---
+class VocabTableColumns {
+  // `value` gives what a column sorts by; `type` picks how values compare. Columns
+  // without `visible: true` are extras the user can turn on.
+  static COLUMNS = [
+    { id: "term", label: "Term", type: "text", visible: true, value: (word) => word.term },
+    { id: "definition", label: "Definition", type: "text", visible: true, value: (word) => word.definition },
+    { id: "class", label: "Class", type: "text", visible: true, value: (word) => word.class },
+    { id: "type", label: "Type", type: "text", visible: true, value: (word) => word.type },
+    { id: "tags", label: "Tags", type: "text", visible: true, value: (word) => (word.tags || []).join(", ") },
+    { id: "category", label: "Category", type: "text", value: (word) => word.category },
+    { id: "length", label: "Length", type: "number", value: (word) => (word.term || "").length },
+    { id: "added", label: "Added", type: "number", value: (word) => word.addedAt },
+  ];
+
+  constructor() {
+    this.order = [];
+    this.hidden = [];
+    this.sort = [];
+    this.resetLayout();
+  }
+
+  /**
+   * Loads the column layout and sort from `chrome.storage.sync`, so they follow the user
+   * across browsers they are signed in to.
+   *
+   * Columns added in later versions are appended to a saved order (hidden unless they are
+   * shown by default), and columns that no longer exist are dropped from it.
+   *
+   * Interactions:
+   * - Called once by the controller during initialization.
+   *
+   * @returns {Promise<void>} Resolves when the layout is loaded or fails.
+   */
+  async load() {
+    try {
+      const { tableLayout } = await chrome.storage.sync.get("tableLayout");
+      if (!tableLayout) return;
+      const known = (id) => Boolean(this.getColumn(id));
+      const order = (tableLayout.order || []).filter(known);
+      const added = this.order.filter((id) => !order.includes(id));
+      this.order = [...order, ...added];
+      this.hidden = [
+        ...(tableLayout.hidden || []).filter(known),
+        ...added.filter((id) => !this.getColumn(id).visible),
+      ];
+      this.sort = (tableLayout.sort || []).filter(({ id }) => known(id));
+    } catch (error) {
+      console.error("Error loading table layout:", error);
+    }
+  }
+
+  /**
+   * Persists the column layout and sort to `chrome.storage.sync`.
+   *
+   * @returns {Promise<void>} Resolves when the layout has been written.
+   */
+  async save() {
+    await chrome.storage.sync.set({
+      tableLayout: { order: this.order, hidden: this.hidden, sort: this.sort },
+    });
+  }
+
+  /**
+   * @param {string} id - The column id.
+   * @returns {Object|undefined} The column definition from `COLUMNS`.
+   */
+  getColumn(id) {
+    return VocabTableColumns.COLUMNS.find((column) => column.id === id);
+  }
+
+  /**
+   * Returns every column in the user's order, for the column settings.
+   *
+   * @returns {Array<Object>} Column definitions with a `visible` flag for the current layout.
+   */
+  getColumns() {
+    return this.order.map((id) => ({ ...this.getColumn(id), visible: !this.hidden.includes(id) }));
+  }
+
+  /**
+   * @returns {Array<Object>} The column definitions to show, in the user's order.
+   */
+  getVisibleColumns() {
+    return this.getColumns().filter(({ visible }) => visible);
+  }
+
+  /**
+   * Shows or hides a column. The last visible column can't be hidden.
+   *
+   * @param {string} id - The column id.
+   * @param {boolean} visible - Whether to show the column.
+   */
+  setVisible(id, visible) {
+    const hidden = this.hidden.filter((hiddenId) => hiddenId !== id);
+    if (!visible) hidden.push(id);
+    if (hidden.length < this.order.length) this.hidden = hidden;
+  }
+
+  /**
+   * Moves a column left or right.
+   *
+   * @param {string} id - The column id.
+   * @param {number} offset - -1 to move it one place left, 1 to move it right.
+   */
+  move(id, offset) {
+    const from = this.order.indexOf(id);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= this.order.length) return;
+    this.order.splice(from, 1);
+    this.order.splice(to, 0, id);
+  }
+
+  /**
+   * Restores the default columns and order. The sort is kept.
+   */
+  resetLayout() {
+    this.order = VocabTableColumns.COLUMNS.map(({ id }) => id);
+    this.hidden = VocabTableColumns.COLUMNS.filter(({ visible }) => !visible).map(({ id }) => id);
+  }
+
+  /**
+   * Updates the sort after a click on a column header.
+   *
+   * A plain click sorts by that column alone, ascending; clicking the only sort column
+   * again flips it to descending, and then turns sorting off. With `additive` (Shift+click)
+   * the column is added as the next sort key, or flipped/removed if it already is one, so
+   * words can be sorted by type and then term.
+   *
+   * @param {string} id - The column id.
+   * @param {boolean} [additive=false] - Whether to keep the other sort keys.
+   */
+  toggleSort(id, additive = false) {
+    const current = this.sort.find((key) => key.id === id);
+    const isOnlyKey = Boolean(current) && this.sort.length === 1;
+    if (!additive && !isOnlyKey) {
+      this.sort = [{ id, direction: "asc" }];
+    } else if (!current) {
+      this.sort = [...this.sort, { id, direction: "asc" }];
+    } else if (current.direction === "asc") {
+      this.sort = this.sort.map((key) => (key.id === id ? { id, direction: "desc" } : key));
+    } else {
+      this.sort = this.sort.filter((key) => key.id !== id);
+    }
+  }
+
+  /**
+   * @param {string} id - The column id.
+   * @returns {Object|null} `{direction, priority}` (priority 1 is the main key) if the
+   *   words are sorted by the column, otherwise null.
+   */
+  getSortState(id) {
+    const index = this.sort.findIndex((key) => key.id === id);
+    return index === -1 ? null : { direction: this.sort[index].direction, priority: index + 1 };
+  }
+
+  /**
+   * Sorts words by one or more columns. Words that tie on every key keep their order, so
+   * an unsorted column still shows search relevance or list order. Words without a value
+   * (e.g. no date added) always come last.
+   *
+   * Interactions:
+   * - Used by `VocabWordFilter.runFilter()` on the filtered words, in the filter worker.
+   *
+   * @param {Array<Object>} words - The words to sort; not modified.
+   * @param {Array<Object>} sort - Sort keys `{id, direction}`, most important first.
+   * @returns {Array<Object>} The sorted words.
+   */
+  static sortWords(words, sort) {
+    const keys = (sort || [])
+      .map(({ id, direction }) => {
+        const column = VocabTableColumns.COLUMNS.find((candidate) => candidate.id === id);
+        return column && { column, sign: direction === "desc" ? -1 : 1 };
+      })
+      .filter(Boolean);
+    if (keys.length === 0) return words;
+
+    const collator = new Intl.Collator(undefined, { sensitivity: "base", numeric: true });
+    const rows = words.map((word) => ({
+      word,
+      values: keys.map(({ column }) => column.value(word)),
+    }));
+    rows.sort((a, b) => {
+      for (let i = 0; i < keys.length; i++) {
+        const x = a.values[i];
+        const y = b.values[i];
+        const xMissing = x === undefined || x === null || x === "";
+        const yMissing = y === undefined || y === null || y === "";
+        if (xMissing || yMissing) {
+          if (xMissing !== yMissing) return xMissing ? 1 : -1;
+          continue;
+        }
+        const order = keys[i].column.type === "number" ? x - y : collator.compare(x, y);
+        if (order !== 0) return order * keys[i].sign;
+      }
+      return 0;
+    });
+    return rows.map(({ word }) => word);
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { VocabTableColumns };
+}
@@ -0,0 +1,187 @@
+// --- Tag Taxonomy ---
+class VocabTagTaxonomy {
+  /**
+   * Constructs the tag hierarchy: each tag can have a parent tag, so filtering by a parent
+   * ("emotion") also finds words tagged with any of its descendants ("joy", "grief").
+   *
+   * The hierarchy is kept as `parents`, a map of tag -> parent tag. Tags are matched
+   * case-insensitively, like `tag:` qualifiers in the search box.
+   *
+   * Interactions:
+   * - Owned by `VocabCatalogViewerModel` as `tagTaxonomy`, which consults it in
+   *   `filterWords()`, `matchesTagSet()` and `getTagCounts()`.
+   */
+  constructor() {
+    this.parents = {};
+    this.children = null;
+  }
+
+  /**
+   * Loads the hierarchy from `chrome.storage.sync`, so it follows the user across
+   * browsers they are signed in to.
+   *
+   * Interactions:
+   * - Called by the controller during initialization, and by the service worker before
+   *   picking the word of the day.
+   *
+   * @returns {Promise<void>} Resolves when the hierarchy is loaded or fails.
+   */
+  async load() {
+    try {
+      const { tagParents } = await chrome.storage.sync.get("tagParents");
+      this.setParents(tagParents || {});
+    } catch (error) {
+      console.error("Error loading the tag hierarchy:", error);
+    }
+  }
+
+  /**
+   * Persists the hierarchy to `chrome.storage.sync`.
+   *
+   * @returns {Promise<void>} Resolves when the hierarchy has been written.
+   */
+  async save() {
+    await chrome.storage.sync.set({ tagParents: this.parents });
+  }
+
+  /**
+   * Replaces the whole hierarchy, e.g. with the copy the filter worker is sent.
+   *
+   * @param {Object} parents - Tag -> parent tag.
+   */
+  setParents(parents) {
+    this.parents = { ...parents };
+    this.children = null;
+  }
+
+  /**
+   * @param {string} tag - A tag.
+   * @returns {string|null} The tag's parent, or null for a top-level tag.
+   */
+  getParent(tag) {
+    return this.parents[tag] || null;
+  }
+
+  /**
+   * @param {string} tag - A tag.
+   * @returns {Array<string>} The tag's parent, grandparent and so on, nearest first.
+   */
+  getAncestors(tag) {
+    const ancestors = [];
+    let parent = this.getParent(tag);
+    while (parent && !ancestors.includes(parent)) {
+      ancestors.push(parent);
+      parent = this.getParent(parent);
+    }
+    return ancestors;
+  }
+
+  /**
+   * Returns a tag with all the tags below it, which filtering by the tag matches.
+   *
+   * @param {string} tag - A tag, in any case.
+   * @returns {Array<string>} The tag followed by its descendants.
+   */
+  getDescendants(tag) {
+    if (!this.children) {
+      this.children = new Map();
+      Object.entries(this.parents).forEach(([child, parent]) => {
+        const key = parent.toLowerCase();
+        if (!this.children.has(key)) this.children.set(key, []);
+        this.children.get(key).push(child);
+      });
+    }
+    const tags = [tag];
+    for (let i = 0; i < tags.length; i++) {
+      (this.children.get(tags[i].toLowerCase()) || []).forEach((child) => {
+        if (!tags.includes(child)) tags.push(child);
+      });
+    }
+    return tags;
+  }
+
+  /**
+   * Puts a tag under a parent tag, or back at the top level.
+   *
+   * @param {string} tag - The tag.
+   * @param {string|null} parent - The parent tag; empty or null for none.
+   * @throws {Error} If the parent is the tag itself or one of its descendants, or the
+   *   hierarchy would be too big for one `chrome.storage.sync` item.
+   */
+  setParent(tag, parent) {
+    parent = (parent || "").trim();
+    if (!parent) {
+      delete this.parents[tag];
+    } else {
+      const below = this.getDescendants(tag).map((candidate) => candidate.toLowerCase());
+      if (below.includes(parent.toLowerCase())) {
+        throw new Error(`"${parent}" can't be the parent of "${tag}", which contains it.`);
+      }
+      VocabWordLists.checkItemSize(
+        "tagParents",
+        { ...this.parents, [tag]: parent },
+        "The tag hierarchy is full: move some tags back to the top level to nest more."
+      );
+      this.parents[tag] = parent;
+    }
+    this.children = null;
+  }
+
+  /**
+   * Moves a tag's place in the hierarchy to its new name after a rename or merge: the
+   * renamed tag keeps its parent (unless the new name already has one) and its children.
+   *
+   * @param {string} from - The old tag.
+   * @param {string} to - The new tag.
+   */
+  renameTag(from, to) {
+    if (from === to) return;
+    const parent = this.parents[from];
+    const isBelow = this.getDescendants(from).includes(to);
+    delete this.parents[from];
+    Object.keys(this.parents).forEach((child) => {
+      if (this.parents[child] === from) this.parents[child] = to;
+    });
+    if (isBelow) {
+      // A tag merged into one of its own descendants: the descendant takes its place
+      if (parent && parent !== to) this.parents[to] = parent;
+      else delete this.parents[to];
+    } else if (parent && parent !== to && !this.parents[to]) {
+      this.parents[to] = parent;
+    }
+    this.children = null;
+  }
+
+  /**
+   * Orders tags as a tree: each tag followed by its children, alphabetically. Parents that
+   * aren't in the list themselves are left out, and their children listed in their place.
+   *
+   * @param {Array<string>} tags - The tags to order.
+   * @returns {Array<Object>} `{tag, depth}` objects, depth 0 for top-level tags.
+   */
+  toTree(tags) {
+    const listed = new Set(tags);
+    const byParent = new Map();
+    const parentOf = (tag) => this.getAncestors(tag).find((ancestor) => listed.has(ancestor));
+    tags.forEach((tag) => {
+      const parent = parentOf(tag) || null;
+      if (!byParent.has(parent)) byParent.set(parent, []);
+      byParent.get(parent).push(tag);
+    });
+    const tree = [];
+    const visit = (parent, depth) => {
+      (byParent.get(parent) || [])
+        .sort((a, b) => a.localeCompare(b))
+        .forEach((tag) => {
+          tree.push({ tag, depth });
+          visit(tag, depth + 1);
+        });
+    };
+    visit(null, 0);
+    return tree;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { VocabTagTaxonomy };
+}
@@ -0,0 +1,53 @@
+// Accessibility checks of the rendered popup with axe-core (see helpers/accessibility.js).
+const { test, before } = require("node:test");
+const assert = require("node:assert");
+const { createPopupEnvironment, loadPopupScripts } = require("./helpers/environment");
+const { accessibleName, checkAccessibility } = require("./helpers/accessibility");
+
+const environment = createPopupEnvironment();
+const popup = loadPopupScripts({ controller: true });
+const { document } = environment;
+
+before(() => popup.init());
+
+test("the rendered popup has no accessibility violations", async () => {
+  assert.deepStrictEqual(await checkAccessibility(document), []);
+});
+
+test("the popup stays clean with a row highlighted and a filter picked", async () => {
+  await popup.applyFacetFilter("class", "Big");
+  popup.getView().setActiveRow(3);
+  assert.deepStrictEqual(await checkAccessibility(document), []);
+});
+
+test("the popup stays clean with the word editor open", async () => {
+  const view = popup.getView();
+  view.openWordEditor(popup.getCurrentWords()[0]);
+  assert.deepStrictEqual(await checkAccessibility(document), []);
+  view.closeWordEditor();
+});
+
+test("the table, filters and copy confirmations are exposed to assistive tech", async () => {
+  const view = popup.getView();
+  assert.strictEqual(accessibleName(view.wordsGrid), "Words");
+  assert.strictEqual(accessibleName(view.searchInput), "Search words");
+  assert.strictEqual(accessibleName(view.facetFilters.get("class")), "Word Class");
+  assert.strictEqual(view.liveRegion.getAttribute("role"), "status");
+  assert.strictEqual(view.notification.getAttribute("aria-hidden"), "true");
+});
+
+test("axe reports unlabelled controls, nameless buttons and made-up roles", async () => {
+  const section = document.createElement("section");
+  section.innerHTML = `
+    <input type="text" />
+    <button type="button"><i class="icon icon-plus"></i></button>
+    <div role="buton">Save</div>
+  `;
+  document.querySelector("main").append(section);
+  try {
+    const rules = (await checkAccessibility(section)).map(({ rule }) => rule);
+    assert.deepStrictEqual(rules.sort(), ["aria-roles", "button-name", "label"]);
+  } finally {
+    section.remove();
+  }
+});
@@ -0,0 +1,56 @@
+// Tests of the model against the shipped word database.
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createPopupEnvironment, loadPopupScripts } = require("./helpers/environment");
+
+createPopupEnvironment();
+loadPopupScripts();
+
+test("the shipped database loads without validation errors", async () => {
+  const model = new VocabCatalogViewerModel();
+  await model.loadWordDatabase();
+  model.processAllWords();
+
+  assert.deepStrictEqual(model.getValidationReport().errors, []);
+  const words = model.getAllWords();
+  assert.ok(words.length > 0);
+  words.forEach((word) => {
+    assert.ok(word.term && word.definition, JSON.stringify(word));
+    assert.ok(VocabCatalogViewerModel.WORD_CLASSES.includes(word.class), word.term);
+    assert.ok(VocabCatalogViewerModel.WORD_TYPES.includes(word.type), word.term);
+  });
+});
+
+test("every word of the shipped database can be found by its term", async () => {
+  const model = new VocabCatalogViewerModel();
+  await model.loadWordDatabase();
+  model.processAllWords();
+
+  const missing = model
+    .getAllWords()
+    .filter((word) => !model.filterWords(`term:"${word.term}"`).includes(word));
+  assert.deepStrictEqual(missing.map((word) => word.term), []);
+});
+
+test("the filter dropdowns of the shipped database follow its metadata", async () => {
+  const model = new VocabCatalogViewerModel();
+  await model.loadWordDatabase();
+  model.processAllWords();
+
+  const facets = model.getFacets();
+  assert.deepStrictEqual(
+    facets.map(({ field, label }) => [field, label]),
+    [
+      ["class", "Word Class"],
+      ["type", "Word Type"],
+    ]
+  );
+  assert.deepStrictEqual(
+    facets[1].values.map(({ value }) => value),
+    ["Positive", "Negative", "Neutral", "Tone"]
+  );
+  facets.forEach(({ values }) => {
+    const total = values.reduce((sum, { count }) => sum + count, 0);
+    assert.strictEqual(total, model.getAllWords().length);
+  });
+});
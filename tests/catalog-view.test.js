@@ -0,0 +1,204 @@
+// Tests of the popup's view against the real popup.html, in jsdom.
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const { createPopupEnvironment, loadPopupScripts } = require("./helpers/environment");
+
+loadPopupScripts();
+
+let environment;
+let view;
+
+/**
+ * Creates a fresh page and a view over a model that loads a database of the given words
+ * (in one category) the way it loads the bundled one.
+ *
+ * @param {Array<Object>} words - Words for the model, as `{term, definition, ...}`.
+ * @returns {Promise<VocabCatalogViewerModel>} The model.
+ */
+async function createView(words) {
+  const entries = words.map(({ term, ...data }) => [
+    term,
+    { class: "Normal", type: "Positive", tags: [], ...data },
+  ]);
+  environment = createPopupEnvironment({
+    files: { "data/words-database.json": { normalPositiveWords: Object.fromEntries(entries) } },
+  });
+  const model = new VocabCatalogViewerModel();
+  await model.loadWordDatabase();
+  model.processAllWords();
+  const tableColumns = new VocabTableColumns();
+  view = new VocabCatalogViewerView(model, new VocabCopyTray(), new VocabWordLists(model), tableColumns);
+  view.populateFacetFilters();
+  view.populateListFilter();
+  view.renderTableHeader();
+  return model;
+}
+
+const getRows = () => Array.from(view.wordsTable.querySelectorAll("tr:not(.spacer-row)"));
+// Lets the clipboard promise in copyText() settle
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+beforeEach(async () => {
+  await createView([
+    { term: "Cat", definition: "A small feline." },
+    { term: "Dog", definition: "A loyal canine.", class: "Big", type: "Negative" },
+  ]);
+});
+
+test("renderWords shows a row per word and the word count", () => {
+  const words = view.model.getAllWords();
+  view.renderWords(words);
+  const rows = getRows();
+  assert.strictEqual(rows.length, 2);
+  assert.match(rows[0].textContent, /Cat/);
+  assert.match(rows[1].textContent, /A loyal canine\./);
+  assert.strictEqual(view.wordCountSpan.textContent, "2");
+});
+
+test("renderWords highlights search matches", () => {
+  const [cat] = view.model.getAllWords();
+  view.renderWords([cat], new Map([[cat, { term: [], definition: [[8, 14]] }]]));
+  const marks = view.wordsTable.querySelectorAll("mark");
+  assert.strictEqual(marks.length, 1);
+  assert.strictEqual(marks[0].textContent, "feline");
+});
+
+test("renderWords with no words empties the table", () => {
+  view.renderWords(view.model.getAllWords());
+  view.renderWords([]);
+  assert.strictEqual(getRows().length, 0);
+  assert.strictEqual(view.wordCountSpan.textContent, "0");
+});
+
+test("handleWordCopy collects clicked words and a right-click clears them", async () => {
+  const [cat, dog] = view.model.getAllWords();
+  view.handleWordCopy(cat);
+  await flush();
+  assert.strictEqual(environment.clipboard.text, "(Cat)");
+
+  view.handleWordCopy(dog);
+  await flush();
+  assert.strictEqual(environment.clipboard.text, "(Cat)(Dog)");
+  assert.deepStrictEqual(
+    view.copyTray.items.map((item) => item.term),
+    ["Cat", "Dog"]
+  );
+
+  view.handleWordCopy(cat, true);
+  await flush();
+  assert.strictEqual(view.copyTray.items.length, 0);
+  // The classic template copies its bare placeholder for an empty tray
+  assert.strictEqual(environment.clipboard.text, "(normal)");
+});
+
+test("choosing a filter value leaves its options in place", () => {
+  const facets = [];
+  view.setupEventListeners(() => {}, (field, value) => facets.push([field, value]));
+  const select = view.facetFilters.get("class");
+  const options = Array.from(select.options);
+  select.focus();
+  select.value = "Big";
+  select.dispatchEvent(new Event("change", { bubbles: true }));
+  assert.deepStrictEqual(Array.from(select.options), options);
+  assert.deepStrictEqual(facets, [["class", "Big"]]);
+});
+
+test("the filters are labelled and their placeholders are left out of the list", () => {
+  const selects = [view.facetFilters.get("class"), view.facetFilters.get("type"), view.listFilter];
+  assert.deepStrictEqual(
+    selects.map((select) => select.labels[0].textContent),
+    ["Word Class", "Word Type", "Lists"]
+  );
+  selects.forEach((select) => {
+    const [placeholder] = select.options;
+    assert.strictEqual(placeholder.value, "");
+    assert.ok(placeholder.hidden && placeholder.disabled, placeholder.textContent);
+  });
+});
+
+test("the table is a grid with one row in the tab order", () => {
+  view.renderWords(view.model.getAllWords());
+  assert.strictEqual(view.wordsGrid.getAttribute("role"), "grid");
+  assert.strictEqual(view.wordsGrid.getAttribute("aria-rowcount"), "3");
+  const rows = getRows();
+  assert.deepStrictEqual(
+    rows.map((row) => [row.getAttribute("aria-rowindex"), row.tabIndex]),
+    [["2", 0], ["3", -1]]
+  );
+  const buttons = Array.from(rows[1].querySelectorAll("button"));
+  assert.ok(buttons.every((button) => button.tabIndex === -1));
+
+  rows[0].focus();
+  view.setActiveRow(1);
+  assert.strictEqual(environment.document.activeElement, view.getRenderedRow(1));
+  assert.deepStrictEqual(getRows().map((row) => row.tabIndex), [-1, 0]);
+});
+
+test("a focused row is copied with Enter or Space, and Alt+R resets the copy string", async () => {
+  view.setupKeyboardListeners(() => {});
+  view.renderWords(view.model.getAllWords());
+  const press = (target, key, options = {}) =>
+    target.dispatchEvent(new KeyboardEvent("keydown", { key, bubbles: true, ...options }));
+
+  getRows()[0].focus();
+  press(environment.document.activeElement, "Enter");
+  press(environment.document.activeElement, "ArrowDown");
+  press(environment.document.activeElement, " ");
+  await flush();
+  assert.strictEqual(environment.clipboard.text, "(Cat)(Dog)");
+  assert.strictEqual(environment.document.activeElement, view.getRenderedRow(1));
+
+  press(environment.document.activeElement, "r", { code: "KeyR", altKey: true });
+  await flush();
+  assert.strictEqual(view.copyTray.items.length, 0);
+  assert.strictEqual(environment.clipboard.text, "(normal)");
+});
+
+test("copies are announced through the live region", async () => {
+  const [cat] = view.model.getAllWords();
+  view.handleWordCopy(cat);
+  await flush();
+  assert.strictEqual(view.liveRegion.getAttribute("aria-live"), "polite");
+  assert.strictEqual(view.liveRegion.textContent, "Copied (Cat)");
+
+  // The same message again still changes the region, so it is read again
+  view.announce("Copied (Cat)");
+  assert.notStrictEqual(view.liveRegion.textContent, "Copied (Cat)");
+  assert.strictEqual(view.liveRegion.textContent.trim(), "Copied (Cat)");
+});
+
+test("the filter dropdowns offer the values the words have, with counts", () => {
+  const options = (field) =>
+    Array.from(view.facetFilters.get(field).options, (option) => option.textContent);
+  assert.deepStrictEqual(options("class"), ["Word Class", "(all)", "Normal (1)", "Big (1)"]);
+  assert.deepStrictEqual(options("type"), ["Word Type", "(all)", "Positive (1)", "Negative (1)"]);
+  assert.deepStrictEqual(view.getFacetFields(), ["class", "type"]);
+});
+
+test("a type the database adds gets an option and a dropdown keeps its selection", async () => {
+  const model = await createView([
+    { term: "Cat", definition: "A small feline." },
+    { term: "Thee", definition: "You, as object.", type: "Archaic" },
+  ]);
+  const typeFilter = view.facetFilters.get("type");
+  typeFilter.remove(0);
+  typeFilter.value = "Archaic";
+  assert.strictEqual(typeFilter.value, "Archaic");
+
+  model.allWords.push({ ...model.allWords[1], term: "Thou" });
+  view.populateFacetFilters();
+  assert.strictEqual(typeFilter.value, "Archaic");
+  assert.strictEqual(typeFilter.selectedOptions[0].textContent, "Archaic (2)");
+});
+
+test("facet values are colored as the metadata declares", () => {
+  view.renderWords(view.model.getAllWords());
+  const typeCells = Array.from(view.wordsTable.querySelectorAll("td.facet-value"));
+  assert.deepStrictEqual(
+    typeCells.map((cell) => [cell.textContent, cell.style.getPropertyValue("--facet-color")]),
+    [
+      ["Positive", "#4caf50"],
+      ["Negative", "#f44336"],
+    ]
+  );
+});
@@ -0,0 +1,81 @@
+// Tests of the filter state across sessions and links: the URL hash, the last session's
+// filters and the saved searches, driven through the controller over the shipped database.
+const { test, before } = require("node:test");
+const assert = require("node:assert");
+const { createPopupEnvironment, loadPopupScripts } = require("./helpers/environment");
+
+const environment = createPopupEnvironment({
+  storage: { local: { lastFilterState: { query: "class:Normal", list: "all" } } },
+});
+const popup = loadPopupScripts({ controller: true });
+const { window, document, chrome, clipboard } = environment;
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+before(async () => {
+  // A link to a search wins over the last session's filters
+  window.history.replaceState(null, "", "#q=class%3ABig&sort=-term");
+  await popup.init();
+});
+
+test("init restores the filters from the URL hash", () => {
+  const view = popup.getView();
+  assert.strictEqual(view.searchInput.value, "class:Big");
+  assert.deepStrictEqual(popup.tableColumns.sort, [{ id: "term", direction: "desc" }]);
+  const words = popup.getCurrentWords();
+  assert.ok(words.length > 0);
+  assert.ok(words.every((word) => word.class === "Big"));
+  assert.ok(words[0].term.localeCompare(words[words.length - 1].term) >= 0);
+});
+
+test("filtering rewrites the hash and remembers the state for next time", async () => {
+  popup.getView().searchInput.value = "type:Tone";
+  await popup.filterWords();
+  assert.strictEqual(window.location.hash, "#q=type%3ATone&sort=-term");
+  assert.strictEqual(chrome.storage.local.data.lastFilterState.query, "type:Tone");
+
+  await popup.applyFilterState(null);
+  assert.strictEqual(window.location.hash, "");
+  assert.deepStrictEqual(popup.tableColumns.sort, []);
+  assert.strictEqual(popup.getCurrentWords().length, popup.model.getAllWords().length);
+});
+
+test("a changed hash is applied", async () => {
+  window.location.hash = "#tags=speech&list=deleted-list";
+  await new Promise((resolve) => window.addEventListener("hashchange", resolve, { once: true }));
+  await nextTask();
+  const state = popup.getFilterState();
+  assert.deepStrictEqual(state.tags.include, ["speech"]);
+  // A list that doesn't exist falls back to all words
+  assert.strictEqual(state.list, "all");
+  assert.ok(popup.getCurrentWords().length > 0);
+  assert.ok(popup.getCurrentWords().every((word) => word.tags.includes("speech")));
+});
+
+test("searches are saved to sync storage and applied from the dialog", async () => {
+  const view = popup.getView();
+  await popup.applyFilterState({ query: "class:Big", mode: "words" });
+  document.querySelector('[data-ref="saved-searches-button"]').click();
+  assert.strictEqual(view.savedSearches.hidden, false);
+
+  view.saveSearchName.value = "Big words";
+  view.saveSearchForm.dispatchEvent(new window.Event("submit", { cancelable: true }));
+  await nextTask();
+  assert.deepStrictEqual(
+    chrome.storage.sync.data.savedSearches.map(({ name, state }) => [name, state.query]),
+    [["Big words", "class:Big"]]
+  );
+
+  await popup.clearFilters();
+  view.savedSearchesList.querySelector('[data-action="apply-search"]').click();
+  await nextTask();
+  assert.strictEqual(view.searchInput.value, "class:Big");
+  assert.strictEqual(view.savedSearches.hidden, true);
+});
+
+test("a link to the current search can be copied", async () => {
+  await popup.applyFilterState({ query: "bright", mode: "meaning" });
+  document.querySelector('[data-ref="copy-search-link"]').click();
+  await nextTask();
+  assert.strictEqual(clipboard.text, "chrome-extension://test/popup.html#q=bright&mode=meaning");
+});
@@ -0,0 +1,51 @@
+// Runs axe-core, the accessibility engine behind Lighthouse's audits, over pages the
+// Node tests render in jsdom. `checkAccessibility()` returns the violations, so a test
+// can assert that there are none and print them when there are.
+const axe = require("axe-core");
+
+// Rules that judge the rendered layout, which jsdom doesn't compute
+const LAYOUT_RULES = ["color-contrast"];
+
+/**
+ * @param {Document} document - A jsdom page.
+ * @returns {Object} axe-core, in the page's window.
+ */
+function getAxe(document) {
+  const window = document.defaultView;
+  // axe binds to the window it is evaluated in, so each jsdom page gets its own copy
+  if (!window.axe) new Function("window", axe.source)(window);
+  return window.axe;
+}
+
+/**
+ * Checks a page, or part of one, with axe-core.
+ *
+ * @param {Document|Element} context - What to check.
+ * @returns {Promise<Array<Object>>} The violations `{rule, targets}`: the axe rule id and
+ *   the selectors of the elements that break it.
+ */
+async function checkAccessibility(context) {
+  const { violations } = await getAxe(context.ownerDocument || context).run(context, {
+    rules: Object.fromEntries(LAYOUT_RULES.map((rule) => [rule, { enabled: false }])),
+  });
+  return violations.map(({ id, nodes }) => ({
+    rule: id,
+    targets: nodes.map(({ target }) => target.join(" ")),
+  }));
+}
+
+/**
+ * @param {Element} element - An element.
+ * @returns {string} The element's accessible name, as axe computes it.
+ */
+function accessibleName(element) {
+  const pageAxe = getAxe(element.ownerDocument);
+  pageAxe.setup(element.ownerDocument);
+  try {
+    return pageAxe.commons.text.accessibleText(element);
+  } finally {
+    pageAxe.teardown();
+  }
+}
+
+module.exports = { checkAccessibility, accessibleName };
@@ -0,0 +1,97 @@
+// A stand-in for the parts of the `chrome.*` extension API the popup, model and service
+// worker use, for running them in Node. Storage keeps JSON copies like the real thing, so
+// tests can't change stored values through a reference they were handed.
+const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (listener) => listeners.push(listener),
+    removeListener: (listener) => listeners.splice(listeners.indexOf(listener), 1),
+  };
+}
+
+// Like chrome.storage.sync, a quota rejects the whole set() when any item is over it
+function createStorageArea(name, onChanged, initial = {}, quotaBytesPerItem = Infinity) {
+  const data = copy(initial);
+  return {
+    data,
+    async get(keys = null) {
+      if (keys === null) return copy(data);
+      if (typeof keys === "string") keys = [keys];
+      const defaults = Array.isArray(keys) ? {} : keys;
+      const result = {};
+      (Array.isArray(keys) ? keys : Object.keys(keys)).forEach((key) => {
+        if (key in data) result[key] = copy(data[key]);
+        else if (key in defaults) result[key] = defaults[key];
+      });
+      return result;
+    },
+    async set(items) {
+      const tooBig = Object.entries(items).some(
+        ([key, value]) =>
+          new TextEncoder().encode(key + JSON.stringify(value)).length > quotaBytesPerItem
+      );
+      if (tooBig) throw new Error("QUOTA_BYTES_PER_ITEM quota exceeded");
+      const changes = {};
+      Object.entries(items).forEach(([key, value]) => {
+        changes[key] = { oldValue: data[key], newValue: copy(value) };
+        data[key] = copy(value);
+      });
+      onChanged.listeners.forEach((listener) => listener(changes, name));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach((key) => delete data[key]);
+    },
+  };
+}
+
+/**
+ * Creates a `chrome` stub.
+ *
+ * @param {Object} [storage] - Initial contents per area, e.g. `{local: {userWords: {...}}}`.
+ * @returns {Object} The stub. Storage contents are in `storage.<area>.data`; calls to
+ *   alarms, notifications, downloads and the toolbar action are recorded in `calls`.
+ */
+function createChromeStub(storage = {}) {
+  const calls = [];
+  const record = (name) => async (...args) => {
+    calls.push([name, ...args]);
+  };
+  const onChanged = createEvent();
+  return {
+    calls,
+    runtime: {
+      id: "test",
+      getURL: (file) => `chrome-extension://test/${file}`,
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      onMessage: createEvent(),
+      sendMessage: record("runtime.sendMessage"),
+      openOptionsPage: record("runtime.openOptionsPage"),
+    },
+    storage: {
+      local: createStorageArea("local", onChanged, storage.local),
+      sync: createStorageArea("sync", onChanged, storage.sync, 8192),
+      session: createStorageArea("session", onChanged, storage.session),
+      onChanged,
+    },
+    alarms: { create: record("alarms.create"), clear: record("alarms.clear"), onAlarm: createEvent() },
+    notifications: {
+      create: record("notifications.create"),
+      clear: record("notifications.clear"),
+      onClicked: createEvent(),
+    },
+    action: {
+      openPopup: record("action.openPopup"),
+      setBadgeText: record("action.setBadgeText"),
+      setBadgeBackgroundColor: record("action.setBadgeBackgroundColor"),
+    },
+    commands: { onCommand: createEvent() },
+    contextMenus: { create: record("contextMenus.create"), onClicked: createEvent() },
+    downloads: { download: record("downloads.download") },
+  };
+}
+
+module.exports = { createChromeStub };
@@ -0,0 +1,119 @@
+// Sets up Node to run the popup's scripts: a jsdom window over the real popup.html (or
+// options.html, the full-page view, which loads the same scripts), a
+// `chrome` stub, a `fetch` that reads the extension's files, and the browser globals the
+// scripts expect. The scripts are then required in the order popup.html loads them, and
+// each one's classes are made global, as they are in the browser.
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+const { createChromeStub } = require("./chrome-stub");
+
+const ROOT = path.join(__dirname, "..", "..");
+const BROWSER_GLOBALS = [
+  "window",
+  "document",
+  "navigator",
+  "Event",
+  "KeyboardEvent",
+  "MouseEvent",
+  "HTMLElement",
+  "Element",
+  "Node",
+  "getComputedStyle",
+  "requestAnimationFrame",
+  "confirm",
+  "prompt",
+];
+
+/**
+ * Reads a file of the extension the way `fetch(chrome.runtime.getURL(file))` would.
+ *
+ * @param {string} url - A URL from the stub's `chrome.runtime.getURL()`.
+ * @param {Object} [files] - JSON to serve instead of the file at a path, e.g.
+ *   `{"data/words-database.json": {...}}`.
+ * @returns {Promise<Object>} A minimal response with `ok`, `json()` and `text()`.
+ */
+async function fetchExtensionFile(url, files = {}) {
+  const name = new URL(url).pathname.slice(1);
+  const text =
+    name in files
+      ? JSON.stringify(files[name])
+      : await fs.promises.readFile(path.join(ROOT, name), "utf8");
+  return { ok: true, json: async () => JSON.parse(text), text: async () => text };
+}
+
+/**
+ * Creates the popup's page and makes it the global environment.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Initial `chrome.storage` contents, per area.
+ * @param {string} [options.page="popup.html"] - The page to load.
+ * @param {Object} [options.files] - JSON that `fetch` serves in place of the extension's
+ *   files, by path (see `fetchExtensionFile()`).
+ * @returns {Object} `{window, document, chrome, clipboard}`; `clipboard.text` holds the
+ *   last text written to the clipboard.
+ */
+function createPopupEnvironment({ storage = {}, page = "popup.html", files = {} } = {}) {
+  const html = fs.readFileSync(path.join(ROOT, page), "utf8");
+  const chrome = createChromeStub(storage);
+  // The page's own URL, so its hash can be read and rewritten as in the browser
+  const { window } = new JSDOM(html, {
+    url: chrome.runtime.getURL(page),
+    pretendToBeVisual: true,
+  });
+  const clipboard = {
+    text: "",
+    writeText: async (text) => {
+      clipboard.text = text;
+    },
+    readText: async () => clipboard.text,
+  };
+  Object.defineProperty(window.navigator, "clipboard", { value: clipboard, configurable: true });
+  window.confirm = () => true;
+  window.prompt = () => null;
+  window.chrome = chrome;
+  const fetch = (url) => fetchExtensionFile(url, files);
+  window.fetch = fetch;
+
+  const define = (name, value) =>
+    Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+  BROWSER_GLOBALS.forEach((name) => define(name, window[name]));
+  define("chrome", chrome);
+  define("fetch", fetch);
+  return { window, document: window.document, chrome, clipboard };
+}
+
+/**
+ * @param {string} [page="popup.html"] - The page.
+ * @returns {Array<string>} The scripts the page loads, in order.
+ */
+function getPopupScripts(page = "popup.html") {
+  const html = fs.readFileSync(path.join(ROOT, page), "utf8");
+  return Array.from(html.matchAll(/<script src="([^"]+)"><\/script>/g), (match) => match[1]);
+}
+
+/**
+ * Requires the popup's scripts in page order and makes their classes global. The
+ * controller is not started; call its `init()`.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.controller=false] - Also load popup.js, the controller.
+ * @param {string} [options.page="popup.html"] - The page whose scripts to load.
+ * @returns {Object} The controller's exports when it was loaded, otherwise `{}`.
+ */
+function loadPopupScripts({ controller = false, page = "popup.html" } = {}) {
+  let controllerExports = {};
+  getPopupScripts(page).forEach((script) => {
+    if (script === "popup.js") {
+      if (!controller) return;
+      controllerExports = require(path.join(ROOT, script));
+      // The tests call init() themselves, once the page has loaded
+      document.removeEventListener("DOMContentLoaded", controllerExports.init);
+      return;
+    }
+    Object.assign(globalThis, require(path.join(ROOT, script)));
+  });
+  return controllerExports;
+}
+
+module.exports = { ROOT, createPopupEnvironment, getPopupScripts, loadPopupScripts };
@@ -0,0 +1,30 @@
+// Runs the database linter (`npm run lint:words`) the way a contributor would, so a
+// database with entries the popup would refuse fails the suite.
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const LINTER = path.join(__dirname, "..", "data", "lint_words.js");
+const lint = (...args) =>
+  spawnSync(process.execPath, [LINTER, "--quiet", ...args], { encoding: "utf8" });
+
+test("the shipped database has no lint errors", () => {
+  const { status, stdout, stderr } = lint();
+  assert.strictEqual(status, 0, stderr);
+  assert.match(stdout, /words-database\.json: 0 errors/);
+});
+
+test("the linter fails on a database with errors", () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "vocab-lint-")), "words.json");
+  fs.writeFileSync(file, JSON.stringify({ positiveNormalWords: { Bright: { class: "Normal" } } }));
+  try {
+    const { status, stderr } = lint(file);
+    assert.strictEqual(status, 1);
+    assert.match(stderr, /^error/m);
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true });
+  }
+});
@@ -0,0 +1,71 @@
+// Tests of the full-page view (options.html): the same controller and view as the popup,
+// mounted in a different layout, with settings shared through chrome.storage.
+const { test, before } = require("node:test");
+const assert = require("node:assert");
+const { createPopupEnvironment, loadPopupScripts } = require("./helpers/environment");
+const { checkAccessibility } = require("./helpers/accessibility");
+
+const environment = createPopupEnvironment({ page: "options.html" });
+const popup = loadPopupScripts({ controller: true, page: "options.html" });
+const { document, chrome } = environment;
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+// Storage listeners run without being awaited; reloading a collection reads files
+const waitFor = async (check) => {
+  for (let i = 0; i < 200 && !check(); i++) await nextTask();
+};
+
+before(() => popup.init());
+
+test("the shared dialogs are mounted in the page", () => {
+  const dialogs = document.querySelector('[data-ref="dialogs"]');
+  assert.ok(dialogs.querySelector('[data-ref="word-editor"]'));
+  assert.ok(dialogs.querySelector('[data-ref="command-palette"]'));
+  // Elements the page lays out itself, like the detail pane, aren't dialogs
+  assert.strictEqual(document.querySelectorAll('[data-ref="word-detail"]').length, 1);
+  assert.strictEqual(popup.getView().fullPageButton, null);
+});
+
+test("init shows the shipped database in the wide table", () => {
+  const count = popup.model.getAllWords().length;
+  assert.ok(count > 0);
+  assert.strictEqual(popup.getCurrentWords().length, count);
+  const table = document.querySelector('.main [data-ref="words-table"]');
+  assert.ok(table.querySelectorAll("tr[data-index]").length > 0);
+  assert.ok(document.querySelector('.sidebar [data-ref="facet-filters"] select'));
+});
+
+test("the full-page view has no accessibility violations", async () => {
+  assert.deepStrictEqual(await checkAccessibility(document), []);
+});
+
+test("a copy format picked here is saved for the popup", async () => {
+  const view = popup.getView();
+  assert.ok(view.copyTemplate.closest(".settings"));
+  view.copyTemplate.value = "markdown";
+  view.copyTemplate.dispatchEvent(new environment.window.Event("change"));
+  await nextTask();
+  assert.strictEqual(chrome.storage.local.data.copyTray.templateId, "markdown");
+});
+
+test("settings changed in the popup show up here", async () => {
+  const view = popup.getView();
+  await chrome.storage.local.set({ copyTray: { items: [], templateId: "comma" } });
+  await nextTask();
+  assert.strictEqual(view.copyTemplate.value, "comma");
+
+  const { order } = popup.tableColumns;
+  await chrome.storage.sync.set({ tableLayout: { order, hidden: ["definition"], sort: [] } });
+  await nextTask();
+  assert.ok(!popup.tableColumns.getVisibleColumns().some(({ id }) => id === "definition"));
+  assert.ok(!/Definition/.test(view.wordsTableHead.textContent));
+
+  await chrome.storage.local.set({
+    userCollections: [{ id: "mine", name: "Mine" }],
+    activeCollection: "mine",
+  });
+  await waitFor(() => popup.getCurrentWords().length === 0);
+  assert.strictEqual(popup.model.getActiveCollection(), "mine");
+  assert.ok(Array.from(view.collectionSelect.options).some(({ value }) => value === "mine"));
+  assert.strictEqual(popup.getCurrentWords().length, 0);
+});
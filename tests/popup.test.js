@@ -0,0 +1,179 @@
+// Tests of the popup as a whole: the controller, view and model over the shipped database.
+const { test, before } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const {
+  ROOT,
+  createPopupEnvironment,
+  getPopupScripts,
+  loadPopupScripts,
+} = require("./helpers/environment");
+
+const environment = createPopupEnvironment();
+const popup = loadPopupScripts({ controller: true });
+
+const getRows = () =>
+  Array.from(environment.document.querySelectorAll('[data-ref="words-table"] tr[data-index]'));
+
+before(() => popup.init());
+
+test("the popup loads none of the test code", () => {
+  assert.deepStrictEqual(
+    getPopupScripts().filter((script) => script.startsWith("tests/")),
+    []
+  );
+});
+
+test("init shows the shipped database", () => {
+  const count = popup.model.getAllWords().length;
+  assert.ok(count > 0);
+  assert.strictEqual(popup.getCurrentWords().length, count);
+  const wordCount = environment.document.querySelector('[data-ref="word-count"]');
+  assert.strictEqual(wordCount.textContent, String(count));
+  assert.ok(getRows().length > 0);
+});
+
+test("searching filters and highlights the rows", async () => {
+  const view = popup.getView();
+  const [word] = popup.model.getAllWords();
+  view.searchInput.value = word.term;
+  await popup.filterWords();
+
+  assert.ok(popup.getCurrentWords().includes(word));
+  assert.ok(popup.getCurrentWords().length < popup.model.getAllWords().length);
+  assert.ok(environment.document.querySelector('[data-ref="words-table"] mark'));
+});
+
+test("a facet filter narrows the words and clearFilters restores them", async () => {
+  await popup.clearFilters();
+  await popup.applyFacetFilter("class", "Big");
+  const words = popup.getCurrentWords();
+  assert.ok(words.length > 0);
+  assert.ok(words.every((word) => word.class === "Big"));
+  assert.match(popup.getView().searchInput.value, /class:Big/);
+
+  await popup.clearFilters();
+  assert.strictEqual(popup.getView().searchInput.value, "");
+  assert.strictEqual(popup.getCurrentWords().length, popup.model.getAllWords().length);
+});
+
+test("clicking a row copies its word", async () => {
+  const row = getRows()[0];
+  const word = popup.getCurrentWords()[Number(row.dataset.index)];
+  row.querySelector("td").dispatchEvent(new environment.window.MouseEvent("click", { bubbles: true }));
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.match(environment.clipboard.text, new RegExp(`\\(${word.term}\\)`));
+});
+
+test("the tag manager merges similar tags and tags the shown words", async () => {
+  const view = popup.getView();
+  const { document } = environment;
+  document.querySelector('[data-ref="tags-button"]').click();
+  assert.strictEqual(view.tagManager.hidden, false);
+  assert.ok(view.tagManagerList.querySelector('li[data-tag="emotional"]'));
+
+  const group = Array.from(view.similarTagsList.children).find((item) =>
+    item.textContent.startsWith("emotion (")
+  );
+  group.querySelector("button").click();
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.ok(!popup.model.getUniqueTags().some(({ tag }) => tag === "emotional"));
+  assert.strictEqual(view.tagManagerList.querySelector('li[data-tag="emotional"]'), null);
+  assert.ok(environment.chrome.storage.local.data.userWords);
+
+  await popup.applyFacetFilter("class", "Big");
+  view.bulkTagName.value = "chapter-3";
+  view.bulkTagForm.dispatchEvent(new environment.window.Event("submit", { cancelable: true }));
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  const tagged = popup.model.filterWords("tag:chapter-3");
+  assert.ok(tagged.length > 0);
+  assert.ok(tagged.every((word) => word.class === "Big"));
+});
+
+test("the full-page view opens in a tab from the popup", () => {
+  environment.document.querySelector('[data-ref="full-page-button"]').click();
+  assert.deepStrictEqual(environment.chrome.calls.at(-1), ["runtime.openOptionsPage"]);
+});
+
+test("the pages load no fonts, icons or scripts from the network", () => {
+  ["popup.html", "options.html", "popup.css", "options.css", "content.css"].forEach((file) => {
+    const text = fs.readFileSync(path.join(ROOT, file), "utf8");
+    assert.doesNotMatch(text, /(href|src)="https?:|url\(["']?https?:|@import/, file);
+  });
+});
+
+test("the fonts the pages name are bundled", () => {
+  const css = fs.readFileSync(path.join(ROOT, "popup.css"), "utf8");
+  const files = Array.from(css.matchAll(/url\("(fonts\/[^"]+)"\)/g), (match) => match[1]);
+  assert.ok(files.some((file) => file.startsWith("fonts/orbitron-")));
+  assert.ok(files.some((file) => file.startsWith("fonts/roboto-")));
+  files.forEach((file) => assert.ok(fs.existsSync(path.join(ROOT, file)), file));
+  // The overlay loads its fonts from the extension, into other sites' pages
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, "manifest.json"), "utf8"));
+  assert.ok(manifest.web_accessible_resources[0].resources.includes("fonts/*.woff2"));
+});
+
+test("the theme button switches themes and remembers the choice", async () => {
+  const root = environment.document.documentElement;
+  assert.strictEqual(root.dataset.theme, "dark");
+  environment.document.querySelector('[data-ref="theme-button"]').click();
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.strictEqual(root.dataset.theme, "light");
+  assert.strictEqual(environment.chrome.storage.sync.data.theme, "light");
+  // Another page switching to high contrast switches this one too
+  await environment.chrome.storage.sync.set({ theme: "contrast" });
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.strictEqual(root.dataset.theme, "contrast");
+  assert.match(popup.getView().themeButton.title, /High contrast/);
+});
+
+test("a backup is previewed and merged back from the import/export dialog", async () => {
+  const view = popup.getView();
+  const { document, chrome } = environment;
+  document.querySelector('[data-ref="import-export-button"]').click();
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.strictEqual(view.backupFrequency.disabled, true);
+  view.backupAuto.checked = true;
+  view.backupAuto.dispatchEvent(new environment.window.Event("change"));
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.deepStrictEqual(chrome.storage.local.data.backupSettings, {
+    auto: true,
+    frequency: "weekly",
+  });
+
+  const backup = await popup.backup.create();
+  backup.data.local.userWords = {
+    Restored: {
+      Zephyr: { definition: "A gentle breeze.", class: "Normal", type: "Neutral", updatedAt: 1 },
+    },
+  };
+  backup.data.sync.favorites = ["Restored\u0000Zephyr"];
+  await popup.previewBackup(JSON.stringify(backup));
+  assert.match(view.backupPreview.textContent, /adds 1 and updates 0 word entries/);
+  assert.strictEqual(view.backupRestore.disabled, false);
+
+  await popup.restoreBackup(view.backupMode.value);
+  assert.strictEqual(view.importExport.hidden, true);
+  assert.ok(popup.model.getAllWords().some((word) => word.term === "Zephyr"));
+  assert.ok(popup.wordLists.favorites.includes("Restored\u0000Zephyr"));
+  assert.strictEqual(chrome.storage.local.data.backupSettings.auto, true);
+
+  await popup.previewBackup("not a backup");
+  assert.match(view.backupPreview.textContent, /Could not read backup/);
+  assert.strictEqual(view.backupRestore.disabled, true);
+});
+
+test("a restore that fails still reloads the data from storage", async () => {
+  const view = popup.getView();
+  const backup = await popup.backup.create();
+  backup.data.sync.favorites = Array.from({ length: 600 }, (_, i) => `Restored\u0000Word ${i}`);
+  await popup.previewBackup(JSON.stringify(backup));
+  popup.wordLists.favorites = ["Not\u0000Saved"];
+  await popup.restoreBackup("replace");
+  assert.match(view.backupPreview.textContent, /favorites would be too big to sync/);
+  assert.deepStrictEqual(
+    popup.wordLists.favorites,
+    environment.chrome.storage.sync.data.favorites || []
+  );
+});
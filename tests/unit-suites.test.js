@@ -0,0 +1,19 @@
+// Runs the unit test suites of tests/unit-tests.js in Node, one test per suite.
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createPopupEnvironment, loadPopupScripts } = require("./helpers/environment");
+
+createPopupEnvironment();
+loadPopupScripts();
+const suites = require("./unit-tests.js");
+
+Object.entries(suites).forEach(([name, suite]) => {
+  test(name, async () => {
+    const failures = [];
+    await suite(
+      () => {},
+      (message) => failures.push(message.replace(/<br>/g, "\n"))
+    );
+    assert.deepStrictEqual(failures, []);
+  });
+});
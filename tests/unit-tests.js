@@ -0,0 +1,1952 @@
+// Unit test suites for the model and helper classes. Each suite takes a log and an error
+// callback and reports every assertion through them, so the same suites run in the
+// browser (tests/test_runner.html) and in Node (tests/unit-suites.test.js). This file is
+// not part of the extension.
+
+// --- Simple Unit Tests for VocabCatalogViewerModel ---
+
+function createAssertEquals(logFn, errorFn) {
+  return function assertEquals(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      errorFn("❌ " + message + "<br>Expected: " + JSON.stringify(expected) + "<br>Actual: " + JSON.stringify(actual));
+    } else {
+      logFn("✅ " + message);
+    }
+  };
+}
+
+function runVocabCatalogViewerModelTests(logFn = console.log, errorFn = console.error) {
+  const assertEquals = createAssertEquals(logFn, errorFn);
+
+  // Mock data
+  const mockDB = {
+    Animals: {
+      Cat: {
+        definition: "A small domesticated carnivorous mammal.",
+        class: "Normal",
+        type: "Neutral",
+        tags: ["pet", "mammal"],
+      },
+      Dog: {
+        definition: "A domesticated carnivorous mammal.",
+        class: "Big",
+        type: "Positive",
+        tags: ["pet", "mammal", "friend"],
+      },
+    },
+    Plants: {
+      Rose: {
+        definition: "A woody perennial flowering plant.",
+        class: "Normal",
+        type: "Positive",
+        tags: ["flower", "thorn"],
+      },
+    },
+  };
+
+  // Setup
+  //////////////////////////////////////
+  const model = new VocabCatalogViewerModel();
+  model.wordDatabase = mockDB;
+  model.processAllWords();
+
+  // Test getAllWords
+  assertEquals(model.getAllWords().length, 3, "getAllWords returns all words");
+
+  // Test getUniqueTags
+  assertEquals(
+    model.getUniqueTags(),
+    [
+      { tag: "flower", count: 1 },
+      { tag: "friend", count: 1 },
+      { tag: "mammal", count: 2 },
+      { tag: "pet", count: 2 },
+      { tag: "thorn", count: 1 },
+    ],
+    "getUniqueTags returns sorted unique tags with counts"
+  );
+
+  // Test getFacets: values found in the words, in the default order, with counts
+  assertEquals(
+    model.getFacets().map(({ field, label, values }) => [
+      field,
+      label,
+      values.map(({ value, count }) => `${value} ${count}`),
+    ]),
+    [
+      ["class", "Word Class", ["Normal 2", "Big 1"]],
+      ["type", "Word Type", ["Positive 2", "Neutral 1"]],
+    ],
+    "getFacets collects the class and type values of the words"
+  );
+  assertEquals(
+    model.getFacets()[1].values[0].color,
+    "#4caf50",
+    "getFacets carries the color of a value"
+  );
+
+  // Test getFacets: the metadata orders facets and values; undeclared values come last
+  model.wordDatabase = {
+    metadata: {
+      facets: [
+        { field: "type", label: "Tone of word", values: ["Neutral", "Positive"] },
+        { field: "register", label: "Register" },
+      ],
+    },
+    ...mockDB,
+    Archaic: {
+      Thee: { definition: "You.", class: "Normal", type: "Archaic", register: "archaic" },
+    },
+  };
+  model.processAllWords();
+  assertEquals(
+    model.getFacets().map(({ field, label, values }) => [
+      field,
+      label,
+      values.map(({ value, count }) => `${value} ${count}`),
+    ]),
+    [
+      ["type", "Tone of word", ["Neutral 1", "Positive 2", "Archaic 1"]],
+      ["register", "Register", ["archaic 1"]],
+    ],
+    "getFacets follows the metadata and discovers values it doesn't declare"
+  );
+  assertEquals(
+    [model.getFacetValues("class"), model.getCategories()],
+    [["Big", "Normal"], ["Animals", "Archaic", "Plants"]],
+    "getFacetValues finds values of undeclared facets; the metadata isn't a category"
+  );
+  model.wordDatabase = mockDB;
+  model.processAllWords();
+
+  // Test filterWords: searchTerm
+  let filtered = model.filterWords("cat");
+  assertEquals(filtered.length, 2, "filterWords filters by searchTerm (term)");
+
+  filtered = model.filterWords("carnivorous");
+  assertEquals(
+    filtered.length,
+    2,
+    "filterWords filters by searchTerm (definition)"
+  );
+
+  // Test filterWords: class
+  filtered = model.filterWords("class:Big");
+  assertEquals(
+    filtered.map((w) => w.term),
+    ["Dog"],
+    "filterWords filters by class"
+  );
+
+  // Test filterWords: type
+  filtered = model.filterWords("type:Positive");
+  assertEquals(
+    filtered.map((w) => w.term).sort(),
+    ["Dog", "Rose"],
+    "filterWords filters by type"
+  );
+
+  // Test filterWords: tag
+  filtered = model.filterWords("tag:mammal");
+  assertEquals(
+    filtered.map((w) => w.term).sort(),
+    ["Cat", "Dog"],
+    "filterWords filters by tag"
+  );
+
+  // Test filterWords: combined filters
+  filtered = model.filterWords("class:Normal type:Positive tag:flower");
+  assertEquals(
+    filtered.map((w) => w.term),
+    ["Rose"],
+    "filterWords filters by combined criteria"
+  );
+
+  // Test lookup: term matches, then definition matches
+  const lookupTerms = (text) => {
+    const { terms, definitions } = model.lookup(text);
+    return [terms.map(({ word }) => word.term), definitions.map(({ word }) => word.term)];
+  };
+  assertEquals(lookupTerms("rose"), [["Rose"], []], "lookup finds words by term");
+  assertEquals(lookupTerms("plant"), [[], ["Rose"]], "lookup finds words by definition");
+  assertEquals(lookupTerms("-mammal"), [[], ["Cat", "Dog"]], "lookup ignores query syntax");
+
+  // Test filterWords: tag sets
+  const tagTerms = (tagSet) => model.filterWords("", tagSet).map((w) => w.term);
+  assertEquals(
+    tagTerms({ include: ["friend", "flower"], exclude: [], mode: "any" }),
+    ["Dog", "Rose"],
+    "filterWords matches any of the included tags"
+  );
+  assertEquals(
+    tagTerms({ include: ["pet", "friend"], exclude: [], mode: "all" }),
+    ["Dog"],
+    "filterWords matches all of the included tags"
+  );
+  assertEquals(
+    tagTerms({ include: [], exclude: ["friend"], mode: "any" }),
+    ["Cat", "Rose"],
+    "filterWords leaves out excluded tags"
+  );
+
+  // Test getTagCounts: counts under the current filters
+  model.filterWords("class:Normal", { include: ["pet"], exclude: [], mode: "any" });
+  assertEquals(
+    model.getTagCounts({ include: ["pet"], exclude: [], mode: "any" }),
+    [
+      { tag: "flower", count: 1 },
+      { tag: "mammal", count: 1 },
+      { tag: "pet", count: 1 },
+      { tag: "thorn", count: 1 },
+    ],
+    "getTagCounts counts tags among the query results in any mode"
+  );
+  model.filterWords("", { include: ["mammal"], exclude: [], mode: "all" });
+  assertEquals(
+    model.getTagCounts({ include: ["mammal"], exclude: [], mode: "all" }),
+    [
+      { tag: "friend", count: 1 },
+      { tag: "mammal", count: 2 },
+      { tag: "pet", count: 2 },
+    ],
+    "getTagCounts counts tags within the narrowed result in all mode"
+  );
+
+  // Test user layer: override, add and delete
+  const userModel = new VocabCatalogViewerModel();
+  userModel.wordDatabase = mockDB;
+  userModel.userWords = {
+    Animals: {
+      Cat: { deleted: true },
+      Dog: {
+        definition: "A loyal companion.",
+        class: "Big",
+        type: "Positive",
+        tags: ["pet"],
+      },
+    },
+    Birds: {
+      Owl: {
+        definition: "A nocturnal bird of prey.",
+        class: "Normal",
+        type: "Neutral",
+        tags: ["night"],
+      },
+    },
+  };
+  userModel.processAllWords();
+  assertEquals(
+    userModel.getAllWords().map((w) => [w.term, w.source]),
+    [["Dog", "edited"], ["Rose", "bundled"], ["Owl", "user"]],
+    "processAllWords merges the user layer over the bundled database"
+  );
+  assertEquals(
+    userModel.getAllWords()[0].definition,
+    "A loyal companion.",
+    "processAllWords uses the user definition for overridden words"
+  );
+  assertEquals(
+    userModel.getUniqueTags().map(({ tag }) => tag),
+    ["flower", "night", "pet", "thorn"],
+    "getUniqueTags reflects the merged words"
+  );
+
+  // Test saveWord: moving a bundled word can be reverted
+  const editModel = new VocabCatalogViewerModel();
+  editModel.wordDatabase = mockDB;
+  editModel.processAllWords();
+  editModel.saveWord(
+    { category: "Plants", term: "Rose" },
+    {
+      term: "Rosebush",
+      category: "Plants",
+      definition: "A shrub that bears roses.",
+      class: "Normal",
+      type: "Positive",
+      tags: ["flower", " shrub "],
+    }
+  );
+  editModel.processAllWords();
+  assertEquals(
+    editModel.getAllWords().map((w) => w.term),
+    ["Cat", "Dog", "Rosebush"],
+    "saveWord renames a bundled word"
+  );
+  const rosebush = editModel.getAllWords()[2];
+  assertEquals(rosebush.tags, ["flower", "shrub"], "saveWord trims tags");
+  assertEquals(
+    editModel.canRevertWord(rosebush),
+    true,
+    "canRevertWord is true for a moved bundled word"
+  );
+  editModel.revertWord(rosebush);
+  editModel.processAllWords();
+  assertEquals(
+    editModel.getAllWords().map((w) => [w.term, w.source]),
+    [["Cat", "bundled"], ["Dog", "bundled"], ["Rose", "bundled"]],
+    "revertWord restores the shipped word"
+  );
+  assertEquals(
+    [editModel.userWords.Plants.Rosebush.deleted, editModel.userWords.Plants.Rose.reverted],
+    [true, true],
+    "revertWord leaves dated tombstones behind"
+  );
+  assertEquals(
+    editModel.canRevertWord(editModel.getAllWords()[2]),
+    false,
+    "canRevertWord is false for a reverted word"
+  );
+
+  // Test saveWord: only words the user added get a date, kept through later edits
+  const datedModel = new VocabCatalogViewerModel();
+  datedModel.wordDatabase = mockDB;
+  datedModel.processAllWords();
+  const lizard = { term: "Lizard", category: "Animals", definition: "A reptile.", class: "Normal", type: "Neutral" };
+  datedModel.saveWord(null, lizard);
+  const addedAt = datedModel.userWords.Animals.Lizard.addedAt;
+  datedModel.saveWord({ category: "Animals", term: "Lizard" }, { ...lizard, term: "Gecko" });
+  datedModel.saveWord({ category: "Animals", term: "Cat" }, { ...lizard, term: "Cat" });
+  datedModel.processAllWords();
+  assertEquals(
+    datedModel.getAllWords().map((w) => [w.term, w.addedAt === addedAt]),
+    [["Cat", false], ["Dog", false], ["Rose", false], ["Gecko", true]],
+    "saveWord dates added words and keeps the date when they are edited"
+  );
+  assertEquals(datedModel.getAllWords()[0].addedAt, undefined, "edited shipped words have no date");
+
+  // Test saveWord: rejects duplicates
+  let duplicateError = null;
+  try {
+    editModel.saveWord(null, {
+      term: "Cat",
+      category: "Animals",
+      definition: "Another cat.",
+      class: "Normal",
+      type: "Neutral",
+    });
+  } catch (error) {
+    duplicateError = error.message;
+  }
+  assertEquals(
+    duplicateError,
+    '"Cat" already exists in Animals.',
+    "saveWord rejects a term that already exists in the category"
+  );
+
+  // Test deleteWord: tombstones bundled words
+  editModel.deleteWord({ category: "Animals", term: "Cat" });
+  editModel.processAllWords();
+  assertEquals(
+    editModel.getAllWords().map((w) => w.term),
+    ["Dog", "Rose"],
+    "deleteWord hides a bundled word"
+  );
+  editModel.saveWord(null, { term: "Fern", category: "Ferns", definition: "A plant.", class: "Normal", type: "Neutral" });
+  editModel.deleteWord({ category: "Ferns", term: "Fern" });
+  editModel.processAllWords();
+  assertEquals(
+    [editModel.getAllWords().map((w) => w.term), editModel.getCategories(), editModel.userWords.Ferns.Fern.deleted],
+    [["Dog", "Rose"], ["Animals", "Plants"], true],
+    "deleteWord leaves a tombstone for a word the user added"
+  );
+
+  // Test saveWord: optional fields are stored trimmed, and empty ones left out
+  const fieldsModel = new VocabCatalogViewerModel();
+  fieldsModel.wordDatabase = mockDB;
+  fieldsModel.processAllWords();
+  fieldsModel.saveWord(
+    { category: "Animals", term: "Dog" },
+    {
+      ...fieldsModel.getAllWords()[1],
+      synonyms: [" hound", "", "pooch "],
+      antonyms: [""],
+      examples: ["The dog barked."],
+      pronunciation: "  ",
+      partOfSpeech: "noun",
+      related: ["cat"],
+    }
+  );
+  assertEquals(
+    Object.keys(fieldsModel.userWords.Animals.Dog).filter((key) => key in VocabCatalogViewerModel.OPTIONAL_FIELDS),
+    ["partOfSpeech", "synonyms", "examples", "related"],
+    "saveWord keeps only the optional fields that have a value"
+  );
+  fieldsModel.processAllWords();
+  assertEquals(
+    [fieldsModel.getAllWords()[1].synonyms, fieldsModel.findWordByTerm("cat", "default").term],
+    [["hound", "pooch"], "Cat"],
+    "processAllWords passes optional fields through and findWordByTerm follows links"
+  );
+  assertEquals(fieldsModel.findWordByTerm("Wolf"), null, "findWordByTerm returns null for unknown terms");
+
+  // Test collections: words from every active collection, labelled and kept apart
+  const collectionModel = new VocabCatalogViewerModel();
+  collectionModel.wordDatabase = mockDB;
+  collectionModel.collections.push({ id: "idioms", name: "Idioms", file: "data/idioms.json", kind: "bundled" });
+  collectionModel.collectionDatabases.idioms = {
+    Animals: {
+      Cat: { definition: "As in 'let the cat out of the bag'.", class: "Normal", type: "Neutral", tags: ["idiom"] },
+    },
+  };
+  collectionModel.validateDatabase("idioms");
+  const mine = collectionModel.createCollection("Mine");
+  collectionModel.setActiveCollection("all");
+  collectionModel.processAllWords();
+  collectionModel.saveWord(null, { ...lizard, collection: mine.id });
+  collectionModel.processAllWords();
+  assertEquals(
+    collectionModel.getAllWords().map((w) => [w.term, w.collection]),
+    [["Cat", "default"], ["Dog", "default"], ["Rose", "default"], ["Cat", "idioms"], ["Lizard", mine.id]],
+    "processAllWords includes every active collection"
+  );
+  assertEquals(
+    collectionModel.getAllWords().map((w) => collectionModel.getWordKey(w)).slice(2, 4),
+    ["Plants\u0000Rose", "idioms\u0000Animals\u0000Cat"],
+    "getWordKey keeps the old key for the default collection only"
+  );
+  assertEquals(
+    collectionModel.getUniqueTags().map(({ tag }) => tag),
+    ["flower", "friend", "idiom", "mammal", "pet", "thorn"],
+    "getUniqueTags covers the active collections"
+  );
+  collectionModel.deleteWord(collectionModel.getAllWords()[3]);
+  collectionModel.setActiveCollection("idioms");
+  collectionModel.processAllWords();
+  assertEquals(collectionModel.getAllWords().length, 0, "deleteWord only hides the word in its collection");
+  collectionModel.setActiveCollection(mine.id);
+  collectionModel.processAllWords();
+  assertEquals(
+    [collectionModel.getActiveCollection(), collectionModel.getAllWords().map((w) => w.term)],
+    [mine.id, ["Lizard"]],
+    "setActiveCollection shows one collection"
+  );
+  collectionModel.deleteCollection(mine.id);
+  assertEquals(
+    [collectionModel.getActiveCollection(), collectionModel.collectionEdits[mine.id]],
+    ["default", undefined],
+    "deleteCollection drops its words and falls back to the default collection"
+  );
+  let nameError = null;
+  try {
+    collectionModel.createCollection(" Idioms ");
+  } catch (error) {
+    nameError = error.message;
+  }
+  assertEquals(nameError, 'There is already a collection called "Idioms".', "createCollection rejects taken names");
+
+  // Test getValidationReport: names the collection of each issue
+  collectionModel.collectionDatabases.idioms.Broken = { Oops: { class: "Normal" } };
+  collectionModel.validateDatabase("idioms");
+  collectionModel.setActiveCollection("all");
+  assertEquals(
+    collectionModel
+      .getValidationReport()
+      .errors.filter((issue) => issue.term === "Oops")
+      .every((issue) => issue.collection === "Idioms"),
+    true,
+    "getValidationReport labels issues from other collections"
+  );
+}
+
+// --- Simple Unit Tests for VocabQueryLanguage ---
+
+function runVocabQueryLanguageTests(logFn = console.log, errorFn = console.error) {
+  const assertEquals = createAssertEquals(logFn, errorFn);
+  const queryLanguage = new VocabQueryLanguage();
+
+  // Test parse: qualifiers, negation and phrases
+  assertEquals(
+    queryLanguage.parse('tag:emotion -tag:negative type:Tone "warm fondness"'),
+    {
+      type: "and",
+      children: [
+        { type: "field", field: "tag", value: "emotion" },
+        { type: "not", child: { type: "field", field: "tag", value: "negative" } },
+        { type: "field", field: "type", value: "Tone" },
+        { type: "text", value: "warm fondness", phrase: true },
+      ],
+    },
+    "parse reads qualifiers, negations and phrases"
+  );
+
+  // Test parse: OR binds more loosely than AND
+  assertEquals(
+    queryLanguage.parse("class:Big OR def:light shining"),
+    {
+      type: "or",
+      children: [
+        { type: "field", field: "class", value: "Big" },
+        {
+          type: "and",
+          children: [
+            { type: "field", field: "definition", value: "light" },
+            { type: "text", value: "shining", phrase: false },
+          ],
+        },
+      ],
+    },
+    "parse gives OR lower precedence than AND"
+  );
+
+  // Test parse: neighbouring words form one search
+  assertEquals(
+    queryLanguage.parse("warm  fondness"),
+    { type: "text", value: "warm fondness", phrase: false },
+    "parse joins neighbouring words into one search"
+  );
+
+  // Test parse: forgiving of unfinished input
+  assertEquals(
+    [
+      queryLanguage.stringify(queryLanguage.parse("(tag:a OR tag:b")),
+      queryLanguage.stringify(queryLanguage.parse("kind OR")),
+      queryLanguage.stringify(queryLanguage.parse(") tag:a -")),
+      queryLanguage.parse("   "),
+    ],
+    ["tag:a OR tag:b", "kind", "tag:a", null],
+    "parse ignores unbalanced parentheses and dangling operators"
+  );
+
+  // Test stringify round trip
+  const text = '(tag:a OR tag:b) -(def:"warm light" OR class:Big) cat:toneBigWords';
+  assertEquals(
+    queryLanguage.stringify(queryLanguage.parse(text)),
+    text,
+    "stringify round-trips a parsed query"
+  );
+
+  // Test evaluate
+  const model = new VocabCatalogViewerModel();
+  model.wordDatabase = {
+    positiveBigWords: {
+      Radiant: { definition: "Shining brightly with light", class: "Big", type: "Positive", tags: ["light", "joy"] },
+    },
+    toneNormalWords: {
+      Warm: { definition: "Showing warm fondness", class: "Normal", type: "Tone", tags: ["emotion", "relationship"] },
+      Cold: { definition: "Lacking affection", class: "Normal", type: "Tone", tags: ["emotion", "negative"] },
+    },
+    neutralNormalWords: {
+      Lamp: { definition: "A device giving light", class: "Normal", type: "Neutral", tags: ["object"] },
+    },
+  };
+  model.processAllWords();
+  const terms = (query) => model.filterWords(query).map((w) => w.term);
+
+  assertEquals(
+    terms('tag:emotion tag:relationship -tag:negative type:Tone "warm fondness"'),
+    ["Warm"],
+    "filterWords evaluates qualifiers, negations and phrases together"
+  );
+  assertEquals(terms("class:Big OR def:light"), ["Radiant", "Lamp"], "filterWords evaluates OR");
+  assertEquals(terms("tag:EMOTION -cold"), ["Warm"], "filterWords negates plain word searches");
+  assertEquals(terms("type:tone (tag:negative OR tag:joy)"), ["Cold"], "filterWords evaluates groups");
+  assertEquals(terms("light"), ["Radiant", "Lamp"], "filterWords ranks plain word searches");
+  assertEquals(terms(""), ["Radiant", "Warm", "Cold", "Lamp"], "filterWords returns everything for an empty query");
+  model.filterWords('"warm fondness" tag:emotion');
+  assertEquals(
+    model.getSearchMatches().get(model.getAllWords()[1]),
+    { definition: [[8, 21]], emotion: [[0, 7]] },
+    "filterWords keeps ranges to highlight for phrases and tags"
+  );
+
+  // Test getFacetValue / setFacetValue
+  const facet = (query, field) => queryLanguage.getFacetValue(queryLanguage.parse(query), field);
+  assertEquals(
+    [
+      facet("kind class:Big", "class"),
+      facet("kind", "class"),
+      facet("class:Big class:Normal", "class"),
+      facet("class:Big OR def:light", "class"),
+      facet("-tag:negative", "tag"),
+    ],
+    ["Big", "all", null, null, null],
+    "getFacetValue reports what a dropdown can show"
+  );
+  const setFacet = (query, field, value) =>
+    queryLanguage.stringify(queryLanguage.setFacetValue(queryLanguage.parse(query), field, value));
+  assertEquals(
+    [
+      setFacet("kind class:Big", "class", "Normal"),
+      setFacet("kind class:Big", "class", "all"),
+      setFacet("class:Big OR def:light", "type", "Tone"),
+      setFacet("", "tag", "warm light"),
+    ],
+    ["kind class:Normal", "kind", "(class:Big OR def:light) type:Tone", 'tag:"warm light"'],
+    "setFacetValue rewrites only the field's clauses"
+  );
+
+  // Test evaluate: qualifiers for the optional fields
+  const optionalWords = [
+    { term: "Jovial", definition: "Cheerful.", partOfSpeech: "adjective", register: "formal", synonyms: ["Jolly"] },
+    { term: "Gloom", definition: "Darkness.", partOfSpeech: "noun", antonyms: ["light"] },
+    { term: "Kind", definition: "Considerate." },
+  ];
+  const optionalIndex = new VocabSearchIndex();
+  optionalIndex.build(optionalWords);
+  const optionalTerms = (text) =>
+    queryLanguage
+      .evaluate(queryLanguage.parse(text), optionalWords, optionalIndex)
+      .map(({ word }) => word.term);
+  assertEquals(
+    [
+      optionalTerms("pos:Adjective"),
+      optionalTerms("syn:jolly OR ant:light"),
+      optionalTerms("-register:formal"),
+    ],
+    [["Jovial"], ["Jovial", "Gloom"], ["Gloom", "Kind"]],
+    "evaluate matches pos:, register:, syn: and ant: qualifiers"
+  );
+  assertEquals(
+    queryLanguage.stringify(queryLanguage.parse("pos:noun syn:dark")),
+    "pos:noun syn:dark",
+    "stringify writes the short qualifier names back"
+  );
+}
+
+// --- Simple Unit Tests for VocabCatalogImportExport ---
+
+function runVocabCatalogImportExportTests(logFn = console.log, errorFn = console.error) {
+  const assertEquals = createAssertEquals(logFn, errorFn);
+
+  const model = new VocabCatalogViewerModel();
+  model.wordDatabase = {
+    positiveNormalWords: {
+      Kind: {
+        definition: "Friendly and generous.",
+        class: "Normal",
+        type: "Positive",
+        tags: ["trait"],
+      },
+    },
+  };
+  model.processAllWords();
+  const io = new VocabCatalogImportExport(model);
+
+  // Test parseDelimited: quoted cells
+  assertEquals(
+    io.parseDelimited('a,"b, c","say ""hi"""\r\n\n1,2,3', ","),
+    [["a", "b, c", 'say "hi"'], ["1", "2", "3"]],
+    "parseDelimited handles quotes, escaped quotes and blank lines"
+  );
+
+  // Test parseCSV: header mapping
+  const csv = "Word,Meaning,Tags,Type\nKind,Friendly and generous.,trait,positive\nBrave,Ready to face danger,\"trait; courage\",Positive\n,No term,,\n";
+  const entries = io.parseCSV(csv);
+  assertEquals(
+    entries.map((e) => [e.term, e.definition, e.tags, e.type]),
+    [
+      ["Kind", "Friendly and generous.", ["trait"], "positive"],
+      ["Brave", "Ready to face danger", ["trait", "courage"], "Positive"],
+      ["", "No term", [], ""],
+    ],
+    "parseCSV maps columns from the header"
+  );
+
+  // Test parseCSV: explicit column map without header
+  assertEquals(
+    io.parseCSV("Ready to face danger\tBrave", {
+      delimiter: "\t",
+      hasHeader: false,
+      columnMap: { term: 1, definition: 0 },
+    }).map((e) => [e.row, e.term, e.definition]),
+    [[1, "Brave", "Ready to face danger"]],
+    "parseCSV uses an explicit column map"
+  );
+
+  // Test previewImport: new, duplicates and invalid rows
+  const preview = io.previewImport(entries);
+  assertEquals(
+    [
+      preview.newWords.map((e) => [e.term, e.category]),
+      preview.duplicates.map((e) => [e.term, e.identical]),
+      preview.invalid.map((e) => [e.row, e.reason]),
+    ],
+    [[["Brave", "positiveNormalWords"]], [["Kind", true]], [[4, "Missing term"]]],
+    "previewImport reports new, duplicate and invalid rows"
+  );
+
+  // Test parseAnki
+  const anki = "#separator:tab\n#html:true\n#tags column:3\nBrave\tReady to <b>face</b> danger\tcourage class::Big type::Positive\n";
+  assertEquals(
+    io.parseAnki(anki).map((e) => [e.term, e.definition, e.class, e.type, e.tags]),
+    [["Brave", "Ready to face danger", "Big", "Positive", ["courage"]]],
+    "parseAnki reads fields, strips HTML and maps class/type tags"
+  );
+
+  // Test export round trips
+  const words = model.getAllWords();
+  assertEquals(
+    io.parseJSON(io.export(words, "json")).map((e) => [e.term, e.category, e.tags]),
+    [["Kind", "positiveNormalWords", ["trait"]]],
+    "JSON export round-trips"
+  );
+  assertEquals(
+    io.previewImport(io.parse(io.export(words, "csv"), "csv")).duplicates.map((e) => e.identical),
+    [true],
+    "CSV export round-trips"
+  );
+  assertEquals(
+    io.previewImport(io.parse(io.export(words, "anki"), "anki")).duplicates.map((e) => e.identical),
+    [true],
+    "Anki export round-trips"
+  );
+  const tagged = [{ ...words[0], tags: ["old_english", "old english", "back\\slash"] }];
+  assertEquals(
+    io.parse(io.export(tagged, "anki"), "anki")[0].tags,
+    ["old_english", "old english", "back\\slash"],
+    "Anki export keeps underscores and spaces in tags apart"
+  );
+  assertEquals(
+    io.parseAnki("Brave\tReady\tfolk_tale")[0].tags,
+    ["folk tale"],
+    "parseAnki reads unescaped underscores as spaces"
+  );
+
+  // Test importWords: adds new words and overwrites changed duplicates
+  const changed = io.previewImport([
+    { term: "Kind", definition: "Considerate.", class: "Normal", type: "Positive", tags: [] },
+    { term: "Brave", definition: "Courageous.", class: "Big", type: "Positive", tags: [] },
+  ]);
+  assertEquals(io.importWords(changed, { overwrite: true }), 2, "importWords counts merged words");
+  model.processAllWords();
+  assertEquals(
+    model.getAllWords().map((w) => [w.term, w.definition, w.source]),
+    [
+      ["Kind", "Considerate.", "edited"],
+      ["Brave", "Courageous.", "user"],
+    ],
+    "importWords merges into the user layer"
+  );
+
+  // Test JSON import/export: optional fields round-trip and count as changes
+  const withFields = io.parseJSON(
+    JSON.stringify({
+      positiveNormalWords: {
+        Kind: { definition: "Considerate.", class: "Normal", type: "Positive", synonyms: ["caring"], examples: [] },
+      },
+    })
+  );
+  assertEquals(withFields[0].synonyms, ["caring"], "parseJSON reads optional fields");
+  assertEquals(
+    io.previewImport(withFields).duplicates.map((entry) => entry.identical),
+    [false],
+    "previewImport treats new optional fields as a change"
+  );
+  assertEquals(
+    JSON.parse(io.export([{ ...model.getAllWords()[0], synonyms: ["caring"] }], "json"))
+      .positiveNormalWords.Kind.synonyms,
+    ["caring"],
+    "JSON export includes optional fields"
+  );
+
+  // Test CSV/TSV import/export: optional fields get a column each
+  const detailed = {
+    ...model.getAllWords()[0],
+    pronunciation: "/kaɪnd/",
+    partOfSpeech: "adjective",
+    synonyms: ["caring", "warm"],
+    examples: ["A kind word, at last."],
+  };
+  const csvExport = io.export([detailed], "csv");
+  assertEquals(
+    csvExport.split("\n")[0],
+    "term,definition,class,type,tags,category,pronunciation,partOfSpeech,register,synonyms,antonyms,examples,related",
+    "CSV export has a column per optional field"
+  );
+  ["csv", "tsv"].forEach((format) => {
+    const [entry] = io.parse(io.export([detailed], format), format);
+    assertEquals(
+      model.getOptionalFields(entry),
+      {
+        pronunciation: "/kaɪnd/",
+        partOfSpeech: "adjective",
+        synonyms: ["caring", "warm"],
+        examples: ["A kind word, at last."],
+      },
+      `${format.toUpperCase()} export round-trips optional fields`
+    );
+  });
+  assertEquals(
+    io.guessColumnMapping(["Word", "Meaning", "Part of speech"]).partOfSpeech,
+    2,
+    "guessColumnMapping recognizes optional field headers"
+  );
+
+  // Test importing into another collection: duplicates are only looked for there
+  const notes = model.createCollection("Notes");
+  const intoNotes = io.previewImport(
+    [{ term: "Kind", definition: "Considerate.", class: "Normal", type: "Positive", tags: [] }],
+    notes.id
+  );
+  assertEquals(
+    [intoNotes.newWords.length, intoNotes.duplicates.length],
+    [1, 0],
+    "previewImport only reports duplicates within the target collection"
+  );
+  io.importWords(intoNotes, { collection: notes.id });
+  model.setActiveCollection("all");
+  model.processAllWords();
+  assertEquals(
+    model.getAllWords().map((w) => [w.term, w.collection]),
+    [
+      ["Kind", "default"],
+      ["Brave", "default"],
+      ["Kind", notes.id],
+    ],
+    "importWords adds the words to the chosen collection"
+  );
+}
+
+// --- Simple Unit Tests for VocabDatabaseValidator ---
+
+function runVocabDatabaseValidatorTests(logFn = console.log, errorFn = console.error) {
+  const assertEquals = createAssertEquals(logFn, errorFn);
+  const validator = new VocabDatabaseValidator();
+
+  const database = {
+    positiveBigWords: {
+      Radiant: {
+        definition: "Shining brightly.",
+        class: "Big",
+        type: "Positive",
+        tags: ["light", "joy"],
+      },
+      Serene: {
+        definition: "Calm and peaceful.",
+        class: "Big",
+        type: "Postive",
+        tags: ["calm", "joy"],
+      },
+      Gloomy: {
+        definition: "Dark or poorly lit.",
+        class: "Normal",
+        type: "Negative",
+        tags: ["light", "calm"],
+      },
+      Broken: { class: "Big", type: "Positive", tags: [] },
+    },
+    toneBigWords: {
+      Radiant: { definition: "Glowing.", class: "Big", type: "Tone" },
+    },
+  };
+  const report = validator.validate(database);
+  const format = (issue) => validator.formatIssue(issue);
+
+  assertEquals(
+    report.errors.map(format),
+    [
+      'positiveBigWords › Serene: Type "Postive" is not one of Positive, Negative, Neutral, Tone.',
+      "positiveBigWords › Serene: Is Big/Postive but positiveBigWords holds Big/Positive words.",
+      "positiveBigWords › Gloomy: Is Normal/Negative but positiveBigWords holds Big/Positive words.",
+      'positiveBigWords › Broken: Missing "definition".',
+    ],
+    "validate reports missing fields, unknown values and category mismatches"
+  );
+  assertEquals(
+    report.errors.filter((issue) => issue.fatal).map((issue) => issue.term),
+    ["Broken"],
+    "validate marks unrenderable entries as fatal"
+  );
+  assertEquals(
+    report.warnings.map(format),
+    [
+      'toneBigWords › Radiant: Has no "tags".',
+      "positiveBigWords › Radiant: Also appears in toneBigWords.",
+    ],
+    "validate warns about missing tags and duplicate terms"
+  );
+  assertEquals(
+    validator.validate({ neutralNormalWords: { Plain: { definition: "Simple.", class: "Normal", type: "Neutral", tags: ["a"] } } })
+      .warnings.map(format),
+    ['Plain: Tag "a" is only used once.'],
+    "validate warns about tags used only once"
+  );
+  assertEquals(
+    validator.validate([]).errors.map(format),
+    ["The database must be an object of categories."],
+    "validate rejects a database that isn't an object"
+  );
+
+  // Test model: invalid entries are skipped instead of breaking filtering
+  const model = new VocabCatalogViewerModel();
+  model.wordDatabase = database;
+  model.validateDatabase();
+  model.processAllWords();
+  assertEquals(
+    model.getAllWords().map((w) => w.term),
+    ["Radiant", "Serene", "Gloomy", "Radiant"],
+    "processAllWords skips entries that failed validation"
+  );
+  assertEquals(
+    model
+      .filterWords("glow")
+      .map((w) => w.category),
+    ["toneBigWords"],
+    "filterWords works on a database with errors"
+  );
+
+  // Test validate: optional fields are checked when present
+  const extended = validator.validate({
+    positiveNormalWords: {
+      Cheerful: {
+        definition: "Noticeably happy.",
+        class: "Normal",
+        type: "Positive",
+        tags: ["joy"],
+        synonyms: ["merry"],
+        partOfSpeech: "adjective",
+        related: ["Glad", "Jolly"],
+      },
+      Glad: { definition: "Pleased.", class: "Normal", type: "Positive", tags: ["joy"], examples: "Glad to help." },
+    },
+  });
+  assertEquals(
+    [
+      extended.errors.map((issue) => [issue.term, issue.message, issue.fatal]),
+      extended.warnings.map((issue) => issue.message),
+    ],
+    [
+      [["Glad", '"examples" must be an array of strings.', true]],
+      ['Related word "Jolly" is not in the database.'],
+    ],
+    "validate checks optional fields and related-word links"
+  );
+
+  // Test validate: the metadata section declares facets and the classes and types allowed
+  const metadata = {
+    facets: [
+      { field: "type", label: "Kind", values: [{ value: "Archaic", color: "#aa8844" }, "Modern"] },
+      { field: "colour", values: [] },
+      { field: "class", values: "Big" },
+    ],
+  };
+  const described = validator.validate({
+    metadata,
+    archaicNormalWords: {
+      Thee: { definition: "You.", class: "Normal", type: "Archaic", tags: ["pronoun"] },
+      Thou: { definition: "You.", class: "Normal", type: "Positive", tags: ["pronoun"] },
+    },
+  });
+  assertEquals(
+    described.errors.map(format),
+    [
+      'metadata › facet colour: "field" must be one of class, type, category, partOfSpeech, register.',
+      'metadata › facet class: "values" must be an array.',
+      'archaicNormalWords › Thou: Type "Positive" is not one of Archaic, Modern.',
+      "archaicNormalWords › Thou: Is Normal/Positive but archaicNormalWords holds Normal/Archaic words.",
+    ],
+    "validate checks the metadata and the values it declares, and skips it as a category"
+  );
+  assertEquals(
+    validator.getFacetDefinitions({ metadata }),
+    [
+      {
+        field: "type",
+        label: "Kind",
+        values: [
+          { value: "Archaic", label: "Archaic", color: "#aa8844" },
+          { value: "Modern", label: "Modern" },
+        ],
+      },
+      { field: "class", label: "class", values: [] },
+    ],
+    "getFacetDefinitions reads the declared facets, leaving out malformed ones"
+  );
+  assertEquals(
+    [validator.getAllowedValues({ metadata }, "class"), validator.getFacetDefinitions({}).length],
+    [VocabDatabaseValidator.WORD_CLASSES, 2],
+    "classes and types fall back to the defaults when the metadata doesn't declare them"
+  );
+}
+
+// --- Simple Unit Tests for VocabSearchIndex ---
+
+function runVocabSearchIndexTests(logFn = console.log, errorFn = console.error) {
+  const assertEquals = createAssertEquals(logFn, errorFn);
+
+  const words = [
+    { term: "Kind", definition: "Compassionate and considerate toward others", tags: ["trait"] },
+    { term: "Compassionate", definition: "Feeling deep sympathy for others' suffering", tags: ["emotion"] },
+    { term: "Radiant", definition: "Shining brightly", tags: ["light"] },
+    { term: "Lambent", definition: "Softly glowing or flickering light", tags: ["light"] },
+    { term: "Lightness", definition: "The quality of being light", tags: [] },
+  ];
+  const index = new VocabSearchIndex();
+  index.build(words);
+  const terms = (query) => index.search(query).map((result) => result.word.term);
+
+  assertEquals(terms("compassionate"), ["Compassionate", "Kind"], "term matches rank above definition matches");
+  assertEquals(terms("compasionate"), ["Compassionate", "Kind"], "search tolerates a typo");
+  assertEquals(terms("shine"), ["Radiant"], "search matches word stems");
+  assertEquals(terms("lamb"), ["Lambent"], "search matches prefixes");
+  assertEquals(terms("light"), ["Lightness", "Radiant", "Lambent"], "exact and prefix term matches come first");
+  assertEquals(terms("glowing light"), ["Lambent"], "every query word has to match");
+  assertEquals(terms("zzz"), [], "search returns nothing for unknown words");
+
+  const [radiant] = index.search("bright");
+  assertEquals(
+    radiant.ranges,
+    { term: [], definition: [[8, 14]] },
+    "search reports the ranges to highlight"
+  );
+  assertEquals(
+    index.search("light").find((result) => result.word.term === "Radiant").ranges.light,
+    [[0, 5]],
+    "search reports highlight ranges in tags"
+  );
+
+  // Test build: synonyms and examples are searched, below terms and definitions
+  const extendedIndex = new VocabSearchIndex();
+  extendedIndex.build([
+    { term: "Halcyon", definition: "Idyllically calm", examples: ["The halcyon days of a cheerful summer."] },
+    { term: "Jovial", definition: "Friendly and good-humoured", synonyms: ["cheerful", "jolly"] },
+    { term: "Cheerful", definition: "Noticeably happy" },
+  ]);
+  assertEquals(
+    extendedIndex.search("cheerful").map((result) => result.word.term),
+    ["Cheerful", "Jovial", "Halcyon"],
+    "search ranks term, then synonym, then example matches"
+  );
+}
+
+// --- Simple Unit Tests for VocabReverseIndex ---
+
+function runVocabReverseIndexTests(logFn = console.log, errorFn = console.error) {
+  const assertEquals = createAssertEquals(logFn, errorFn);
+
+  const words = [
+    { term: "Radiant", definition: "Shining brightly", tags: ["light"] },
+    { term: "Lambent", definition: "Softly glowing or flickering light", tags: ["light"] },
+    { term: "Dazzling", definition: "Extremely bright, especially so as to blind the eyes", tags: ["light"] },
+    { term: "Disconsolate", definition: "Without consolation or comfort; unhappy", tags: ["sadness"] },
+    { term: "Lugubrious", definition: "Looking or sounding sad and dismal", tags: ["sadness"] },
+  ];
+  const index = new VocabReverseIndex();
+  index.build(words);
+  const terms = (text) => index.search(text).map((result) => result.word.term);
+
+  // Test search: a description finds the word without naming it
+  assertEquals(terms("shining very brightly")[0], "Radiant", "a description ranks the best fit first");
+  assertEquals(
+    terms("shining very brightly").includes("Dazzling"),
+    true,
+    "words matching only part of the description are found too"
+  );
+  assertEquals(terms("sounds dismal"), ["Lugubrious"], "stems of the description are matched");
+  assertEquals(terms("unhappy sadness")[0], "Disconsolate", "tags and definitions both count");
+  assertEquals(terms("the very"), [], "stop words alone match nothing");
+  assertEquals(terms("zzz"), [], "search returns nothing for unknown words");
+  assertEquals(
+    index.search("softly glowing")[0].ranges,
+    { term: [], definition: [[0, 6], [7, 14]] },
+    "search reports the definition ranges to highlight"
+  );
+
+  // Test build: the index follows a new word list
+  index.build(words.slice(3));
+  assertEquals(terms("shining"), [], "build replaces the indexed words");
+
+  // Test filterWords: "meaning" mode looks words up by description
+  const model = new VocabCatalogViewerModel();
+  model.wordDatabase = {
+    light: {
+      Radiant: { definition: "Shining brightly", class: "Big", type: "Positive", tags: ["light"] },
+      Shining: { definition: "Giving out light", class: "Normal", type: "Neutral", tags: ["light"] },
+    },
+    sadness: {
+      Lugubrious: { definition: "Looking or sounding sad and dismal", class: "Big", type: "Negative", tags: ["sadness"] },
+    },
+  };
+  model.processAllWords();
+  const filtered = (query, mode) => model.filterWords(query, null, null, mode).map((word) => word.term);
+  assertEquals(filtered("shining", "words")[0], "Shining", "words mode ranks term matches first");
+  assertEquals(filtered("shining", "meaning"), ["Radiant"], "meaning mode only searches definitions and tags");
+  assertEquals(filtered("sad class:Normal", "meaning"), [], "qualifiers still apply in meaning mode");
+}
+
+// Run tests if in dev mode (or always, for demonstration)
+function runVocabCopyTrayTests(logFn = console.log, errorFn = console.error) {
+  const assertEquals = createAssertEquals(logFn, errorFn);
+
+  const cat = { term: "Cat", definition: "A small mammal.", class: "Normal", type: "Neutral", tags: ["pet", "mammal"], category: "Animals", source: "bundled" };
+  const dog = { term: "Dog", definition: "A loyal mammal.", class: "Big", type: "Positive", tags: ["pet"], category: "Animals", source: "bundled" };
+  const rose = { term: "Rose", definition: "A flowering plant.", class: "Normal", type: "Positive", tags: [], category: "Plants", source: "bundled" };
+
+  const tray = new VocabCopyTray();
+  assertEquals(tray.format(), "(normal)", "an empty tray copies as (normal)");
+  tray.add(cat);
+  tray.add(dog);
+  assertEquals(tray.format(), "(Cat)(Dog)", "the parenthesised template matches the classic format");
+  assertEquals(tray.format("comma"), "Cat, Dog", "format uses the given template");
+  assertEquals(tray.format("markdown"), "- Cat\n- Dog", "the Markdown template writes a bullet list");
+  assertEquals(
+    tray.format("definitions"),
+    "Cat — A small mammal.\nDog — A loyal mammal.",
+    "templates can include definitions"
+  );
+  assertEquals(
+    tray.fill("{term} [{tags}] {unknown}", cat),
+    "Cat [pet, mammal] {unknown}",
+    "fill joins tags and leaves unknown placeholders alone"
+  );
+  assertEquals(Object.keys(tray.items[0]).includes("source"), false, "add keeps only template fields");
+
+  tray.add(rose);
+  tray.move(2, 0);
+  assertEquals(tray.format("comma"), "Rose, Cat, Dog", "move reorders the tray");
+  tray.remove(1);
+  assertEquals(tray.format("comma"), "Rose, Dog", "remove drops a word");
+  tray.undo();
+  assertEquals(tray.format("comma"), "Rose, Cat, Dog", "undo restores a removed word");
+  tray.undo();
+  tray.undo();
+  assertEquals(tray.format("comma"), "Cat, Dog", "undo takes back the last add");
+  tray.clear();
+  assertEquals(tray.format(), "(normal)", "clear empties the tray");
+  tray.undo();
+  assertEquals(tray.items.length, 2, "undo restores a cleared tray");
+
+  const id = tray.saveTemplate({ name: "Pipes", item: "{term}", separator: " | " });
+  tray.setTemplate(id);
+  assertEquals(tray.format(), "Cat | Dog", "saveTemplate adds a usable template");
+  assertEquals(
+    tray.saveTemplate({ id: "comma", name: "Comma copy", item: "{term};" }) !== "comma",
+    true,
+    "saving over a built-in template creates a new one"
+  );
+  tray.deleteTemplate(id);
+  assertEquals(tray.getTemplate().id, "parenthesised", "deleting the chosen template falls back to the first built-in");
+  let error = null;
+  try {
+    tray.saveTemplate({ name: "", item: "{term}" });
+  } catch (e) {
+    error = e.message;
+  }
+  assertEquals(error, "Template name is required.", "saveTemplate rejects a template without a name");
+}
+
+function runVocabWordListsTests(logFn = console.log, errorFn = console.error) {
+  const assertEquals = createAssertEquals(logFn, errorFn);
+
+  const model = new VocabCatalogViewerModel();
+  model.wordDatabase = {
+    Animals: {
+      Cat: { definition: "A small mammal.", class: "Normal", type: "Neutral", tags: ["pet"] },
+      Dog: { definition: "A loyal mammal.", class: "Big", type: "Positive", tags: ["pet"] },
+    },
+    Plants: {
+      Rose: { definition: "A flowering plant.", class: "Normal", type: "Positive", tags: ["flower"] },
+    },
+  };
+  model.processAllWords();
+  const [cat, dog, rose] = model.getAllWords();
+  const lists = new VocabWordLists(model);
+  const terms = (source, query = "") =>
+    model.filterWords(query, null, lists.getSourceKeys(source)).map((w) => w.term);
+
+  assertEquals(lists.toggleFavorite(rose), true, "toggleFavorite stars a word");
+  lists.toggleFavorite(cat);
+  assertEquals(terms("favorites"), ["Rose", "Cat"], "filterWords keeps the order of a source");
+  assertEquals(terms("favorites", "class:Normal tag:pet"), ["Cat"], "queries apply within a source");
+  lists.toggleFavorite(rose);
+  assertEquals(lists.isFavorite(rose), false, "toggleFavorite unstars a starred word");
+
+  const list = lists.createList("  Chapter 3 tone ");
+  assertEquals(list.name, "Chapter 3 tone", "createList trims the name");
+  lists.setInList(list.id, dog, true);
+  lists.setInList(list.id, rose, true);
+  lists.setInList(list.id, dog, false);
+  assertEquals(terms(list.id), ["Rose"], "setInList adds and removes words");
+  let error = null;
+  try {
+    lists.createList("Chapter 3 tone");
+  } catch (e) {
+    error = e.message;
+  }
+  assertEquals(error, 'There is already a list called "Chapter 3 tone".', "list names are unique");
+  lists.renameList(list.id, "Character A voice");
+  assertEquals(
+    lists.getSources().map(({ name, count }) => `${name} ${count}`),
+    ["★ Favorites 1", "Recently copied 0", "Character A voice 1"],
+    "getSources lists favorites, history and named lists with counts"
+  );
+
+  lists.recordCopy(cat);
+  lists.recordCopy(dog);
+  lists.recordCopy(cat);
+  assertEquals(terms("history"), ["Cat", "Dog"], "history lists the most recent copy first, once");
+
+  assertEquals(
+    lists.renameWord(rose, { category: "Flowers", term: "Rose" }),
+    true,
+    "renameWord reports a changed key"
+  );
+  assertEquals(
+    lists.getList(list.id).words,
+    [model.getWordKey({ category: "Flowers", term: "Rose" })],
+    "renameWord follows a moved word"
+  );
+  lists.deleteList(list.id);
+  assertEquals(lists.getSourceKeys(list.id), null, "deleteList removes the list");
+}
+
+// --- Simple Unit Tests for VocabDailyWord ---
+
+async function runVocabDailyWordTests(logFn = console.log, errorFn = console.error) {
+  const assertEquals = createAssertEquals(logFn, errorFn);
+
+  const model = new VocabCatalogViewerModel();
+  model.wordDatabase = {
+    Animals: {
+      Cat: { definition: "A small mammal.", class: "Normal", type: "Neutral", tags: ["pet"] },
+      Dog: { definition: "A loyal mammal.", class: "Big", type: "Tone", tags: ["pet"] },
+    },
+    Plants: {
+      Rose: { definition: "A flowering plant.", class: "Normal", type: "Tone", tags: ["flower"] },
+    },
+  };
+  model.processAllWords();
+  const [cat, dog, rose] = model.getAllWords();
+  const wordLists = new VocabWordLists(model);
+  const studyDeck = new VocabStudyDeck(model);
+
+  // A stub of the chrome.* calls the word of the day makes, recording them
+  const calls = [];
+  const stored = { sync: {}, local: {}, session: {} };
+  const storageArea = (area) => ({
+    get: async (key) => ({ [key]: stored[area][key] }),
+    set: async (items) => Object.assign(stored[area], items),
+    remove: async (key) => delete stored[area][key],
+  });
+  const chromeStub = {
+    storage: { sync: storageArea("sync"), local: storageArea("local"), session: storageArea("session") },
+    alarms: {
+      clear: async (name) => calls.push(["alarms.clear", name]),
+      create: (name, info) => calls.push(["alarms.create", name, info]),
+    },
+    notifications: {
+      create: async (id, options) => calls.push(["notifications.create", options.title, options.message]),
+      clear: async (id) => calls.push(["notifications.clear", id]),
+    },
+    action: {
+      openPopup: async () => calls.push(["action.openPopup"]),
+      setBadgeText: async ({ text }) => calls.push(["action.setBadgeText", text]),
+      setBadgeBackgroundColor: async () => {},
+    },
+  };
+  const dailyWord = new VocabDailyWord(model, wordLists, studyDeck, chromeStub);
+  const now = new Date(2024, 0, 10, 12, 30).getTime();
+
+  // Test schedule: the word of the day is off until turned on
+  await dailyWord.schedule(now);
+  assertEquals(
+    calls.map((call) => call[1]),
+    [VocabDailyWord.DAILY_ALARM, VocabDailyWord.BADGE_ALARM],
+    "the word of the day is off by default"
+  );
+  calls.length = 0;
+
+  // Test schedule: the daily alarm fires at the configured hour, the badge alarm periodically
+  stored.sync.dailyWordSettings = { enabled: true, hour: 8 };
+  await dailyWord.schedule(now);
+  const [, daily, badge] = calls;
+  assertEquals(daily[1], VocabDailyWord.DAILY_ALARM, "schedule creates the daily alarm");
+  assertEquals(
+    [daily[2].when, daily[2].periodInMinutes],
+    [new Date(2024, 0, 11, 8).getTime(), 24 * 60],
+    "the daily alarm first fires at the next occurrence of the hour, then every day"
+  );
+  assertEquals(badge[1], VocabDailyWord.BADGE_ALARM, "schedule creates the badge alarm");
+  calls.length = 0;
+  await dailyWord.saveSettings({ enabled: false });
+  await dailyWord.schedule(now);
+  assertEquals(
+    calls.map((call) => call[1]),
+    [VocabDailyWord.DAILY_ALARM, VocabDailyWord.BADGE_ALARM],
+    "a disabled word of the day only clears its alarm"
+  );
+
+  // Test getPool and pickWord
+  await dailyWord.saveSettings({ enabled: true, source: "all", query: "type:Tone" });
+  assertEquals(dailyWord.getPool().map((word) => word.term), ["Dog", "Rose"], "the pool can be a query");
+  wordLists.toggleFavorite(cat);
+  await dailyWord.saveSettings({ source: "favorites", query: "" });
+  assertEquals(dailyWord.getPool(), [cat], "the pool can be the starred words");
+  await dailyWord.saveSettings({ source: "deleted-list" });
+  assertEquals(dailyWord.getPool(), [], "a deleted list leaves an empty pool");
+  const pool = [cat, dog, rose];
+  assertEquals(
+    dailyWord.pickWord(pool, now) === dailyWord.pickWord(pool, now + 3 * 60 * 60 * 1000),
+    true,
+    "pickWord keeps the same word all day"
+  );
+  assertEquals(
+    dailyWord.pickWord(pool, now) === dailyWord.pickWord(pool, now + VocabStudyDeck.DAY_MS),
+    false,
+    "pickWord picks another word the next day"
+  );
+  assertEquals(dailyWord.pickWord([], now), null, "pickWord returns null for an empty pool");
+
+  // Test showDailyWord and openDailyWord
+  await dailyWord.saveSettings({ source: "all", query: "type:Tone" });
+  calls.length = 0;
+  const shown = await dailyWord.showDailyWord(now);
+  assertEquals(calls, [["notifications.create", shown.term, shown.definition]], "showDailyWord notifies with the definition");
+  assertEquals(stored.local.dailyWord.key, model.getWordKey(shown), "showDailyWord remembers the word");
+  calls.length = 0;
+  await dailyWord.openDailyWord();
+  assertEquals(
+    calls,
+    [["notifications.clear", VocabDailyWord.NOTIFICATION_ID], ["action.openPopup"]],
+    "clicking the notification opens the popup"
+  );
+  assertEquals(stored.session.showWord.key, model.getWordKey(shown), "the popup is told which word to show");
+
+  // Test updateBadge
+  calls.length = 0;
+  studyDeck.review(cat, 4, now - 2 * VocabStudyDeck.DAY_MS);
+  studyDeck.review(dog, 4, now);
+  assertEquals(await dailyWord.updateBadge(now), 1, "updateBadge counts the study words due");
+  assertEquals(calls, [["action.setBadgeText", "1"]], "updateBadge shows the count on the badge");
+  calls.length = 0;
+  await dailyWord.updateBadge(now - 2 * VocabStudyDeck.DAY_MS);
+  assertEquals(calls, [["action.setBadgeText", ""]], "updateBadge clears the badge when nothing is due");
+}
+
+// --- Simple Unit Tests for VocabBackup ---
+
+async function runVocabBackupTests(logFn = console.log, errorFn = console.error) {
+  const assertEquals = createAssertEquals(logFn, errorFn);
+
+  // A stub of the chrome.* calls backups make, recording the alarms and downloads
+  const calls = [];
+  const stored = { sync: {}, local: {} };
+  const storageArea = (area) => ({
+    get: async (keys) =>
+      Object.fromEntries([].concat(keys).filter((key) => key in stored[area]).map((key) => [key, stored[area][key]])),
+    set: async (items) => Object.assign(stored[area], JSON.parse(JSON.stringify(items))),
+    remove: async (keys) => [].concat(keys).forEach((key) => delete stored[area][key]),
+  });
+  const chromeStub = {
+    storage: { sync: storageArea("sync"), local: storageArea("local") },
+    alarms: {
+      clear: async (name) => calls.push(["alarms.clear", name]),
+      create: (name, info) => calls.push(["alarms.create", name, info]),
+    },
+    downloads: { download: async (options) => calls.push(["downloads.download", options]) },
+  };
+  const backup = new VocabBackup(chromeStub);
+  const now = new Date(2024, 0, 10, 12, 30).getTime();
+
+  // Test create and parse
+  stored.local.userWords = { Animals: { Cat: { definition: "A pet.", updatedAt: 10 } } };
+  stored.local.backupSettings = { auto: true };
+  stored.sync.favorites = ["Animals/Cat"];
+  const made = await backup.create(now);
+  assertEquals(
+    [made.format, made.schemaVersion, made.createdAt],
+    [VocabBackup.FORMAT, VocabBackup.SCHEMA_VERSION, new Date(now).toISOString()],
+    "create stamps the format, schema version and time"
+  );
+  assertEquals(
+    made.data,
+    { local: { userWords: stored.local.userWords }, sync: { favorites: ["Animals/Cat"] } },
+    "create holds the user's data but not the backup settings"
+  );
+  assertEquals(VocabBackup.getFileName(now), "vocab-master-backup-2024-01-10.json", "getFileName dates the file");
+  assertEquals(VocabBackup.parse(JSON.stringify(made)).data, made.data, "parse reads a backup back");
+  const parseError = (text) => {
+    try {
+      VocabBackup.parse(text);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+  assertEquals(parseError("{"), "The file is not valid JSON.", "parse rejects invalid JSON");
+  assertEquals(parseError('{"words": []}'), "The file is not a Vocab Master backup.", "parse rejects other files");
+  assertEquals(
+    parseError(JSON.stringify({ ...made, schemaVersion: VocabBackup.SCHEMA_VERSION + 1 })),
+    "The backup was made by a newer version of Vocab Master.",
+    "parse rejects backups from newer versions"
+  );
+
+  // Test migrate: each step upgrades one version, starting from the backup's own
+  const migrations = [
+    (old) => ({ ...old, data: { local: old.words, sync: {} } }),
+    (old) => ({ ...old, data: { ...old.data, sync: { theme: "light" } } }),
+  ];
+  assertEquals(
+    VocabBackup.migrate({ schemaVersion: 1, words: { userWords: {} } }, migrations),
+    { schemaVersion: 3, words: { userWords: {} }, data: { local: { userWords: {} }, sync: { theme: "light" } } },
+    "migrate runs every step after the backup's version"
+  );
+  assertEquals(
+    VocabBackup.migrate({ schemaVersion: 2, data: { local: {}, sync: {} } }, migrations).data.sync,
+    { theme: "light" },
+    "migrate skips the steps the backup is past"
+  );
+
+  // Test merge: the later edit of a word wins, whichever side it is on
+  const { data, summary } = VocabBackup.merge(
+    {
+      local: {
+        userWords: { Animals: { Cat: { definition: "Newer here", updatedAt: 20 }, Dog: { updatedAt: 5 } } },
+        studyProgress: { "Animals/Cat": { reviewedAt: 1 } },
+      },
+      sync: {
+        theme: "dark",
+        wordLists: [{ id: "a", name: "Pets", words: ["Animals/Cat"] }],
+        copyHistory: [{ key: "Animals/Cat", copiedAt: 5 }],
+      },
+    },
+    {
+      local: {
+        userWords: {
+          Animals: { Cat: { definition: "Older", updatedAt: 10 }, Dog: { deleted: true, updatedAt: 8 } },
+          Plants: { Rose: { definition: "A flower.", updatedAt: 3 } },
+        },
+        studyProgress: { "Animals/Cat": { reviewedAt: 2 }, "Animals/Dog": { reviewedAt: 1 } },
+      },
+      sync: {
+        theme: "light",
+        tableLayout: { order: ["term"] },
+        wordLists: [
+          { id: "b", name: "Pets", words: ["Animals/Dog"] },
+          { id: "c", name: "Flowers", words: ["Plants/Rose"] },
+        ],
+        copyHistory: [
+          { key: "Animals/Cat", copiedAt: 9 },
+          { key: "Plants/Rose", copiedAt: 7 },
+        ],
+      },
+    }
+  );
+  assertEquals(summary, { added: 1, updated: 1, kept: 1 }, "merge counts the word entries added, updated and kept");
+  assertEquals(data.local.userWords.Animals.Cat.definition, "Newer here", "merge keeps a word edited here since");
+  assertEquals(data.local.userWords.Animals.Dog.deleted, true, "merge takes a later deletion from the backup");
+  assertEquals(data.local.userWords.Plants.Rose.definition, "A flower.", "merge adds words only the backup has");
+  assertEquals(
+    data.local.studyProgress,
+    { "Animals/Cat": { reviewedAt: 2 }, "Animals/Dog": { reviewedAt: 1 } },
+    "merge keeps the latest review of each word"
+  );
+  assertEquals(
+    data.sync.wordLists.map(({ name, words }) => [name, words]),
+    [["Pets", ["Animals/Cat", "Animals/Dog"]], ["Flowers", ["Plants/Rose"]]],
+    "merge joins lists of the same name"
+  );
+  assertEquals(
+    data.sync.copyHistory,
+    [{ key: "Animals/Cat", copiedAt: 9 }, { key: "Plants/Rose", copiedAt: 7 }],
+    "merge keeps each word's latest copy in the history"
+  );
+  assertEquals(
+    [data.sync.theme, data.sync.tableLayout],
+    ["dark", { order: ["term"] }],
+    "merge keeps current settings and takes the ones never set"
+  );
+
+  // Test merge: deleting or reverting a word since the backup wins over the backed-up edit
+  const wordModel = new VocabCatalogViewerModel();
+  wordModel.wordDatabase = {
+    Animals: { Cat: { definition: "A small mammal.", class: "Normal", type: "Neutral", tags: [] } },
+  };
+  wordModel.processAllWords();
+  wordModel.saveWord(null, { term: "Owl", category: "Animals", definition: "A bird.", class: "Normal", type: "Neutral" });
+  wordModel.saveWord({ category: "Animals", term: "Cat" }, { ...wordModel.getAllWords()[0], definition: "A pet." });
+  const olderLayer = JSON.parse(JSON.stringify(wordModel.userWords));
+  wordModel.deleteWord({ category: "Animals", term: "Owl" });
+  wordModel.revertWord({ category: "Animals", term: "Cat" });
+  wordModel.userWords = VocabBackup.merge(
+    { local: { userWords: wordModel.userWords }, sync: {} },
+    { local: { userWords: olderLayer }, sync: {} }
+  ).data.local.userWords;
+  wordModel.processAllWords();
+  assertEquals(
+    wordModel.getAllWords().map((w) => [w.term, w.definition]),
+    [["Cat", "A small mammal."]],
+    "merge keeps a deleted word deleted and a reverted word reverted"
+  );
+
+  // Test restore
+  stored.local = { userWords: { Animals: { Cat: { updatedAt: 1 } } }, studyProgress: {}, backupSettings: { auto: true } };
+  stored.sync = { favorites: ["Animals/Dog"], theme: "dark" };
+  const backedUp = VocabBackup.parse(JSON.stringify(made));
+  assertEquals(await backup.preview(backedUp), { added: 0, updated: 1, kept: 0 }, "preview summarizes a merge");
+  assertEquals(stored.local.userWords.Animals.Cat.updatedAt, 1, "preview changes nothing");
+  await backup.restore(backedUp);
+  assertEquals(
+    [stored.local.userWords.Animals.Cat.updatedAt, stored.sync.favorites, stored.sync.theme],
+    [10, ["Animals/Dog", "Animals/Cat"], "dark"],
+    "restore merges by default"
+  );
+  await backup.restore(backedUp, "replace");
+  assertEquals(
+    [stored.local, stored.sync],
+    [
+      { userWords: made.data.local.userWords, backupSettings: { auto: true } },
+      { favorites: ["Animals/Cat"] },
+    ],
+    "replacing leaves exactly the backed-up data, and the backup settings"
+  );
+  const restoreError = async (backedUpData, mode) => {
+    try {
+      await backup.restore({ ...backedUp, data: backedUpData }, mode);
+    } catch (error) {
+      return error.message;
+    }
+    return null;
+  };
+  const before = JSON.parse(JSON.stringify(stored));
+  const manyKeys = Array.from({ length: 600 }, (_, i) => `Animals/Word ${i}`);
+  assertEquals(
+    await restoreError({ local: { userWords: {} }, sync: { favorites: manyKeys } }),
+    "Nothing was restored: the favorites would be too big to sync.",
+    "restore refuses merged sync items over the quota"
+  );
+  assertEquals(stored, before, "a refused restore writes nothing");
+  const longHistory = manyKeys.map((key, i) => ({ key, copiedAt: i }));
+  assertEquals(
+    VocabWordLists.getItemSize("copyHistory", VocabBackup.fitSync({ copyHistory: longHistory }).copyHistory) <=
+      VocabWordLists.QUOTA_BYTES_PER_ITEM,
+    true,
+    "fitSync trims the history to the quota"
+  );
+  const syncSet = chromeStub.storage.sync.set;
+  chromeStub.storage.sync.set = async (items) => {
+    if ("theme" in items) throw new Error("MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded");
+    return syncSet(items);
+  };
+  assertEquals(
+    await restoreError(
+      { local: { userWords: { Plants: { Rose: { updatedAt: 1 } } } }, sync: { favorites: [], theme: "light" } },
+      "replace"
+    ),
+    "Nothing was restored: saving theme failed (MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded).",
+    "restore reports the key that failed to save"
+  );
+  chromeStub.storage.sync.set = syncSet;
+  assertEquals(stored, before, "restore puts back the keys it wrote before a failed write");
+
+  // Test schedule and runAutoBackup
+  await backup.saveSettings({ auto: false });
+  calls.length = 0;
+  await backup.schedule(now);
+  assertEquals(calls, [["alarms.clear", VocabBackup.ALARM]], "schedule only clears the alarm when backups are off");
+  assertEquals(await backup.runAutoBackup(now), null, "runAutoBackup does nothing when backups are off");
+  await backup.saveSettings({ auto: true, frequency: "daily" });
+  calls.length = 0;
+  await backup.schedule(now);
+  assertEquals(
+    calls[1],
+    ["alarms.create", VocabBackup.ALARM, { when: now, periodInMinutes: 24 * 60 }],
+    "the first automatic backup is due right away"
+  );
+  calls.length = 0;
+  const fileName = await backup.runAutoBackup(now);
+  assertEquals(fileName, "Vocab Master/vocab-master-backup-2024-01-10.json", "runAutoBackup saves to its folder");
+  const [, options] = calls[0];
+  assertEquals(
+    [options.filename, options.conflictAction, options.saveAs],
+    [fileName, "overwrite", false],
+    "runAutoBackup downloads without asking, over the same day's backup"
+  );
+  assertEquals(
+    VocabBackup.parse(decodeURIComponent(options.url.split(",")[1])).data.sync,
+    { favorites: ["Animals/Cat"] },
+    "the downloaded file is a backup"
+  );
+  assertEquals(stored.local.lastBackup, { at: now, fileName }, "runAutoBackup remembers the backup");
+  calls.length = 0;
+  await backup.saveSettings({ frequency: "weekly" });
+  await backup.schedule(now);
+  assertEquals(calls[1][2].when, now + 7 * VocabStudyDeck.DAY_MS, "the next backup is due a period after the last");
+}
+
+// --- Simple Unit Tests for VocabStudyDeck ---
+
+function runVocabStudyDeckTests(logFn = console.log, errorFn = console.error) {
+  const assertEquals = createAssertEquals(logFn, errorFn);
+
+  const model = new VocabCatalogViewerModel();
+  model.wordDatabase = {
+    Animals: {
+      Cat: { definition: "A small mammal.", class: "Normal", type: "Neutral", tags: ["pet"] },
+      Dog: { definition: "A loyal mammal.", class: "Big", type: "Positive", tags: ["pet"] },
+    },
+    Plants: {
+      Rose: { definition: "A flowering plant.", class: "Normal", type: "Positive", tags: ["flower"] },
+    },
+  };
+  model.processAllWords();
+  const [cat, dog, rose] = model.getAllWords();
+  const deck = new VocabStudyDeck(model);
+  const day = VocabStudyDeck.DAY_MS;
+  const now = 1000 * day;
+
+  // Test review: SM-2 intervals and ease factor
+  const intervals = [4, 4, 4].map((quality, index) => deck.review(cat, quality, now + index * day).interval);
+  assertEquals(intervals, [1, 6, 15], "recalled words come back after 1, 6, then interval × ease days");
+  assertEquals(deck.getProgress(cat).ease, 2.5, "a good recall keeps the ease factor");
+  deck.review(cat, 5, now + 3 * day);
+  assertEquals(deck.getProgress(cat).ease, 2.6, "an easy recall raises the ease factor");
+  const lapse = deck.review(cat, 1, now + 4 * day);
+  assertEquals(
+    [lapse.repetitions, lapse.interval, lapse.lapses],
+    [0, 1, 1],
+    "forgetting a recalled word restarts it and counts a lapse"
+  );
+  assertEquals(lapse.ease.toFixed(2), "2.06", "forgetting lowers the ease factor");
+  for (let i = 0; i < 10; i++) deck.review(dog, 0, now);
+  assertEquals(deck.getProgress(dog).ease, VocabStudyDeck.MIN_EASE, "the ease factor has a floor");
+  assertEquals(deck.getProgress(dog).lapses, 0, "failing a word never recalled is not a lapse");
+
+  // Test getStatus and buildSession
+  assertEquals(deck.getStatus(rose, now), "new", "unstudied words are new");
+  assertEquals(deck.getStatus(cat, now + 4 * day), "learning", "words not yet due are learning");
+  assertEquals(deck.getStatus(cat, now + 6 * day), "due", "words past their due time are due");
+  assertEquals(
+    deck.buildSession([cat, dog, rose], now + 6 * day).map((word) => word.term),
+    ["Dog", "Cat", "Rose"],
+    "buildSession puts the most overdue words first, then new words"
+  );
+  assertEquals(deck.buildSession([cat], now + 4 * day), [], "buildSession skips words not due");
+
+  // Test getStats
+  deck.progress[model.getWordKey(rose)] = { repetitions: 5, interval: 30, ease: 2.5, due: now + 30 * day, lapses: 0, reviews: 5 };
+  const stats = deck.getStats([cat, dog, rose], now + 6 * day);
+  assertEquals(stats.total, { words: 3, new: 0, due: 2, learned: 1, lapsed: 1 }, "getStats counts all words");
+  assertEquals(stats.byClass.Normal, { words: 2, new: 0, due: 1, learned: 1, lapsed: 1 }, "getStats counts per class");
+  assertEquals(stats.byType.Positive, { words: 2, new: 0, due: 1, learned: 1, lapsed: 0 }, "getStats counts per type");
+
+  // Test renameWord
+  assertEquals(deck.renameWord(rose, { category: "Flowers", term: "Rose" }), true, "renameWord reports moved progress");
+  assertEquals(
+    deck.getProgress({ category: "Flowers", term: "Rose" }).interval,
+    30,
+    "renameWord follows a moved word"
+  );
+  assertEquals(deck.renameWord(rose, { category: "Trees", term: "Rose" }), false, "renameWord ignores words without progress");
+}
+
+function runVocabWordFilterTests(logFn = console.log, errorFn = console.error) {
+  const assertEquals = createAssertEquals(logFn, errorFn);
+
+  const model = new VocabCatalogViewerModel();
+  model.wordDatabase = {
+    Animals: {
+      Cat: { definition: "A small mammal.", class: "Normal", type: "Neutral", tags: ["pet"] },
+      Dog: { definition: "A loyal mammal.", class: "Big", type: "Positive", tags: ["pet", "loyal"] },
+    },
+    Plants: {
+      Rose: { definition: "A flowering plant.", class: "Normal", type: "Positive", tags: ["flower"] },
+    },
+  };
+  model.processAllWords();
+  const [cat, dog] = model.getAllWords();
+  const wordFilter = new VocabWordFilter(model);
+  const tagSet = { include: ["pet"], exclude: [], mode: "any" };
+  const request = { id: 7, query: model.queryLanguage.parse("mammal"), tagSet, source: null };
+
+  // The worker answers with indices into its copy of the word list
+  const response = VocabWordFilter.runFilter(model, request);
+  assertEquals(response.id, 7, "runFilter echoes the request id");
+  assertEquals(response.indices, [0, 1], "runFilter returns indices into allWords");
+  assertEquals(
+    response.tagCounts,
+    model.getTagCounts(tagSet),
+    "runFilter returns the tag picker counts"
+  );
+
+  const { words, matches } = wordFilter.readResponse(JSON.parse(JSON.stringify(response)));
+  assertEquals(words[0] === cat && words[1] === dog, true, "readResponse maps indices back to the words");
+  assertEquals(matches.get(dog), model.getSearchMatches().get(dog), "readResponse keeps highlight ranges");
+
+  assertEquals(
+    VocabWordFilter.runFilter(model, { ...request, query: model.queryLanguage.parse("") }).indices,
+    [0, 1],
+    "runFilter applies the tag set"
+  );
+}
+
+function runVocabTableColumnsTests(logFn = console.log, errorFn = console.error) {
+  const assertEquals = createAssertEquals(logFn, errorFn);
+  const words = [
+    { term: "Dog", type: "Positive", class: "Big", category: "Animals" },
+    { term: "cat", type: "Neutral", class: "Normal", category: "Animals", addedAt: 200 },
+    { term: "Ant", type: "Positive", class: "Normal", category: "Animals", addedAt: 100 },
+    { term: "Eel", type: "Neutral", class: "Normal", category: "Animals" },
+  ];
+  const terms = (sort) => VocabTableColumns.sortWords(words, sort).map((w) => w.term);
+
+  assertEquals(terms([]), ["Dog", "cat", "Ant", "Eel"], "sortWords keeps the order without sort keys");
+  assertEquals(terms([{ id: "term", direction: "asc" }]), ["Ant", "cat", "Dog", "Eel"], "sortWords ignores case");
+  assertEquals(
+    terms([{ id: "type", direction: "asc" }, { id: "term", direction: "desc" }]),
+    ["Eel", "cat", "Dog", "Ant"],
+    "sortWords sorts by several keys"
+  );
+  assertEquals(
+    terms([{ id: "added", direction: "desc" }]),
+    ["cat", "Ant", "Dog", "Eel"],
+    "sortWords puts words without a value last, keeping their order"
+  );
+
+  const columns = new VocabTableColumns();
+  assertEquals(
+    columns.getVisibleColumns().map(({ id }) => id),
+    ["term", "definition", "class", "type", "tags"],
+    "extra columns are hidden by default"
+  );
+  columns.toggleSort("type");
+  columns.toggleSort("term", true);
+  assertEquals(columns.getSortState("term"), { direction: "asc", priority: 2 }, "Shift+click adds a sort key");
+  columns.toggleSort("term", true);
+  assertEquals(columns.sort[1], { id: "term", direction: "desc" }, "Shift+click flips a sort key");
+  columns.toggleSort("class");
+  assertEquals(columns.sort, [{ id: "class", direction: "asc" }], "click sorts by one column");
+  columns.toggleSort("class");
+  columns.toggleSort("class");
+  assertEquals(columns.sort, [], "a third click turns sorting off");
+
+  columns.setVisible("length", true);
+  columns.move("length", -1);
+  assertEquals(
+    columns.getVisibleColumns().map(({ id }) => id),
+    ["term", "definition", "class", "type", "tags", "length"],
+    "setVisible shows an extra column and move reorders it"
+  );
+  columns.getColumns().forEach(({ id }) => columns.setVisible(id, false));
+  assertEquals(columns.getVisibleColumns().length, 1, "the last visible column can't be hidden");
+  columns.resetLayout();
+  assertEquals(columns.getVisibleColumns().length, 5, "resetLayout restores the default columns");
+}
+
+// --- Simple Unit Tests for VocabFilterState ---
+
+function runVocabFilterStateTests(logFn = console.log, errorFn = console.error) {
+  const assertEquals = createAssertEquals(logFn, errorFn);
+  const state = {
+    query: "class:Big bright & light",
+    mode: "meaning",
+    tags: { include: ["speech", "light"], exclude: ["archaic"], mode: "all" },
+    list: "favorites",
+    sort: [{ id: "type", direction: "asc" }, { id: "term", direction: "desc" }],
+  };
+
+  const hash = VocabFilterState.toHash(state);
+  assertEquals(
+    hash,
+    "q=class%3ABig+bright+%26+light&mode=meaning&tags=speech%2Clight&exclude=archaic" +
+      "&tagMode=all&list=favorites&sort=type%2C-term",
+    "toHash writes every filter"
+  );
+  assertEquals(VocabFilterState.fromHash(`#${hash}`), state, "fromHash reads back what toHash wrote");
+  assertEquals(VocabFilterState.toHash(VocabFilterState.getEmptyState()), "", "the empty state has no hash");
+  assertEquals(VocabFilterState.fromHash(""), null, "an empty hash holds no state");
+  assertEquals(VocabFilterState.fromHash("#word-42"), null, "an unrelated hash holds no state");
+  assertEquals(
+    VocabFilterState.fromHash("q=cat&sort=-added"),
+    { ...VocabFilterState.getEmptyState(), query: "cat", sort: [{ id: "added", direction: "desc" }] },
+    "fromHash fills in the filters a link leaves out"
+  );
+  assertEquals(
+    VocabFilterState.normalize({ mode: "bogus", tags: { include: [3, ""] }, sort: [{ direction: "desc" }] }),
+    VocabFilterState.getEmptyState(),
+    "normalize drops values a state can't hold"
+  );
+  assertEquals(VocabFilterState.isEmpty({ list: "all", query: "" }), true, "isEmpty spots the empty state");
+
+  const filterState = new VocabFilterState();
+  const saved = filterState.saveSearch("  Tone words ", { query: "type:Tone" });
+  assertEquals(saved.name, "Tone words", "saveSearch trims the name");
+  assertEquals(saved.state.query, "type:Tone", "saveSearch keeps the state");
+  filterState.saveSearch("Tone words", { query: "type:Tone tag:speech" });
+  assertEquals(
+    filterState.searches.map(({ state }) => state.query),
+    ["type:Tone tag:speech"],
+    "saving under a used name updates that search"
+  );
+  const other = filterState.saveSearch("Big words", { query: "class:Big" });
+  let error = null;
+  try {
+    filterState.renameSearch(other.id, "Tone words");
+  } catch (e) {
+    error = e.message;
+  }
+  assertEquals(error, 'There is already a search called "Tone words".', "search names are unique");
+  error = null;
+  try {
+    filterState.saveSearch(" ", state);
+  } catch (e) {
+    error = e.message;
+  }
+  assertEquals(error, "Search name is required.", "saveSearch needs a name");
+  error = null;
+  try {
+    for (let i = 0; i < 1000; i++) filterState.saveSearch(`Search ${i}`, { query: `tag:word-${i}` });
+  } catch (e) {
+    error = e.message;
+  }
+  assertEquals(
+    [error, VocabWordLists.getItemSize("savedSearches", filterState.searches) <= VocabWordLists.QUOTA_BYTES_PER_ITEM],
+    ["Saved searches are full: delete some searches to save more.", true],
+    "saveSearch refuses searches too big to sync"
+  );
+  filterState.deleteSearch(saved.id);
+  assertEquals(filterState.getSearch(saved.id), null, "deleteSearch removes the search");
+}
+
+// --- Simple Unit Tests for VocabTagTaxonomy and the model's tag edits ---
+
+function runVocabTagTaxonomyTests(logFn = console.log, errorFn = console.error) {
+  const assertEquals = createAssertEquals(logFn, errorFn);
+
+  const taxonomy = new VocabTagTaxonomy();
+  taxonomy.setParent("joy", "emotion");
+  taxonomy.setParent("grief", "emotion");
+  taxonomy.setParent("elation", "joy");
+  assertEquals(taxonomy.getDescendants("Emotion"), ["Emotion", "joy", "grief", "elation"], "getDescendants walks the whole subtree, in any case");
+  assertEquals(taxonomy.getAncestors("elation"), ["joy", "emotion"], "getAncestors lists the nearest parent first");
+  let error = null;
+  try {
+    taxonomy.setParent("emotion", "elation");
+  } catch (e) {
+    error = e.message;
+  }
+  assertEquals(error, '"elation" can\'t be the parent of "emotion", which contains it.', "setParent refuses cycles");
+  const crowded = new VocabTagTaxonomy();
+  error = null;
+  try {
+    for (let i = 0; i < 1000; i++) crowded.setParent(`feeling-${i}`, "emotional-register");
+  } catch (e) {
+    error = e.message;
+  }
+  assertEquals(
+    [error, VocabWordLists.getItemSize("tagParents", crowded.parents) <= VocabWordLists.QUOTA_BYTES_PER_ITEM],
+    ["The tag hierarchy is full: move some tags back to the top level to nest more.", true],
+    "setParent refuses a hierarchy too big to sync"
+  );
+  assertEquals(
+    taxonomy.toTree(["grief", "joy", "elation", "emotion", "light"]),
+    [
+      { tag: "emotion", depth: 0 },
+      { tag: "grief", depth: 1 },
+      { tag: "joy", depth: 1 },
+      { tag: "elation", depth: 2 },
+      { tag: "light", depth: 0 },
+    ],
+    "toTree lists each tag under its parent"
+  );
+  taxonomy.renameTag("joy", "happiness");
+  assertEquals(
+    [taxonomy.getParent("happiness"), taxonomy.getParent("elation"), taxonomy.getParent("joy")],
+    ["emotion", "happiness", null],
+    "renameTag keeps the tag's parent and children"
+  );
+  taxonomy.renameTag("emotion", "grief");
+  assertEquals(
+    [taxonomy.getParent("grief"), taxonomy.getParent("happiness")],
+    [null, "grief"],
+    "merging a tag into its child puts the child in its place"
+  );
+
+  const model = new VocabCatalogViewerModel();
+  model.wordDatabase = {
+    Feelings: {
+      Ecstatic: { definition: "Overjoyed.", class: "Big", type: "Positive", tags: ["joy", "emotional"] },
+      Mournful: { definition: "Full of grief.", class: "Normal", type: "Negative", tags: ["grief"] },
+      Moody: { definition: "Changeable.", class: "Normal", type: "Tone", tags: ["emotion"] },
+    },
+    Light: {
+      Radiant: { definition: "Shining brightly.", class: "Normal", type: "Positive", tags: ["light"] },
+    },
+  };
+  model.processAllWords();
+  model.tagTaxonomy.setParent("joy", "emotion");
+  model.tagTaxonomy.setParent("grief", "emotion");
+  const terms = (query, tagSet) => model.filterWords(query, tagSet).map((word) => word.term);
+
+  assertEquals(terms("tag:emotion"), ["Ecstatic", "Mournful", "Moody"], "tag: qualifiers include child tags");
+  assertEquals(terms("-tag:emotion"), ["Radiant"], "negated tag: qualifiers exclude child tags");
+  assertEquals(
+    terms("", { include: ["emotion"], exclude: [], mode: "any" }),
+    ["Ecstatic", "Mournful", "Moody"],
+    "picked tags include child tags"
+  );
+  model.filterWords("");
+  assertEquals(
+    model.getTagCounts().find(({ tag }) => tag === "emotion").count,
+    3,
+    "tag counts roll up into parent tags"
+  );
+  assertEquals(model.getSimilarTags(), [["emotion", "emotional"]], "getSimilarTags groups tags with the same stem");
+
+  assertEquals(model.mergeTags(["emotional"], "emotion"), 1, "mergeTags reports the words it changed");
+  model.processAllWords();
+  assertEquals(model.getAllWords()[0].tags, ["joy", "emotion"], "mergeTags replaces the merged tag");
+  assertEquals(model.getAllWords()[0].source, "edited", "merged tags are saved in the user layer");
+  assertEquals(model.renameTag("joy", "happiness"), 1, "renameTag changes every word with the tag");
+  model.processAllWords();
+  assertEquals(terms("tag:emotion"), ["Ecstatic", "Mournful", "Moody"], "a renamed tag keeps its parent");
+  assertEquals(
+    model.addTagToWords(model.filterWords("class:Normal"), "review"),
+    3,
+    "addTagToWords tags every word given"
+  );
+  model.processAllWords();
+  assertEquals(terms("tag:review"), ["Mournful", "Moody", "Radiant"], "bulk tags are saved");
+  error = null;
+  try {
+    model.addTagToWords(model.getAllWords(), "a, b");
+  } catch (e) {
+    error = e.message;
+  }
+  assertEquals(error, "Tags can't contain commas.", "tag names can't contain commas");
+}
+
+function runVocabThemeTests(logFn = console.log, errorFn = console.error) {
+  const assertEquals = createAssertEquals(logFn, errorFn);
+
+  const root = { dataset: {} };
+  const theme = new VocabTheme(root);
+  theme.apply("light");
+  assertEquals([theme.theme, root.dataset.theme], ["light", "light"], "apply sets the theme on the root element");
+  theme.apply("sepia");
+  assertEquals([theme.theme, root.dataset.theme], ["dark", "dark"], "unknown themes fall back to neon dark");
+  theme.colorScheme = { matches: true };
+  theme.apply("system");
+  assertEquals([theme.theme, root.dataset.theme], ["system", "light"], "system follows a light OS");
+  theme.colorScheme = { matches: false };
+  theme.apply("system");
+  assertEquals(root.dataset.theme, "dark", "system follows a dark OS");
+  assertEquals(theme.getNextTheme().id, "dark", "getNextTheme wraps around after the last theme");
+  theme.apply("dark");
+  assertEquals(theme.getNextTheme().name, "Light", "getNextTheme picks the theme after the chosen one");
+}
+
+const vocabTestSuites = {
+  runVocabCatalogViewerModelTests,
+  runVocabQueryLanguageTests,
+  runVocabCatalogImportExportTests,
+  runVocabDatabaseValidatorTests,
+  runVocabSearchIndexTests,
+  runVocabReverseIndexTests,
+  runVocabCopyTrayTests,
+  runVocabWordListsTests,
+  runVocabStudyDeckTests,
+  runVocabDailyWordTests,
+  runVocabBackupTests,
+  runVocabWordFilterTests,
+  runVocabTableColumnsTests,
+  runVocabFilterStateTests,
+  runVocabTagTaxonomyTests,
+  runVocabThemeTests,
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = vocabTestSuites;
+} else {
+  Object.assign(window, vocabTestSuites);
+}
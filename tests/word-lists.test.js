@@ -0,0 +1,90 @@
+// Tests of the word lists against sync storage's per-item quota, with keys as long as
+// those of words in the user's own collections.
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createPopupEnvironment, loadPopupScripts } = require("./helpers/environment");
+
+const { chrome } = createPopupEnvironment();
+loadPopupScripts();
+
+const model = new VocabCatalogViewerModel();
+const collectionWord = (index) => ({
+  collection: "collection-1700000000000",
+  category: "positiveNormalWords",
+  term: `Luminous word ${index}`,
+});
+
+test("a history of 100 collection words is trimmed to fit and saved", async () => {
+  const lists = new VocabWordLists(model);
+  lists.toggleFavorite(collectionWord(0));
+  for (let i = 0; i < VocabWordLists.MAX_HISTORY; i++) lists.recordCopy(collectionWord(i));
+  assert.ok(lists.history.length < VocabWordLists.MAX_HISTORY);
+  assert.strictEqual(lists.history[0].key, model.getWordKey(collectionWord(99)));
+
+  await lists.save();
+  const { copyHistory, favorites } = chrome.storage.sync.data;
+  assert.deepStrictEqual(copyHistory, lists.history);
+  assert.deepStrictEqual(favorites, [model.getWordKey(collectionWord(0))]);
+  assert.ok(
+    VocabWordLists.getItemSize("copyHistory", copyHistory) <= VocabWordLists.QUOTA_BYTES_PER_ITEM
+  );
+});
+
+test("lists and favorites refuse words once they would be over the quota", () => {
+  const lists = new VocabWordLists(model);
+  const list = lists.createList("Everything");
+  let added = 0;
+  assert.throws(() => {
+    for (; added < 1000; added++) lists.setInList(list.id, collectionWord(added), true);
+  }, /lists are full/);
+  assert.strictEqual(list.words.length, added);
+  assert.throws(() => {
+    for (let i = 0; i < 1000; i++) lists.toggleFavorite(collectionWord(i));
+  }, /Favorites are full/);
+});
+
+test("an item over the quota doesn't stop the others from saving", async () => {
+  const lists = new VocabWordLists(model);
+  // Lists loaded from storage, written before they were limited
+  lists.lists = [
+    {
+      id: "list-1",
+      name: "Huge",
+      words: Array.from({ length: 200 }, (_, i) => model.getWordKey(collectionWord(i))),
+    },
+  ];
+  lists.favorites = ["positiveNormalWords\u0000Radiant"];
+  await assert.rejects(lists.save(), /QUOTA_BYTES_PER_ITEM/);
+  assert.deepStrictEqual(chrome.storage.sync.data.favorites, lists.favorites);
+});
+
+test("a save writes only the items that changed", async () => {
+  const lists = new VocabWordLists(model);
+  await lists.load();
+  const writes = [];
+  const set = chrome.storage.sync.set;
+  chrome.storage.sync.set = (items) => {
+    writes.push(...Object.keys(items));
+    return set(items);
+  };
+  try {
+    lists.recordCopy(collectionWord(1));
+    await lists.save();
+    assert.deepStrictEqual(writes, ["copyHistory"]);
+    await lists.save();
+    assert.deepStrictEqual(writes, ["copyHistory"]);
+  } finally {
+    chrome.storage.sync.set = set;
+  }
+});
+
+test("sizes count a lone surrogate instead of throwing", () => {
+  const lists = new VocabWordLists(model);
+  const word = { category: "positiveNormalWords", term: "Broken \ud800 term" };
+  assert.strictEqual(lists.toggleFavorite(word), true);
+  lists.recordCopy(word);
+  assert.strictEqual(lists.history.length, 1);
+  assert.strictEqual(VocabWordLists.getItemSize("k", "\ud800"), "k".length + '"\\ud800"'.length);
+  assert.strictEqual(VocabWordLists.getItemSize("\ud800", 1), 3 + 1);
+  assert.strictEqual(VocabWordLists.getItemSize("😀", "é"), 4 + 4);
+});
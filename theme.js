@@ -0,0 +1,98 @@
+// --- Theme ---
+class VocabTheme {
+  static THEMES = [
+    { id: "dark", name: "Neon dark" },
+    { id: "light", name: "Light" },
+    { id: "contrast", name: "High contrast" },
+    { id: "system", name: "Follow system" },
+  ];
+  static DEFAULT_THEME = "dark";
+
+  /**
+   * Constructs the theme switcher. The colors of each theme are custom properties in
+   * popup.css, picked by the `data-theme` attribute of the root element; "system" sets it
+   * to "dark" or "light" after the OS's `prefers-color-scheme`, and follows it as it
+   * changes.
+   *
+   * Interactions:
+   * - Created by the controller, which loads the chosen theme before rendering anything.
+   *
+   * @param {HTMLElement} [root=document.documentElement] - The element carrying the theme.
+   */
+  constructor(root = document.documentElement) {
+    this.root = root;
+    this.theme = VocabTheme.DEFAULT_THEME;
+    this.colorScheme =
+      typeof window !== "undefined" && typeof window.matchMedia === "function"
+        ? window.matchMedia("(prefers-color-scheme: light)")
+        : null;
+    if (this.colorScheme) {
+      this.colorScheme.addEventListener("change", () => {
+        if (this.theme === "system") this.apply("system");
+      });
+    }
+  }
+
+  /**
+   * Loads the chosen theme from `chrome.storage.sync` and applies it.
+   *
+   * @returns {Promise<void>} Resolves when the theme is applied, or the default one if
+   *   loading fails.
+   */
+  async load() {
+    try {
+      const { theme } = await chrome.storage.sync.get("theme");
+      this.apply(theme);
+    } catch (error) {
+      console.error("Error loading the theme:", error);
+      this.apply(VocabTheme.DEFAULT_THEME);
+    }
+  }
+
+  /**
+   * Persists the chosen theme to `chrome.storage.sync`, where the other pages of the
+   * extension pick it up.
+   *
+   * @returns {Promise<void>} Resolves when the theme has been written.
+   */
+  async save() {
+    await chrome.storage.sync.set({ theme: this.theme });
+  }
+
+  /**
+   * @param {string} [id=this.theme] - A theme id; defaults to the chosen theme.
+   * @returns {Object} The theme `{id, name}`, or the default one for unknown ids.
+   */
+  getTheme(id = this.theme) {
+    return (
+      VocabTheme.THEMES.find((theme) => theme.id === id) ||
+      VocabTheme.THEMES.find((theme) => theme.id === VocabTheme.DEFAULT_THEME)
+    );
+  }
+
+  /**
+   * @returns {Object} The theme after the chosen one, wrapping around after the last.
+   */
+  getNextTheme() {
+    const index = VocabTheme.THEMES.findIndex((theme) => theme.id === this.theme);
+    return VocabTheme.THEMES[(index + 1) % VocabTheme.THEMES.length];
+  }
+
+  /**
+   * Switches to a theme. Unknown ids fall back to the default theme.
+   *
+   * @param {string} id - A theme id from `THEMES`.
+   */
+  apply(id) {
+    this.theme = this.getTheme(id).id;
+    let resolved = this.theme;
+    if (resolved === "system") {
+      resolved = this.colorScheme && this.colorScheme.matches ? "light" : "dark";
+    }
+    this.root.dataset.theme = resolved;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { VocabTheme };
+}
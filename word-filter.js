@@ -0,0 +1,161 @@
+// --- Word Filter ---
+class VocabWordFilter {
+  /**
+   * Constructs the filter that runs `model.filterWords()` off the main thread.
+   *
+   * A worker (`filter-worker.js`) holds a copy of the processed word list and answers each
+   * filter request with word indices instead of word objects, so only small messages cross
+   * threads while the user types. Where workers aren't available (or the worker fails), the
+   * same filtering runs on the main thread.
+   *
+   * Interactions:
+   * - Created by the controller; `setWords()` is called after every `processAllWords()`.
+   *
+   * @param {VocabCatalogViewerModel} model - The model whose words are filtered.
+   * @param {string} [workerUrl="filter-worker.js"] - The worker script, relative to the page.
+   */
+  constructor(model, workerUrl = "filter-worker.js") {
+    this.model = model;
+    this.workerUrl = workerUrl;
+    this.worker = null;
+    this.requestId = 0;
+    this.pending = new Map();
+  }
+
+  /**
+   * Starts the worker. Failing to start it is not an error; filtering then stays on the
+   * main thread.
+   */
+  start() {
+    if (typeof Worker === "undefined") return;
+    try {
+      this.worker = new Worker(this.workerUrl);
+    } catch (error) {
+      console.error("Could not start the filter worker:", error);
+      return;
+    }
+    this.worker.addEventListener("message", ({ data }) => {
+      const resolve = this.pending.get(data.id);
+      this.pending.delete(data.id);
+      if (resolve) resolve(data);
+    });
+    this.worker.addEventListener("error", (error) => {
+      console.error("Filter worker failed, filtering on the main thread:", error);
+      this.stop();
+    });
+  }
+
+  /**
+   * Stops the worker and answers its outstanding requests on the main thread.
+   */
+  stop() {
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    this.pending.forEach((resolve) => resolve(null));
+    this.pending.clear();
+  }
+
+  /**
+   * Sends the model's processed words and tag hierarchy to the worker.
+   *
+   * Interactions:
+   * - Called by the controller after each `model.processAllWords()` and each change to the
+   *   tag hierarchy.
+   */
+  setWords() {
+    if (!this.worker) return;
+    this.worker.postMessage({
+      action: "setWords",
+      words: this.model.allWords,
+      tagParents: this.model.tagTaxonomy.parents,
+    });
+  }
+
+  /**
+   * Filters the words like `model.filterWords()`, in the worker when there is one.
+   *
+   * Requests overtaken by a newer one resolve to null, so a slow answer for an old
+   * keystroke never replaces the results of a newer one.
+   *
+   * @param {Object} query - A tree from `queryLanguage.parse()`.
+   * @param {Object} [tagSet] - `{include, exclude, mode}` tags picked in the tag picker.
+   * @param {Array<string>} [source] - Word keys to pick words from.
+   * @param {Array<Object>} [sort] - Sort keys for `VocabTableColumns.sortWords()`.
+   * @param {string} [mode="words"] - The search mode (see `model.filterWords()`).
+   * @returns {Promise<Object|null>} `{words, matches, tagCounts}` (see `getSearchMatches()`
+   *   and `getTagCounts()`), or null when a newer request was made.
+   */
+  async filter(query, tagSet = null, source = null, sort = [], mode = "words") {
+    const id = ++this.requestId;
+    const request = { action: "filter", id, query, tagSet, source, sort, mode };
+    let response = null;
+    if (this.worker) {
+      response = await new Promise((resolve) => {
+        this.pending.set(id, resolve);
+        this.worker.postMessage(request);
+      });
+    }
+    if (id !== this.requestId) return null;
+    return this.readResponse(response || VocabWordFilter.runFilter(this.model, request));
+  }
+
+  /**
+   * Runs a filter request against a model. Used by the worker, and by the main thread
+   * when there is no worker.
+   *
+   * @param {VocabCatalogViewerModel} model - The model to filter.
+   * @param {Object} request - `{id, query, tagSet, source, sort, mode}` as posted by
+   *   `filter()`.
+   * @param {Map<Object, number>} [positions] - `indexWords(model.allWords)`, if already built.
+   * @returns {Object} `{id, indices, matches, tagCounts}`, where `indices` point into
+   *   `model.allWords` and `matches` holds `[index, ranges]` pairs.
+   */
+  static runFilter(
+    model,
+    { id, query, tagSet, source, sort, mode },
+    positions = VocabWordFilter.indexWords(model.allWords)
+  ) {
+    const words = VocabTableColumns.sortWords(
+      model.filterWords(query, tagSet, source, mode),
+      sort
+    );
+    return {
+      id,
+      indices: words.map((word) => positions.get(word)),
+      matches: Array.from(model.getSearchMatches(), ([word, ranges]) => [
+        positions.get(word),
+        ranges,
+      ]),
+      tagCounts: model.getTagCounts(tagSet),
+    };
+  }
+
+  /**
+   * Maps each word object to its position in a word list.
+   *
+   * @param {Array<Object>} words - The word list.
+   * @returns {Map<Object, number>} Word object -> index.
+   */
+  static indexWords(words) {
+    return new Map(words.map((word, index) => [word, index]));
+  }
+
+  /**
+   * Turns a response from `runFilter()` back into the main thread's word objects.
+   *
+   * @param {Object} response - The response.
+   * @returns {Object} `{words, matches, tagCounts}`.
+   */
+  readResponse({ indices, matches, tagCounts }) {
+    const allWords = this.model.allWords;
+    return {
+      words: indices.map((index) => allWords[index]),
+      matches: new Map(matches.map(([index, ranges]) => [allWords[index], ranges])),
+      tagCounts,
+    };
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { VocabWordFilter };
+}
@@ -0,0 +1,355 @@
+// --- Word Lists ---
+class VocabWordLists {
+  static FAVORITES = "favorites";
+  static HISTORY = "history";
+  static MAX_HISTORY = 100;
+  // chrome.storage.sync refuses any item bigger than this (its QUOTA_BYTES_PER_ITEM),
+  // counting the key and the value's JSON
+  static QUOTA_BYTES_PER_ITEM = 8192;
+
+  /**
+   * Constructs the favorites, named lists and copy history.
+   *
+   * Lists hold word keys from `model.getWordKey()` rather than word objects, so they stay
+   * small enough for `chrome.storage.sync` and survive edits to a word's other fields.
+   *
+   * @param {VocabCatalogViewerModel} model - The model whose words the lists refer to.
+   */
+  constructor(model) {
+    this.model = model;
+    this.favorites = [];
+    this.lists = [];
+    this.history = [];
+    // What each sync item was last loaded as or saved as (its JSON), so `save()` writes
+    // only the items that changed
+    this.stored = {};
+  }
+
+  /**
+   * Loads favorites, lists and history from `chrome.storage.sync`, so they follow the
+   * user across browsers they are signed in to.
+   *
+   * Interactions:
+   * - Called once by the controller during initialization.
+   *
+   * @returns {Promise<void>} Resolves when the lists are loaded or fails.
+   */
+  async load() {
+    try {
+      const { favorites, wordLists, copyHistory } = await chrome.storage.sync.get([
+        "favorites",
+        "wordLists",
+        "copyHistory",
+      ]);
+      this.favorites = favorites || [];
+      this.lists = wordLists || [];
+      this.history = copyHistory || [];
+      this.stored = this.getItems(JSON.stringify);
+    } catch (error) {
+      console.error("Error loading word lists:", error);
+    }
+  }
+
+  /**
+   * @param {Function} [map] - Applied to each item's value.
+   * @returns {Object} The sync items `{favorites, wordLists, copyHistory}`.
+   */
+  getItems(map = (value) => value) {
+    return {
+      favorites: map(this.favorites),
+      wordLists: map(this.lists),
+      copyHistory: map(this.history),
+    };
+  }
+
+  /**
+   * Persists the favorites, lists and history that changed since they were loaded or last
+   * saved to `chrome.storage.sync`, each in its own write. Sync storage allows only so
+   * many writes a minute, so copying a word writes just the history; and one item over the
+   * sync quota doesn't stop the others from saving.
+   *
+   * @returns {Promise<void>} Resolves when the changes have been written; rejects with the
+   *   first error (e.g. the sync quota being exceeded) once the other items are written.
+   *   Items that failed to save are tried again by the next save.
+   */
+  async save() {
+    this.history = VocabWordLists.trimHistory(this.history);
+    const changed = Object.entries(this.getItems(JSON.stringify)).filter(
+      ([key, json]) => json !== this.stored[key]
+    );
+    const results = await Promise.allSettled(
+      changed.map(async ([key, json]) => {
+        await chrome.storage.sync.set({ [key]: JSON.parse(json) });
+        this.stored[key] = json;
+      })
+    );
+    const failed = results.find(({ status }) => status === "rejected");
+    if (failed) throw failed.reason;
+  }
+
+  /**
+   * @param {string} key - A `chrome.storage.sync` key.
+   * @param {*} value - The value to store under it.
+   * @returns {number} The bytes the item counts for against `QUOTA_BYTES_PER_ITEM`.
+   */
+  static getItemSize(key, value) {
+    // UTF-8 bytes, counted by code point: a lone surrogate is stored as U+FFFD, 3 bytes
+    let bytes = 0;
+    for (const char of key + JSON.stringify(value)) {
+      const code = char.codePointAt(0);
+      bytes += code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+    }
+    return bytes;
+  }
+
+  /**
+   * Makes sure an item still fits in sync storage after a change.
+   *
+   * Interactions:
+   * - Also checks the items a backup restores (see `VocabBackup.restore()`).
+   *
+   * @param {string} key - The item's `chrome.storage.sync` key.
+   * @param {*} value - The item as it would be after the change.
+   * @param {string} message - The error message.
+   * @throws {Error} If the item would be over `QUOTA_BYTES_PER_ITEM`.
+   */
+  static checkItemSize(key, value, message) {
+    if (VocabWordLists.getItemSize(key, value) > VocabWordLists.QUOTA_BYTES_PER_ITEM) {
+      throw new Error(message);
+    }
+  }
+
+  /**
+   * Returns the filter sources in the order the list filter shows them.
+   *
+   * @returns {Array<Object>} Sources `{id, name, count}`: favorites, history, then named lists.
+   */
+  getSources() {
+    return [
+      { id: VocabWordLists.FAVORITES, name: "★ Favorites", count: this.favorites.length },
+      { id: VocabWordLists.HISTORY, name: "Recently copied", count: this.history.length },
+      ...this.lists.map(({ id, name, words }) => ({ id, name, count: words.length })),
+    ];
+  }
+
+  /**
+   * Returns the word keys of a source, for `model.filterWords()`.
+   *
+   * @param {string} id - A source id from `getSources()`.
+   * @returns {Array<string>|null} The keys in the source's order (history is most recent
+   *   first), or null for an unknown source.
+   */
+  getSourceKeys(id) {
+    if (id === VocabWordLists.FAVORITES) return this.favorites;
+    if (id === VocabWordLists.HISTORY) return this.history.map(({ key }) => key);
+    const list = this.getList(id);
+    return list ? list.words : null;
+  }
+
+  /**
+   * @param {string} id - The list id.
+   * @returns {Object|null} The named list `{id, name, words}`, or null.
+   */
+  getList(id) {
+    return this.lists.find((list) => list.id === id) || null;
+  }
+
+  /**
+   * @param {Object} word - The word.
+   * @returns {boolean} Whether the word is starred.
+   */
+  isFavorite(word) {
+    return this.favorites.includes(this.model.getWordKey(word));
+  }
+
+  /**
+   * Stars or unstars a word.
+   *
+   * @param {Object} word - The word.
+   * @returns {boolean} Whether the word is now a favorite.
+   * @throws {Error} If the favorites are too many to sync.
+   */
+  toggleFavorite(word) {
+    const key = this.model.getWordKey(word);
+    if (this.favorites.includes(key)) {
+      this.favorites = this.favorites.filter((favorite) => favorite !== key);
+      return false;
+    }
+    VocabWordLists.checkItemSize(
+      "favorites",
+      [...this.favorites, key],
+      "Favorites are full: unstar some words to star more."
+    );
+    this.favorites.push(key);
+    return true;
+  }
+
+  /**
+   * Creates a named list.
+   *
+   * @param {string} name - The list name, e.g. "Chapter 3 tone".
+   * @returns {Object} The new list `{id, name, words}`.
+   * @throws {Error} If the name is empty or already taken, or the lists are too big to sync.
+   */
+  createList(name) {
+    name = this.checkListName(name);
+    const list = { id: `list-${Date.now()}`, name, words: [] };
+    VocabWordLists.checkListsSize([...this.lists, list]);
+    this.lists.push(list);
+    return list;
+  }
+
+  /**
+   * Renames a named list.
+   *
+   * @param {string} id - The list id.
+   * @param {string} name - The new name.
+   * @throws {Error} If the name is empty or already taken.
+   */
+  renameList(id, name) {
+    const list = this.getList(id);
+    if (list) list.name = this.checkListName(name, id);
+  }
+
+  /**
+   * Deletes a named list. The words in it are not affected.
+   *
+   * @param {string} id - The list id.
+   */
+  deleteList(id) {
+    this.lists = this.lists.filter((list) => list.id !== id);
+  }
+
+  /**
+   * Trims a list name and makes sure it's usable.
+   *
+   * @param {string} name - The proposed name.
+   * @param {string} [id] - The list being renamed, which may keep its own name.
+   * @returns {string} The trimmed name.
+   * @throws {Error} If the name is empty or another list already uses it.
+   */
+  checkListName(name, id = null) {
+    name = (name || "").trim();
+    if (!name) throw new Error("List name is required.");
+    if (this.lists.some((list) => list.id !== id && list.name === name)) {
+      throw new Error(`There is already a list called "${name}".`);
+    }
+    return name;
+  }
+
+  /**
+   * Makes sure the named lists still fit in sync storage after a change. All of them are
+   * stored as one item, so it's their combined size that counts.
+   *
+   * @param {Array<Object>} lists - The lists as they would be after the change.
+   * @throws {Error} If they would be over `QUOTA_BYTES_PER_ITEM`.
+   */
+  static checkListsSize(lists) {
+    VocabWordLists.checkItemSize(
+      "wordLists",
+      lists,
+      "Your lists are full: remove some words or lists to add more."
+    );
+  }
+
+  /**
+   * @param {string} id - The list id.
+   * @param {Object} word - The word.
+   * @returns {boolean} Whether the word is in the named list.
+   */
+  isInList(id, word) {
+    const list = this.getList(id);
+    return Boolean(list) && list.words.includes(this.model.getWordKey(word));
+  }
+
+  /**
+   * Adds a word to a named list, or removes it.
+   *
+   * @param {string} id - The list id.
+   * @param {Object} word - The word.
+   * @param {boolean} included - Whether the word should be in the list.
+   * @throws {Error} If adding the word would make the lists too big to sync.
+   */
+  setInList(id, word, included) {
+    const list = this.getList(id);
+    if (!list) return;
+    const key = this.model.getWordKey(word);
+    const words = list.words.filter((listKey) => listKey !== key);
+    if (included) {
+      words.push(key);
+      VocabWordLists.checkListsSize(
+        this.lists.map((other) => (other === list ? { ...list, words } : other))
+      );
+    }
+    list.words = words;
+  }
+
+  /**
+   * Records that a word was copied. A word copied again moves back to the front,
+   * and only the most recent `MAX_HISTORY` words are kept (fewer if they would be over
+   * the sync quota, see `trimHistory()`).
+   *
+   * Interactions:
+   * - Called by `VocabCatalogViewerView.handleWordCopy()`.
+   *
+   * @param {Object} word - The copied word.
+   */
+  recordCopy(word) {
+    const key = this.model.getWordKey(word);
+    this.history = [
+      { key, copiedAt: Date.now() },
+      ...this.history.filter((entry) => entry.key !== key),
+    ].slice(0, VocabWordLists.MAX_HISTORY);
+    this.history = VocabWordLists.trimHistory(this.history);
+  }
+
+  /**
+   * Drops the oldest copies until a history fits in one sync storage item. Keys of
+   * words in user collections are long, so `MAX_HISTORY` of them may not.
+   *
+   * @param {Array<Object>} history - A copy history `{key, copiedAt}`, most recent first.
+   * @returns {Array<Object>} The history that fits.
+   */
+  static trimHistory(history) {
+    let trimmed = history;
+    while (
+      trimmed.length > 0 &&
+      VocabWordLists.getItemSize("copyHistory", trimmed) > VocabWordLists.QUOTA_BYTES_PER_ITEM
+    ) {
+      trimmed = trimmed.slice(0, -1);
+    }
+    return trimmed;
+  }
+
+  /**
+   * Forgets every recently copied word.
+   */
+  clearHistory() {
+    this.history = [];
+  }
+
+  /**
+   * Points lists, favorites and history at a word's new key after it was renamed or
+   * moved to another category, so it isn't silently dropped from them.
+   *
+   * @param {Object} original - `{category, term}` before the edit.
+   * @param {Object} updated - `{category, term}` after the edit.
+   * @returns {boolean} Whether the word's key changed, i.e. whether to save.
+   */
+  renameWord(original, updated) {
+    const from = this.model.getWordKey(original);
+    const to = this.model.getWordKey(updated);
+    if (from === to) return false;
+    const replace = (keys) => keys.map((key) => (key === from ? to : key));
+    this.favorites = replace(this.favorites);
+    this.lists.forEach((list) => (list.words = replace(list.words)));
+    this.history.forEach((entry) => {
+      if (entry.key === from) entry.key = to;
+    });
+    return true;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { VocabWordLists };
+}
@@ -0,0 +1,372 @@
+// --- Validation ---
+class VocabDatabaseValidator {
+  static WORD_CLASSES = ["Normal", "Big"];
+  static WORD_TYPES = ["Positive", "Negative", "Neutral", "Tone"];
+  // The top-level key of a database holding its metadata rather than a category
+  static METADATA_KEY = "metadata";
+  // Word fields a facet (a filter dropdown) can be declared for: single strings per word
+  static FACET_FIELDS = ["class", "type", "category", "partOfSpeech", "register"];
+  // Facets of databases whose metadata doesn't declare any
+  static DEFAULT_FACETS = [
+    {
+      field: "class",
+      label: "Word Class",
+      values: [{ value: "Normal" }, { value: "Big" }],
+    },
+    {
+      field: "type",
+      label: "Word Type",
+      values: [
+        { value: "Positive", color: "#4caf50" },
+        { value: "Negative", color: "#f44336" },
+        { value: "Neutral", color: "#9e9e9e" },
+        { value: "Tone", color: "#ffc107" },
+      ],
+    },
+  ];
+  // Fields an entry may have besides definition, class, type and tags: "list" fields hold
+  // an array of strings, "text" fields a single string
+  static OPTIONAL_FIELDS = {
+    pronunciation: "text",
+    partOfSpeech: "text",
+    register: "text",
+    synonyms: "list",
+    antonyms: "list",
+    examples: "list",
+    related: "list",
+  };
+
+  /**
+   * Checks a word database in the nested `{category: {term: wordData}}` shape, with an
+   * optional `metadata` section (see `validateMetadata()`).
+   *
+   * Errors are problems that break the catalog: missing or non-string fields, classes or
+   * types outside the allowed values (see `getAllowedValues()`), malformed metadata, and
+   * words filed under a conventional category such
+   * as `positiveBigWords` whose class/type don't match it, and optional fields (see
+   * `OPTIONAL_FIELDS`) of the wrong shape. Warnings are tidiness issues: missing tags, the
+   * same term in several categories, tags used by only one word, and `related` links to
+   * terms the database doesn't have.
+   *
+   * An error with `fatal: true` means the entry can't be displayed at all; the model skips
+   * those entries instead of letting `filterWords()` and `renderWords()` throw on them.
+   *
+   * Interactions:
+   * - Called by `VocabCatalogViewerModel.loadWordDatabase()` on every load.
+   * - Called by `data/lint_words.js` to lint the database file from the command line.
+   *
+   * @param {Object} database - The parsed word database.
+   * @returns {Object} `{errors, warnings}`; each issue is `{level, category, term, message, fatal}`.
+   */
+  validate(database) {
+    const report = { errors: [], warnings: [] };
+    const addIssue = (level, category, term, message, fatal = false) => {
+      const list = level === "error" ? report.errors : report.warnings;
+      list.push({ level, category, term, message, fatal });
+    };
+
+    if (!database || typeof database !== "object" || Array.isArray(database)) {
+      addIssue("error", null, null, "The database must be an object of categories.", true);
+      return report;
+    }
+
+    const termCategories = new Map();
+    const tagTerms = new Map();
+    const links = [];
+    this.validateMetadata(database[VocabDatabaseValidator.METADATA_KEY], addIssue);
+    const allowed = {
+      class: this.getAllowedValues(database, "class"),
+      type: this.getAllowedValues(database, "type"),
+    };
+
+    this.getCategoryNames(database).forEach((category) => {
+      const categoryWords = database[category];
+      if (!categoryWords || typeof categoryWords !== "object" || Array.isArray(categoryWords)) {
+        addIssue("error", category, null, "Category must be an object of terms.", true);
+        return;
+      }
+      const expected = this.parseCategoryName(category, allowed);
+
+      Object.keys(categoryWords).forEach((term) => {
+        const wordData = categoryWords[term];
+        if (!wordData || typeof wordData !== "object" || Array.isArray(wordData)) {
+          addIssue("error", category, term, "Entry must be an object.", true);
+          return;
+        }
+
+        ["definition", "class", "type"].forEach((field) => {
+          const value = wordData[field];
+          if (value === undefined || value === null || value === "") {
+            addIssue("error", category, term, `Missing "${field}".`, true);
+          } else if (typeof value !== "string") {
+            addIssue("error", category, term, `"${field}" must be a string.`, true);
+          }
+        });
+
+        if (
+          typeof wordData.class === "string" &&
+          wordData.class &&
+          !allowed.class.includes(wordData.class)
+        ) {
+          addIssue(
+            "error",
+            category,
+            term,
+            `Class "${wordData.class}" is not one of ${allowed.class.join(", ")}.`
+          );
+        }
+        if (
+          typeof wordData.type === "string" &&
+          wordData.type &&
+          !allowed.type.includes(wordData.type)
+        ) {
+          addIssue(
+            "error",
+            category,
+            term,
+            `Type "${wordData.type}" is not one of ${allowed.type.join(", ")}.`
+          );
+        }
+
+        const hasClassAndType =
+          typeof wordData.class === "string" && typeof wordData.type === "string";
+        if (
+          expected &&
+          hasClassAndType &&
+          (wordData.class !== expected.class || wordData.type !== expected.type)
+        ) {
+          addIssue(
+            "error",
+            category,
+            term,
+            `Is ${wordData.class}/${wordData.type} but ${category} holds ${expected.class}/${expected.type} words.`
+          );
+        }
+
+        if (wordData.tags === undefined) {
+          addIssue("warning", category, term, 'Has no "tags".');
+        } else if (
+          !Array.isArray(wordData.tags) ||
+          wordData.tags.some((tag) => typeof tag !== "string")
+        ) {
+          addIssue("error", category, term, '"tags" must be an array of strings.', true);
+        } else {
+          wordData.tags.forEach((tag) => {
+            if (!tagTerms.has(tag)) tagTerms.set(tag, []);
+            tagTerms.get(tag).push(term);
+          });
+        }
+
+        Object.entries(VocabDatabaseValidator.OPTIONAL_FIELDS).forEach(([field, kind]) => {
+          const value = wordData[field];
+          if (value === undefined) return;
+          if (kind === "text" && typeof value !== "string") {
+            addIssue("error", category, term, `"${field}" must be a string.`, true);
+          } else if (
+            kind === "list" &&
+            (!Array.isArray(value) || value.some((item) => typeof item !== "string"))
+          ) {
+            addIssue("error", category, term, `"${field}" must be an array of strings.`, true);
+          }
+        });
+        if (Array.isArray(wordData.related)) {
+          wordData.related.forEach((target) => links.push({ category, term, target }));
+        }
+
+        if (!termCategories.has(term)) termCategories.set(term, []);
+        termCategories.get(term).push(category);
+      });
+    });
+
+    links.forEach(({ category, term, target }) => {
+      if (typeof target === "string" && !termCategories.has(target)) {
+        addIssue("warning", category, term, `Related word "${target}" is not in the database.`);
+      }
+    });
+
+    termCategories.forEach((categories, term) => {
+      if (categories.length > 1) {
+        addIssue(
+          "warning",
+          categories[0],
+          term,
+          `Also appears in ${categories.slice(1).join(", ")}.`
+        );
+      }
+    });
+
+    tagTerms.forEach((terms, tag) => {
+      if (terms.length === 1) {
+        addIssue("warning", null, terms[0], `Tag "${tag}" is only used once.`);
+      }
+    });
+
+    return report;
+  }
+
+  /**
+   * Checks a database's metadata section, which declares the facets (filter dropdowns)
+   * offered for its words, in order:
+   *
+   * ```json
+   * "metadata": {
+   *   "facets": [
+   *     { "field": "type", "label": "Word Type", "values": [
+   *       { "value": "Positive", "color": "#4caf50" }, "Neutral"
+   *     ] }
+   *   ]
+   * }
+   * ```
+   *
+   * `field` is one of `FACET_FIELDS`. `values` give the order values are listed in, and
+   * optionally a `label` and the `color` words with that value are shown in; a value can
+   * also be a plain string. For class and type they are also the only values allowed.
+   *
+   * @param {*} metadata - The metadata section, or undefined if the database has none.
+   * @param {Function} addIssue - `validate()`'s issue collector.
+   */
+  validateMetadata(metadata, addIssue) {
+    const key = VocabDatabaseValidator.METADATA_KEY;
+    if (metadata === undefined) return;
+    if (!metadata || typeof metadata !== "object" || Array.isArray(metadata)) {
+      addIssue("error", key, null, "Metadata must be an object.");
+      return;
+    }
+    if (metadata.facets === undefined) return;
+    if (!Array.isArray(metadata.facets)) {
+      addIssue("error", key, null, '"facets" must be an array.');
+      return;
+    }
+
+    const fields = new Set();
+    metadata.facets.forEach((facet, index) => {
+      const name = facet && typeof facet.field === "string" ? facet.field : `#${index + 1}`;
+      const location = `facet ${name}`;
+      if (!facet || !VocabDatabaseValidator.FACET_FIELDS.includes(facet.field)) {
+        addIssue(
+          "error",
+          key,
+          location,
+          `"field" must be one of ${VocabDatabaseValidator.FACET_FIELDS.join(", ")}.`
+        );
+        return;
+      }
+      if (fields.has(facet.field)) addIssue("error", key, location, "Is declared twice.");
+      fields.add(facet.field);
+      if (facet.label !== undefined && typeof facet.label !== "string") {
+        addIssue("error", key, location, '"label" must be a string.');
+      }
+      if (facet.values !== undefined && !Array.isArray(facet.values)) {
+        addIssue("error", key, location, '"values" must be an array.');
+        return;
+      }
+      (facet.values || []).forEach((entry) => {
+        const value = typeof entry === "string" ? entry : entry && entry.value;
+        if (typeof value !== "string" || !value) {
+          addIssue("error", key, location, 'Each value must be a string or have a "value".');
+        } else if (
+          typeof entry === "object" &&
+          ["label", "color"].some(
+            (field) => entry[field] !== undefined && typeof entry[field] !== "string"
+          )
+        ) {
+          addIssue("error", key, location, `"label" and "color" of "${value}" must be strings.`);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {Object} database - A parsed word database.
+   * @returns {Array<string>} Its category names, i.e. its keys other than the metadata.
+   */
+  getCategoryNames(database) {
+    return Object.keys(database).filter((key) => key !== VocabDatabaseValidator.METADATA_KEY);
+  }
+
+  /**
+   * Returns the facets a database declares in its metadata, or `DEFAULT_FACETS` if it
+   * declares none. Malformed facets and values (see `validateMetadata()`) are left out.
+   *
+   * @param {Object} database - A parsed word database.
+   * @returns {Array<Object>} Facets `{field, label, values}`, where each value is
+   *   `{value, label, color?}`.
+   */
+  getFacetDefinitions(database) {
+    const metadata = database && database[VocabDatabaseValidator.METADATA_KEY];
+    const facets =
+      metadata && Array.isArray(metadata.facets)
+        ? metadata.facets
+        : VocabDatabaseValidator.DEFAULT_FACETS;
+    return facets
+      .filter((facet) => facet && VocabDatabaseValidator.FACET_FIELDS.includes(facet.field))
+      .map((facet) => ({
+        field: facet.field,
+        label: typeof facet.label === "string" ? facet.label : facet.field,
+        values: (Array.isArray(facet.values) ? facet.values : [])
+          .map((entry) => (typeof entry === "string" ? { value: entry } : entry))
+          .filter((entry) => entry && typeof entry.value === "string" && entry.value)
+          .map(({ value, label, color }) => ({
+            value,
+            label: typeof label === "string" ? label : value,
+            ...(typeof color === "string" ? { color } : {}),
+          })),
+      }));
+  }
+
+  /**
+   * Returns the class or type values a database allows: those its metadata declares for
+   * the field, or the defaults (`WORD_CLASSES`, `WORD_TYPES`) if it declares none.
+   *
+   * @param {Object} database - A parsed word database.
+   * @param {string} field - "class" or "type".
+   * @returns {Array<string>} The allowed values.
+   */
+  getAllowedValues(database, field) {
+    const facet = this.getFacetDefinitions(database).find(
+      (candidate) => candidate.field === field
+    );
+    if (facet && facet.values.length > 0) return facet.values.map(({ value }) => value);
+    return field === "class"
+      ? VocabDatabaseValidator.WORD_CLASSES
+      : VocabDatabaseValidator.WORD_TYPES;
+  }
+
+  /**
+   * Reads the class and type out of a conventional category name like "positiveBigWords".
+   *
+   * @param {string} category - The category name.
+   * @param {Object} [allowed] - `{class, type}` value lists to recognise; defaults to
+   *   `WORD_CLASSES` and `WORD_TYPES`.
+   * @returns {Object|null} `{class, type}`, or null if the name doesn't follow the convention.
+   */
+  parseCategoryName(
+    category,
+    allowed = {
+      class: VocabDatabaseValidator.WORD_CLASSES,
+      type: VocabDatabaseValidator.WORD_TYPES,
+    }
+  ) {
+    const match = category.match(/^([a-z]+)([A-Z][a-z]+)Words$/);
+    if (!match) return null;
+    const type = allowed.type.find((value) => value.toLowerCase() === match[1]);
+    const wordClass = allowed.class.find((value) => value === match[2]);
+    return type && wordClass ? { class: wordClass, type } : null;
+  }
+
+  /**
+   * Formats an issue as a single readable line, e.g.
+   * `positiveBigWords › Serene: Type "Postive" is not one of ...`.
+   *
+   * @param {Object} issue - An issue from `validate()`.
+   * @returns {string} The formatted issue.
+   */
+  formatIssue(issue) {
+    const location = [issue.category, issue.term].filter(Boolean).join(" › ");
+    return location ? `${location}: ${issue.message}` : issue.message;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { VocabDatabaseValidator };
+}